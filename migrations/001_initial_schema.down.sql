@@ -0,0 +1,35 @@
+DROP TABLE IF EXISTS ads;
+DROP TABLE IF EXISTS messages;
+DROP TABLE IF EXISTS site_page_documents_used_in_rel;
+DROP TABLE IF EXISTS site_page_document_category_rel;
+DROP TABLE IF EXISTS site_page_documents;
+DROP TABLE IF EXISTS faqs;
+DROP TABLE IF EXISTS image_urls;
+DROP TABLE IF EXISTS consumer_survey_question_answers;
+DROP TABLE IF EXISTS survey_questions_answer_options;
+DROP TABLE IF EXISTS survey_questions;
+DROP TABLE IF EXISTS consumer_glad_points;
+DROP TABLE IF EXISTS consumer_reviews;
+DROP TABLE IF EXISTS consumer_ratings;
+DROP TABLE IF EXISTS edu_categories;
+DROP TABLE IF EXISTS edu_social;
+DROP TABLE IF EXISTS edu_security;
+DROP TABLE IF EXISTS edu_internet;
+DROP TABLE IF EXISTS edu_professor_courses;
+DROP TABLE IF EXISTS edu_class_codes;
+DROP TABLE IF EXISTS edu_professors;
+DROP TABLE IF EXISTS edu_departments;
+DROP TABLE IF EXISTS edu_dorms;
+DROP TABLE IF EXISTS edu_locations;
+DROP TABLE IF EXISTS edu_areas;
+DROP TABLE IF EXISTS consumer_business_types;
+DROP TABLE IF EXISTS businesses;
+DROP TABLE IF EXISTS business_types;
+DROP TABLE IF EXISTS business_sector;
+DROP TABLE IF EXISTS user_activity_logs;
+DROP TABLE IF EXISTS deleted_users;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS image_types;
+DROP TABLE IF EXISTS message_categories;
+DROP TABLE IF EXISTS environment_types;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,379 @@
+-- Initial GladGrade schema: every table the services read or write.
+
+-- Lookups ------------------------------------------------------------------
+
+CREATE TABLE roles (
+  id SERIAL PRIMARY KEY,
+  role VARCHAR(50) NOT NULL UNIQUE,
+  description TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE environment_types (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE message_categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE image_types (
+  id SERIAL PRIMARY KEY,
+  image_type VARCHAR(100) NOT NULL UNIQUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Users --------------------------------------------------------------------
+
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  firebase_uid VARCHAR(128) NOT NULL UNIQUE,
+  email VARCHAR(255) NOT NULL DEFAULT '',
+  first_name VARCHAR(100) NOT NULL DEFAULT '',
+  last_name VARCHAR(100) NOT NULL DEFAULT '',
+  telephone VARCHAR(30) NOT NULL DEFAULT '',
+  is_guest BOOLEAN NOT NULL DEFAULT FALSE,
+  display_name VARCHAR(200) NOT NULL DEFAULT '',
+  photo_url TEXT NOT NULL DEFAULT '',
+  primary_role_id INTEGER REFERENCES roles (id),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_deleted BOOLEAN NOT NULL DEFAULT FALSE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_login_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_users_email ON users (LOWER(email));
+CREATE INDEX idx_users_primary_role_id ON users (primary_role_id);
+
+CREATE TABLE deleted_users (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  deleted_datetime TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE user_activity_logs (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  event_type VARCHAR(100) NOT NULL,
+  event_category VARCHAR(100),
+  details JSONB,
+  ip_address VARCHAR(45),
+  occurred_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_user_activity_logs_user_id ON user_activity_logs (user_id, occurred_at DESC);
+CREATE INDEX idx_user_activity_logs_occurred_at ON user_activity_logs (occurred_at DESC);
+
+-- Businesses ---------------------------------------------------------------
+
+CREATE TABLE business_sector (
+  id SERIAL PRIMARY KEY,
+  business_sector_name VARCHAR(150) NOT NULL UNIQUE,
+  is_external BOOLEAN NOT NULL DEFAULT FALSE,
+  other TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE business_types (
+  id SERIAL PRIMARY KEY,
+  business_type VARCHAR(150) NOT NULL,
+  business_sector_id INTEGER NOT NULL REFERENCES business_sector (id),
+  is_default BOOLEAN NOT NULL DEFAULT TRUE,
+  is_external BOOLEAN NOT NULL DEFAULT FALSE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (business_sector_id, business_type)
+);
+
+CREATE TABLE businesses (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  business_name VARCHAR(255) NOT NULL,
+  place_id VARCHAR(255),
+  business_type_id INTEGER REFERENCES business_types (id),
+  street_address VARCHAR(255) NOT NULL DEFAULT '',
+  city VARCHAR(100) NOT NULL DEFAULT '',
+  state VARCHAR(100) NOT NULL DEFAULT '',
+  zip_code VARCHAR(20) NOT NULL DEFAULT '',
+  country VARCHAR(100) NOT NULL DEFAULT '',
+  phone VARCHAR(30) NOT NULL DEFAULT '',
+  website TEXT NOT NULL DEFAULT '',
+  logo_url TEXT NOT NULL DEFAULT '',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_businesses_user_id ON businesses (user_id);
+CREATE INDEX idx_businesses_place_id ON businesses (place_id);
+
+CREATE TABLE consumer_business_types (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  business_type_id INTEGER NOT NULL REFERENCES business_types (id),
+  sort_number INTEGER NOT NULL DEFAULT 0,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, business_type_id)
+);
+
+-- Education ----------------------------------------------------------------
+
+CREATE TABLE edu_areas (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_external BOOLEAN NOT NULL DEFAULT FALSE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_locations (
+  id SERIAL PRIMARY KEY,
+  edu_area_id INTEGER NOT NULL REFERENCES edu_areas (id),
+  name VARCHAR(200) NOT NULL,
+  place_id VARCHAR(255),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  is_external BOOLEAN NOT NULL DEFAULT FALSE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_edu_locations_edu_area_id ON edu_locations (edu_area_id);
+
+CREATE TABLE edu_dorms (
+  id SERIAL PRIMARY KEY,
+  edu_location_id INTEGER REFERENCES edu_locations (id),
+  name VARCHAR(200) NOT NULL,
+  place_id VARCHAR(255),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_departments (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_professors (
+  id SERIAL PRIMARY KEY,
+  edu_department_id INTEGER NOT NULL REFERENCES edu_departments (id),
+  name VARCHAR(200) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_class_codes (
+  id SERIAL PRIMARY KEY,
+  edu_department_id INTEGER REFERENCES edu_departments (id),
+  code VARCHAR(50) NOT NULL,
+  name VARCHAR(200) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_professor_courses (
+  id SERIAL PRIMARY KEY,
+  professor_id INTEGER NOT NULL REFERENCES edu_professors (id),
+  edu_class_code_id INTEGER NOT NULL REFERENCES edu_class_codes (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (professor_id, edu_class_code_id)
+);
+
+CREATE TABLE edu_internet (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_security (
+  id SERIAL PRIMARY KEY,
+  edu_area_id INTEGER NOT NULL REFERENCES edu_areas (id),
+  name VARCHAR(200) NOT NULL,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_social (
+  id SERIAL PRIMARY KEY,
+  edu_area_id INTEGER NOT NULL REFERENCES edu_areas (id),
+  name VARCHAR(200) NOT NULL,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE edu_categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Ratings and reviews ------------------------------------------------------
+
+CREATE TABLE consumer_ratings (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  business_type_id INTEGER REFERENCES business_types (id),
+  edu_location_id INTEGER REFERENCES edu_locations (id),
+  place_id VARCHAR(255) NOT NULL,
+  place_name VARCHAR(255),
+  place_address TEXT,
+  rating_value SMALLINT NOT NULL CHECK (rating_value BETWEEN 1 AND 5),
+  subcategory VARCHAR(100),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_ratings_place_id ON consumer_ratings (place_id);
+CREATE INDEX idx_consumer_ratings_user_id ON consumer_ratings (user_id, date_created DESC);
+CREATE INDEX idx_consumer_ratings_business_type_id ON consumer_ratings (business_type_id);
+
+CREATE TABLE consumer_reviews (
+  id SERIAL PRIMARY KEY,
+  consumer_rating_id INTEGER NOT NULL REFERENCES consumer_ratings (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  place_id VARCHAR(255) NOT NULL,
+  review TEXT NOT NULL,
+  is_private BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  moderation_notes TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_reviews_place_id ON consumer_reviews (place_id, date_created DESC);
+CREATE INDEX idx_consumer_reviews_consumer_rating_id ON consumer_reviews (consumer_rating_id);
+CREATE INDEX idx_consumer_reviews_user_id ON consumer_reviews (user_id);
+
+CREATE TABLE consumer_glad_points (
+  id SERIAL PRIMARY KEY,
+  consumer_rating_id INTEGER NOT NULL UNIQUE REFERENCES consumer_ratings (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  points INTEGER NOT NULL,
+  is_redeemed BOOLEAN NOT NULL DEFAULT FALSE,
+  is_redeemed_datetime TIMESTAMPTZ,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_glad_points_user_id ON consumer_glad_points (user_id);
+
+-- Surveys ------------------------------------------------------------------
+
+CREATE TABLE survey_questions (
+  id SERIAL PRIMARY KEY,
+  question TEXT NOT NULL,
+  business_type_id INTEGER REFERENCES business_types (id),
+  edu_category_id INTEGER REFERENCES edu_categories (id),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_survey_questions_business_type_id ON survey_questions (business_type_id);
+
+CREATE TABLE survey_questions_answer_options (
+  id SERIAL PRIMARY KEY,
+  survey_question_id INTEGER NOT NULL REFERENCES survey_questions (id),
+  answer_option TEXT NOT NULL,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_survey_questions_answer_options_question_id
+  ON survey_questions_answer_options (survey_question_id);
+
+CREATE TABLE consumer_survey_question_answers (
+  id SERIAL PRIMARY KEY,
+  survey_question_id INTEGER NOT NULL REFERENCES survey_questions (id),
+  survey_questions_answer_id INTEGER REFERENCES survey_questions_answer_options (id),
+  answer TEXT,
+  consumer_rating_id INTEGER NOT NULL REFERENCES consumer_ratings (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_survey_answers_rating_id
+  ON consumer_survey_question_answers (consumer_rating_id);
+
+-- Media --------------------------------------------------------------------
+
+CREATE TABLE image_urls (
+  id SERIAL PRIMARY KEY,
+  image_type_id INTEGER NOT NULL REFERENCES image_types (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  consumer_rating_id INTEGER REFERENCES consumer_ratings (id),
+  consumer_review_id INTEGER REFERENCES consumer_reviews (id),
+  edu_dorm_id INTEGER REFERENCES edu_dorms (id),
+  image_url TEXT NOT NULL,
+  order_by_number INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  moderation_notes TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_image_urls_user_id ON image_urls (user_id);
+CREATE INDEX idx_image_urls_consumer_rating_id ON image_urls (consumer_rating_id);
+CREATE INDEX idx_image_urls_consumer_review_id ON image_urls (consumer_review_id);
+CREATE INDEX idx_image_urls_edu_dorm_id ON image_urls (edu_dorm_id);
+
+-- Site content and support -------------------------------------------------
+
+CREATE TABLE faqs (
+  id SERIAL PRIMARY KEY,
+  faq TEXT NOT NULL,
+  faq_answer TEXT NOT NULL,
+  environment_type_id INTEGER NOT NULL REFERENCES environment_types (id),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE site_page_documents (
+  id SERIAL PRIMARY KEY,
+  subject VARCHAR(255) NOT NULL,
+  content TEXT NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  active_since_datetime TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE site_page_document_category_rel (
+  site_page_document_id INTEGER NOT NULL REFERENCES site_page_documents (id),
+  message_category_id INTEGER NOT NULL REFERENCES message_categories (id),
+  PRIMARY KEY (site_page_document_id, message_category_id)
+);
+
+CREATE TABLE site_page_documents_used_in_rel (
+  site_page_document_id INTEGER NOT NULL REFERENCES site_page_documents (id),
+  environment_type_id INTEGER NOT NULL REFERENCES environment_types (id),
+  PRIMARY KEY (site_page_document_id, environment_type_id)
+);
+
+CREATE TABLE messages (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users (id),
+  message_category_id INTEGER REFERENCES message_categories (id),
+  environment_type_id INTEGER REFERENCES environment_types (id),
+  email VARCHAR(255),
+  subject VARCHAR(255),
+  message TEXT NOT NULL,
+  is_read BOOLEAN NOT NULL DEFAULT FALSE,
+  requires_reply BOOLEAN NOT NULL DEFAULT FALSE,
+  is_replied BOOLEAN NOT NULL DEFAULT FALSE,
+  reply_text TEXT,
+  replied_by INTEGER REFERENCES users (id),
+  replied_at TIMESTAMPTZ,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_messages_date_created ON messages (date_created DESC);
+
+CREATE TABLE ads (
+  id SERIAL PRIMARY KEY,
+  business_name VARCHAR(255) NOT NULL,
+  business_telephone VARCHAR(30) NOT NULL DEFAULT '',
+  content TEXT NOT NULL,
+  expiration_date TIMESTAMPTZ,
+  image_url TEXT NOT NULL DEFAULT '',
+  url TEXT NOT NULL DEFAULT '',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
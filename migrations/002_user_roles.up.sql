@@ -0,0 +1,11 @@
+-- Secondary roles. users.primary_role_id stays the main role; a user may hold
+-- additional roles here (e.g. a Client who is also a Moderator).
+
+CREATE TABLE user_roles (
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  role_id INTEGER NOT NULL REFERENCES roles (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, role_id)
+);
+
+CREATE INDEX idx_user_roles_role_id ON user_roles (role_id);
@@ -0,0 +1,18 @@
+-- Fine-grained permissions granted to roles. Permission names follow
+-- "<resource>:<action>", e.g. reviews:moderate.
+
+CREATE TABLE permissions (
+  id SERIAL PRIMARY KEY,
+  permission VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE role_permissions (
+  role_id INTEGER NOT NULL REFERENCES roles (id),
+  permission_id INTEGER NOT NULL REFERENCES permissions (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE INDEX idx_role_permissions_permission_id ON role_permissions (permission_id);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_consumer_ratings_place_id;
+CREATE INDEX idx_consumer_ratings_place_id ON consumer_ratings (place_id);
+
+DROP TABLE IF EXISTS place_rating_summaries;
@@ -0,0 +1,35 @@
+-- Per-place rating aggregates. ratingService refreshes a place's row in the
+-- same transaction as every rating create, update and delete, so place pages
+-- read one row instead of scanning consumer_ratings.
+
+CREATE TABLE place_rating_summaries (
+  place_id VARCHAR(255) PRIMARY KEY,
+  rating_count INTEGER NOT NULL,
+  rating_sum INTEGER NOT NULL,
+  count_1 INTEGER NOT NULL,
+  count_2 INTEGER NOT NULL,
+  count_3 INTEGER NOT NULL,
+  count_4 INTEGER NOT NULL,
+  count_5 INTEGER NOT NULL,
+  last_rated_at TIMESTAMPTZ NOT NULL,
+  date_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO place_rating_summaries (
+  place_id, rating_count, rating_sum, count_1, count_2, count_3, count_4, count_5, last_rated_at
+)
+SELECT place_id,
+       COUNT(*),
+       SUM(rating_value),
+       COUNT(*) FILTER (WHERE rating_value = 1),
+       COUNT(*) FILTER (WHERE rating_value = 2),
+       COUNT(*) FILTER (WHERE rating_value = 3),
+       COUNT(*) FILTER (WHERE rating_value = 4),
+       COUNT(*) FILTER (WHERE rating_value = 5),
+       MAX(date_created)
+FROM consumer_ratings
+GROUP BY place_id;
+
+-- Raw ratings of a place are now listed newest first, page by page
+DROP INDEX idx_consumer_ratings_place_id;
+CREATE INDEX idx_consumer_ratings_place_id ON consumer_ratings (place_id, date_created DESC);
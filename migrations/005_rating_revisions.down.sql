@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS consumer_review_revisions;
+DROP TABLE IF EXISTS consumer_rating_revisions;
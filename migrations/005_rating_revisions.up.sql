@@ -0,0 +1,28 @@
+-- Edit history of ratings and reviews. Every change to a rating value or a
+-- review's text adds a row with the old and new values and who made it;
+-- restoring an earlier value is itself recorded, pointing at the revision
+-- it reverted.
+
+CREATE TABLE consumer_rating_revisions (
+  id SERIAL PRIMARY KEY,
+  consumer_rating_id INTEGER NOT NULL REFERENCES consumer_ratings (id),
+  changed_by INTEGER NOT NULL REFERENCES users (id),
+  old_rating_value SMALLINT NOT NULL,
+  new_rating_value SMALLINT NOT NULL,
+  restored_revision_id INTEGER REFERENCES consumer_rating_revisions (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_rating_revisions_rating_id ON consumer_rating_revisions (consumer_rating_id, id DESC);
+
+CREATE TABLE consumer_review_revisions (
+  id SERIAL PRIMARY KEY,
+  consumer_review_id INTEGER NOT NULL REFERENCES consumer_reviews (id),
+  changed_by INTEGER NOT NULL REFERENCES users (id),
+  old_review TEXT NOT NULL,
+  new_review TEXT NOT NULL,
+  restored_revision_id INTEGER REFERENCES consumer_review_revisions (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_consumer_review_revisions_review_id ON consumer_review_revisions (consumer_review_id, id DESC);
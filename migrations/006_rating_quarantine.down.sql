@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS rating_quarantine;
+DROP INDEX IF EXISTS idx_consumer_ratings_user_place;
+DROP INDEX IF EXISTS idx_consumer_ratings_device_id;
+ALTER TABLE consumer_ratings DROP COLUMN IF EXISTS device_id;
+ALTER TABLE consumer_ratings DROP COLUMN IF EXISTS status;
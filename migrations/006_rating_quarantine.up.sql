@@ -0,0 +1,26 @@
+-- Ratings that trip an abuse rule (repeat ratings of a place, too many
+-- ratings from one user or device, bursts against one place) are stored as
+-- quarantined: they count toward nothing and earn no Glad points until a
+-- moderator approves them. rating_quarantine is the review queue.
+
+ALTER TABLE consumer_ratings
+  ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (status IN ('active', 'quarantined', 'rejected')),
+  ADD COLUMN device_id VARCHAR(128);
+
+CREATE INDEX idx_consumer_ratings_device_id ON consumer_ratings (device_id, date_created DESC)
+  WHERE device_id IS NOT NULL;
+CREATE INDEX idx_consumer_ratings_user_place ON consumer_ratings (user_id, place_id, date_created DESC);
+
+CREATE TABLE rating_quarantine (
+  consumer_rating_id INTEGER PRIMARY KEY REFERENCES consumer_ratings (id),
+  reasons TEXT[] NOT NULL,
+  decision VARCHAR(20) CHECK (decision IN ('approved', 'rejected')),
+  decided_by INTEGER REFERENCES users (id),
+  decided_at TIMESTAMPTZ,
+  notes TEXT,
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- The open queue, oldest first
+CREATE INDEX idx_rating_quarantine_pending ON rating_quarantine (date_created) WHERE decision IS NULL;
@@ -0,0 +1,15 @@
+DROP TABLE IF EXISTS points_multipliers;
+DROP TABLE IF EXISTS points_rules;
+
+DROP INDEX IF EXISTS idx_consumer_glad_points_user_reason;
+DROP INDEX IF EXISTS idx_consumer_glad_points_rating_id;
+
+-- Only one award per rating fits the old shape; keep the base rating points
+DELETE FROM consumer_glad_points WHERE reason <> 'rating' OR consumer_rating_id IS NULL;
+
+ALTER TABLE consumer_glad_points
+  DROP COLUMN details,
+  DROP COLUMN entry_key,
+  DROP COLUMN reason,
+  ALTER COLUMN consumer_rating_id SET NOT NULL,
+  ADD CONSTRAINT consumer_glad_points_consumer_rating_id_key UNIQUE (consumer_rating_id);
@@ -0,0 +1,46 @@
+-- Glad points become a ledger: every award is its own consumer_glad_points
+-- row with a reason code, and entry_key makes each award happen at most once
+-- (e.g. rating:42:review). Admins tune what each reason is worth in
+-- points_rules and weight business types in points_multipliers.
+
+ALTER TABLE consumer_glad_points
+  DROP CONSTRAINT consumer_glad_points_consumer_rating_id_key,
+  ALTER COLUMN consumer_rating_id DROP NOT NULL,
+  ADD COLUMN reason VARCHAR(50),
+  ADD COLUMN entry_key VARCHAR(150) UNIQUE,
+  -- How the amount was worked out: base points, multiplier, daily cap
+  ADD COLUMN details JSONB NOT NULL DEFAULT '{}';
+
+UPDATE consumer_glad_points
+SET reason = 'rating',
+    entry_key = 'rating:' || consumer_rating_id || ':rating';
+
+ALTER TABLE consumer_glad_points ALTER COLUMN reason SET NOT NULL;
+
+CREATE INDEX idx_consumer_glad_points_rating_id ON consumer_glad_points (consumer_rating_id);
+CREATE INDEX idx_consumer_glad_points_user_reason ON consumer_glad_points (user_id, reason, date_created);
+
+CREATE TABLE points_rules (
+  reason VARCHAR(50) PRIMARY KEY,
+  points INTEGER NOT NULL CHECK (points >= 0),
+  -- Most points one user can earn for this reason per UTC day; NULL for no cap
+  daily_cap INTEGER CHECK (daily_cap >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  description TEXT NOT NULL,
+  updated_by INTEGER REFERENCES users (id),
+  date_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO points_rules (reason, points, description) VALUES
+  ('rating', 10, 'Rated a place'),
+  ('review', 5, 'Wrote a review with a rating'),
+  ('photo', 2, 'Added a photo to a rating or review'),
+  ('survey', 3, 'Answered the survey for a rating'),
+  ('first_place_rating', 5, 'First to rate a place');
+
+CREATE TABLE points_multipliers (
+  business_type_id INTEGER PRIMARY KEY REFERENCES business_types (id),
+  multiplier NUMERIC(5, 2) NOT NULL CHECK (multiplier > 0),
+  updated_by INTEGER REFERENCES users (id),
+  date_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,4 @@
+DELETE FROM consumer_glad_points WHERE reason = 'redemption';
+
+DROP TABLE IF EXISTS reward_redemptions;
+DROP TABLE IF EXISTS rewards;
@@ -0,0 +1,41 @@
+-- Rewards catalog and redemptions. Redeeming a reward takes one unit of
+-- stock, issues a code the sponsoring business checks at the counter, and
+-- debits the cost from the user's Glad points as a negative ledger entry
+-- (reason 'redemption') in consumer_glad_points.
+
+CREATE TABLE rewards (
+  id SERIAL PRIMARY KEY,
+  business_id INTEGER NOT NULL REFERENCES businesses (id),
+  name VARCHAR(255) NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  points_cost INTEGER NOT NULL CHECK (points_cost > 0),
+  -- Units left to redeem; NULL for unlimited
+  stock INTEGER CHECK (stock >= 0),
+  valid_from TIMESTAMPTZ,
+  valid_until TIMESTAMPTZ,
+  image_url TEXT NOT NULL DEFAULT '',
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_updated TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from)
+);
+
+CREATE INDEX idx_rewards_business_id ON rewards (business_id);
+
+CREATE TABLE reward_redemptions (
+  id SERIAL PRIMARY KEY,
+  reward_id INTEGER NOT NULL REFERENCES rewards (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  code VARCHAR(20) NOT NULL UNIQUE,
+  -- Points debited, i.e. the reward's cost when it was redeemed
+  points INTEGER NOT NULL,
+  -- The reward's valid_until at redemption; NULL if the code never expires
+  expires_at TIMESTAMPTZ,
+  used_at TIMESTAMPTZ,
+  used_by INTEGER REFERENCES users (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_reward_redemptions_user_id ON reward_redemptions (user_id, date_created DESC);
+CREATE INDEX idx_reward_redemptions_reward_id ON reward_redemptions (reward_id);
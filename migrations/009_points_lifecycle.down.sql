@@ -0,0 +1,3 @@
+DELETE FROM consumer_glad_points WHERE reason IN ('reversal', 'expiry');
+
+ALTER TABLE consumer_glad_points DROP COLUMN reversed_entry_id;
@@ -0,0 +1,7 @@
+-- Points are no longer deleted with what earned them. Removing a rating,
+-- review or photo adds a 'reversal' entry pointing at the award it takes
+-- back, and a scheduled job adds 'expiry' entries for points left unspent
+-- past the expiry window.
+
+ALTER TABLE consumer_glad_points
+  ADD COLUMN reversed_entry_id INTEGER UNIQUE REFERENCES consumer_glad_points (id);
@@ -0,0 +1,5 @@
+DELETE FROM consumer_glad_points WHERE reason = 'achievement';
+
+DROP TABLE IF EXISTS tiers;
+DROP TABLE IF EXISTS user_achievements;
+DROP TABLE IF EXISTS achievement_definitions;
@@ -0,0 +1,51 @@
+-- Achievements are earned once a user's activity reaches a threshold on one
+-- of the metrics the code knows how to count (reviews, dorm reviews, sectors
+-- rated, longest daily streak, ...). Admins maintain the definitions; earning
+-- one can pay bonus Glad points. Tiers rank users by the points they have
+-- earned over time and scale every award they receive.
+
+CREATE TABLE achievement_definitions (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(150) NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  metric VARCHAR(50) NOT NULL
+    CHECK (metric IN ('ratings', 'reviews', 'dorm_reviews', 'sectors_rated', 'streak_days')),
+  threshold INTEGER NOT NULL CHECK (threshold > 0),
+  bonus_points INTEGER NOT NULL DEFAULT 0 CHECK (bonus_points >= 0),
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO achievement_definitions (code, name, description, metric, threshold, bonus_points) VALUES
+  ('first_review', 'First review', 'Wrote your first review', 'reviews', 1, 10),
+  ('dorm_critic', 'Dorm critic', 'Reviewed 10 dorms', 'dorm_reviews', 10, 25),
+  ('explorer', 'Explorer', 'Rated places in 5 business sectors', 'sectors_rated', 5, 25),
+  ('streak_30', 'On a roll', 'Rated or reviewed something 30 days in a row', 'streak_days', 30, 50);
+
+CREATE TABLE user_achievements (
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  achievement_id INTEGER NOT NULL REFERENCES achievement_definitions (id),
+  date_earned TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, achievement_id)
+);
+
+CREATE INDEX idx_user_achievements_achievement_id ON user_achievements (achievement_id);
+
+-- A user's tier is the highest one whose min_points their lifetime points
+-- (awards net of reversals; spending and expiry do not count) reach
+CREATE TABLE tiers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE,
+  min_points INTEGER NOT NULL UNIQUE CHECK (min_points >= 0),
+  -- Scales every rating, review, survey and photo award
+  points_multiplier NUMERIC(5, 2) NOT NULL DEFAULT 1 CHECK (points_multiplier > 0),
+  description TEXT NOT NULL DEFAULT ''
+);
+
+INSERT INTO tiers (name, min_points, points_multiplier, description) VALUES
+  ('Bronze', 0, 1.00, 'Every new member'),
+  ('Silver', 500, 1.10, '10% more points on every award'),
+  ('Gold', 2000, 1.25, '25% more points on every award');
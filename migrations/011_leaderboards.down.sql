@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_consumer_glad_points_date_created;
+DROP TABLE IF EXISTS review_helpful_votes;
+
+ALTER TABLE users DROP COLUMN leaderboard_opt_out;
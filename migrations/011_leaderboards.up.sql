@@ -0,0 +1,15 @@
+-- Leaderboards rank users by points earned, ratings and helpful votes on
+-- their reviews. Users can opt out of appearing on them; readers mark public
+-- reviews helpful (one vote per reader and review).
+
+ALTER TABLE users ADD COLUMN leaderboard_opt_out BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE review_helpful_votes (
+  consumer_review_id INTEGER NOT NULL REFERENCES consumer_reviews (id),
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  date_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (consumer_review_id, user_id)
+);
+
+CREATE INDEX idx_review_helpful_votes_date_created ON review_helpful_votes (date_created);
+CREATE INDEX idx_consumer_glad_points_date_created ON consumer_glad_points (date_created);
@@ -0,0 +1,13 @@
+-- Deleted ratings leave a record of who rated which place and when, so
+-- deleting a rating and rating the place again still counts against the
+-- place cooldown abuse rule.
+
+CREATE TABLE rating_deletions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users (id),
+  place_id VARCHAR(255) NOT NULL,
+  rating_date_created TIMESTAMPTZ NOT NULL,
+  date_deleted TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX idx_rating_deletions_user_place ON rating_deletions (user_id, place_id, rating_date_created DESC);
@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+/**
+ * Glad points expiry job.
+ *
+ * Usage:
+ *   npm run points:expire    expire points left unspent past POINTS_EXPIRY_MONTHS
+ *
+ * Run it once a day (e.g. a Cloud Run job triggered by Cloud Scheduler).
+ * Running it again the same day expires nothing new.
+ */
+const db = require('../src/config/db');
+const pointsService = require('../src/services/pointsService');
+const { logger } = require('../src/utils/logger');
+
+const main = async () => {
+  try {
+    const expired = await pointsService.expirePoints();
+    logger.info('Expired glad points', { expired });
+  } finally {
+    await db.pool.end();
+  }
+};
+
+main().catch((error) => {
+  logger.error('Points expiry failed', { error });
+  process.exitCode = 1;
+});
@@ -0,0 +1,26 @@
+/**
+ * Command-line argument helpers shared by the scripts in this directory.
+ */
+
+/**
+ * Read a numeric `--flag value` argument
+ * @param {Array} args - CLI arguments
+ * @param {string} flag - Flag name
+ * @returns {number|undefined} Parsed value
+ */
+const readNumberFlag = (args, flag) => {
+  const index = args.indexOf(flag);
+  if (index === -1) {
+    return undefined;
+  }
+
+  const value = parseInt(args[index + 1], 10);
+  if (Number.isNaN(value)) {
+    throw new Error(`${flag} expects a number`);
+  }
+  return value;
+};
+
+module.exports = {
+  readNumberFlag
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Schema migration command.
+ *
+ * Usage:
+ *   npm run migrate                  apply all pending migrations
+ *   npm run migrate -- --to 3        apply pending migrations up to version 3
+ *   npm run migrate:down             revert the last applied migration
+ *   npm run migrate:down -- --steps 2
+ *   npm run migrate:status           list applied, pending and modified migrations
+ */
+const db = require('../src/config/db');
+const migrationService = require('../src/services/migrationService');
+const { readNumberFlag } = require('./lib/args');
+
+const commands = {
+  up: async (args) => {
+    const applied = await migrationService.migrateUp({ to: readNumberFlag(args, '--to') });
+    if (applied.length === 0) {
+      console.log('Database is up to date');
+    }
+    applied.forEach((migration) => {
+      console.log(`Applied ${migrationService.migrationLabel(migration)} (${migration.executionMs} ms)`);
+    });
+  },
+
+  down: async (args) => {
+    const reverted = await migrationService.migrateDown({ steps: readNumberFlag(args, '--steps') });
+    if (reverted.length === 0) {
+      console.log('Nothing to revert');
+    }
+    reverted.forEach((migration) => {
+      console.log(`Reverted ${migrationService.migrationLabel(migration)} (${migration.executionMs} ms)`);
+    });
+  },
+
+  status: async () => {
+    const status = await migrationService.getStatus();
+
+    status.applied.forEach((row) => {
+      console.log(`  applied  ${migrationService.migrationLabel(row)}  ${new Date(row.applied_at).toISOString()}`);
+    });
+    status.pending.forEach((migration) => {
+      console.log(`  pending  ${migrationService.migrationLabel(migration)}`);
+    });
+    status.changed.forEach((migration) => {
+      console.log(`  CHANGED  ${migrationService.migrationLabel(migration)}  file differs from the applied version`);
+    });
+    status.unknown.forEach((row) => {
+      console.log(`  MISSING  ${migrationService.migrationLabel(row)}  applied but no file on disk`);
+    });
+
+    if (status.changed.length > 0 || status.unknown.length > 0) {
+      process.exitCode = 1;
+    }
+  },
+};
+
+const main = async () => {
+  const [command = 'up', ...args] = process.argv.slice(2);
+
+  if (!commands[command]) {
+    throw new Error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+  }
+
+  try {
+    await commands[command](args);
+  } finally {
+    await db.pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * Seed command for local development.
+ *
+ * Usage:
+ *   npm run seed                          reference data plus synthetic users, ratings and reviews
+ *   npm run seed -- --reference-only      roles, business sectors/types and other lookups only
+ *   npm run seed -- --reset               empty every table first
+ *   npm run seed -- --users 100 --places 40 --seed 7
+ *
+ * Synthetic data and --reset are refused in the cloudrun environment.
+ */
+const db = require('../src/config/db');
+const { getConfig } = require('../src/config');
+const seedService = require('../src/services/seedService');
+const { readNumberFlag } = require('./lib/args');
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const config = getConfig();
+  const referenceOnly = args.includes('--reference-only');
+  const reset = args.includes('--reset');
+
+  if (config.isProduction && (reset || !referenceOnly)) {
+    throw new Error('Refusing to reset or add synthetic data in the cloudrun environment; use --reference-only');
+  }
+
+  try {
+    if (reset) {
+      await seedService.resetData();
+      console.log('Emptied all tables');
+    }
+
+    const reference = await seedService.seedReferenceData();
+    console.log('Reference data:', reference);
+
+    if (referenceOnly) {
+      return;
+    }
+
+    const synthetic = await seedService.seedSyntheticData({
+      users: readNumberFlag(args, '--users'),
+      places: readNumberFlag(args, '--places'),
+      seed: readNumberFlag(args, '--seed')
+    });
+
+    if (synthetic.skipped) {
+      console.log('Synthetic data already present; run with --reset to regenerate');
+    } else {
+      console.log('Synthetic data:', synthetic);
+    }
+  } finally {
+    await db.pool.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
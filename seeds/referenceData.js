@@ -0,0 +1,190 @@
+/**
+ * Lookup data every environment needs. Seeding is idempotent: rows are
+ * matched on their natural key and only inserted when missing.
+ */
+
+const roles = [
+  { role: 'Admin', description: 'Full access to every endpoint' },
+  { role: 'Client', description: 'Business owner managing their own businesses' },
+  { role: 'Client Admin', description: 'Manages businesses on behalf of a client' },
+  { role: 'Moderator', description: 'Moderates reviews and images' },
+  { role: 'Support', description: 'Read access to users, ratings and reviews' },
+  { role: 'User', description: 'Registered consumer' },
+  { role: 'Guest', description: 'Anonymous consumer' },
+];
+
+const permissions = [
+  { permission: 'users:read', description: 'View any user profile' },
+  { permission: 'users:manage', description: 'Edit, deactivate and delete users' },
+  { permission: 'users:assign-roles', description: 'Change user roles' },
+  { permission: 'permissions:manage', description: 'Grant and revoke role permissions' },
+  { permission: 'businesses:manage', description: 'Edit any business' },
+  { permission: 'business-data:manage', description: 'Manage business sectors and types' },
+  { permission: 'ratings:read-all', description: 'List every rating' },
+  { permission: 'ratings:manage', description: 'Edit or delete any rating' },
+  { permission: 'ratings:moderate', description: 'Approve or reject quarantined ratings' },
+  { permission: 'reviews:read-all', description: 'List every review' },
+  { permission: 'reviews:moderate', description: 'Hide or restore reviews' },
+  { permission: 'reviews:manage', description: 'Edit or delete any review' },
+  { permission: 'revisions:read', description: 'View the edit history of any rating or review' },
+  { permission: 'revisions:restore', description: 'Restore a rating or review to an earlier revision' },
+  { permission: 'media:read-all', description: 'List every image' },
+  { permission: 'media:moderate', description: 'Hide or restore images' },
+  { permission: 'media:manage', description: 'Delete any image' },
+  { permission: 'education:manage', description: 'Manage education areas, locations and dorms' },
+  { permission: 'content:manage', description: 'Manage FAQs, site content, survey questions and ads' },
+  { permission: 'messages:manage', description: 'Read and reply to support messages' },
+  { permission: 'activity-logs:read', description: 'View user activity logs' },
+  { permission: 'points:manage', description: 'Manage Glad points rules and multipliers' },
+  { permission: 'rewards:manage', description: 'Manage the rewards catalog and check any redemption code' },
+  { permission: 'achievements:manage', description: 'Manage achievement definitions' },
+  { permission: 'system:diagnostics', description: 'View build, pool and migration diagnostics' },
+];
+
+// Default grants, applied only to roles that have no permissions yet.
+// '*' grants every permission above.
+const rolePermissions = {
+  Admin: ['*'],
+  Moderator: [
+    'reviews:read-all',
+    'reviews:moderate',
+    'ratings:moderate',
+    'revisions:read',
+    'revisions:restore',
+    'media:read-all',
+    'media:moderate',
+  ],
+  Support: [
+    'users:read',
+    'ratings:read-all',
+    'reviews:read-all',
+    'media:read-all',
+    'messages:manage',
+    'activity-logs:read',
+  ],
+};
+
+const environmentTypes = ['Mobile App', 'Website', 'Business Portal'];
+
+const messageCategories = ['General', 'Account', 'Ratings', 'Businesses', 'Technical Support', 'Feedback'];
+
+const imageTypes = ['Profile', 'Rating', 'Review', 'Dorm', 'Business Logo'];
+
+const eduCategories = ['Dorm', 'Professor', 'Course', 'Campus'];
+
+const businessSectors = [
+  {
+    name: 'Food & Drink',
+    types: ['Restaurant', 'Coffee Shop', 'Bar', 'Bakery', 'Fast Food'],
+  },
+  {
+    name: 'Retail',
+    types: ['Grocery Store', 'Clothing Store', 'Electronics Store', 'Bookstore'],
+  },
+  {
+    name: 'Health & Wellness',
+    types: ['Pharmacy', 'Dentist', 'Gym', 'Urgent Care'],
+  },
+  {
+    name: 'Services',
+    types: ['Hair Salon', 'Auto Repair', 'Bank', 'Dry Cleaner'],
+  },
+  {
+    name: 'Education',
+    types: ['Dorm', 'Professor', 'Campus Dining', 'Library'],
+  },
+];
+
+const surveyQuestions = [
+  {
+    businessType: 'Restaurant',
+    question: 'How was the food quality?',
+    answerOptions: ['Excellent', 'Good', 'Average', 'Poor'],
+  },
+  {
+    businessType: 'Restaurant',
+    question: 'Would you come back?',
+    answerOptions: ['Yes', 'Maybe', 'No'],
+  },
+  {
+    businessType: 'Coffee Shop',
+    question: 'How long did you wait for your order?',
+    answerOptions: ['Under 5 minutes', '5-10 minutes', 'Over 10 minutes'],
+  },
+  {
+    businessType: 'Dorm',
+    question: 'How clean were the common areas?',
+    answerOptions: ['Very clean', 'Acceptable', 'Dirty'],
+  },
+  {
+    businessType: 'Professor',
+    question: 'Was grading fair?',
+    answerOptions: ['Yes', 'Mostly', 'No'],
+  },
+];
+
+const eduAreas = [
+  {
+    name: 'North Campus',
+    locations: [
+      { name: 'Engineering Quad', placeId: 'seed-edu-engineering-quad' },
+      { name: 'North Residence Halls', placeId: 'seed-edu-north-halls' },
+    ],
+    dorms: ['Maple Hall', 'Birch Hall'],
+    security: ['North Campus Police Station'],
+    social: ['North Commons'],
+  },
+  {
+    name: 'South Campus',
+    locations: [
+      { name: 'Student Union', placeId: 'seed-edu-student-union' },
+      { name: 'South Residence Village', placeId: 'seed-edu-south-village' },
+    ],
+    dorms: ['Oak Tower', 'Cedar House', 'Willow Court'],
+    security: ['South Escort Service'],
+    social: ['The Union Lounge', 'South Green'],
+  },
+];
+
+const eduDepartments = [
+  {
+    name: 'Computer Science',
+    professors: ['Dr. Ada Brooks', 'Dr. Linus Park'],
+    classCodes: [
+      { code: 'CS101', name: 'Intro to Programming' },
+      { code: 'CS250', name: 'Data Structures' },
+    ],
+  },
+  {
+    name: 'Biology',
+    professors: ['Dr. Rosa Flint', 'Dr. Omar Haddad'],
+    classCodes: [
+      { code: 'BIO110', name: 'General Biology' },
+      { code: 'BIO320', name: 'Genetics' },
+    ],
+  },
+  {
+    name: 'Economics',
+    professors: ['Dr. Mei Tanaka'],
+    classCodes: [
+      { code: 'ECON101', name: 'Principles of Microeconomics' },
+    ],
+  },
+];
+
+const eduInternet = ['Campus Wi-Fi', 'Dorm Ethernet', 'Library Wi-Fi'];
+
+module.exports = {
+  roles,
+  permissions,
+  rolePermissions,
+  environmentTypes,
+  messageCategories,
+  imageTypes,
+  eduCategories,
+  businessSectors,
+  surveyQuestions,
+  eduAreas,
+  eduDepartments,
+  eduInternet,
+};
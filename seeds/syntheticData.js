@@ -0,0 +1,58 @@
+/**
+ * Word lists used to generate synthetic users, places, ratings and reviews
+ * for local development. Nothing here comes from production.
+ */
+
+const firstNames = [
+  'Alex', 'Jordan', 'Taylor', 'Morgan', 'Casey', 'Riley', 'Jamie', 'Avery',
+  'Quinn', 'Parker', 'Rowan', 'Skyler', 'Dakota', 'Emerson', 'Finley', 'Harper',
+];
+
+const lastNames = [
+  'Garcia', 'Smith', 'Nguyen', 'Johnson', 'Patel', 'Williams', 'Kim', 'Brown',
+  'Lopez', 'Davis', 'Martinez', 'Wilson', 'Chen', 'Anderson', 'Thomas', 'Moore',
+];
+
+const placeNamePrefixes = [
+  'Sunrise', 'Blue Door', 'Main Street', 'Corner', 'Golden', 'Riverside',
+  'Old Town', 'Harbor', 'Lakeside', 'Maple', 'Union', 'Parkside',
+];
+
+const streets = [
+  'Main St', 'Oak Ave', 'Elm St', 'Washington Blvd', 'Lake Dr', 'Pine St',
+  'Broadway', 'Market St', 'Cedar Ln', 'University Ave',
+];
+
+const cities = ['Miami, FL', 'Austin, TX', 'Denver, CO', 'Portland, OR', 'Atlanta, GA'];
+
+const reviewsByRating = {
+  1: [
+    'Really disappointing visit, would not recommend.',
+    'Staff ignored us and the place was a mess.',
+  ],
+  2: [
+    'Below average. A few things were fine but most were not.',
+    'Long wait and the service felt rushed.',
+  ],
+  3: [
+    'It was okay. Nothing special but nothing terrible.',
+    'Decent overall, some room for improvement.',
+  ],
+  4: [
+    'Good experience, friendly staff and fair prices.',
+    'Would come back. Clean and well organised.',
+  ],
+  5: [
+    'Fantastic! Exceeded every expectation.',
+    'Best in the area, the team really cares.',
+  ],
+};
+
+module.exports = {
+  firstNames,
+  lastNames,
+  placeNamePrefixes,
+  streets,
+  cities,
+  reviewsByRating,
+};
@@ -0,0 +1,72 @@
+const express = require('express');
+const cors = require('cors');
+const { getConfig } = require('./config');
+const routes = require('./routes');
+const docsRoutes = require('./routes/docsRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
+const requestLogger = require('./middleware/requestLogger');
+const httpMetrics = require('./middleware/httpMetrics');
+const { NotFoundError } = require('./utils/errorUtils');
+
+const API_PREFIX = '/api/v1';
+const DOCS_PATH = '/api/docs';
+
+/**
+ * Build the CORS options from the comma-separated origin list
+ * @param {string} corsOrigins - Allowed origins, or * for any
+ * @returns {Object} Options for the cors middleware
+ */
+const buildCorsOptions = (corsOrigins) => {
+  const origins = corsOrigins.split(',').map((origin) => origin.trim()).filter(Boolean);
+
+  return {
+    origin: origins.includes('*') ? '*' : origins,
+  };
+};
+
+/**
+ * Assemble the Express application without binding a port
+ * @param {Object} [config] - Configuration (defaults to the process-wide config)
+ * @returns {Object} Express app
+ */
+const createApp = (config = getConfig()) => {
+  const app = express();
+
+  app.disable('x-powered-by');
+  app.set('apiPrefix', API_PREFIX);
+
+  // First, so every later log line and error body can carry the correlation id
+  app.use(requestId);
+
+  // Probes and scrapes run every few seconds; keep them out of the access log and request metrics
+  app.use(healthRoutes);
+  app.use(metricsRoutes);
+
+  app.use(requestLogger);
+  app.use(httpMetrics);
+  app.use(cors(buildCorsOptions(config.http.corsOrigins)));
+  app.use(express.json({ limit: config.http.jsonLimit }));
+
+  app.use(API_PREFIX, routes);
+
+  // Public API reference
+  app.use(DOCS_PATH, docsRoutes);
+
+  // Anything that fell through the routers
+  app.use((req, res, next) => {
+    next(new NotFoundError(`Route not found: ${req.method} ${req.path}`, 'ROUTE_NOT_FOUND'));
+  });
+
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  API_PREFIX,
+  DOCS_PATH,
+  createApp
+};
@@ -1,11 +1,229 @@
+const { AsyncLocalStorage } = require('async_hooks');
 const { Pool } = require('pg');
+const { bindParams } = require('../utils/sqlUtils');
+const { getConfig } = require('./index');
+const { currentLogger } = require('../utils/logger');
+const { observePool, observeQuery } = require('../utils/metrics');
 
-const pool = new Pool({
-  host: '34.86.121.148',
-  user: 'postgres',
-  password: '6L@d5QL',
-  database: 'gg',
-  port: 5432,
-});
+const config = getConfig();
+const pool = new Pool(config.db.pool);
+observePool(pool);
 
-module.exports = pool;
\ No newline at end of file
+// Queries at least this slow are logged; 0 disables
+const SLOW_QUERY_MS = config.log.slowQueryMs;
+
+// Serialization failure and deadlock; safe to retry the whole transaction
+const RETRYABLE_ERROR_CODES = ['40001', '40P01'];
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 20;
+
+const ISOLATION_LEVELS = ['READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'];
+
+// Tracks the transaction (if any) the current async call chain is running in
+const transactionContext = new AsyncLocalStorage();
+
+/**
+ * Run a query on a specific client or pool
+ * @param {Object} executor - pg Pool or PoolClient
+ * @param {string} sql - SQL text
+ * @param {Object|Array} [params] - Values to bind
+ * @returns {Promise<Array>} Result rows
+ */
+const runQuery = async (executor, sql, params) => {
+  const { text, values } = bindParams(sql, params);
+  const start = Date.now();
+  let result;
+
+  try {
+    result = await executor.query(text, values);
+  } catch (error) {
+    observeQuery((Date.now() - start) / 1000, error);
+    throw error;
+  }
+
+  const durationMs = Date.now() - start;
+  observeQuery(durationMs / 1000);
+
+  if (SLOW_QUERY_MS > 0 && durationMs >= SLOW_QUERY_MS) {
+    // Parameter values may hold personal data; only their number is logged
+    currentLogger().warn('Slow query', {
+      durationMs,
+      sql: text.replace(/\s+/g, ' ').trim().slice(0, 1000),
+      paramCount: values.length,
+      rowCount: result.rowCount,
+    });
+  }
+
+  return result.rows;
+};
+
+/**
+ * Run `fn` inside a savepoint of an already open transaction
+ * @param {Object} state - Transaction state
+ * @param {Function} fn - Callback receiving the transaction client
+ * @returns {Promise<*>} Callback result
+ */
+const runInSavepoint = async (state, fn) => {
+  state.savepointCount += 1;
+  const savepoint = `sp_${state.savepointCount}`;
+
+  await state.client.query(`SAVEPOINT ${savepoint}`);
+  const callbackCount = state.afterCommit.length;
+
+  try {
+    const result = await fn(state.wrapper);
+    await state.client.query(`RELEASE SAVEPOINT ${savepoint}`);
+    return result;
+  } catch (error) {
+    await state.client.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+    // Work rolled back with the savepoint never commits
+    state.afterCommit.length = callbackCount;
+    throw error;
+  }
+};
+
+/**
+ * Create the transaction state handed to callbacks
+ * @param {Object} client - Checked out pg client
+ * @returns {Object} Transaction state
+ */
+const createTransactionState = (client) => {
+  const state = {
+    client,
+    savepointCount: 0,
+    afterCommit: [],
+  };
+
+  // Same query interface as the top-level module, bound to this transaction
+  state.wrapper = {
+    query: (sql, params) => runQuery(client, sql, params),
+    transaction: (fn) => transactionContext.run(state, () => runInSavepoint(state, fn)),
+  };
+
+  return state;
+};
+
+/**
+ * Run the callbacks registered with `afterCommit` once a transaction has committed
+ * @param {Object} state - Committed transaction state
+ */
+const runAfterCommit = (state) => {
+  for (const callback of state.afterCommit) {
+    try {
+      callback();
+    } catch (error) {
+      currentLogger().error('After-commit callback failed', { error });
+    }
+  }
+};
+
+/**
+ * Whether a failed transaction may be retried. Services wrap database errors
+ * in an AppError, so the pg error may sit in `originalError`.
+ * @param {Error} error - Error thrown by the transaction
+ * @returns {boolean} True for serialization failures and deadlocks
+ */
+const isRetryable = (error) => [error, error.originalError]
+  .some((candidate) => candidate && RETRYABLE_ERROR_CODES.includes(candidate.code));
+
+/**
+ * Wait before retrying a failed transaction
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {Promise<void>}
+ */
+const backoff = (attempt) => {
+  const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) * (1 + Math.random());
+  return new Promise((resolve) => setTimeout(resolve, delay));
+};
+
+/**
+ * Run a query with named or positional parameters.
+ * Inside a `transaction` callback this runs on the transaction's client.
+ * @param {string} sql - SQL text with `$n` and/or `$name` placeholders
+ * @param {Object|Array} [params] - Values to bind
+ * @returns {Promise<Array>} Result rows
+ */
+const query = async (sql, params) => {
+  const state = transactionContext.getStore();
+  return runQuery(state ? state.client : pool, sql, params);
+};
+
+/**
+ * Run `fn` in a transaction.
+ * Nested calls (through `client.transaction` or `db.transaction` from inside
+ * the callback) use savepoints on the same connection. The outermost
+ * transaction is retried on serialization failures and deadlocks.
+ * @param {Function} fn - Async callback receiving a client with `query` and `transaction`
+ * @param {Object} [options] - Transaction options
+ * @param {string} [options.isolationLevel] - READ COMMITTED, REPEATABLE READ or SERIALIZABLE
+ * @param {number} [options.maxRetries] - Retries after a retryable failure; 0 runs it once
+ * @returns {Promise<*>} Callback result
+ */
+const transaction = async (fn, options = {}) => {
+  const activeState = transactionContext.getStore();
+  if (activeState) {
+    return transactionContext.run(activeState, () => runInSavepoint(activeState, fn));
+  }
+
+  const { isolationLevel, maxRetries = DEFAULT_MAX_RETRIES } = options;
+
+  if (isolationLevel && !ISOLATION_LEVELS.includes(isolationLevel.toUpperCase())) {
+    throw new Error(`Unsupported isolation level: ${isolationLevel}`);
+  }
+
+  const begin = isolationLevel
+    ? `BEGIN ISOLATION LEVEL ${isolationLevel.toUpperCase()}`
+    : 'BEGIN';
+
+  for (let attempt = 1; ; attempt++) {
+    const client = await pool.connect();
+    const state = createTransactionState(client);
+    let releaseError;
+
+    try {
+      await client.query(begin);
+      const result = await transactionContext.run(state, () => fn(state.wrapper));
+      await client.query('COMMIT');
+      runAfterCommit(state);
+      return result;
+    } catch (error) {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        // Connection is unusable; have the pool discard it
+        releaseError = rollbackError;
+      }
+
+      if (!isRetryable(error) || attempt > maxRetries) {
+        throw error;
+      }
+    } finally {
+      client.release(releaseError);
+    }
+
+    await backoff(attempt);
+  }
+};
+
+/**
+ * Run `callback` once the current transaction commits, e.g. to count what it
+ * wrote in a metric. It is dropped if the transaction (or the savepoint it
+ * was registered in) rolls back, and runs right away outside a transaction.
+ * @param {Function} callback - Synchronous callback
+ */
+const afterCommit = (callback) => {
+  const state = transactionContext.getStore();
+
+  if (state) {
+    state.afterCommit.push(callback);
+  } else {
+    callback();
+  }
+};
+
+module.exports = {
+  query,
+  transaction,
+  afterCommit,
+  pool
+};
@@ -1,8 +1,9 @@
 const admin = require('firebase-admin');
+const { getConfig } = require('./index');
 
 admin.initializeApp({
   credential: admin.credential.applicationDefault(), // Cloud Run default credentials
-  projectId: 'reactgladgrade', // From your logs
+  projectId: getConfig().firebase.projectId,
 });
 
-module.exports = admin;
\ No newline at end of file
+module.exports = admin;
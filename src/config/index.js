@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '../..');
+const ENVIRONMENTS = ['local', 'test', 'cloudrun'];
+
+/**
+ * Setting definitions.
+ * Each leaf maps a config path to an environment variable, a type, an
+ * optional default and optional allowed `values`. Values may also come from
+ * `src/config/env/<env>.json` (same nested shape as the resulting config) or
+ * from `.env` files.
+ */
+const SETTINGS = {
+  port: { env: 'PORT', type: 'int', default: 8080 },
+  http: {
+    jsonLimit: { env: 'HTTP_JSON_LIMIT', default: '1mb' },
+    // Comma-separated list of allowed origins, or * for any
+    corsOrigins: { env: 'CORS_ORIGINS', default: '*' },
+  },
+  db: {
+    host: { env: 'DB_HOST' },
+    port: { env: 'DB_PORT', type: 'int', default: 5432 },
+    user: { env: 'DB_USER', required: true },
+    password: { env: 'DB_PASSWORD', required: true, secret: true },
+    database: { env: 'DB_NAME', required: true },
+    instanceConnectionName: { env: 'INSTANCE_CONNECTION_NAME' },
+    socketDir: { env: 'DB_SOCKET_DIR', default: '/cloudsql' },
+    ssl: { env: 'DB_SSL', type: 'bool', default: false },
+    sslCaFile: { env: 'DB_SSL_CA_FILE' },
+    sslCertFile: { env: 'DB_SSL_CERT_FILE' },
+    sslKeyFile: { env: 'DB_SSL_KEY_FILE' },
+    sslRejectUnauthorized: { env: 'DB_SSL_REJECT_UNAUTHORIZED', type: 'bool', default: true },
+    poolMax: { env: 'DB_POOL_MAX', type: 'int', default: 10 },
+    idleTimeoutMs: { env: 'DB_IDLE_TIMEOUT_MS', type: 'int', default: 30000 },
+    connectionTimeoutMs: { env: 'DB_CONNECTION_TIMEOUT_MS', type: 'int', default: 5000 },
+  },
+  firebase: {
+    projectId: { env: 'FIREBASE_PROJECT_ID', required: true },
+  },
+  auth: {
+    autoProvision: { env: 'AUTH_AUTO_PROVISION', type: 'bool', default: false },
+    userCacheTtlMs: { env: 'AUTH_USER_CACHE_TTL_MS', type: 'int', default: 30000 },
+  },
+  log: {
+    level: { env: 'LOG_LEVEL', default: 'info', values: ['debug', 'info', 'warn', 'error', 'silent'] },
+    // Queries slower than this are logged as warnings; 0 disables
+    slowQueryMs: { env: 'LOG_SLOW_QUERY_MS', type: 'int', default: 500 },
+    // Links log lines to Cloud Trace when set (Cloud Run sets X-Cloud-Trace-Context)
+    gcpProject: { env: 'GOOGLE_CLOUD_PROJECT' },
+  },
+  ratings: {
+    // Serve place aggregates from place_rating_summaries (kept current either way);
+    // false aggregates consumer_ratings on every request
+    useSummaryTable: { env: 'RATINGS_USE_SUMMARY_TABLE', type: 'bool', default: true },
+    // Scores blend a place's ratings with this many ratings' worth of its business type's average
+    priorWeight: { env: 'RATINGS_PRIOR_WEIGHT', type: 'int', default: 10 },
+    // Default half-life of a rating's weight in scores; 0 weighs old and new ratings equally
+    halfLifeDays: { env: 'RATINGS_HALF_LIFE_DAYS', type: 'int', default: 0 },
+  },
+  // Rules that quarantine suspicious new ratings; 0 turns a rule off
+  abuse: {
+    // A user's repeat rating of a place they rated (and still have active) within this window
+    placeCooldownHours: { env: 'ABUSE_PLACE_COOLDOWN_HOURS', type: 'int', default: 720 },
+    userMaxPerHour: { env: 'ABUSE_USER_MAX_PER_HOUR', type: 'int', default: 20 },
+    // Devices are identified by the client's X-Device-Id header
+    deviceMaxPerHour: { env: 'ABUSE_DEVICE_MAX_PER_HOUR', type: 'int', default: 30 },
+    // Ratings of one place from everyone within placeBurstMinutes
+    placeBurstMax: { env: 'ABUSE_PLACE_BURST_MAX', type: 'int', default: 50 },
+    placeBurstMinutes: { env: 'ABUSE_PLACE_BURST_MINUTES', type: 'int', default: 10 },
+  },
+  points: {
+    // Points left unspent this many months after they were earned expire; 0 keeps them forever
+    expiryMonths: { env: 'POINTS_EXPIRY_MONTHS', type: 'int', default: 12 },
+    // /users/points warns about points expiring within this many days
+    expiryWarningDays: { env: 'POINTS_EXPIRY_WARNING_DAYS', type: 'int', default: 30 },
+  },
+  health: {
+    // Readiness fails a dependency that takes longer than this to answer
+    checkTimeoutMs: { env: 'HEALTH_CHECK_TIMEOUT_MS', type: 'int', default: 2000 },
+  },
+  // Cloud Run sends SIGKILL 10 seconds after SIGTERM; keep both together under that
+  shutdown: {
+    readinessDelayMs: { env: 'SHUTDOWN_READINESS_DELAY_MS', type: 'int', default: 1000 },
+    timeoutMs: { env: 'SHUTDOWN_TIMEOUT_MS', type: 'int', default: 8000 },
+  },
+  metrics: {
+    // Bearer token Prometheus must send to /metrics; unset leaves it open
+    token: { env: 'METRICS_TOKEN', secret: true },
+  },
+  build: {
+    commitSha: { env: 'COMMIT_SHA' },
+    // Set by Cloud Run
+    revision: { env: 'K_REVISION' },
+  },
+  upload: {
+    dir: { env: 'UPLOAD_DIR', default: 'uploads/' },
+    maxFileSize: { env: 'UPLOAD_MAX_FILE_SIZE', type: 'int', default: 5 * 1024 * 1024 },
+    maxFiles: { env: 'UPLOAD_MAX_FILES', type: 'int', default: 5 },
+  },
+};
+
+/**
+ * Error thrown when configuration is missing or invalid
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Work out which environment we are running in
+ * @param {Object} env - Environment variables
+ * @returns {string} Environment name
+ */
+const resolveEnvironment = (env) => {
+  if (env.APP_ENV) {
+    return env.APP_ENV;
+  }
+  if (env.K_SERVICE) {
+    return 'cloudrun';
+  }
+  if (env.NODE_ENV === 'test') {
+    return 'test';
+  }
+  return 'local';
+};
+
+/**
+ * Parse the contents of a .env file
+ * @param {string} content - File contents
+ * @returns {Object} Key/value pairs
+ */
+const parseDotenv = (content) => {
+  const values = {};
+
+  content.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) {
+      return;
+    }
+
+    let value = match[2];
+    const quote = value[0];
+    if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length >= 2) {
+      value = value.slice(1, -1);
+      if (quote === '"') {
+        value = value.replace(/\\n/g, '\n');
+      }
+    } else {
+      // Strip trailing inline comments from unquoted values
+      value = value.replace(/\s+#.*$/, '');
+    }
+
+    values[match[1]] = value;
+  });
+
+  return values;
+};
+
+/**
+ * Read a .env file if it exists
+ * @param {string} filePath - Path to the file
+ * @returns {Object} Key/value pairs
+ */
+const readDotenv = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+  return parseDotenv(fs.readFileSync(filePath, 'utf8'));
+};
+
+/**
+ * Read the JSON defaults for an environment if they exist
+ * @param {string} environment - Environment name
+ * @returns {Object} Nested config values
+ */
+const readEnvironmentFile = (environment) => {
+  const filePath = path.join(__dirname, 'env', `${environment}.json`);
+  if (!fs.existsSync(filePath)) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ConfigError([`${path.relative(PROJECT_ROOT, filePath)} is not valid JSON: ${error.message}`]);
+  }
+};
+
+/**
+ * Convert a raw value to the setting's type
+ * @param {*} raw - Raw value
+ * @param {string} type - Setting type
+ * @returns {{ value: *, error: string|null }} Converted value or error
+ */
+const coerce = (raw, type = 'string') => {
+  if (type === 'int') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+    return Number.isInteger(value)
+      ? { value, error: null }
+      : { value: undefined, error: 'must be an integer' };
+  }
+
+  if (type === 'bool') {
+    if (typeof raw === 'boolean') {
+      return { value: raw, error: null };
+    }
+    const normalized = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) {
+      return { value: true, error: null };
+    }
+    if (['false', '0', 'no', 'off'].includes(normalized)) {
+      return { value: false, error: null };
+    }
+    return { value: undefined, error: 'must be a boolean (true/false)' };
+  }
+
+  return { value: String(raw), error: null };
+};
+
+/**
+ * Resolve every setting in a definition tree
+ * @param {Object} definitions - Setting definitions
+ * @param {Object} fileValues - Values from the environment JSON file
+ * @param {Object} env - Merged environment variables
+ * @param {Array} problems - Collected validation problems
+ * @returns {Object} Resolved settings
+ */
+const resolveSettings = (definitions, fileValues, env, problems) => {
+  const resolved = {};
+
+  Object.entries(definitions).forEach(([key, definition]) => {
+    const fileValue = fileValues ? fileValues[key] : undefined;
+
+    if (!definition.env) {
+      resolved[key] = resolveSettings(definition, fileValue, env, problems);
+      return;
+    }
+
+    let raw = definition.default;
+    if (fileValue !== undefined && fileValue !== null) {
+      raw = fileValue;
+    }
+    if (env[definition.env] !== undefined && env[definition.env] !== '') {
+      raw = env[definition.env];
+    }
+
+    if (raw === undefined) {
+      if (definition.required) {
+        problems.push(`${definition.env} is required`);
+      }
+      resolved[key] = undefined;
+      return;
+    }
+
+    const { value, error } = coerce(raw, definition.type);
+    if (error) {
+      problems.push(`${definition.env} ${error} (got "${definition.secret ? '***' : raw}")`);
+    }
+    if (!error && definition.values && !definition.values.includes(value)) {
+      problems.push(`${definition.env} must be one of ${definition.values.join(', ')} (got "${raw}")`);
+    }
+    resolved[key] = value;
+  });
+
+  return resolved;
+};
+
+/**
+ * Read an SSL file referenced by the config
+ * @param {string} filePath - Path relative to the project root, or absolute
+ * @param {string} envName - Variable that referenced it
+ * @param {Array} problems - Collected validation problems
+ * @returns {string|undefined} File contents
+ */
+const readSslFile = (filePath, envName, problems) => {
+  if (!filePath) {
+    return undefined;
+  }
+
+  const absolutePath = path.resolve(PROJECT_ROOT, filePath);
+  if (!fs.existsSync(absolutePath)) {
+    problems.push(`${envName} points to a missing file: ${filePath}`);
+    return undefined;
+  }
+  return fs.readFileSync(absolutePath, 'utf8');
+};
+
+/**
+ * Build the pg connection options from the db settings
+ * @param {Object} db - Resolved db settings
+ * @param {Array} problems - Collected validation problems
+ * @returns {Object} Options for `new Pool()`
+ */
+const buildPoolOptions = (db, problems) => {
+  const options = {
+    user: db.user,
+    password: db.password,
+    database: db.database,
+    port: db.port,
+    max: db.poolMax,
+    idleTimeoutMillis: db.idleTimeoutMs,
+    connectionTimeoutMillis: db.connectionTimeoutMs,
+  };
+
+  if (db.instanceConnectionName) {
+    // Cloud SQL unix socket, e.g. /cloudsql/project:region:instance
+    options.host = path.posix.join(db.socketDir, db.instanceConnectionName);
+  } else if (db.host) {
+    options.host = db.host;
+  } else {
+    problems.push('DB_HOST or INSTANCE_CONNECTION_NAME is required');
+  }
+
+  if (db.ssl && !db.instanceConnectionName) {
+    options.ssl = {
+      rejectUnauthorized: db.sslRejectUnauthorized,
+      ca: readSslFile(db.sslCaFile, 'DB_SSL_CA_FILE', problems),
+      cert: readSslFile(db.sslCertFile, 'DB_SSL_CERT_FILE', problems),
+      key: readSslFile(db.sslKeyFile, 'DB_SSL_KEY_FILE', problems),
+    };
+  }
+
+  return options;
+};
+
+/**
+ * Deep-freeze a config object
+ * @param {Object} value - Object to freeze
+ * @returns {Object} Frozen object
+ */
+const deepFreeze = (value) => {
+  Object.values(value).forEach((child) => {
+    if (child && typeof child === 'object' && !Object.isFrozen(child)) {
+      deepFreeze(child);
+    }
+  });
+  return Object.freeze(value);
+};
+
+/**
+ * Load and validate configuration.
+ * Precedence (highest first): process environment, `.env.<env>`, `.env`,
+ * `src/config/env/<env>.json`, built-in defaults.
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.env] - Environment variables (defaults to process.env)
+ * @param {string} [options.rootDir] - Directory holding the .env files
+ * @returns {Object} Frozen configuration
+ * @throws {ConfigError} When required settings are missing or invalid
+ */
+const loadConfig = ({ env = process.env, rootDir = PROJECT_ROOT } = {}) => {
+  const environment = resolveEnvironment(env);
+  const problems = [];
+
+  if (!ENVIRONMENTS.includes(environment)) {
+    problems.push(`APP_ENV must be one of ${ENVIRONMENTS.join(', ')} (got "${environment}")`);
+  }
+
+  const mergedEnv = {
+    ...readDotenv(path.join(rootDir, '.env')),
+    ...readDotenv(path.join(rootDir, `.env.${environment}`)),
+    ...env,
+  };
+
+  const settings = resolveSettings(SETTINGS, readEnvironmentFile(environment), mergedEnv, problems);
+  const pool = buildPoolOptions(settings.db, problems);
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze({
+    environment,
+    isProduction: environment === 'cloudrun',
+    ...settings,
+    db: { ...settings.db, pool },
+  });
+};
+
+let cachedConfig = null;
+
+/**
+ * Get the process-wide configuration, loading it on first use
+ * @returns {Object} Frozen configuration
+ */
+const getConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+};
+
+module.exports = {
+  ConfigError,
+  loadConfig,
+  getConfig,
+  parseDotenv
+};
@@ -1,5 +1,34 @@
 const adminService = require('../services/adminService');
-const { createError } = require('../utils/errorUtils');
+const permissionService = require('../services/permissionService');
+const healthService = require('../services/healthService');
+const pointsService = require('../services/pointsService');
+const achievementService = require('../services/achievementService');
+const { ValidationError, NotFoundError } = require('../utils/errorUtils');
+const { invalidatePermissionCache } = require('../middleware/auth');
+
+/**
+ * Count registered users
+ */
+const getUserCount = async (req, res, next) => {
+  try {
+    const count = await adminService.getUserCount();
+    res.status(200).json({ success: true, count });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Report build, uptime, pool, migration and dependency status
+ */
+const getDiagnostics = async (req, res, next) => {
+  try {
+    const diagnostics = await healthService.getDiagnostics();
+    res.status(200).json(diagnostics);
+  } catch (error) {
+    next(error);
+  }
+};
 
 /**
  * Get all FAQs
@@ -9,7 +38,7 @@ const getAllFaqs = async (req, res, next) => {
     const faqs = await adminService.getAllFaqs();
     res.status(200).json({ faqs });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -29,7 +58,7 @@ const createFaq = async (req, res, next) => {
     
     res.status(201).json({ message: 'FAQ created successfully', faq: newFaq });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -50,7 +79,7 @@ const updateFaq = async (req, res, next) => {
     
     res.status(200).json({ message: 'FAQ updated successfully', faq: updatedFaq });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -65,7 +94,7 @@ const deleteFaq = async (req, res, next) => {
     
     res.status(200).json({ message: 'FAQ deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -77,7 +106,7 @@ const getAllSiteContent = async (req, res, next) => {
     const content = await adminService.getAllSiteContent();
     res.status(200).json({ content });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -104,7 +133,7 @@ const createSiteContent = async (req, res, next) => {
     
     res.status(201).json({ message: 'Site content created successfully', content: newContent });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -132,7 +161,7 @@ const updateSiteContent = async (req, res, next) => {
     
     res.status(200).json({ message: 'Site content updated successfully', content: updatedContent });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -147,7 +176,7 @@ const deleteSiteContent = async (req, res, next) => {
     
     res.status(200).json({ message: 'Site content deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -159,7 +188,7 @@ const getAllSurveyQuestions = async (req, res, next) => {
     const questions = await adminService.getAllSurveyQuestions();
     res.status(200).json({ questions });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -186,7 +215,7 @@ const createSurveyQuestion = async (req, res, next) => {
     
     res.status(201).json({ message: 'Survey question created successfully', question: newQuestion });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -217,7 +246,7 @@ const updateSurveyQuestion = async (req, res, next) => {
       question: updatedQuestion 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -232,7 +261,7 @@ const deleteSurveyQuestion = async (req, res, next) => {
     
     res.status(200).json({ message: 'Survey question deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -254,7 +283,7 @@ const getAllMessages = async (req, res, next) => {
     
     res.status(200).json(messages);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -272,7 +301,7 @@ const markMessageAsRead = async (req, res, next) => {
       message: updatedMessage 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -294,7 +323,7 @@ const replyToMessage = async (req, res, next) => {
       message: updatedMessage 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -309,7 +338,7 @@ const deleteMessage = async (req, res, next) => {
     
     res.status(200).json({ message: 'Message deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -328,7 +357,7 @@ const getAllAds = async (req, res, next) => {
     
     res.status(200).json(ads);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -359,7 +388,7 @@ const createAd = async (req, res, next) => {
     
     res.status(201).json({ message: 'Ad created successfully', ad: newAd });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -391,7 +420,7 @@ const updateAd = async (req, res, next) => {
     
     res.status(200).json({ message: 'Ad updated successfully', ad: updatedAd });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -406,7 +435,7 @@ const deleteAd = async (req, res, next) => {
     
     res.status(200).json({ message: 'Ad deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -428,7 +457,7 @@ const getUserActivityLogs = async (req, res, next) => {
     
     res.status(200).json(logs);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -452,11 +481,269 @@ const getUserActivityLogsByUser = async (req, res, next) => {
       
       res.status(200).json(logs);
     } catch (error) {
-      next(createError(error.message, 500, error));
+      next(error);
     }
   };
   
+/**
+ * Get all permissions
+ */
+const getAllPermissions = async (req, res, next) => {
+  try {
+    const permissions = await permissionService.getAllPermissions();
+    res.status(200).json({ permissions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a permission
+ */
+const createPermission = async (req, res, next) => {
+  try {
+    const { permission, description } = req.body;
+
+    const newPermission = await permissionService.createPermission({ permission, description });
+
+    res.status(201).json({ message: 'Permission created successfully', permission: newPermission });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all roles with their permissions
+ */
+const getRolePermissions = async (req, res, next) => {
+  try {
+    const roles = await permissionService.getRolesWithPermissions();
+    res.status(200).json({ roles });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the permissions granted to a role
+ */
+const setRolePermissions = async (req, res, next) => {
+  try {
+    const { roleId } = req.params;
+    const { permissions } = req.body;
+
+    if (!Array.isArray(permissions)) {
+      return next(new ValidationError('permissions must be an array of permission names', 'INVALID_PERMISSIONS'));
+    }
+
+    const granted = await permissionService.setRolePermissions(roleId, permissions);
+    invalidatePermissionCache();
+
+    res.status(200).json({ message: 'Role permissions updated successfully', permissions: granted });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Grant a single permission to a role
+ */
+const grantRolePermission = async (req, res, next) => {
+  try {
+    const { roleId } = req.params;
+    const { permission } = req.body;
+
+    await permissionService.grantPermission(roleId, permission);
+    invalidatePermissionCache();
+
+    res.status(200).json({ message: 'Permission granted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a permission from a role
+ */
+const revokeRolePermission = async (req, res, next) => {
+  try {
+    const { roleId, permission } = req.params;
+
+    const revoked = await permissionService.revokePermission(roleId, permission);
+
+    if (!revoked) {
+      return next(new NotFoundError('Role does not have this permission', 'ROLE_PERMISSION_NOT_FOUND'));
+    }
+
+    invalidatePermissionCache();
+
+    res.status(200).json({ message: 'Permission revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the Glad points rules
+ */
+const getPointsRules = async (req, res, next) => {
+  try {
+    const rules = await pointsService.getRules();
+    res.status(200).json({ rules });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a Glad points rule
+ */
+const updatePointsRule = async (req, res, next) => {
+  try {
+    const { reason } = req.params;
+    const { points, dailyCap, isActive, description } = req.body;
+
+    const rule = await pointsService.updateRule(reason, { points, dailyCap, isActive, description }, req.user.userId);
+
+    res.status(200).json({ message: 'Points rule updated successfully', rule });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the Glad points multipliers
+ */
+const getPointsMultipliers = async (req, res, next) => {
+  try {
+    const multipliers = await pointsService.getMultipliers();
+    res.status(200).json({ multipliers });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a business type's Glad points multiplier
+ */
+const setPointsMultiplier = async (req, res, next) => {
+  try {
+    const { businessTypeId } = req.params;
+    const { multiplier } = req.body;
+
+    const saved = await pointsService.setMultiplier(businessTypeId, multiplier, req.user.userId);
+
+    res.status(200).json({ message: 'Points multiplier set successfully', multiplier: saved });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a business type's Glad points multiplier
+ */
+const deletePointsMultiplier = async (req, res, next) => {
+  try {
+    const { businessTypeId } = req.params;
+
+    const deleted = await pointsService.deleteMultiplier(businessTypeId);
+
+    if (!deleted) {
+      return next(new NotFoundError('Business type has no points multiplier', 'POINTS_MULTIPLIER_NOT_FOUND'));
+    }
+
+    res.status(200).json({ message: 'Points multiplier removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the achievement definitions
+ */
+const getAchievementDefinitions = async (req, res, next) => {
+  try {
+    const achievements = await achievementService.getDefinitions();
+    res.status(200).json({ achievements });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an achievement definition
+ */
+const createAchievementDefinition = async (req, res, next) => {
+  try {
+    const { code, name, description, metric, threshold, bonusPoints, isActive } = req.body;
+
+    const achievement = await achievementService.createDefinition({
+      code,
+      name,
+      description,
+      metric,
+      threshold,
+      bonusPoints,
+      isActive,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({ message: 'Achievement created successfully', achievement });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an achievement definition
+ */
+const updateAchievementDefinition = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { code, name, description, metric, threshold, bonusPoints, isActive } = req.body;
+
+    const achievement = await achievementService.updateDefinition(id, {
+      code,
+      name,
+      description,
+      metric,
+      threshold,
+      bonusPoints,
+      isActive
+    });
+
+    if (!achievement) {
+      return next(new NotFoundError('Achievement not found', 'ACHIEVEMENT_NOT_FOUND'));
+    }
+
+    res.status(200).json({ message: 'Achievement updated successfully', achievement });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an achievement definition
+ */
+const deleteAchievementDefinition = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await achievementService.deleteDefinition(id);
+
+    if (!deleted) {
+      return next(new NotFoundError('Achievement not found', 'ACHIEVEMENT_NOT_FOUND'));
+    }
+
+    res.status(200).json({ message: 'Achievement deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+  
   module.exports = {
+    getUserCount,
+    getDiagnostics,
     getAllFaqs,
     createFaq,
     updateFaq,
@@ -478,5 +765,20 @@ const getUserActivityLogsByUser = async (req, res, next) => {
     updateAd,
     deleteAd,
     getUserActivityLogs,
-    getUserActivityLogsByUser
+    getUserActivityLogsByUser,
+    getAllPermissions,
+    createPermission,
+    getRolePermissions,
+    setRolePermissions,
+    grantRolePermission,
+    revokeRolePermission,
+    getPointsRules,
+    updatePointsRule,
+    getPointsMultipliers,
+    setPointsMultiplier,
+    deletePointsMultiplier,
+    getAchievementDefinitions,
+    createAchievementDefinition,
+    updateAchievementDefinition,
+    deleteAchievementDefinition
   };
\ No newline at end of file
@@ -1,6 +1,31 @@
 const firebase = require('../config/firebase');
 const userService = require('../services/userService');
-const { createError } = require('../utils/errorUtils');
+const { createError, ValidationError, NotFoundError, ConflictError } = require('../utils/errorUtils');
+
+// Firebase account errors that are the client's mistake: [error class, code]
+const FIREBASE_ERRORS = {
+  'auth/email-already-exists': [ConflictError, 'EMAIL_ALREADY_REGISTERED'],
+  'auth/phone-number-already-exists': [ConflictError, 'PHONE_ALREADY_REGISTERED'],
+  'auth/invalid-email': [ValidationError, 'INVALID_EMAIL'],
+  'auth/invalid-password': [ValidationError, 'INVALID_PASSWORD'],
+  'auth/invalid-phone-number': [ValidationError, 'INVALID_PHONE_NUMBER'],
+};
+
+/**
+ * Translate a Firebase Admin error into an application error
+ * @param {Error} error - Error raised by firebase-admin
+ * @returns {Error} Typed error, or the original error if it is not a client mistake
+ */
+const fromFirebaseError = (error) => {
+  const known = FIREBASE_ERRORS[error.code];
+
+  if (!known) {
+    return error;
+  }
+
+  const [ErrorClass, code] = known;
+  return new ErrorClass(error.message, code);
+};
 
 /**
  * Register a new user
@@ -9,6 +34,12 @@ const register = async (req, res, next) => {
   try {
     const { email, password, firstName, lastName, telephone } = req.body;
     
+    const userRoleId = await userService.getRoleIdByName('User');
+    
+    if (!userRoleId) {
+      return next(createError('User role not found', 500));
+    }
+    
     // Create user in Firebase
     const userRecord = await firebase.auth().createUser({
       email,
@@ -26,14 +57,14 @@ const register = async (req, res, next) => {
       telephone: telephone || '',
       displayName: `${firstName} ${lastName}`,
       photoUrl: '',
-      primaryRoleId: 9, // Default to 'User' role
+      primaryRoleId: userRoleId, // Default to 'User' role
       isActive: true,
       isGuest: false,
     });
     
     res.status(201).json({ message: 'User registered successfully', user });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(fromFirebaseError(error));
   }
 };
 
@@ -80,7 +111,7 @@ const guestLogin = async (req, res, next) => {
     // Check if Firebase UID was provided
     const { firebaseUid } = req.body;
     if (!firebaseUid) {
-      return next(createError('Firebase UID is required', 400));
+      return next(new ValidationError('Firebase UID is required', 'FIREBASE_UID_REQUIRED'));
     }
     
     // Create or get guest user in PostgreSQL
@@ -88,7 +119,7 @@ const guestLogin = async (req, res, next) => {
     
     res.status(200).json({ message: 'Guest login successful', user });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -114,7 +145,7 @@ const logout = async (req, res, next) => {
     
     res.status(200).json({ message: 'Logout successful' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -126,12 +157,12 @@ const getCurrentUser = async (req, res, next) => {
     const user = await userService.getUserById(req.user.userId);
     
     if (!user) {
-      return next(createError('User not found', 404));
+      return next(new NotFoundError('User not found', 'USER_NOT_FOUND'));
     }
     
     res.status(200).json({ user });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
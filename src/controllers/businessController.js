@@ -1,5 +1,7 @@
 const businessService = require('../services/businessService');
-const { createError } = require('../utils/errorUtils');
+const rewardService = require('../services/rewardService');
+const { NotFoundError } = require('../utils/errorUtils');
+const { hasRole, isOwner } = require('../middleware/auth');
 
 /**
  * Get all business sectors
@@ -9,7 +11,7 @@ const getAllSectors = async (req, res, next) => {
     const sectors = await businessService.getAllSectors();
     res.status(200).json({ sectors });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -23,12 +25,12 @@ const getSectorById = async (req, res, next) => {
     const sector = await businessService.getSectorById(id);
     
     if (!sector) {
-      return next(createError('Business sector not found', 404));
+      return next(new NotFoundError('Business sector not found', 'SECTOR_NOT_FOUND'));
     }
     
     res.status(200).json({ sector });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -40,7 +42,7 @@ const getAllTypes = async (req, res, next) => {
     const types = await businessService.getAllTypes();
     res.status(200).json({ types });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -55,7 +57,7 @@ const getTypesBySector = async (req, res, next) => {
     
     res.status(200).json({ types });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -69,12 +71,12 @@ const getTypeById = async (req, res, next) => {
     const type = await businessService.getTypeById(id);
     
     if (!type) {
-      return next(createError('Business type not found', 404));
+      return next(new NotFoundError('Business type not found', 'BUSINESS_TYPE_NOT_FOUND'));
     }
     
     res.status(200).json({ type });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -86,7 +88,7 @@ const getUserBusinesses = async (req, res, next) => {
     const businesses = await businessService.getUserBusinesses(req.user.userId);
     res.status(200).json({ businesses });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -128,7 +130,7 @@ const createBusiness = async (req, res, next) => {
     
     res.status(201).json({ message: 'Business created successfully', business });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -142,20 +144,17 @@ const getBusinessById = async (req, res, next) => {
     const business = await businessService.getBusinessById(id);
     
     if (!business) {
-      return next(createError('Business not found', 404));
+      return next(new NotFoundError('Business not found', 'BUSINESS_NOT_FOUND'));
     }
     
-    // Check if user is authorized to view this business
-    const isOwner = business.userId === req.user.userId;
-    const isAdmin = req.user.roles.includes('Admin');
-    
-    if (!business.isActive && !isOwner && !isAdmin) {
-      return next(createError('Business not found', 404));
+    // Inactive businesses are only visible to their owner and admins
+    if (!business.is_active && !isOwner(req.user, business) && !hasRole(req.user, ['Admin'])) {
+      return next(new NotFoundError('Business not found', 'BUSINESS_NOT_FOUND'));
     }
     
     res.status(200).json({ business });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -179,19 +178,9 @@ const updateBusiness = async (req, res, next) => {
       isActive 
     } = req.body;
     
-    // Check if user is authorized to update this business
-    const business = await businessService.getBusinessById(id);
-    
-    if (!business) {
-      return next(createError('Business not found', 404));
-    }
-    
-    const isOwner = business.userId === req.user.userId;
-    const isAdmin = req.user.roles.includes('Admin');
-    
-    if (!isOwner && !isAdmin) {
-      return next(createError('Not authorized to update this business', 403));
-    }
+    // Ownership is checked by the route guard, which loads the business
+    const business = req.resource;
+    const isAdmin = hasRole(req.user, ['Admin']);
     
     const updatedBusiness = await businessService.updateBusiness(id, {
       businessName,
@@ -204,12 +193,12 @@ const updateBusiness = async (req, res, next) => {
       phone,
       website,
       logoURL,
-      isActive: isAdmin ? isActive : business.isActive // Only admin can change active status
+      isActive: isAdmin ? isActive : business.is_active // Only admin can change active status
     });
     
     res.status(200).json({ message: 'Business updated successfully', business: updatedBusiness });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -228,7 +217,7 @@ const createSector = async (req, res, next) => {
     
     res.status(201).json({ message: 'Business sector created successfully', sector });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -248,7 +237,7 @@ const updateSector = async (req, res, next) => {
     
     res.status(200).json({ message: 'Business sector updated successfully', sector: updatedSector });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -268,7 +257,7 @@ const createType = async (req, res, next) => {
     
     res.status(201).json({ message: 'Business type created successfully', type });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -289,7 +278,41 @@ const updateType = async (req, res, next) => {
     
     res.status(200).json({ message: 'Business type updated successfully', type: updatedType });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
+  }
+};
+
+/**
+ * Look up a redemption code for a reward the business sponsors
+ */
+const getRedemption = async (req, res, next) => {
+  try {
+    const { id, code } = req.params;
+
+    const redemption = await rewardService.getRedemptionByCode(code, id);
+
+    if (!redemption) {
+      return next(new NotFoundError('Redemption code not found', 'REDEMPTION_NOT_FOUND'));
+    }
+
+    res.status(200).json({ redemption });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a redemption code as used at the business
+ */
+const useRedemption = async (req, res, next) => {
+  try {
+    const { id, code } = req.params;
+
+    const redemption = await rewardService.useRedemption(code, id, req.user.userId);
+
+    res.status(200).json({ message: 'Redemption code used successfully', redemption });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -303,6 +326,8 @@ module.exports = {
   createBusiness,
   getBusinessById,
   updateBusiness,
+  getRedemption,
+  useRedemption,
   createSector,
   updateSector,
   createType,
@@ -0,0 +1,55 @@
+const { buildOpenApiSpec } = require('../utils/openApi');
+
+// Routes are fixed once the app is assembled, so the document is built once per prefix
+const specs = new Map();
+
+/**
+ * Get the OpenAPI document for the app's API prefix
+ * @param {Object} app - Express app
+ * @returns {Object} OpenAPI document
+ */
+const getSpec = (app) => {
+  const serverUrl = app.get('apiPrefix');
+
+  if (!specs.has(serverUrl)) {
+    specs.set(serverUrl, buildOpenApiSpec({ serverUrl }));
+  }
+
+  return specs.get(serverUrl);
+};
+
+/**
+ * Serve the OpenAPI document
+ */
+const getOpenApiSpec = (req, res) => {
+  res.status(200).json(getSpec(req.app));
+};
+
+/**
+ * Serve the Swagger UI page that renders the OpenAPI document
+ */
+const getDocsPage = (req, res) => {
+  const base = req.baseUrl;
+
+  res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>GladGrade API</title>
+  <link rel="stylesheet" href="${base}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`);
+};
+
+module.exports = {
+  getOpenApiSpec,
+  getDocsPage
+};
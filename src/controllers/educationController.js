@@ -1,5 +1,5 @@
 const educationService = require('../services/educationService');
-const { createError } = require('../utils/errorUtils');
+const { NotFoundError } = require('../utils/errorUtils');
 
 /**
  * Get all education areas
@@ -9,7 +9,7 @@ const getAllAreas = async (req, res, next) => {
     const areas = await educationService.getAllAreas();
     res.status(200).json({ areas });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -23,12 +23,12 @@ const getAreaById = async (req, res, next) => {
     const area = await educationService.getAreaById(id);
     
     if (!area) {
-      return next(createError('Education area not found', 404));
+      return next(new NotFoundError('Education area not found', 'AREA_NOT_FOUND'));
     }
     
     res.status(200).json({ area });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -40,7 +40,7 @@ const getAllLocations = async (req, res, next) => {
     const locations = await educationService.getAllLocations();
     res.status(200).json({ locations });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -55,7 +55,7 @@ const getLocationsByArea = async (req, res, next) => {
     
     res.status(200).json({ locations });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -69,12 +69,12 @@ const getLocationById = async (req, res, next) => {
     const location = await educationService.getLocationById(id);
     
     if (!location) {
-      return next(createError('Location not found', 404));
+      return next(new NotFoundError('Location not found', 'LOCATION_NOT_FOUND'));
     }
     
     res.status(200).json({ location });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -86,7 +86,7 @@ const getAllDorms = async (req, res, next) => {
     const dorms = await educationService.getAllDorms();
     res.status(200).json({ dorms });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -101,7 +101,7 @@ const getDormsByLocation = async (req, res, next) => {
     
     res.status(200).json({ dorms });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -115,12 +115,12 @@ const getDormById = async (req, res, next) => {
     const dorm = await educationService.getDormById(id);
     
     if (!dorm) {
-      return next(createError('Dorm not found', 404));
+      return next(new NotFoundError('Dorm not found', 'DORM_NOT_FOUND'));
     }
     
     res.status(200).json({ dorm });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -132,7 +132,7 @@ const getAllProfessors = async (req, res, next) => {
     const professors = await educationService.getAllProfessors();
     res.status(200).json({ professors });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -147,7 +147,7 @@ const getProfessorsByDepartment = async (req, res, next) => {
     
     res.status(200).json({ professors });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -161,12 +161,12 @@ const getProfessorById = async (req, res, next) => {
     const professor = await educationService.getProfessorById(id);
     
     if (!professor) {
-      return next(createError('Professor not found', 404));
+      return next(new NotFoundError('Professor not found', 'PROFESSOR_NOT_FOUND'));
     }
     
     res.status(200).json({ professor });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -181,7 +181,7 @@ const getProfessorCourses = async (req, res, next) => {
     
     res.status(200).json({ courses });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -193,7 +193,7 @@ const getAllDepartments = async (req, res, next) => {
     const departments = await educationService.getAllDepartments();
     res.status(200).json({ departments });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -205,7 +205,7 @@ const getAllClassCodes = async (req, res, next) => {
     const classCodes = await educationService.getAllClassCodes();
     res.status(200).json({ classCodes });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -220,7 +220,7 @@ const getClassCodesByDepartment = async (req, res, next) => {
     
     res.status(200).json({ classCodes });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -232,7 +232,7 @@ const getAllInternet = async (req, res, next) => {
     const internet = await educationService.getAllInternet();
     res.status(200).json({ internet });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -244,7 +244,7 @@ const getAllSecurity = async (req, res, next) => {
     const security = await educationService.getAllSecurity();
     res.status(200).json({ security });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -256,7 +256,7 @@ const getAllSocial = async (req, res, next) => {
     const social = await educationService.getAllSocial();
     res.status(200).json({ social });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -275,7 +275,7 @@ const createArea = async (req, res, next) => {
     
     res.status(201).json({ message: 'Education area created successfully', area });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -295,7 +295,7 @@ const updateArea = async (req, res, next) => {
     
     res.status(200).json({ message: 'Education area updated successfully', area: updatedArea });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -316,7 +316,7 @@ const createLocation = async (req, res, next) => {
     
     res.status(201).json({ message: 'Location created successfully', location });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -338,7 +338,7 @@ const updateLocation = async (req, res, next) => {
     
     res.status(200).json({ message: 'Location updated successfully', location: updatedLocation });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -0,0 +1,26 @@
+const healthService = require('../services/healthService');
+
+/**
+ * Liveness: the process is up and the event loop is responsive
+ */
+const getLiveness = (req, res) => {
+  res.status(200).json({ status: 'ok', uptimeSeconds: healthService.getUptimeSeconds() });
+};
+
+/**
+ * Readiness: every dependency a request needs is reachable
+ */
+const getReadiness = async (req, res, next) => {
+  try {
+    const { ready, checks } = await healthService.getReadiness();
+
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'unavailable', checks });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
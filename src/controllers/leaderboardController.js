@@ -0,0 +1,28 @@
+const leaderboardService = require('../services/leaderboardService');
+
+/**
+ * Get a leaderboard with the caller's own standing
+ */
+const getLeaderboard = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, metric, period, eduAreaId, sectorId } = req.query;
+
+    const leaderboard = await leaderboardService.getLeaderboard({
+      metric,
+      period,
+      eduAreaId,
+      sectorId,
+      userId: req.user.userId,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json(leaderboard);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getLeaderboard
+};
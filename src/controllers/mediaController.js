@@ -1,5 +1,5 @@
 const mediaService = require('../services/mediaService');
-const { createError } = require('../utils/errorUtils');
+const { ValidationError } = require('../utils/errorUtils');
 
 /**
  * Get all image types
@@ -9,7 +9,7 @@ const getImageTypes = async (req, res, next) => {
     const types = await mediaService.getImageTypes();
     res.status(200).json({ types });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -22,7 +22,7 @@ const uploadImage = async (req, res, next) => {
     const file = req.file;
     
     if (!file) {
-      return next(createError('No image file uploaded', 400));
+      return next(new ValidationError('No image file uploaded', 'IMAGE_REQUIRED'));
     }
     
     const { 
@@ -35,7 +35,7 @@ const uploadImage = async (req, res, next) => {
     
     // Validate that at least one association is provided
     if (!consumerRatingId && !consumerReviewId && !eduDormId && !req.user.userId) {
-      return next(createError('Image must be associated with at least one entity', 400));
+      return next(new ValidationError('Image must be associated with at least one entity', 'IMAGE_ENTITY_REQUIRED'));
     }
     
     // Upload image to storage and save URL in database
@@ -52,7 +52,7 @@ const uploadImage = async (req, res, next) => {
     
     res.status(201).json({ message: 'Image uploaded successfully', image });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -63,27 +63,12 @@ const deleteImage = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    // Check if user has permission to delete this image
-    const image = await mediaService.getImageById(id);
-    
-    if (!image) {
-      return next(createError('Image not found', 404));
-    }
-    
-    // Check if user owns this image or is an admin
-    const isOwner = image.userId === req.user.userId;
-    const isAdmin = req.user.roles.includes('Admin');
-    
-    if (!isOwner && !isAdmin) {
-      return next(createError('Not authorized to delete this image', 403));
-    }
-    
     // Delete the image
     await mediaService.deleteImage(id);
     
     res.status(200).json({ message: 'Image deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -94,19 +79,11 @@ const getImagesByUser = async (req, res, next) => {
   try {
     const { userId } = req.params;
     
-    // Check if user is requesting their own images or is an admin
-    const isOwn = userId === req.user.userId;
-    const isAdmin = req.user.roles.includes('Admin');
-    
-    if (!isOwn && !isAdmin) {
-      return next(createError('Not authorized to view these images', 403));
-    }
-    
     const images = await mediaService.getImagesByUser(userId);
     
     res.status(200).json({ images });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -121,7 +98,7 @@ const getImagesByRating = async (req, res, next) => {
     
     res.status(200).json({ images });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -136,7 +113,7 @@ const getImagesByReview = async (req, res, next) => {
     
     res.status(200).json({ images });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -151,7 +128,7 @@ const getImagesByDorm = async (req, res, next) => {
     
     res.status(200).json({ images });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -170,7 +147,7 @@ const getAllImages = async (req, res, next) => {
     
     res.status(200).json(images);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -192,7 +169,7 @@ const moderateImage = async (req, res, next) => {
       image: updatedImage 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
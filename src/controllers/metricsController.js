@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { getConfig } = require('../config');
+const { registry } = require('../utils/metrics');
+const { UnauthorizedError } = require('../utils/errorUtils');
+
+const { token } = getConfig().metrics;
+
+/**
+ * Whether the request carries the configured scrape token
+ * @param {Object} req - Express request
+ * @returns {boolean} True if no token is configured or it matches
+ */
+const isAuthorizedScrape = (req) => {
+  if (!token) {
+    return true;
+  }
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const actual = Buffer.from(req.get('Authorization') || '');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+/**
+ * Serve every metric in the Prometheus text format
+ */
+const getMetrics = async (req, res, next) => {
+  if (!isAuthorizedScrape(req)) {
+    return next(new UnauthorizedError('Invalid metrics token', 'METRICS_TOKEN_INVALID'));
+  }
+
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.status(200).send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMetrics
+};
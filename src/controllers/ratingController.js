@@ -1,5 +1,9 @@
 const ratingService = require('../services/ratingService');
-const { createError } = require('../utils/errorUtils');
+const scoringService = require('../services/scoringService');
+const achievementService = require('../services/achievementService');
+
+// Device identifiers clients send in X-Device-Id; anything else is ignored
+const DEVICE_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 /**
  * Get ratings by place ID
@@ -12,7 +16,88 @@ const getRatingsByPlace = async (req, res, next) => {
     
     res.status(200).json({ ratings });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
+  }
+};
+
+/**
+ * Get the individual ratings of a place, a page at a time
+ */
+const getRatingListByPlace = async (req, res, next) => {
+  try {
+    const { placeId } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    const ratings = await ratingService.getRatingListByPlace(
+      placeId,
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json(ratings);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get rating trends of a place over time
+ */
+const getRatingTrendsByPlace = async (req, res, next) => {
+  try {
+    const { placeId } = req.params;
+    const { interval, from, to, window, businessTypeId, subcategory } = req.query;
+
+    const trends = await ratingService.getRatingTrendsByPlace(placeId, {
+      interval,
+      from,
+      to,
+      window,
+      businessTypeId,
+      subcategory
+    });
+
+    res.status(200).json({ trends });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the confidence-weighted score of a place
+ */
+const getPlaceScore = async (req, res, next) => {
+  try {
+    const { placeId } = req.params;
+    const { halfLifeDays } = req.query;
+
+    const score = await scoringService.getPlaceScore(placeId, { halfLifeDays });
+
+    res.status(200).json({ score });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get places ranked by confidence-weighted score
+ */
+const getRankings = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, businessTypeId, sectorId, minRatings, halfLifeDays } = req.query;
+
+    const rankings = await scoringService.getRankings({
+      businessTypeId,
+      sectorId,
+      minRatings,
+      halfLifeDays,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.status(200).json(rankings);
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -32,7 +117,7 @@ const getReviewsByPlace = async (req, res, next) => {
     
     res.status(200).json(reviews);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -59,15 +144,20 @@ const createRating = async (req, res, next) => {
       placeName,
       ratingValue,
       subcategory,
-      userId: req.user.userId
+      userId: req.user.userId,
+      deviceId: DEVICE_ID_PATTERN.test(req.get('X-Device-Id') || '') ? req.get('X-Device-Id') : null
     });
     
-    // Add Glad points for the rating
-    await ratingService.addGladPoints(rating.id, req.user.userId);
+    // Quarantined ratings earn points only once a moderator approves them
+    if (rating.status === 'quarantined') {
+      return res.status(202).json({ message: 'Rating submitted for review', rating });
+    }
+    
+    achievementService.evaluateUserLater(req.user.userId);
     
     res.status(201).json({ message: 'Rating created successfully', rating });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -79,24 +169,44 @@ const updateRating = async (req, res, next) => {
     const { id } = req.params;
     const { ratingValue } = req.body;
     
-    // Check if user owns this rating
-    const rating = await ratingService.getRatingById(id);
-    
-    if (!rating) {
-      return next(createError('Rating not found', 404));
-    }
-    
-    if (rating.userId !== req.user.userId && !req.user.roles.includes('Admin')) {
-      return next(createError('Not authorized to update this rating', 403));
-    }
-    
     const updatedRating = await ratingService.updateRating(id, {
-      ratingValue
+      ratingValue,
+      changedBy: req.user.userId
     });
     
     res.status(200).json({ message: 'Rating updated successfully', rating: updatedRating });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
+  }
+};
+
+/**
+ * Get the edit history of a rating
+ */
+const getRatingHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const revisions = await ratingService.getRatingHistory(id);
+
+    res.status(200).json({ revisions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a rating to its value before a revision
+ */
+const restoreRatingRevision = async (req, res, next) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const rating = await ratingService.restoreRatingRevision(id, revisionId, req.user.userId);
+
+    res.status(200).json({ message: 'Rating restored successfully', rating });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -107,22 +217,11 @@ const deleteRating = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    // Check if user owns this rating
-    const rating = await ratingService.getRatingById(id);
-    
-    if (!rating) {
-      return next(createError('Rating not found', 404));
-    }
-    
-    if (rating.userId !== req.user.userId && !req.user.roles.includes('Admin')) {
-      return next(createError('Not authorized to delete this rating', 403));
-    }
-    
     await ratingService.deleteRating(id);
     
     res.status(200).json({ message: 'Rating deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -138,17 +237,6 @@ const createReview = async (req, res, next) => {
       isPrivate 
     } = req.body;
     
-    // Check if user owns the rating
-    const rating = await ratingService.getRatingById(consumerRatingId);
-    
-    if (!rating) {
-      return next(createError('Rating not found', 404));
-    }
-    
-    if (rating.userId !== req.user.userId) {
-      return next(createError('Not authorized to create a review for this rating', 403));
-    }
-    
     const newReview = await ratingService.createReview({
       consumerRatingId,
       review,
@@ -158,9 +246,11 @@ const createReview = async (req, res, next) => {
       userId: req.user.userId
     });
     
+    achievementService.evaluateUserLater(req.user.userId);
+    
     res.status(201).json({ message: 'Review created successfully', review: newReview });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -172,25 +262,45 @@ const updateReview = async (req, res, next) => {
     const { id } = req.params;
     const { review, isPrivate } = req.body;
     
-    // Check if user owns this review
-    const existingReview = await ratingService.getReviewById(id);
-    
-    if (!existingReview) {
-      return next(createError('Review not found', 404));
-    }
-    
-    if (existingReview.userId !== req.user.userId && !req.user.roles.includes('Admin')) {
-      return next(createError('Not authorized to update this review', 403));
-    }
-    
     const updatedReview = await ratingService.updateReview(id, {
       review,
-      isPrivate
+      isPrivate,
+      changedBy: req.user.userId
     });
     
     res.status(200).json({ message: 'Review updated successfully', review: updatedReview });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
+  }
+};
+
+/**
+ * Get the edit history of a review
+ */
+const getReviewHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const revisions = await ratingService.getReviewHistory(id);
+
+    res.status(200).json({ revisions });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a review to its text before a revision
+ */
+const restoreReviewRevision = async (req, res, next) => {
+  try {
+    const { id, revisionId } = req.params;
+
+    const review = await ratingService.restoreReviewRevision(id, revisionId, req.user.userId);
+
+    res.status(200).json({ message: 'Review restored successfully', review });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -201,22 +311,41 @@ const deleteReview = async (req, res, next) => {
   try {
     const { id } = req.params;
     
-    // Check if user owns this review
-    const review = await ratingService.getReviewById(id);
+    await ratingService.deleteReview(id);
     
-    if (!review) {
-      return next(createError('Review not found', 404));
-    }
+    res.status(200).json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a review helpful
+ */
+const markReviewHelpful = async (req, res, next) => {
+  try {
+    const { id } = req.params;
     
-    if (review.userId !== req.user.userId && !req.user.roles.includes('Admin')) {
-      return next(createError('Not authorized to delete this review', 403));
-    }
+    const helpfulCount = await ratingService.markReviewHelpful(id, req.user.userId);
     
-    await ratingService.deleteReview(id);
+    res.status(200).json({ message: 'Review marked helpful', helpfulCount });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a helpful vote from a review
+ */
+const unmarkReviewHelpful = async (req, res, next) => {
+  try {
+    const { id } = req.params;
     
-    res.status(200).json({ message: 'Review deleted successfully' });
+    const helpfulCount = await ratingService.unmarkReviewHelpful(id, req.user.userId);
+    
+    res.status(200).json({ message: 'Helpful vote removed', helpfulCount });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -227,36 +356,24 @@ const submitSurveyAnswers = async (req, res, next) => {
   try {
     const { consumerRatingId, answers } = req.body;
     
-    // Check if user owns the rating
-    const rating = await ratingService.getRatingById(consumerRatingId);
-    
-    if (!rating) {
-      return next(createError('Rating not found', 404));
-    }
-    
-    if (rating.userId !== req.user.userId) {
-      return next(createError('Not authorized to submit answers for this rating', 403));
-    }
+    const savedAnswers = await ratingService.submitSurveyAnswers({
+      consumerRatingId,
+      userId: req.user.userId,
+      answers: answers.map(answer => ({
+        surveyQuestionId: answer.surveyQuestionId,
+        surveyQuestionsAnswerId: answer.surveyQuestionsAnswerId,
+        answer: answer.answer
+      }))
+    });
     
-    // Process each answer
-    const savedAnswers = await Promise.all(
-      answers.map(answer => 
-        ratingService.createSurveyAnswer({
-          surveyQuestionId: answer.surveyQuestionId,
-          surveyQuestionsAnswerId: answer.surveyQuestionsAnswerId,
-          answer: answer.answer,
-          consumerRatingId,
-          userId: req.user.userId
-        })
-      )
-    );
+    achievementService.evaluateUserLater(req.user.userId);
     
     res.status(201).json({ 
       message: 'Survey answers submitted successfully', 
       answers: savedAnswers 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -271,7 +388,7 @@ const getSurveyQuestionsByType = async (req, res, next) => {
     
     res.status(200).json({ questions });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -280,19 +397,55 @@ const getSurveyQuestionsByType = async (req, res, next) => {
  */
 const getAllRatings = async (req, res, next) => {
   try {
-    const { page = 1, limit = 10, placeId, userId, businessTypeId } = req.query;
+    const { page = 1, limit = 10, placeId, userId, businessTypeId, status } = req.query;
     
     const ratings = await ratingService.getAllRatings({
       page: parseInt(page),
       limit: parseInt(limit),
       placeId,
       userId,
-      businessTypeId
+      businessTypeId,
+      status
     });
     
     res.status(200).json(ratings);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
+  }
+};
+
+/**
+ * Get quarantined ratings awaiting review
+ */
+const getQuarantinedRatings = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const ratings = await ratingService.getQuarantinedRatings(parseInt(page), parseInt(limit));
+
+    res.status(200).json(ratings);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a quarantined rating
+ */
+const decideQuarantinedRating = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { decision, notes } = req.body;
+
+    const rating = await ratingService.decideQuarantinedRating(id, {
+      decision,
+      notes,
+      decidedBy: req.user.userId
+    });
+
+    res.status(200).json({ message: `Rating ${decision}`, rating });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -312,7 +465,7 @@ const getAllReviews = async (req, res, next) => {
     
     res.status(200).json(reviews);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -334,22 +487,34 @@ const moderateReview = async (req, res, next) => {
         review: updatedReview 
       });
     } catch (error) {
-      next(createError(error.message, 400, error));
+      next(error);
     }
   };
   
   module.exports = {
     getRatingsByPlace,
+    getRatingListByPlace,
+    getRatingTrendsByPlace,
+    getPlaceScore,
+    getRankings,
     getReviewsByPlace,
     createRating,
     updateRating,
+    getRatingHistory,
+    restoreRatingRevision,
     deleteRating,
     createReview,
     updateReview,
+    getReviewHistory,
+    restoreReviewRevision,
     deleteReview,
+    markReviewHelpful,
+    unmarkReviewHelpful,
     submitSurveyAnswers,
     getSurveyQuestionsByType,
     getAllRatings,
+    getQuarantinedRatings,
+    decideQuarantinedRating,
     getAllReviews,
     moderateReview
   };
\ No newline at end of file
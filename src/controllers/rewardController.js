@@ -0,0 +1,200 @@
+const rewardService = require('../services/rewardService');
+const { NotFoundError } = require('../utils/errorUtils');
+
+/**
+ * Get the rewards that can be redeemed now
+ */
+const getCatalog = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, businessId } = req.query;
+
+    const rewards = await rewardService.getRewards({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      availableOnly: true,
+      businessId
+    });
+
+    res.status(200).json(rewards);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get every reward, including unavailable ones (admin only)
+ */
+const getAllRewards = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, businessId } = req.query;
+
+    const rewards = await rewardService.getRewards({
+      page: parseInt(page),
+      limit: parseInt(limit),
+      businessId
+    });
+
+    res.status(200).json(rewards);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get reward by ID
+ */
+const getRewardById = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const reward = await rewardService.getRewardById(id);
+
+    if (!reward) {
+      return next(new NotFoundError('Reward not found', 'REWARD_NOT_FOUND'));
+    }
+
+    res.status(200).json({ reward });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a reward
+ */
+const createReward = async (req, res, next) => {
+  try {
+    const {
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive
+    } = req.body;
+
+    const reward = await rewardService.createReward({
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({ message: 'Reward created successfully', reward });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a reward
+ */
+const updateReward = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive
+    } = req.body;
+
+    const reward = await rewardService.updateReward(id, {
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive
+    });
+
+    if (!reward) {
+      return next(new NotFoundError('Reward not found', 'REWARD_NOT_FOUND'));
+    }
+
+    res.status(200).json({ message: 'Reward updated successfully', reward });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a reward
+ */
+const deleteReward = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await rewardService.deleteReward(id);
+
+    if (!deleted) {
+      return next(new NotFoundError('Reward not found', 'REWARD_NOT_FOUND'));
+    }
+
+    res.status(200).json({ message: 'Reward deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redeem a reward with the caller's Glad points
+ */
+const redeemReward = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const redemption = await rewardService.redeemReward(id, req.user.userId);
+
+    res.status(201).json({ message: 'Reward redeemed successfully', redemption });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the caller's redemptions
+ */
+const getUserRedemptions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const redemptions = await rewardService.getRedemptionsByUser(
+      req.user.userId,
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json(redemptions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCatalog,
+  getAllRewards,
+  getRewardById,
+  createReward,
+  updateReward,
+  deleteReward,
+  redeemReward,
+  getUserRedemptions
+};
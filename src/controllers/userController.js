@@ -1,5 +1,7 @@
 const userService = require('../services/userService');
-const { createError } = require('../utils/errorUtils');
+const achievementService = require('../services/achievementService');
+const { NotFoundError } = require('../utils/errorUtils');
+const { invalidateUserCache } = require('../middleware/auth');
 
 /**
  * Get current user profile
@@ -9,12 +11,12 @@ const getCurrentUser = async (req, res, next) => {
     const user = await userService.getUserById(req.user.userId);
     
     if (!user) {
-      return next(createError('User not found', 404));
+      return next(new NotFoundError('User not found', 'USER_NOT_FOUND'));
     }
     
     res.status(200).json({ user });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -23,19 +25,20 @@ const getCurrentUser = async (req, res, next) => {
  */
 const updateProfile = async (req, res, next) => {
   try {
-    const { firstName, lastName, telephone, displayName, photoUrl } = req.body;
+    const { firstName, lastName, telephone, displayName, photoUrl, leaderboardOptOut } = req.body;
     
     const updatedUser = await userService.updateUser(req.user.userId, {
       firstName,
       lastName,
       telephone,
       displayName,
-      photoUrl
+      photoUrl,
+      leaderboardOptOut
     });
     
     res.status(200).json({ message: 'Profile updated successfully', user: updatedUser });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -45,11 +48,12 @@ const updateProfile = async (req, res, next) => {
 const deleteAccount = async (req, res, next) => {
   try {
     await userService.markUserAsDeleted(req.user.userId);
+    invalidateUserCache(req.user.userId);
     // Note: Firebase user deletion should be handled on the client side
     
     res.status(200).json({ message: 'Account marked for deletion successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -61,7 +65,7 @@ const getUserReviews = async (req, res, next) => {
     const reviews = await userService.getUserReviews(req.user.userId);
     res.status(200).json({ reviews });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -73,7 +77,7 @@ const getUserRatings = async (req, res, next) => {
     const ratings = await userService.getUserRatings(req.user.userId);
     res.status(200).json({ ratings });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -85,7 +89,19 @@ const getUserPoints = async (req, res, next) => {
     const points = await userService.getUserPoints(req.user.userId);
     res.status(200).json({ points });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
+  }
+};
+
+/**
+ * Get user's tier and achievements
+ */
+const getUserAchievements = async (req, res, next) => {
+  try {
+    const achievements = await achievementService.getUserAchievements(req.user.userId);
+    res.status(200).json({ achievements });
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -97,7 +113,7 @@ const getUserBusinessTypes = async (req, res, next) => {
     const businessTypes = await userService.getUserBusinessTypes(req.user.userId);
     res.status(200).json({ businessTypes });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -119,7 +135,7 @@ const addUserBusinessType = async (req, res, next) => {
       userBusinessType: result 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -142,7 +158,7 @@ const updateUserBusinessType = async (req, res, next) => {
       userBusinessType: result 
     });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -157,7 +173,7 @@ const deleteUserBusinessType = async (req, res, next) => {
     
     res.status(200).json({ message: 'Business type removed from user preferences' });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -177,7 +193,7 @@ const getAllUsers = async (req, res, next) => {
     
     res.status(200).json(users);
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -191,12 +207,12 @@ const getUserById = async (req, res, next) => {
     const user = await userService.getUserById(id);
     
     if (!user) {
-      return next(createError('User not found', 404));
+      return next(new NotFoundError('User not found', 'USER_NOT_FOUND'));
     }
     
     res.status(200).json({ user });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -216,10 +232,11 @@ const updateUser = async (req, res, next) => {
       photoUrl,
       isActive
     });
+    invalidateUserCache(id);
     
     res.status(200).json({ message: 'User updated successfully', user: updatedUser });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -231,10 +248,11 @@ const deleteUser = async (req, res, next) => {
     const { id } = req.params;
     
     await userService.markUserAsDeleted(id);
+    invalidateUserCache(id);
     
     res.status(200).json({ message: 'User deleted successfully' });
   } catch (error) {
-    next(createError(error.message, 500, error));
+    next(error);
   }
 };
 
@@ -247,10 +265,11 @@ const changeUserRole = async (req, res, next) => {
     const { roleId } = req.body;
     
     const updatedUser = await userService.changeUserRole(id, roleId);
+    invalidateUserCache(id);
     
     res.status(200).json({ message: 'User role updated successfully', user: updatedUser });
   } catch (error) {
-    next(createError(error.message, 400, error));
+    next(error);
   }
 };
 
@@ -261,6 +280,7 @@ module.exports = {
   getUserReviews,
   getUserRatings,
   getUserPoints,
+  getUserAchievements,
   getUserBusinessTypes,
   addUserBusinessType,
   updateUserBusinessType,
@@ -1,12 +1,42 @@
-const express = require('express');
-const adminRoutes = require('../src/routes/adminRoutes');
+const { getConfig } = require('./config');
 
-const app = express();
-const port = process.env.PORT || 8080; // Local: 3000, Cloud Run: 8080
+// Fail fast with a readable list of problems before touching the database
+const config = getConfig();
 
-app.use(express.json());
-app.use('/api', adminRoutes);
+const { createApp } = require('./app');
+const db = require('./config/db');
+const healthService = require('./services/healthService');
+const achievementService = require('./services/achievementService');
+const { logger } = require('./utils/logger');
+const { gracefulShutdown } = require('./utils/shutdown');
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`);
-});
\ No newline at end of file
+const app = createApp(config);
+const port = config.port; // Local: 3000, Cloud Run: 8080
+
+const server = app.listen(port, () => {
+  logger.info(`Server running on port ${port}`, { port, environment: config.environment });
+});
+
+/**
+ * Drain requests, finish background work and close the pool, then exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+const shutdown = async (signal) => {
+  logger.info('Shutting down', { signal });
+
+  // Fail readiness first; the readiness delay gives probes time to notice
+  // and stop routing traffic here before the listener closes
+  healthService.markShuttingDown();
+
+  const clean = await gracefulShutdown(server, {
+    readinessDelayMs: config.shutdown.readinessDelayMs,
+    timeoutMs: config.shutdown.timeoutMs,
+    cleanup: [() => achievementService.whenIdle(), () => db.pool.end()],
+    log: logger,
+  });
+
+  process.exit(clean ? 0 : 1);
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
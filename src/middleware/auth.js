@@ -1,20 +1,279 @@
 const admin = require('../config/firebase'); // Assuming firebase.js exports initialized admin
-const db = require('../config/db'); // Assuming db.js exports a pg Pool
+const { getConfig } = require('../config');
+const userService = require('../services/userService');
+const permissionService = require('../services/permissionService');
+const { UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errorUtils');
+const { createTtlCache } = require('../utils/ttlCache');
+
+const authConfig = getConfig().auth;
+
+// Resolved application users keyed by Firebase UID
+const userCache = createTtlCache({ ttlMs: authConfig.userCacheTtlMs });
+
+// Permission names keyed by the (sorted) set of roles that grant them
+const permissionCache = createTtlCache({ ttlMs: authConfig.userCacheTtlMs });
+
+/**
+ * Look up (or provision) the application user for a verified token
+ * @param {Object} decodedToken - Verified Firebase ID token
+ * @returns {Promise<Object|null>} Cached identity or null if unknown
+ */
+const resolveUser = async (decodedToken) => {
+  const cached = userCache.get(decodedToken.uid);
+  if (cached) {
+    return cached;
+  }
+
+  let user = await userService.getUserByFirebaseUid(decodedToken.uid, { includeDeleted: true });
+
+  if (!user && authConfig.autoProvision) {
+    user = await userService.provisionUserFromToken(decodedToken);
+  }
+
+  if (!user) {
+    return null;
+  }
+
+  const identity = {
+    userId: user.id,
+    role: user.role,
+    roles: await userService.getUserRoles(user.id),
+    isGuest: user.is_guest,
+    isActive: user.is_active,
+    isDeleted: user.is_deleted,
+  };
+
+  userCache.set(decodedToken.uid, identity);
+
+  return identity;
+};
+
+/**
+ * Drop cached identities so role or status changes apply immediately
+ * @param {string|number} [userId] - User ID; clears everything when omitted
+ */
+const invalidateUserCache = (userId) => {
+  if (userId === undefined) {
+    userCache.clear();
+    return;
+  }
+  userCache.deleteWhere((identity) => identity.userId === parseInt(userId));
+};
 
 const verifyToken = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+    return next(new UnauthorizedError('No token provided', 'TOKEN_MISSING'));
   }
   const token = authHeader.split('Bearer ')[1];
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(token);
+  } catch (error) {
+    req.log.warn('Token verification failed', { reason: error.code || error.message });
+    return next(new UnauthorizedError('Invalid token', 'TOKEN_INVALID'));
+  }
+
   try {
-    const decodedToken = await admin.auth().verifyIdToken(token);
-    req.user = decodedToken; // Set uid, e.g., tOgYSFVUBJbweONbfRcqvabvBCU2
+    const identity = await resolveUser(decodedToken);
+
+    if (!identity) {
+      return next(new ForbiddenError('User is not registered', 'USER_NOT_REGISTERED'));
+    }
+
+    if (identity.isDeleted) {
+      return next(new ForbiddenError('User account has been deleted', 'USER_DELETED'));
+    }
+
+    if (!identity.isActive) {
+      return next(new ForbiddenError('User account is inactive', 'USER_INACTIVE'));
+    }
+
+    req.user = {
+      uid: decodedToken.uid, // e.g., tOgYSFVUBJbweONbfRcqvabvBCU2
+      firebaseUid: decodedToken.uid,
+      email: decodedToken.email,
+      userId: identity.userId,
+      role: identity.role,
+      roles: identity.roles,
+      isGuest: identity.isGuest,
+      token: decodedToken,
+    };
     next();
   } catch (error) {
-    console.error('Token verification failed:', error.message);
-    return res.status(401).json({ error: 'Invalid token' });
+    next(error);
   }
 };
 
-module.exports = { verifyToken };
\ No newline at end of file
+/**
+ * Drop cached role permissions after grants change
+ */
+const invalidatePermissionCache = () => {
+  permissionCache.clear();
+};
+
+/**
+ * Get the permissions held by the authenticated user
+ * @param {Object} user - `req.user`
+ * @returns {Promise<Set<string>>} Permission names
+ */
+const getUserPermissions = async (user) => {
+  const key = [...user.roles].sort().join('|');
+  let permissions = permissionCache.get(key);
+
+  if (!permissions) {
+    permissions = new Set(await permissionService.getPermissionsForRoles(user.roles));
+    permissionCache.set(key, permissions);
+  }
+
+  return permissions;
+};
+
+/**
+ * Whether the user holds any of the given roles
+ * @param {Object} user - `req.user`
+ * @param {Array<string>} roles - Role names
+ * @returns {boolean} True if at least one role matches
+ */
+const hasRole = (user, roles) => roles.some((role) => user.roles.includes(role));
+
+/**
+ * Whether the user owns a resource row
+ * @param {Object} user - `req.user`
+ * @param {Object} resource - Row with a `user_id` column
+ * @returns {boolean} True if the user owns it
+ */
+const isOwner = (user, resource) => parseInt(resource.user_id) === user.userId;
+
+/**
+ * Record what a guard checks on the middleware itself, so the OpenAPI
+ * generator can document the restriction without re-declaring it
+ * @param {Function} middleware - Guard middleware
+ * @param {Object} guard - Description, e.g. { permissions: ['users:read'] }
+ * @returns {Function} The same middleware
+ */
+const describeGuard = (middleware, guard) => Object.assign(middleware, { guard });
+
+/**
+ * Allow the request only if the user holds at least one of the roles
+ * @param {Array<string>} roles - Accepted role names
+ * @returns {Function} Express middleware
+ */
+const checkRole = (roles) => describeGuard((req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (!hasRole(req.user, roles)) {
+    return next(new ForbiddenError('Insufficient role', 'INSUFFICIENT_ROLE'));
+  }
+
+  next();
+}, { roles });
+
+/**
+ * Allow the request only if the user's roles grant every listed permission
+ * @param {...string} permissions - Permission names, e.g. 'reviews:moderate'
+ * @returns {Function} Express middleware
+ */
+const requirePermission = (...permissions) => describeGuard(async (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    const granted = await getUserPermissions(req.user);
+    const missing = permissions.filter((permission) => !granted.has(permission));
+
+    if (missing.length > 0) {
+      return next(new ForbiddenError(`Missing permission: ${missing.join(', ')}`, 'MISSING_PERMISSION'));
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, { permissions });
+
+/**
+ * Error code prefix for a resource name, e.g. 'Survey answer' -> 'SURVEY_ANSWER'
+ * @param {string} name - Resource name
+ * @returns {string} Upper snake case name
+ */
+const resourceCode = (name) => name.trim().toUpperCase().replace(/\W+/g, '_');
+
+/**
+ * Load a resource and allow the request only for its owner, users with one
+ * of `bypassRoles`, or users granted `bypassPermission`.
+ * The loaded row is exposed as `req.resource`.
+ * @param {Function} loadResource - Async loader taking the resource ID, resolving to a row or null
+ * @param {Object} [options] - Guard options
+ * @param {string} [options.name] - Resource name used in error messages
+ * @param {Function} [options.getId] - Reads the resource ID from the request
+ * @param {Array<string>} [options.bypassRoles] - Roles allowed regardless of ownership
+ * @param {string} [options.bypassPermission] - Permission allowed regardless of ownership
+ * @returns {Function} Express middleware
+ */
+const requireOwnership = (loadResource, {
+  name = 'Resource',
+  getId = (req) => req.params.id,
+  bypassRoles = ['Admin'],
+  bypassPermission,
+} = {}) => describeGuard(async (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  try {
+    const resource = await loadResource(getId(req));
+
+    if (!resource) {
+      return next(new NotFoundError(`${name} not found`, `${resourceCode(name)}_NOT_FOUND`));
+    }
+
+    const allowed = isOwner(req.user, resource)
+      || hasRole(req.user, bypassRoles)
+      || (bypassPermission && (await getUserPermissions(req.user)).has(bypassPermission));
+
+    if (!allowed) {
+      return next(new ForbiddenError(`Not authorized to access this ${name.toLowerCase()}`, 'NOT_RESOURCE_OWNER'));
+    }
+
+    req.resource = resource;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, { owner: name, bypassRoles, bypassPermission });
+
+/**
+ * Allow the request only when a user ID parameter is the caller's own,
+ * or the caller holds one of `bypassRoles`
+ * @param {string} [param] - Route parameter holding the user ID
+ * @param {Array<string>} [bypassRoles] - Roles allowed to act on other users
+ * @returns {Function} Express middleware
+ */
+const requireSelf = (param = 'userId', bypassRoles = ['Admin']) => describeGuard((req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (parseInt(req.params[param]) !== req.user.userId && !hasRole(req.user, bypassRoles)) {
+    return next(new ForbiddenError('Not authorized to access another user\'s data', 'NOT_SELF'));
+  }
+
+  next();
+}, { self: param, bypassRoles });
+
+module.exports = {
+  verifyToken,
+  checkRole,
+  requirePermission,
+  requireOwnership,
+  requireSelf,
+  hasRole,
+  isOwner,
+  invalidateUserCache,
+  invalidatePermissionCache
+};
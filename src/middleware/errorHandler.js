@@ -1,49 +1,72 @@
+const { MulterError } = require('multer');
+const { getConfig } = require('../config');
+const { AppError, fromDatabaseError } = require('../utils/errorUtils');
+const { logger } = require('../utils/logger');
+
+const exposeStack = getConfig().environment === 'local';
+
+// body-parser failures, keyed by err.type: [status, code, message]
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': [400, 'INVALID_JSON', 'Request body is not valid JSON'],
+  'entity.too.large': [413, 'PAYLOAD_TOO_LARGE', 'Request body is too large'],
+  'encoding.unsupported': [415, 'UNSUPPORTED_ENCODING', 'Request body encoding is not supported'],
+};
+
+/**
+ * Turn whatever reached the error handler into an AppError
+ * @param {Error} err - Error passed to next()
+ * @returns {AppError} Typed error
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  const known = BODY_PARSER_ERRORS[err.type];
+  if (known) {
+    const [status, code, message] = known;
+    return new AppError(message, { status, code, cause: err });
+  }
+
+  if (err instanceof MulterError) {
+    return err.code === 'LIMIT_FILE_SIZE'
+      ? new AppError('Uploaded file is too large', { status: 413, code: 'FILE_TOO_LARGE', cause: err })
+      : new AppError(err.message, { status: 400, code: 'UPLOAD_REJECTED', cause: err });
+  }
+
+  return fromDatabaseError(err) || new AppError(err.message || 'Internal Server Error', { cause: err });
+};
+
 const errorHandler = (err, req, res, next) => {
-    console.error('Error:', err);
-  
-    // Default error status and message
-    let status = err.status || 500;
-    let message = err.message || 'Internal Server Error';
-    
-    // Database connection errors
-    if (err.code === '08003' || err.code === '08006' || err.code === '57P01') {
-      status = 503;
-      message = 'Database connection error';
-    }
-    
-    // Query errors
-    if (err.code === '42P01') {
-      status = 500;
-      message = 'Database query error';
-    }
-    
-    // Constraint violations
-    if (err.code === '23505') {
-      status = 409;
-      message = 'Duplicate entry';
-    }
-    
-    // Foreign key violations
-    if (err.code === '23503') {
-      status = 400;
-      message = 'Referenced record does not exist';
-    }
-    
-    // Custom application errors
-    if (err.isOperational) {
-      status = err.status;
-      message = err.message;
-    }
-    
-    // Send JSON response
-    res.status(status).json({
-      error: {
-        message,
-        status,
-        // Only include stack in development mode
-        ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
-      },
-    });
-  };
-  
-  module.exports = errorHandler;
\ No newline at end of file
+  const error = normalizeError(err);
+  const { status } = error;
+
+  // Client mistakes are already visible in the access log; keep them out of error reporting
+  // Requests answered before the request logger (health probes) have no req.log
+  const log = req.log || logger;
+
+  if (status >= 500) {
+    log.error(`Request failed: ${err.message}`, { error: err, code: error.code });
+  } else {
+    log.debug(`Request rejected: ${error.message}`, { code: error.code, status });
+  }
+
+  // Server-side failures keep their internals out of the response;
+  // an outage message is safe and tells the client to retry
+  const exposeMessage = status < 500 || status === 503;
+
+  res.status(status).json({
+    error: {
+      code: error.code,
+      message: exposeMessage ? error.message : 'Internal Server Error',
+      status,
+      correlationId: req.id,
+      // Field problems from request validation
+      ...(error.details && { details: error.details }),
+      // Only include the stack when running locally
+      ...(exposeStack && { stack: error.stack }),
+    },
+  });
+};
+
+module.exports = errorHandler;
@@ -0,0 +1,38 @@
+const { observeRequest } = require('../utils/metrics');
+
+/**
+ * Count every request and time it, labelled by route template
+ * (e.g. /api/v1/ratings/:id) rather than the raw URL, so ids do not
+ * create a new series each
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  // Express assigns req.route when a route matches, while req.baseUrl still
+  // holds the router's mount path; baseUrl is reset once an error leaves the
+  // router, so the template is captured at assignment
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      req.routeTemplate = `${req.baseUrl}${value.path}`;
+    },
+  });
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    observeRequest({
+      method: req.method,
+      route: req.routeTemplate || 'unmatched',
+      status: String(res.statusCode),
+    }, seconds);
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
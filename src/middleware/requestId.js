@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Incoming ids are echoed into logs and headers, so only plain tokens are trusted
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign every request a correlation id as `req.id`: the caller's
+ * X-Request-Id when it is a plain token, otherwise a fresh UUID.
+ * The id is echoed back in the X-Request-Id response header.
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,65 @@
+const { getConfig } = require('../config');
+const { logger, runWithLogger } = require('../utils/logger');
+
+const { gcpProject } = getConfig().log;
+
+/**
+ * Cloud Trace fields for a request, so its log lines group under the trace
+ * @param {Object} req - Express request
+ * @returns {Object} Trace fields (empty outside Cloud Run)
+ */
+const traceFields = (req) => {
+  const header = req.get('X-Cloud-Trace-Context');
+  if (!gcpProject || !header) {
+    return {};
+  }
+
+  const [traceId] = header.split('/');
+  return { 'logging.googleapis.com/trace': `projects/${gcpProject}/traces/${traceId}` };
+};
+
+/**
+ * Severity of the access log entry for a response status
+ * @param {number} status - HTTP status
+ * @returns {string} Log level
+ */
+const accessLevel = (status) => {
+  if (status >= 500) {
+    return 'error';
+  }
+  return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Give every request a child logger on `req.log` bound to its request id,
+ * make it the current logger for the rest of the call chain, and write one
+ * access log entry (with latency and user id) when the response finishes.
+ * Must run after the requestId middleware.
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  req.log = logger.child({ requestId: req.id, ...traceFields(req) });
+
+  res.on('finish', () => {
+    const latencyMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+    req.log[accessLevel(res.statusCode)]('Request completed', {
+      httpRequest: {
+        requestMethod: req.method,
+        requestUrl: req.originalUrl,
+        status: res.statusCode,
+        responseSize: res.get('Content-Length'),
+        userAgent: req.get('User-Agent'),
+        remoteIp: req.ip,
+        latency: `${(latencyMs / 1000).toFixed(3)}s`,
+      },
+      latencyMs: Math.round(latencyMs * 10) / 10,
+      ...(req.user && { userId: req.user.userId }),
+    });
+  });
+
+  runWithLogger(req.log, next);
+};
+
+module.exports = requestLogger;
@@ -1,12 +1,15 @@
 const multer = require('multer');
 const path = require('path');
-const { createError } = require('../utils/errorUtils');
+const { ValidationError } = require('../utils/errorUtils');
+const { getConfig } = require('../config');
+
+const uploadConfig = getConfig().upload;
 
 // Configure storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    // Store files in the uploads directory
-    cb(null, 'uploads/');
+    // Store files in the configured uploads directory
+    cb(null, uploadConfig.dir);
   },
   filename: (req, file, cb) => {
     // Generate unique filename with timestamp and original extension
@@ -21,14 +24,14 @@ const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
     cb(null, true);
   } else {
-    cb(createError('Only image files are allowed', 400), false);
+    cb(new ValidationError('Only image files are allowed', 'INVALID_FILE_TYPE'), false);
   }
 };
 
 // Configure upload limits
 const limits = {
-  fileSize: 5 * 1024 * 1024, // 5MB
-  files: 5 // Max 5 files at once
+  fileSize: uploadConfig.maxFileSize, // 5MB by default
+  files: uploadConfig.maxFiles // 5 files at once by default
 };
 
 // Create multer upload instance
@@ -1,53 +1,151 @@
-const { validationResult, body } = require('express-validator');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../utils/errorUtils');
 
-// Middleware to check validation results
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+// Path, query and multipart values always arrive as strings, and older clients
+// send ids as strings in JSON too, so every location is coerced to the schema type
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, allowUnionTypes: true });
+addFormats(ajv);
+// Uploaded files are documented in the body schema but arrive in req.file(s)
+ajv.addFormat('binary', true);
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Locations an operation does not declare must be empty
+const NOTHING = { type: 'object', additionalProperties: false };
+
+/**
+ * Dotted field path for an Ajv error, e.g. answers[0].surveyQuestionId
+ * @param {Object} error - Ajv error object
+ * @returns {string} Field path ('' for the whole location)
+ */
+const fieldPath = (error) => {
+  const segments = error.instancePath
+    .split('/')
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (error.keyword === 'required') {
+    segments.push(error.params.missingProperty);
+  } else if (error.keyword === 'additionalProperties') {
+    segments.push(error.params.additionalProperty);
+  }
+
+  return segments.reduce(
+    (path, segment) => (/^\d+$/.test(segment) ? `${path}[${segment}]` : path ? `${path}.${segment}` : segment),
+    ''
+  );
+};
+
+/**
+ * Readable message for an Ajv error
+ * @param {Object} error - Ajv error object
+ * @returns {string} Message
+ */
+const describeProblem = (error) => {
+  switch (error.keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not allowed';
+    case 'enum':
+      return `must be one of ${error.params.allowedValues.join(', ')}`;
+    default:
+      return error.message;
   }
-  next();
 };
 
-// Common validation rules
-const userValidationRules = {
-  register: [
-    body('email').isEmail().withMessage('Invalid email address'),
-    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
-    body('firstName').notEmpty().withMessage('First name is required'),
-    body('lastName').notEmpty().withMessage('Last name is required'),
-  ],
-  login: [
-    body('email').isEmail().withMessage('Invalid email address'),
-    body('password').notEmpty().withMessage('Password is required'),
-  ],
-  updateProfile: [
-    body('firstName').optional().notEmpty().withMessage('First name cannot be empty'),
-    body('lastName').optional().notEmpty().withMessage('Last name cannot be empty'),
-    body('telephone').optional().isMobilePhone().withMessage('Invalid phone number'),
-  ],
+/**
+ * Split file fields (format: binary) out of a multipart body schema
+ * @param {Object} schema - Body schema
+ * @returns {Object} `{ fields, files }` — schema without files, and required file field names
+ */
+const splitFileFields = (schema) => {
+  const files = Object.keys(schema.properties || {})
+    .filter((name) => schema.properties[name].format === 'binary');
+
+  if (files.length === 0) {
+    return { fields: schema, files: [] };
+  }
+
+  const properties = { ...schema.properties };
+  files.forEach((name) => delete properties[name]);
+
+  return {
+    fields: {
+      ...schema,
+      properties,
+      required: (schema.required || []).filter((name) => !files.includes(name)),
+    },
+    files: files.filter((name) => (schema.required || []).includes(name)),
+  };
 };
 
-const ratingValidationRules = {
-  createRating: [
-    body('placeId').notEmpty().withMessage('Place ID is required'),
-    body('ratingValue').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-    body('businessTypeId').isInt().withMessage('Business type ID must be an integer'),
-  ],
-  createReview: [
-    body('consumerRatingId').isInt().withMessage('Consumer rating ID must be an integer'),
-    body('review').notEmpty().withMessage('Review text is required'),
-  ],
+/**
+ * Names of the uploaded file fields on a request
+ * @param {Object} req - Express request
+ * @returns {Array<string>} Field names
+ */
+const uploadedFields = (req) => {
+  if (req.file) {
+    return [req.file.fieldname];
+  }
+  if (Array.isArray(req.files)) {
+    return req.files.map((file) => file.fieldname);
+  }
+  return Object.keys(req.files || {});
 };
 
-// Export validation middleware creator
-const createValidationMiddleware = (rules) => {
-  return [...rules, validate];
+/**
+ * Validate the request against an operation's params, query and body schemas.
+ * Values are coerced and defaults applied in place, so handlers see typed input.
+ * Fails with a 400 whose `details` list every problem as `{ location, field, message }`.
+ * @param {Object} operation - Operation schemas from src/schemas ({ params, query, body, contentType })
+ * @returns {Function} Express middleware
+ */
+const validate = (operation) => {
+  const { fields, files } = splitFileFields(operation.body || NOTHING);
+  const validators = {
+    params: ajv.compile(operation.params || NOTHING),
+    query: ajv.compile(operation.query || NOTHING),
+    body: ajv.compile(fields),
+  };
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    LOCATIONS.forEach((location) => {
+      // Bodies of GET/DELETE requests (and empty POSTs) are absent rather than {}
+      const value = req[location] === undefined ? {} : req[location];
+      const valid = validators[location](value);
+
+      if (valid) {
+        req[location] = value;
+        return;
+      }
+
+      validators[location].errors.forEach((error) => {
+        details.push({ location, field: fieldPath(error), message: describeProblem(error) });
+      });
+    });
+
+    const uploaded = uploadedFields(req);
+    files
+      .filter((name) => !uploaded.includes(name))
+      .forEach((name) => details.push({ location: 'body', field: name, message: 'is required' }));
+
+    if (details.length > 0) {
+      return next(new ValidationError('Request validation failed', 'VALIDATION_FAILED', details));
+    }
+
+    next();
+  };
+
+  middleware.operation = operation;
+
+  return middleware;
 };
 
 module.exports = {
-  validate,
-  userValidationRules,
-  ratingValidationRules,
-  createValidationMiddleware,
-};
\ No newline at end of file
+  validate
+};
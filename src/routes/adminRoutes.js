@@ -1,17 +1,182 @@
 const express = require('express');
-const { verifyToken } = require('../middleware/auth');
-const db = require('../config/db');
+const adminController = require('../controllers/adminController');
+const adminSchemas = require('../schemas/adminSchemas');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
-router.get('/user-count', verifyToken, async (req, res) => {
-  try {
-    const result = await db.query('SELECT count(*) as cnt FROM users');
-    res.json({ success: true, count: parseInt(result.rows[0].cnt) });
-  } catch (error) {
-    console.error('Query failed:', error.message);
-    res.status(500).json({ error: 'Database query failed' });
-  }
-});
-
-module.exports = router;
\ No newline at end of file
+router.get(
+  '/user-count',
+  requirePermission('users:read'),
+  validate(adminSchemas.getUserCount),
+  adminController.getUserCount);
+
+router.get(
+  '/diagnostics',
+  requirePermission('system:diagnostics'),
+  validate(adminSchemas.getDiagnostics),
+  adminController.getDiagnostics);
+
+const manageContent = requirePermission('content:manage');
+
+// FAQs
+router.get('/faqs', manageContent, validate(adminSchemas.getAllFaqs), adminController.getAllFaqs);
+router.post('/faqs', manageContent, validate(adminSchemas.createFaq), adminController.createFaq);
+router.put('/faqs/:id', manageContent, validate(adminSchemas.updateFaq), adminController.updateFaq);
+router.delete('/faqs/:id', manageContent, validate(adminSchemas.deleteFaq), adminController.deleteFaq);
+
+// Site content
+router.get('/site-content', manageContent, validate(adminSchemas.getAllSiteContent), adminController.getAllSiteContent);
+router.post(
+  '/site-content',
+  manageContent,
+  validate(adminSchemas.createSiteContent),
+  adminController.createSiteContent);
+router.put(
+  '/site-content/:id',
+  manageContent,
+  validate(adminSchemas.updateSiteContent),
+  adminController.updateSiteContent);
+router.delete(
+  '/site-content/:id',
+  manageContent,
+  validate(adminSchemas.deleteSiteContent),
+  adminController.deleteSiteContent);
+
+// Survey questions
+router.get(
+  '/survey-questions',
+  manageContent,
+  validate(adminSchemas.getAllSurveyQuestions),
+  adminController.getAllSurveyQuestions);
+router.post(
+  '/survey-questions',
+  manageContent,
+  validate(adminSchemas.createSurveyQuestion),
+  adminController.createSurveyQuestion);
+router.put(
+  '/survey-questions/:id',
+  manageContent,
+  validate(adminSchemas.updateSurveyQuestion),
+  adminController.updateSurveyQuestion);
+router.delete(
+  '/survey-questions/:id',
+  manageContent,
+  validate(adminSchemas.deleteSurveyQuestion),
+  adminController.deleteSurveyQuestion);
+
+// Ads
+router.get('/ads', manageContent, validate(adminSchemas.getAllAds), adminController.getAllAds);
+router.post('/ads', manageContent, validate(adminSchemas.createAd), adminController.createAd);
+router.put('/ads/:id', manageContent, validate(adminSchemas.updateAd), adminController.updateAd);
+router.delete('/ads/:id', manageContent, validate(adminSchemas.deleteAd), adminController.deleteAd);
+
+// Support messages
+const manageMessages = requirePermission('messages:manage');
+
+router.get('/messages', manageMessages, validate(adminSchemas.getAllMessages), adminController.getAllMessages);
+router.put(
+  '/messages/:id/read',
+  manageMessages,
+  validate(adminSchemas.markMessageAsRead),
+  adminController.markMessageAsRead);
+router.post(
+  '/messages/:id/reply',
+  manageMessages,
+  validate(adminSchemas.replyToMessage),
+  adminController.replyToMessage);
+router.delete('/messages/:id', manageMessages, validate(adminSchemas.deleteMessage), adminController.deleteMessage);
+
+// Activity logs
+router.get(
+  '/activity-logs',
+  requirePermission('activity-logs:read'),
+  validate(adminSchemas.getUserActivityLogs),
+  adminController.getUserActivityLogs);
+router.get(
+  '/activity-logs/user/:userId',
+  requirePermission('activity-logs:read'),
+  validate(adminSchemas.getUserActivityLogsByUser),
+  adminController.getUserActivityLogsByUser);
+
+// Role permissions
+const managePermissions = requirePermission('permissions:manage');
+
+router.get(
+  '/permissions',
+  managePermissions,
+  validate(adminSchemas.getAllPermissions),
+  adminController.getAllPermissions);
+router.post(
+  '/permissions',
+  managePermissions,
+  validate(adminSchemas.createPermission),
+  adminController.createPermission);
+router.get('/roles', managePermissions, validate(adminSchemas.getRolePermissions), adminController.getRolePermissions);
+router.put(
+  '/roles/:roleId/permissions',
+  managePermissions,
+  validate(adminSchemas.setRolePermissions),
+  adminController.setRolePermissions);
+router.post(
+  '/roles/:roleId/permissions',
+  managePermissions,
+  validate(adminSchemas.grantRolePermission),
+  adminController.grantRolePermission);
+router.delete(
+  '/roles/:roleId/permissions/:permission',
+  managePermissions,
+  validate(adminSchemas.revokeRolePermission),
+  adminController.revokeRolePermission);
+
+// Glad points rules
+const managePoints = requirePermission('points:manage');
+
+router.get('/points/rules', managePoints, validate(adminSchemas.getPointsRules), adminController.getPointsRules);
+router.put(
+  '/points/rules/:reason',
+  managePoints,
+  validate(adminSchemas.updatePointsRule),
+  adminController.updatePointsRule);
+router.get(
+  '/points/multipliers',
+  managePoints,
+  validate(adminSchemas.getPointsMultipliers),
+  adminController.getPointsMultipliers);
+router.put(
+  '/points/multipliers/:businessTypeId',
+  managePoints,
+  validate(adminSchemas.setPointsMultiplier),
+  adminController.setPointsMultiplier);
+router.delete(
+  '/points/multipliers/:businessTypeId',
+  managePoints,
+  validate(adminSchemas.deletePointsMultiplier),
+  adminController.deletePointsMultiplier);
+
+// Achievements
+const manageAchievements = requirePermission('achievements:manage');
+
+router.get(
+  '/achievements',
+  manageAchievements,
+  validate(adminSchemas.getAchievementDefinitions),
+  adminController.getAchievementDefinitions);
+router.post(
+  '/achievements',
+  manageAchievements,
+  validate(adminSchemas.createAchievementDefinition),
+  adminController.createAchievementDefinition);
+router.put(
+  '/achievements/:id',
+  manageAchievements,
+  validate(adminSchemas.updateAchievementDefinition),
+  adminController.updateAchievementDefinition);
+router.delete(
+  '/achievements/:id',
+  manageAchievements,
+  validate(adminSchemas.deleteAchievementDefinition),
+  adminController.deleteAchievementDefinition);
+
+module.exports = router;
@@ -1,19 +1,21 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const authSchemas = require('../schemas/authSchemas');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', authController.register);
-router.post('/login', authController.login);
-router.post('/login-with-phone', authController.loginWithPhone);
-router.post('/verify-phone', authController.verifyPhone);
-router.post('/guest-login', authController.guestLogin);
-router.post('/refresh-token', authController.refreshToken);
+router.post('/register', validate(authSchemas.register), authController.register);
+router.post('/login', validate(authSchemas.login), authController.login);
+router.post('/login-with-phone', validate(authSchemas.loginWithPhone), authController.loginWithPhone);
+router.post('/verify-phone', validate(authSchemas.verifyPhone), authController.verifyPhone);
+router.post('/guest-login', validate(authSchemas.guestLogin), authController.guestLogin);
+router.post('/refresh-token', validate(authSchemas.refreshToken), authController.refreshToken);
 
 // Protected routes
-router.post('/logout', verifyToken, authController.logout);
-router.get('/me', verifyToken, authController.getCurrentUser);
+router.post('/logout', verifyToken, validate(authSchemas.logout), authController.logout);
+router.get('/me', verifyToken, validate(authSchemas.getCurrentUser), authController.getCurrentUser);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
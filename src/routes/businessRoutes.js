@@ -1,28 +1,61 @@
 const express = require('express');
 const businessController = require('../controllers/businessController');
-const { checkRole } = require('../middleware/auth');
+const businessService = require('../services/businessService');
+const businessSchemas = require('../schemas/businessSchemas');
+const { checkRole, requirePermission, requireOwnership } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
+const manageBusinessData = requirePermission('business-data:manage');
+
 // Business sectors (public read)
-router.get('/sectors', businessController.getAllSectors);
-router.get('/sectors/:id', businessController.getSectorById);
+router.get('/sectors', validate(businessSchemas.getAllSectors), businessController.getAllSectors);
+router.get('/sectors/:id', validate(businessSchemas.getSectorById), businessController.getSectorById);
 
 // Business types by sector (public read)
-router.get('/types', businessController.getAllTypes);
-router.get('/types/by-sector/:sectorId', businessController.getTypesBySector);
-router.get('/types/:id', businessController.getTypeById);
+router.get('/types', validate(businessSchemas.getAllTypes), businessController.getAllTypes);
+router.get(
+  '/types/by-sector/:sectorId',
+  validate(businessSchemas.getTypesBySector),
+  businessController.getTypesBySector);
+router.get('/types/:id', validate(businessSchemas.getTypeById), businessController.getTypeById);
 
 // Business management routes (for client users)
-router.get('/my-businesses', businessController.getUserBusinesses);
-router.post('/businesses', checkRole(['Client', 'Client Admin', 'Admin']), businessController.createBusiness);
-router.get('/businesses/:id', businessController.getBusinessById);
-router.put('/businesses/:id', businessController.updateBusiness);
+router.get('/my-businesses', validate(businessSchemas.getUserBusinesses), businessController.getUserBusinesses);
+router.post(
+  '/businesses',
+  checkRole(['Client', 'Client Admin', 'Admin']),
+  validate(businessSchemas.createBusiness),
+  businessController.createBusiness);
+router.get('/businesses/:id', validate(businessSchemas.getBusinessById), businessController.getBusinessById);
+router.put(
+  '/businesses/:id',
+  validate(businessSchemas.updateBusiness),
+  requireOwnership(businessService.getBusinessById, { name: 'Business', bypassPermission: 'businesses:manage' }),
+  businessController.updateBusiness);
+
+// Reward redemption codes, checked and used at the sponsoring business
+const ownBusiness = requireOwnership(businessService.getBusinessById, {
+  name: 'Business',
+  bypassPermission: 'rewards:manage'
+});
+
+router.get(
+  '/businesses/:id/redemptions/:code',
+  validate(businessSchemas.getRedemption),
+  ownBusiness,
+  businessController.getRedemption);
+router.put(
+  '/businesses/:id/redemptions/:code/use',
+  validate(businessSchemas.useRedemption),
+  ownBusiness,
+  businessController.useRedemption);
 
 // Admin routes for business data
-router.post('/sectors', checkRole(['Admin']), businessController.createSector);
-router.put('/sectors/:id', checkRole(['Admin']), businessController.updateSector);
-router.post('/types', checkRole(['Admin']), businessController.createType);
-router.put('/types/:id', checkRole(['Admin']), businessController.updateType);
+router.post('/sectors', manageBusinessData, validate(businessSchemas.createSector), businessController.createSector);
+router.put('/sectors/:id', manageBusinessData, validate(businessSchemas.updateSector), businessController.updateSector);
+router.post('/types', manageBusinessData, validate(businessSchemas.createType), businessController.createType);
+router.put('/types/:id', manageBusinessData, validate(businessSchemas.updateType), businessController.updateType);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
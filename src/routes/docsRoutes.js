@@ -0,0 +1,13 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const docsController = require('../controllers/docsController');
+
+const router = express.Router();
+
+router.get('/', docsController.getDocsPage);
+router.get('/openapi.json', docsController.getOpenApiSpec);
+
+// Swagger UI assets; its own index.html would load the petstore demo instead
+router.use(express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
@@ -1,44 +1,71 @@
 const express = require('express');
 const educationController = require('../controllers/educationController');
-const { checkRole } = require('../middleware/auth');
+const educationSchemas = require('../schemas/educationSchemas');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
 // Areas
-router.get('/areas', educationController.getAllAreas);
-router.get('/areas/:id', educationController.getAreaById);
+router.get('/areas', validate(educationSchemas.getAllAreas), educationController.getAllAreas);
+router.get('/areas/:id', validate(educationSchemas.getAreaById), educationController.getAreaById);
 
 // Locations
-router.get('/locations', educationController.getAllLocations);
-router.get('/locations/by-area/:areaId', educationController.getLocationsByArea);
-router.get('/locations/:id', educationController.getLocationById);
+router.get('/locations', validate(educationSchemas.getAllLocations), educationController.getAllLocations);
+router.get(
+  '/locations/by-area/:areaId',
+  validate(educationSchemas.getLocationsByArea),
+  educationController.getLocationsByArea);
+router.get('/locations/:id', validate(educationSchemas.getLocationById), educationController.getLocationById);
 
 // Dorms
-router.get('/dorms', educationController.getAllDorms);
-router.get('/dorms/by-location/:locationId', educationController.getDormsByLocation);
-router.get('/dorms/:id', educationController.getDormById);
+router.get('/dorms', validate(educationSchemas.getAllDorms), educationController.getAllDorms);
+router.get(
+  '/dorms/by-location/:locationId',
+  validate(educationSchemas.getDormsByLocation),
+  educationController.getDormsByLocation);
+router.get('/dorms/:id', validate(educationSchemas.getDormById), educationController.getDormById);
 
 // Professors
-router.get('/professors', educationController.getAllProfessors);
-router.get('/professors/by-department/:departmentId', educationController.getProfessorsByDepartment);
-router.get('/professors/:id', educationController.getProfessorById);
-router.get('/professors/:id/courses', educationController.getProfessorCourses);
+router.get('/professors', validate(educationSchemas.getAllProfessors), educationController.getAllProfessors);
+router.get(
+  '/professors/by-department/:departmentId',
+  validate(educationSchemas.getProfessorsByDepartment),
+  educationController.getProfessorsByDepartment);
+router.get('/professors/:id', validate(educationSchemas.getProfessorById), educationController.getProfessorById);
+router.get(
+  '/professors/:id/courses',
+  validate(educationSchemas.getProfessorCourses),
+  educationController.getProfessorCourses);
 
 // Departments and class codes
-router.get('/departments', educationController.getAllDepartments);
-router.get('/class-codes', educationController.getAllClassCodes);
-router.get('/class-codes/by-department/:departmentId', educationController.getClassCodesByDepartment);
+router.get('/departments', validate(educationSchemas.getAllDepartments), educationController.getAllDepartments);
+router.get('/class-codes', validate(educationSchemas.getAllClassCodes), educationController.getAllClassCodes);
+router.get(
+  '/class-codes/by-department/:departmentId',
+  validate(educationSchemas.getClassCodesByDepartment),
+  educationController.getClassCodesByDepartment);
 
 // Internet/Security/Social
-router.get('/internet', educationController.getAllInternet);
-router.get('/security', educationController.getAllSecurity);
-router.get('/social', educationController.getAllSocial);
+router.get('/internet', validate(educationSchemas.getAllInternet), educationController.getAllInternet);
+router.get('/security', validate(educationSchemas.getAllSecurity), educationController.getAllSecurity);
+router.get('/social', validate(educationSchemas.getAllSocial), educationController.getAllSocial);
 
 // Admin routes for managing education data
-router.post('/areas', checkRole(['Admin']), educationController.createArea);
-router.put('/areas/:id', checkRole(['Admin']), educationController.updateArea);
-router.post('/locations', checkRole(['Admin']), educationController.createLocation);
-router.put('/locations/:id', checkRole(['Admin']), educationController.updateLocation);
+const manageEducation = requirePermission('education:manage');
+
+router.post('/areas', manageEducation, validate(educationSchemas.createArea), educationController.createArea);
+router.put('/areas/:id', manageEducation, validate(educationSchemas.updateArea), educationController.updateArea);
+router.post(
+  '/locations',
+  manageEducation,
+  validate(educationSchemas.createLocation),
+  educationController.createLocation);
+router.put(
+  '/locations/:id',
+  manageEducation,
+  validate(educationSchemas.updateLocation),
+  educationController.updateLocation);
 // Additional admin routes for other educational entities...
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const healthController = require('../controllers/healthController');
+
+const router = express.Router();
+
+// Probes for Cloud Run and load balancers; unauthenticated and outside the API prefix
+router.get('/healthz', healthController.getLiveness);
+router.get('/readyz', healthController.getReadiness);
+
+module.exports = router;
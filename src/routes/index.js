@@ -1,65 +1,24 @@
-
 const express = require('express');
 
-const authRoutes = require('./authRoutes');
-/*const userRoutes = require('./userRoutes');
-const businessRoutes = require('./businessRoutes');
-const ratingRoutes = require('./ratingRoutes');
-const educationRoutes = require('./educationRoutes');
-const mediaRoutes = require('./mediaRoutes');
-const adminRoutes = require('./adminRoutes');*/
-
+const mounts = require('./mounts');
 const { verifyToken } = require('../middleware/auth');
 
 const router = express.Router();
 
-
 // Basic route for testing
-router.get('/', (req, res) => {
+const getApiStatus = (req, res) => {
   res.json({ message: 'API is working' });
-});
-
-
-// Public routes (no authentication required)
-router.use('/auth', authRoutes);
-
-// Protected routes (authentication required)
-/*router.use('/users', verifyToken, userRoutes);
-router.use('/business', verifyToken, businessRoutes);
-router.use('/ratings', verifyToken, ratingRoutes);
-router.use('/education', verifyToken, educationRoutes);
-router.use('/media', verifyToken, mediaRoutes);
-router.use('/admin', verifyToken, adminRoutes); */
-
-module.exports = router;
-
+};
 
-/*
+router.get('/', getApiStatus);
 
-const express = require('express');
-
-const authRoutes = require('./authRoutes');
-const userRoutes = require('./userRoutes');
-const businessRoutes = require('./businessRoutes');
-const ratingRoutes = require('./ratingRoutes');
-const educationRoutes = require('./educationRoutes');
-const mediaRoutes = require('./mediaRoutes');
-const adminRoutes = require('./adminRoutes');
-const { verifyToken } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Public routes (no authentication required)
-router.use('/auth', authRoutes);
-
-// Protected routes (authentication required)
-router.use('/users', verifyToken, userRoutes);
-router.use('/business', verifyToken, businessRoutes);
-router.use('/ratings', verifyToken, ratingRoutes);
-router.use('/education', verifyToken, educationRoutes);
-router.use('/media', verifyToken, mediaRoutes);
-router.use('/admin', verifyToken, adminRoutes);
+// Public mounts (e.g. /auth) handle their own authentication per route
+mounts.forEach(({ path, router: subRouter, authenticated }) => {
+  if (authenticated) {
+    router.use(path, verifyToken, subRouter);
+  } else {
+    router.use(path, subRouter);
+  }
+});
 
 module.exports = router;
-
-*/
\ No newline at end of file
@@ -0,0 +1,10 @@
+const express = require('express');
+const leaderboardController = require('../controllers/leaderboardController');
+const leaderboardSchemas = require('../schemas/leaderboardSchemas');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+router.get('/', validate(leaderboardSchemas.getLeaderboard), leaderboardController.getLeaderboard);
+
+module.exports = router;
@@ -1,25 +1,44 @@
 const express = require('express');
 const mediaController = require('../controllers/mediaController');
-const { checkRole } = require('../middleware/auth');
+const mediaService = require('../services/mediaService');
+const mediaSchemas = require('../schemas/mediaSchemas');
+const { requirePermission, requireOwnership, requireSelf } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 const upload = require('../middleware/upload'); // We'll create this middleware for file uploads
 
 const router = express.Router();
 
 // Image types
-router.get('/image-types', mediaController.getImageTypes);
+router.get('/image-types', validate(mediaSchemas.getImageTypes), mediaController.getImageTypes);
 
-// Image uploads
-router.post('/upload', upload.single('image'), mediaController.uploadImage);
-router.delete('/:id', mediaController.deleteImage);
+// Image uploads (multipart fields are only parsed once multer has run)
+router.post('/upload', upload.single('image'), validate(mediaSchemas.uploadImage), mediaController.uploadImage);
+router.delete(
+  '/:id',
+  validate(mediaSchemas.deleteImage),
+  requireOwnership(mediaService.getImageById, { name: 'Image', bypassPermission: 'media:manage' }),
+  mediaController.deleteImage);
 
 // Get images by association
-router.get('/by-user/:userId', mediaController.getImagesByUser);
-router.get('/by-rating/:ratingId', mediaController.getImagesByRating);
-router.get('/by-review/:reviewId', mediaController.getImagesByReview);
-router.get('/by-dorm/:dormId', mediaController.getImagesByDorm);
+router.get(
+  '/by-user/:userId',
+  validate(mediaSchemas.getImagesByUser),
+  requireSelf('userId'),
+  mediaController.getImagesByUser);
+router.get('/by-rating/:ratingId', validate(mediaSchemas.getImagesByRating), mediaController.getImagesByRating);
+router.get('/by-review/:reviewId', validate(mediaSchemas.getImagesByReview), mediaController.getImagesByReview);
+router.get('/by-dorm/:dormId', validate(mediaSchemas.getImagesByDorm), mediaController.getImagesByDorm);
 
 // Admin routes
-router.get('/all', checkRole(['Admin', 'Support']), mediaController.getAllImages);
-router.put('/:id/moderate', checkRole(['Admin', 'Moderator']), mediaController.moderateImage);
+router.get(
+  '/all',
+  requirePermission('media:read-all'),
+  validate(mediaSchemas.getAllImages),
+  mediaController.getAllImages);
+router.put(
+  '/:id/moderate',
+  requirePermission('media:moderate'),
+  validate(mediaSchemas.moderateImage),
+  mediaController.moderateImage);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const metricsController = require('../controllers/metricsController');
+
+const router = express.Router();
+
+// Prometheus scrape target; protected by METRICS_TOKEN when it is set
+router.get('/metrics', metricsController.getMetrics);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const authRoutes = require('./authRoutes');
+const userRoutes = require('./userRoutes');
+const businessRoutes = require('./businessRoutes');
+const ratingRoutes = require('./ratingRoutes');
+const educationRoutes = require('./educationRoutes');
+const mediaRoutes = require('./mediaRoutes');
+const rewardRoutes = require('./rewardRoutes');
+const leaderboardRoutes = require('./leaderboardRoutes');
+const adminRoutes = require('./adminRoutes');
+
+// Sub-routers under the API prefix. Authenticated mounts sit behind verifyToken;
+// the OpenAPI generator reads this table too, so new routers belong here.
+module.exports = [
+  { path: '/auth', router: authRoutes, authenticated: false },
+  { path: '/users', router: userRoutes, authenticated: true },
+  { path: '/business', router: businessRoutes, authenticated: true },
+  { path: '/ratings', router: ratingRoutes, authenticated: true },
+  { path: '/education', router: educationRoutes, authenticated: true },
+  { path: '/media', router: mediaRoutes, authenticated: true },
+  { path: '/rewards', router: rewardRoutes, authenticated: true },
+  { path: '/leaderboards', router: leaderboardRoutes, authenticated: true },
+  { path: '/admin', router: adminRoutes, authenticated: true },
+];
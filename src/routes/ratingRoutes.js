@@ -1,30 +1,125 @@
 const express = require('express');
 const ratingController = require('../controllers/ratingController');
-const { checkRole } = require('../middleware/auth');
+const ratingService = require('../services/ratingService');
+const ratingSchemas = require('../schemas/ratingSchemas');
+const { requirePermission, requireOwnership } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
+const ownRating = requireOwnership(ratingService.getRatingById, {
+  name: 'Rating',
+  bypassPermission: 'ratings:manage'
+});
+
+const ownReview = requireOwnership(ratingService.getReviewById, {
+  name: 'Review',
+  bypassPermission: 'reviews:manage'
+});
+
+// Edit history is readable by the author and by whoever may review it
+const ratingHistoryReader = requireOwnership(ratingService.getRatingById, {
+  name: 'Rating',
+  bypassPermission: 'revisions:read'
+});
+
+const reviewHistoryReader = requireOwnership(ratingService.getReviewById, {
+  name: 'Review',
+  bypassPermission: 'revisions:read'
+});
+
+// Reviews and survey answers may only be attached to the caller's own rating
+const ownRatingInBody = requireOwnership(ratingService.getRatingById, {
+  name: 'Rating',
+  getId: (req) => req.body.consumerRatingId,
+  bypassRoles: []
+});
+
 // Public read routes
-router.get('/by-place/:placeId', ratingController.getRatingsByPlace);
-router.get('/reviews/by-place/:placeId', ratingController.getReviewsByPlace);
+router.get('/by-place/:placeId', validate(ratingSchemas.getRatingsByPlace), ratingController.getRatingsByPlace);
+router.get(
+  '/by-place/:placeId/ratings',
+  validate(ratingSchemas.getRatingListByPlace),
+  ratingController.getRatingListByPlace);
+router.get(
+  '/by-place/:placeId/trends',
+  validate(ratingSchemas.getRatingTrendsByPlace),
+  ratingController.getRatingTrendsByPlace);
+router.get('/by-place/:placeId/score', validate(ratingSchemas.getPlaceScore), ratingController.getPlaceScore);
+router.get('/rankings', validate(ratingSchemas.getRankings), ratingController.getRankings);
+router.get('/reviews/by-place/:placeId', validate(ratingSchemas.getReviewsByPlace), ratingController.getReviewsByPlace);
 
 // Protected write routes
-router.post('/', ratingController.createRating);
-router.put('/:id', ratingController.updateRating);
-router.delete('/:id', ratingController.deleteRating);
+router.post('/', validate(ratingSchemas.createRating), ratingController.createRating);
+router.put('/:id', validate(ratingSchemas.updateRating), ownRating, ratingController.updateRating);
+router.delete('/:id', validate(ratingSchemas.deleteRating), ownRating, ratingController.deleteRating);
+router.get(
+  '/:id/history',
+  validate(ratingSchemas.getRatingHistory),
+  ratingHistoryReader,
+  ratingController.getRatingHistory);
+router.post(
+  '/:id/history/:revisionId/restore',
+  requirePermission('revisions:restore'),
+  validate(ratingSchemas.restoreRatingRevision),
+  ratingController.restoreRatingRevision);
 
 // Reviews
-router.post('/reviews', ratingController.createReview);
-router.put('/reviews/:id', ratingController.updateReview);
-router.delete('/reviews/:id', ratingController.deleteReview);
+router.post('/reviews', validate(ratingSchemas.createReview), ownRatingInBody, ratingController.createReview);
+router.put('/reviews/:id', validate(ratingSchemas.updateReview), ownReview, ratingController.updateReview);
+router.delete('/reviews/:id', validate(ratingSchemas.deleteReview), ownReview, ratingController.deleteReview);
+router.post('/reviews/:id/helpful', validate(ratingSchemas.markReviewHelpful), ratingController.markReviewHelpful);
+router.delete(
+  '/reviews/:id/helpful',
+  validate(ratingSchemas.unmarkReviewHelpful),
+  ratingController.unmarkReviewHelpful);
+router.get(
+  '/reviews/:id/history',
+  validate(ratingSchemas.getReviewHistory),
+  reviewHistoryReader,
+  ratingController.getReviewHistory);
+router.post(
+  '/reviews/:id/history/:revisionId/restore',
+  requirePermission('revisions:restore'),
+  validate(ratingSchemas.restoreReviewRevision),
+  ratingController.restoreReviewRevision);
 
 // Survey question answers
-router.post('/survey-answers', ratingController.submitSurveyAnswers);
-router.get('/survey-questions/by-type/:typeId', ratingController.getSurveyQuestionsByType);
+router.post(
+  '/survey-answers',
+  validate(ratingSchemas.submitSurveyAnswers),
+  ownRatingInBody,
+  ratingController.submitSurveyAnswers);
+router.get(
+  '/survey-questions/by-type/:typeId',
+  validate(ratingSchemas.getSurveyQuestionsByType),
+  ratingController.getSurveyQuestionsByType);
 
 // Admin routes
-router.get('/all', checkRole(['Admin', 'Support']), ratingController.getAllRatings);
-router.get('/reviews/all', checkRole(['Admin', 'Support']), ratingController.getAllReviews);
-router.put('/reviews/:id/moderate', checkRole(['Admin', 'Moderator']), ratingController.moderateReview);
+router.get(
+  '/all',
+  requirePermission('ratings:read-all'),
+  validate(ratingSchemas.getAllRatings),
+  ratingController.getAllRatings);
+router.get(
+  '/quarantine',
+  requirePermission('ratings:moderate'),
+  validate(ratingSchemas.getQuarantinedRatings),
+  ratingController.getQuarantinedRatings);
+router.put(
+  '/:id/quarantine',
+  requirePermission('ratings:moderate'),
+  validate(ratingSchemas.decideQuarantinedRating),
+  ratingController.decideQuarantinedRating);
+router.get(
+  '/reviews/all',
+  requirePermission('reviews:read-all'),
+  validate(ratingSchemas.getAllReviews),
+  ratingController.getAllReviews);
+router.put(
+  '/reviews/:id/moderate',
+  requirePermission('reviews:moderate'),
+  validate(ratingSchemas.moderateReview),
+  ratingController.moderateReview);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
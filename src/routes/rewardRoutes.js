@@ -0,0 +1,23 @@
+const express = require('express');
+const rewardController = require('../controllers/rewardController');
+const rewardSchemas = require('../schemas/rewardSchemas');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+const router = express.Router();
+
+const manageRewards = requirePermission('rewards:manage');
+
+// Catalog and redemption
+router.get('/', validate(rewardSchemas.getCatalog), rewardController.getCatalog);
+router.get('/redemptions', validate(rewardSchemas.getUserRedemptions), rewardController.getUserRedemptions);
+router.get('/all', manageRewards, validate(rewardSchemas.getAllRewards), rewardController.getAllRewards);
+router.get('/:id', validate(rewardSchemas.getRewardById), rewardController.getRewardById);
+router.post('/:id/redeem', validate(rewardSchemas.redeemReward), rewardController.redeemReward);
+
+// Admin routes for the catalog
+router.post('/', manageRewards, validate(rewardSchemas.createReward), rewardController.createReward);
+router.put('/:id', manageRewards, validate(rewardSchemas.updateReward), rewardController.updateReward);
+router.delete('/:id', manageRewards, validate(rewardSchemas.deleteReward), rewardController.deleteReward);
+
+module.exports = router;
@@ -1,30 +1,40 @@
 const express = require('express');
 const userController = require('../controllers/userController');
-const { checkRole } = require('../middleware/auth');
+const userSchemas = require('../schemas/userSchemas');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 const router = express.Router();
 
 // User profile management (all authenticated)
-router.get('/profile', userController.getCurrentUser);
-router.put('/profile', userController.updateProfile);
-router.delete('/profile', userController.deleteAccount);
+router.get('/profile', validate(userSchemas.getCurrentUser), userController.getCurrentUser);
+router.put('/profile', validate(userSchemas.updateProfile), userController.updateProfile);
+router.delete('/profile', validate(userSchemas.deleteAccount), userController.deleteAccount);
 
 // User's data
-router.get('/reviews', userController.getUserReviews);
-router.get('/ratings', userController.getUserRatings);
-router.get('/points', userController.getUserPoints);
+router.get('/reviews', validate(userSchemas.getUserReviews), userController.getUserReviews);
+router.get('/ratings', validate(userSchemas.getUserRatings), userController.getUserRatings);
+router.get('/points', validate(userSchemas.getUserPoints), userController.getUserPoints);
+router.get('/achievements', validate(userSchemas.getUserAchievements), userController.getUserAchievements);
 
 // User preferences
-router.get('/business-types', userController.getUserBusinessTypes);
-router.post('/business-types', userController.addUserBusinessType);
-router.put('/business-types/:id', userController.updateUserBusinessType);
-router.delete('/business-types/:id', userController.deleteUserBusinessType);
+router.get('/business-types', validate(userSchemas.getUserBusinessTypes), userController.getUserBusinessTypes);
+router.post('/business-types', validate(userSchemas.addUserBusinessType), userController.addUserBusinessType);
+router.put('/business-types/:id', validate(userSchemas.updateUserBusinessType), userController.updateUserBusinessType);
+router.delete(
+  '/business-types/:id',
+  validate(userSchemas.deleteUserBusinessType),
+  userController.deleteUserBusinessType);
 
 // Admin-only routes
-router.get('/', checkRole(['Admin', 'Support']), userController.getAllUsers);
-router.get('/:id', checkRole(['Admin', 'Support']), userController.getUserById);
-router.put('/:id', checkRole(['Admin']), userController.updateUser);
-router.delete('/:id', checkRole(['Admin']), userController.deleteUser);
-router.put('/:id/role', checkRole(['Admin']), userController.changeUserRole);
+router.get('/', requirePermission('users:read'), validate(userSchemas.getAllUsers), userController.getAllUsers);
+router.get('/:id', requirePermission('users:read'), validate(userSchemas.getUserById), userController.getUserById);
+router.put('/:id', requirePermission('users:manage'), validate(userSchemas.updateUser), userController.updateUser);
+router.delete('/:id', requirePermission('users:manage'), validate(userSchemas.deleteUser), userController.deleteUser);
+router.put(
+  '/:id/role',
+  requirePermission('users:assign-roles'),
+  validate(userSchemas.changeUserRole),
+  userController.changeUserRole);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,290 @@
+const {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  timestamp,
+  nullable,
+  object,
+  arrayOf,
+  idParams,
+  paginationQuery,
+  paginated,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+const permissionName = { type: 'string', pattern: '^[a-z][a-z-]*:[a-z][a-z-]*$' };
+const pointsReason = { type: 'string', pattern: '^[a-z][a-z_]*$', maxLength: 50 };
+
+// Content updates replace every column, so create and update share one body
+const faqBody = object({
+  faq: nonEmptyText,
+  faqAnswer: nonEmptyText,
+  environmentTypeId: id,
+  isActive: bool,
+}, ['faq', 'faqAnswer', 'environmentTypeId']);
+
+const siteContentBody = object({
+  subject: nonEmptyText,
+  content: nonEmptyText,
+  isActive: bool,
+  messageCategoryIds: arrayOf(id),
+  environmentTypeIds: arrayOf(id),
+}, ['subject', 'content']);
+
+const achievementBody = object({
+  code: { type: 'string', pattern: '^[a-z][a-z0-9_]*$', maxLength: 50 },
+  name: { ...nonEmptyText, maxLength: 150 },
+  description: text,
+  metric: { type: 'string', enum: ['ratings', 'reviews', 'dorm_reviews', 'sectors_rated', 'streak_days'] },
+  threshold: { type: 'integer', minimum: 1 },
+  bonusPoints: { type: 'integer', minimum: 0 },
+  isActive: bool,
+}, ['code', 'name', 'metric', 'threshold']);
+
+const surveyQuestionBody = object({
+  question: nonEmptyText,
+  businessTypeId: id,
+  eduCategoryId: id,
+  isActive: bool,
+  answerOptions: arrayOf(nonEmptyText),
+}, ['question']);
+
+const adBody = object({
+  businessName: nonEmptyText,
+  businessTelephone: text,
+  content: nonEmptyText,
+  expirationDate: nullable({ type: 'string', format: 'date' }),
+  imageURL: text,
+  url: text,
+  isActive: bool,
+}, ['businessName', 'content']);
+
+const activityLogQuery = paginationQuery({
+  eventType: text,
+  eventCategory: text,
+  startDate: timestamp,
+  endDate: timestamp,
+});
+
+const deleted = (what) => respond(200, `${what} deleted`, message());
+
+module.exports = {
+  getUserCount: {
+    summary: 'Count registered users',
+    responses: respond(200, 'User count', {
+      type: 'object',
+      properties: { success: bool, count: { type: 'integer' } },
+    }),
+  },
+
+  getDiagnostics: {
+    summary: 'Build, uptime, connection pool, migration and dependency status',
+    responses: respond(200, 'Diagnostics report', ref('Diagnostics')),
+  },
+
+  getAllFaqs: {
+    summary: 'List FAQs',
+    responses: respond(200, 'FAQs', wrapped('faqs', arrayOf(ref('Faq')))),
+  },
+  createFaq: {
+    summary: 'Create an FAQ',
+    body: faqBody,
+    responses: respond(201, 'FAQ created', message({ faq: ref('Faq') })),
+  },
+  updateFaq: {
+    summary: 'Replace an FAQ',
+    params: idParams('id'),
+    body: faqBody,
+    responses: respond(200, 'FAQ updated', message({ faq: ref('Faq') })),
+  },
+  deleteFaq: {
+    summary: 'Delete an FAQ',
+    params: idParams('id'),
+    responses: deleted('FAQ'),
+  },
+
+  getAllSiteContent: {
+    summary: 'List site content documents',
+    responses: respond(200, 'Site content', wrapped('content', arrayOf(ref('SiteContent')))),
+  },
+  createSiteContent: {
+    summary: 'Create a site content document',
+    body: siteContentBody,
+    responses: respond(201, 'Site content created', message({ content: ref('SiteContent') })),
+  },
+  updateSiteContent: {
+    summary: 'Replace a site content document',
+    params: idParams('id'),
+    body: siteContentBody,
+    responses: respond(200, 'Site content updated', message({ content: ref('SiteContent') })),
+  },
+  deleteSiteContent: {
+    summary: 'Delete a site content document',
+    params: idParams('id'),
+    responses: deleted('Site content'),
+  },
+
+  getAllSurveyQuestions: {
+    summary: 'List survey questions with their answer options',
+    responses: respond(200, 'Survey questions', wrapped('questions', arrayOf(ref('SurveyQuestion')))),
+  },
+  createSurveyQuestion: {
+    summary: 'Create a survey question',
+    body: surveyQuestionBody,
+    responses: respond(201, 'Survey question created', message({ question: ref('SurveyQuestion') })),
+  },
+  updateSurveyQuestion: {
+    summary: 'Replace a survey question (answer options are replaced when sent)',
+    params: idParams('id'),
+    body: surveyQuestionBody,
+    responses: respond(200, 'Survey question updated', message({ question: ref('SurveyQuestion') })),
+  },
+  deleteSurveyQuestion: {
+    summary: 'Delete a survey question',
+    params: idParams('id'),
+    responses: deleted('Survey question'),
+  },
+
+  getAllMessages: {
+    summary: 'List support messages',
+    query: paginationQuery({ isRead: bool, isReplied: bool, requiresReply: bool, category: text }),
+    responses: respond(200, 'Page of messages', paginated('Message')),
+  },
+  markMessageAsRead: {
+    summary: 'Mark a support message as read',
+    params: idParams('id'),
+    // The confirmation text is overwritten by the updated row in the response
+    responses: respond(200, 'Updated message', wrapped('message', ref('Message'))),
+  },
+  replyToMessage: {
+    summary: 'Reply to a support message',
+    params: idParams('id'),
+    body: object({ replyText: nonEmptyText }, ['replyText']),
+    responses: respond(200, 'Updated message', wrapped('message', ref('Message'))),
+  },
+  deleteMessage: {
+    summary: 'Delete a support message',
+    params: idParams('id'),
+    responses: deleted('Message'),
+  },
+
+  getAllAds: {
+    summary: 'List ads',
+    query: paginationQuery({ isActive: bool }),
+    responses: respond(200, 'Page of ads', paginated('Ad')),
+  },
+  createAd: {
+    summary: 'Create an ad',
+    body: adBody,
+    responses: respond(201, 'Ad created', message({ ad: ref('Ad') })),
+  },
+  updateAd: {
+    summary: 'Replace an ad',
+    params: idParams('id'),
+    body: adBody,
+    responses: respond(200, 'Ad updated', message({ ad: ref('Ad') })),
+  },
+  deleteAd: {
+    summary: 'Delete an ad',
+    params: idParams('id'),
+    responses: deleted('Ad'),
+  },
+
+  getUserActivityLogs: {
+    summary: 'List user activity',
+    query: activityLogQuery,
+    responses: respond(200, 'Page of activity', paginated('ActivityLog')),
+  },
+  getUserActivityLogsByUser: {
+    summary: 'List one user\'s activity',
+    params: idParams('userId'),
+    query: activityLogQuery,
+    responses: respond(200, 'Page of activity', paginated('ActivityLog')),
+  },
+
+  getAllPermissions: {
+    summary: 'List permissions',
+    responses: respond(200, 'Permissions', wrapped('permissions', arrayOf(ref('Permission')))),
+  },
+  createPermission: {
+    summary: 'Create a permission',
+    body: object({ permission: permissionName, description: text }, ['permission']),
+    responses: respond(201, 'Permission created', message({ permission: ref('Permission') })),
+  },
+  getRolePermissions: {
+    summary: 'List roles with the permissions they grant',
+    responses: respond(200, 'Roles', wrapped('roles', arrayOf(ref('RolePermissions')))),
+  },
+  setRolePermissions: {
+    summary: 'Replace the permissions granted by a role',
+    params: idParams('roleId'),
+    body: object({ permissions: arrayOf(permissionName) }, ['permissions']),
+    responses: respond(200, 'Grants replaced', message({ permissions: arrayOf(text) })),
+  },
+  grantRolePermission: {
+    summary: 'Grant a permission to a role',
+    params: idParams('roleId'),
+    body: object({ permission: permissionName }, ['permission']),
+    responses: respond(200, 'Permission granted', message()),
+  },
+  revokeRolePermission: {
+    summary: 'Revoke a permission from a role',
+    params: object({ roleId: id, permission: permissionName }, ['roleId', 'permission']),
+    responses: respond(200, 'Permission revoked', message()),
+  },
+  getPointsRules: {
+    summary: 'List the Glad points rules',
+    responses: respond(200, 'Rules', wrapped('rules', arrayOf(ref('PointsRule')))),
+  },
+  updatePointsRule: {
+    summary: 'Change what a reason pays',
+    params: object({ reason: pointsReason }, ['reason']),
+    body: object({
+      points: { type: 'integer', minimum: 0 },
+      // null removes the cap
+      dailyCap: nullable({ type: 'integer', minimum: 0 }),
+      isActive: bool,
+      description: nonEmptyText,
+    }),
+    responses: respond(200, 'Rule updated', message({ rule: ref('PointsRule') })),
+  },
+  getPointsMultipliers: {
+    summary: 'List the Glad points multipliers by business type',
+    responses: respond(200, 'Multipliers', wrapped('multipliers', arrayOf(ref('PointsMultiplier')))),
+  },
+  setPointsMultiplier: {
+    summary: 'Set the Glad points multiplier of a business type',
+    params: idParams('businessTypeId'),
+    body: object({ multiplier: { type: 'number', exclusiveMinimum: 0, maximum: 100 } }, ['multiplier']),
+    responses: respond(200, 'Multiplier set', message({ multiplier: ref('PointsMultiplier') })),
+  },
+  deletePointsMultiplier: {
+    summary: 'Remove the Glad points multiplier of a business type',
+    params: idParams('businessTypeId'),
+    responses: respond(200, 'Multiplier removed', message()),
+  },
+  getAchievementDefinitions: {
+    summary: 'List the achievement definitions with how many users earned each',
+    responses: respond(200, 'Definitions', wrapped('achievements', arrayOf(ref('AchievementDefinition')))),
+  },
+  createAchievementDefinition: {
+    summary: 'Create an achievement definition',
+    body: achievementBody,
+    responses: respond(201, 'Definition created', message({ achievement: ref('AchievementDefinition') })),
+  },
+  updateAchievementDefinition: {
+    summary: 'Replace an achievement definition',
+    params: idParams('id'),
+    body: achievementBody,
+    responses: respond(200, 'Definition updated', message({ achievement: ref('AchievementDefinition') })),
+  },
+  deleteAchievementDefinition: {
+    summary: 'Delete an achievement definition nobody has earned',
+    params: idParams('id'),
+    responses: respond(200, 'Definition deleted', message()),
+  },
+};
@@ -0,0 +1,47 @@
+const { text, nonEmptyText, object, ref, message, wrapped, respond } = require('./common');
+
+// Firebase client SDK placeholders answer with a hint instead of doing work
+const clientSdkHint = respond(200, 'Handled by the Firebase client SDK', message({ tip: text }));
+
+module.exports = {
+  register: {
+    summary: 'Register a user with email and password',
+    body: object({
+      email: { type: 'string', format: 'email' },
+      password: { type: 'string', minLength: 6 },
+      firstName: nonEmptyText,
+      lastName: nonEmptyText,
+      telephone: text,
+    }, ['email', 'password', 'firstName', 'lastName']),
+    responses: respond(201, 'User registered', message({ user: ref('User') })),
+  },
+  login: {
+    summary: 'Email login (performed by the Firebase client SDK)',
+    responses: clientSdkHint,
+  },
+  loginWithPhone: {
+    summary: 'Phone login (performed by the Firebase client SDK)',
+    responses: clientSdkHint,
+  },
+  verifyPhone: {
+    summary: 'Phone verification (performed by the Firebase client SDK)',
+    responses: clientSdkHint,
+  },
+  guestLogin: {
+    summary: 'Create or fetch the guest user for an anonymous Firebase login',
+    body: object({ firebaseUid: nonEmptyText }, ['firebaseUid']),
+    responses: respond(200, 'Guest user', message({ user: ref('User') })),
+  },
+  refreshToken: {
+    summary: 'Token refresh (performed by the Firebase client SDK)',
+    responses: clientSdkHint,
+  },
+  logout: {
+    summary: 'Record the logout of the current user',
+    responses: respond(200, 'Logged out', message()),
+  },
+  getCurrentUser: {
+    summary: 'Get the current user',
+    responses: respond(200, 'Current user', wrapped('user', ref('User'))),
+  },
+};
@@ -0,0 +1,121 @@
+const {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  nullable,
+  object,
+  arrayOf,
+  idParams,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+// Codes are issued as GG-XXXXXXXX; lookups ignore case
+const redemptionCode = { type: 'string', pattern: '^[A-Za-z0-9-]{1,20}$' };
+
+const businessFields = {
+  businessName: nonEmptyText,
+  businessTypeId: id,
+  streetAddress: text,
+  city: text,
+  state: text,
+  zipCode: text,
+  country: text,
+  phone: text,
+  website: text,
+  logoURL: text,
+};
+
+// Sector and type updates replace every column, so updates take the full body too
+const sectorBody = object(
+  { businessSectorName: nonEmptyText, isExternal: bool, other: nullable(text) },
+  ['businessSectorName']
+);
+
+const redemptionParams = object({ id, code: redemptionCode }, ['id', 'code']);
+
+const typeBody = object(
+  { businessType: nonEmptyText, businessSectorId: id, isDefault: bool, isExternal: bool },
+  ['businessType', 'businessSectorId']
+);
+
+module.exports = {
+  getAllSectors: {
+    summary: 'List business sectors',
+    responses: respond(200, 'Sectors', wrapped('sectors', arrayOf(ref('Sector')))),
+  },
+  getSectorById: {
+    summary: 'Get a business sector',
+    params: idParams('id'),
+    responses: respond(200, 'Sector', wrapped('sector', ref('Sector'))),
+  },
+  getAllTypes: {
+    summary: 'List business types',
+    responses: respond(200, 'Business types', wrapped('types', arrayOf(ref('BusinessType')))),
+  },
+  getTypesBySector: {
+    summary: 'List the business types of a sector',
+    params: idParams('sectorId'),
+    responses: respond(200, 'Business types', wrapped('types', arrayOf(ref('BusinessType')))),
+  },
+  getTypeById: {
+    summary: 'Get a business type',
+    params: idParams('id'),
+    responses: respond(200, 'Business type', wrapped('type', ref('BusinessType'))),
+  },
+  getUserBusinesses: {
+    summary: 'List the businesses owned by the caller',
+    responses: respond(200, 'Businesses', wrapped('businesses', arrayOf(ref('Business')))),
+  },
+  createBusiness: {
+    summary: 'Create a business owned by the caller',
+    body: object({ ...businessFields, placeId: text }, ['businessName']),
+    responses: respond(201, 'Business created', message({ business: ref('Business') })),
+  },
+  getBusinessById: {
+    summary: 'Get a business (inactive businesses are visible to their owner and admins only)',
+    params: idParams('id'),
+    responses: respond(200, 'Business', wrapped('business', ref('Business'))),
+  },
+  updateBusiness: {
+    summary: 'Update a business (only the fields sent are changed)',
+    params: idParams('id'),
+    body: object({ ...businessFields, isActive: bool }),
+    responses: respond(200, 'Business updated', message({ business: ref('Business') })),
+  },
+  getRedemption: {
+    summary: 'Check a redemption code for a reward the business sponsors',
+    params: redemptionParams,
+    responses: respond(200, 'Redemption', wrapped('redemption', ref('Redemption'))),
+  },
+  useRedemption: {
+    summary: 'Mark a redemption code as used at the business',
+    params: redemptionParams,
+    responses: respond(200, 'Code used', message({ redemption: ref('Redemption') })),
+  },
+  createSector: {
+    summary: 'Create a business sector',
+    body: sectorBody,
+    responses: respond(201, 'Sector created', message({ sector: ref('Sector') })),
+  },
+  updateSector: {
+    summary: 'Replace a business sector',
+    params: idParams('id'),
+    body: sectorBody,
+    responses: respond(200, 'Sector updated', message({ sector: ref('Sector') })),
+  },
+  createType: {
+    summary: 'Create a business type',
+    body: typeBody,
+    responses: respond(201, 'Business type created', message({ type: ref('BusinessType') })),
+  },
+  updateType: {
+    summary: 'Replace a business type',
+    params: idParams('id'),
+    body: typeBody,
+    responses: respond(200, 'Business type updated', message({ type: ref('BusinessType') })),
+  },
+};
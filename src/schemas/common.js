@@ -0,0 +1,130 @@
+/**
+ * Building blocks for request and response schemas.
+ * Schemas are plain JSON Schema (as used by OpenAPI 3.1).
+ */
+
+const id = { type: 'integer', minimum: 1 };
+const text = { type: 'string' };
+const nonEmptyText = { type: 'string', minLength: 1 };
+const bool = { type: 'boolean' };
+const timestamp = { type: 'string', format: 'date-time' };
+const date = { type: 'string', format: 'date' };
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+/**
+ * Reference a shared component schema
+ * @param {string} name - Component name
+ * @returns {Object} $ref schema
+ */
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+/**
+ * Reference a shared component schema that may also be null
+ * @param {string} name - Component name
+ * @returns {Object} oneOf schema
+ */
+const nullableRef = (name) => ({ oneOf: [ref(name), { type: 'null' }] });
+
+/**
+ * Closed object schema (unknown properties are not allowed)
+ * @param {Object} properties - Property schemas
+ * @param {Array<string>} [required] - Required property names
+ * @returns {Object} Object schema
+ */
+const object = (properties, required = []) => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required }),
+  additionalProperties: false,
+});
+
+/**
+ * Array schema
+ * @param {Object} items - Item schema
+ * @returns {Object} Array schema
+ */
+const arrayOf = (items) => ({ type: 'array', items });
+
+/**
+ * Path parameters that are all numeric IDs
+ * @param {...string} names - Parameter names
+ * @returns {Object} Params schema
+ */
+const idParams = (...names) => object(
+  Object.fromEntries(names.map((name) => [name, id])),
+  names
+);
+
+/**
+ * Query string for paginated listings
+ * @param {Object} [filters] - Additional filter properties
+ * @returns {Object} Query schema
+ */
+const paginationQuery = (filters = {}) => object({
+  page: { type: 'integer', minimum: 1, default: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: 100, default: 10 },
+  ...filters,
+});
+
+/**
+ * Response body for a paginated listing
+ * @param {string} component - Component name of the items
+ * @returns {Object} Response schema
+ */
+const paginated = (component) => ({
+  type: 'object',
+  properties: {
+    data: arrayOf(ref(component)),
+    pagination: ref('Pagination'),
+  },
+});
+
+/**
+ * Response body with a confirmation message and optional payload
+ * @param {Object} [properties] - Additional properties
+ * @returns {Object} Response schema
+ */
+const message = (properties = {}) => ({
+  type: 'object',
+  properties: { message: text, ...properties },
+});
+
+/**
+ * Response body wrapping one value under a key, e.g. { rating: {...} }
+ * @param {string} key - Property name
+ * @param {Object} schema - Property schema
+ * @returns {Object} Response schema
+ */
+const wrapped = (key, schema) => ({
+  type: 'object',
+  properties: { [key]: schema },
+});
+
+/**
+ * Single success response
+ * @param {number} status - HTTP status
+ * @param {string} description - Response description
+ * @param {Object} schema - Body schema
+ * @returns {Object} Responses map
+ */
+const respond = (status, description, schema) => ({ [status]: { description, schema } });
+
+module.exports = {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  timestamp,
+  date,
+  nullable,
+  ref,
+  nullableRef,
+  object,
+  arrayOf,
+  idParams,
+  paginationQuery,
+  paginated,
+  message,
+  wrapped,
+  respond
+};
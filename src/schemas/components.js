@@ -0,0 +1,655 @@
+/**
+ * Shared schemas referenced from the OpenAPI document.
+ * Entities mirror the table rows the services return (snake_case columns);
+ * they stay open because several queries join extra columns onto the row.
+ */
+const { id, text, bool, timestamp, date, nullable, arrayOf, ref } = require('./common');
+
+const integer = { type: 'integer' };
+
+/**
+ * Entity schema from its column schemas
+ * @param {Object} properties - Column schemas
+ * @returns {Object} Object schema
+ */
+const row = (properties) => ({ type: 'object', properties: { id, ...properties } });
+
+const ApiError = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        // Stable machine-readable code, e.g. RATING_NOT_FOUND
+        code: text,
+        message: text,
+        status: integer,
+        // Matches the X-Request-Id response header and the server log line
+        correlationId: text,
+        // Present on request validation failures
+        details: arrayOf({
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: text,
+            message: text,
+          },
+        }),
+      },
+      required: ['code', 'message', 'status', 'correlationId'],
+    },
+  },
+  required: ['error'],
+};
+
+const Pagination = {
+  type: 'object',
+  properties: {
+    total: integer,
+    page: integer,
+    limit: integer,
+    totalPages: integer,
+    hasNextPage: bool,
+    hasPrevPage: bool,
+  },
+};
+
+const User = row({
+  firebase_uid: text,
+  email: text,
+  first_name: text,
+  last_name: text,
+  telephone: text,
+  display_name: text,
+  photo_url: text,
+  role: text,
+  primary_role_id: nullable(integer),
+  is_guest: bool,
+  is_active: bool,
+  is_deleted: bool,
+  // Keeps the user off leaderboards
+  leaderboard_opt_out: bool,
+  date_created: timestamp,
+  last_updated_at: timestamp,
+  last_login_at: nullable(timestamp),
+});
+
+const UserBusinessType = row({
+  user_id: id,
+  business_type_id: id,
+  business_type: text,
+  business_sector_id: id,
+  business_sector_name: text,
+  sort_number: integer,
+  date_created: timestamp,
+});
+
+// One ledger entry; `reason` is a points_rules reason code, or redemption, reversal or expiry for debits
+const PointsEntry = row({
+  consumer_rating_id: nullable(integer),
+  user_id: id,
+  points: integer,
+  reason: text,
+  reason_description: nullable(text),
+  // Unique per award, e.g. rating:12:review or image:40:photo
+  entry_key: text,
+  // How the entry came about, e.g. base points and multiplier of an award or the cause of a reversal
+  details: { type: 'object' },
+  // Set on reversals: the award taken back
+  reversed_entry_id: nullable(integer),
+  is_redeemed: bool,
+  is_redeemed_datetime: nullable(timestamp),
+  place_name: nullable(text),
+  place_id: nullable(text),
+  date_created: timestamp,
+});
+
+const Points = {
+  type: 'object',
+  properties: {
+    // Every point earned; available is what is left after redemptions, reversals and expiry
+    totalPoints: integer,
+    redeemedPoints: integer,
+    reversedPoints: integer,
+    expiredPoints: integer,
+    availablePoints: integer,
+    expiringSoon: {
+      type: 'object',
+      properties: {
+        points: integer,
+        withinDays: integer,
+        // When the oldest unspent points expire; null if none will
+        nextExpiresAt: nullable(timestamp),
+      },
+    },
+    pointsHistory: arrayOf(ref('PointsEntry')),
+  },
+};
+
+const Reward = row({
+  business_id: id,
+  business_name: text,
+  name: text,
+  description: text,
+  points_cost: integer,
+  // Units left; null for unlimited
+  stock: nullable(integer),
+  valid_from: nullable(timestamp),
+  valid_until: nullable(timestamp),
+  image_url: text,
+  is_active: bool,
+  created_by: nullable(integer),
+  date_created: timestamp,
+  last_updated: timestamp,
+});
+
+const Redemption = row({
+  reward_id: id,
+  reward_name: text,
+  business_id: id,
+  business_name: text,
+  user_id: id,
+  code: text,
+  points: integer,
+  expires_at: nullable(timestamp),
+  used_at: nullable(timestamp),
+  used_by: nullable(integer),
+  status: { type: 'string', enum: ['valid', 'used', 'expired'] },
+  date_created: timestamp,
+});
+
+const PointsRule = {
+  type: 'object',
+  properties: {
+    reason: text,
+    points: integer,
+    daily_cap: nullable(integer),
+    is_active: bool,
+    description: text,
+    updated_by: nullable(integer),
+    date_updated: timestamp,
+  },
+};
+
+const PointsMultiplier = {
+  type: 'object',
+  properties: {
+    business_type_id: id,
+    business_type: text,
+    multiplier: { type: 'number' },
+    updated_by: nullable(integer),
+    date_updated: timestamp,
+  },
+};
+
+const achievementMetric = {
+  type: 'string',
+  enum: ['ratings', 'reviews', 'dorm_reviews', 'sectors_rated', 'streak_days'],
+};
+
+const AchievementDefinition = row({
+  code: text,
+  name: text,
+  description: text,
+  // What is counted: active ratings, reviews, reviews of dorms, business sectors rated or longest daily streak
+  metric: achievementMetric,
+  threshold: integer,
+  bonus_points: integer,
+  is_active: bool,
+  created_by: nullable(integer),
+  // Users who have earned it (admin listing only)
+  earned_count: integer,
+  date_created: timestamp,
+  last_updated: timestamp,
+});
+
+const UserAchievement = row({
+  code: text,
+  name: text,
+  description: text,
+  metric: achievementMetric,
+  threshold: integer,
+  bonus_points: integer,
+  // Count towards the threshold, capped at it
+  progress: integer,
+  date_earned: nullable(timestamp),
+});
+
+const Tier = row({
+  name: text,
+  min_points: integer,
+  points_multiplier: { type: 'number' },
+  description: text,
+});
+
+const Achievements = {
+  type: 'object',
+  properties: {
+    // Points earned net of reversals; the tier is based on these
+    lifetimePoints: integer,
+    // Null past either end of the tier ladder
+    tier: nullable(Tier),
+    nextTier: nullable(Tier),
+    earned: arrayOf(ref('UserAchievement')),
+    inProgress: arrayOf(ref('UserAchievement')),
+  },
+};
+
+const Sector = row({
+  business_sector_name: text,
+  is_external: bool,
+  other: nullable(text),
+  date_created: timestamp,
+});
+
+const BusinessType = row({
+  business_type: text,
+  business_sector_id: id,
+  is_default: bool,
+  is_external: bool,
+  date_created: timestamp,
+});
+
+const Business = row({
+  user_id: id,
+  business_name: text,
+  place_id: nullable(text),
+  business_type_id: nullable(integer),
+  street_address: text,
+  city: text,
+  state: text,
+  zip_code: text,
+  country: text,
+  phone: text,
+  website: text,
+  logo_url: text,
+  is_active: bool,
+  is_verified: bool,
+  date_created: timestamp,
+  last_updated: timestamp,
+});
+
+const Rating = row({
+  user_id: id,
+  business_type_id: nullable(integer),
+  edu_location_id: nullable(integer),
+  place_id: text,
+  place_name: nullable(text),
+  place_address: nullable(text),
+  rating_value: { type: 'integer', minimum: 1, maximum: 5 },
+  subcategory: nullable(text),
+  // Only active ratings count toward places and earn Glad points
+  status: { type: 'string', enum: ['active', 'quarantined', 'rejected'] },
+  device_id: nullable(text),
+  date_created: timestamp,
+});
+
+const QuarantinedRating = {
+  type: 'object',
+  properties: {
+    ...Rating.properties,
+    // Abuse rules the rating broke, e.g. duplicate_place_rating, user_velocity
+    quarantine_reasons: arrayOf(text),
+    quarantined_at: timestamp,
+  },
+};
+
+const PlaceRatings = {
+  type: 'object',
+  properties: {
+    placeId: text,
+    averageRating: { type: 'number' },
+    totalRatings: integer,
+    ratingCounts: { type: 'object', additionalProperties: integer },
+    lastRatedAt: nullable(timestamp),
+  },
+};
+
+const average = nullable({ type: 'number' });
+
+const RatingTrendBucket = {
+  type: 'object',
+  properties: {
+    periodStart: date,
+    ratingCount: integer,
+    // Null when nothing was rated in the bucket (or the rolling window)
+    averageRating: average,
+    rollingAverage: average,
+    // Against the previous bucket
+    countDelta: integer,
+    averageDelta: average,
+  },
+};
+
+const RatingTrendTotals = {
+  type: 'object',
+  properties: {
+    firstPeriodStart: date,
+    lastPeriodStart: date,
+    ratingCount: integer,
+    averageRating: average,
+  },
+};
+
+const RatingTrends = {
+  type: 'object',
+  properties: {
+    placeId: text,
+    interval: { type: 'string', enum: ['day', 'week', 'month'] },
+    from: date,
+    to: date,
+    window: integer,
+    filters: {
+      type: 'object',
+      properties: { businessTypeId: nullable(id), subcategory: nullable(text) },
+    },
+    buckets: arrayOf(ref('RatingTrendBucket')),
+    // The requested range against the same number of buckets just before it
+    comparison: {
+      type: 'object',
+      properties: {
+        current: ref('RatingTrendTotals'),
+        previous: ref('RatingTrendTotals'),
+        countDelta: integer,
+        averageDelta: average,
+      },
+    },
+  },
+};
+
+const PlaceScore = {
+  type: 'object',
+  properties: {
+    placeId: text,
+    placeName: nullable(text),
+    businessTypeId: id,
+    businessType: text,
+    sectorId: id,
+    ratingCount: integer,
+    averageRating: { type: 'number' },
+    // Business type mean the place's ratings are blended with
+    priorMean: { type: 'number' },
+    score: { type: 'number' },
+    // Among all places of the business type
+    typeRank: integer,
+  },
+};
+
+const PlaceScoreSet = {
+  type: 'object',
+  properties: {
+    placeId: text,
+    halfLifeDays: integer,
+    priorWeight: integer,
+    scores: arrayOf(ref('PlaceScore')),
+  },
+};
+
+const RankedPlace = {
+  type: 'object',
+  properties: { rank: integer, ...PlaceScore.properties },
+};
+
+// Users appear by display name only
+const LeaderboardEntry = {
+  type: 'object',
+  properties: {
+    rank: integer,
+    displayName: text,
+    score: integer,
+  },
+};
+
+const Review = row({
+  consumer_rating_id: id,
+  user_id: id,
+  place_id: text,
+  review: text,
+  is_private: bool,
+  is_active: bool,
+  moderation_notes: nullable(text),
+  // Readers who marked it helpful (public listings only)
+  helpful_count: { type: 'integer' },
+  date_created: timestamp,
+});
+
+const RatingRevision = row({
+  consumer_rating_id: id,
+  changed_by: id,
+  changed_by_name: nullable(text),
+  old_rating_value: integer,
+  new_rating_value: integer,
+  // Set when the change restored the value from before another revision
+  restored_revision_id: nullable(id),
+  date_created: timestamp,
+});
+
+const ReviewRevision = row({
+  consumer_review_id: id,
+  changed_by: id,
+  changed_by_name: nullable(text),
+  old_review: text,
+  new_review: text,
+  restored_revision_id: nullable(id),
+  date_created: timestamp,
+});
+
+const SurveyQuestion = row({
+  question: text,
+  business_type_id: nullable(integer),
+  edu_category_id: nullable(integer),
+  is_active: bool,
+  answerOptions: arrayOf({ type: 'object' }),
+  date_created: timestamp,
+});
+
+const SurveyAnswer = row({
+  survey_question_id: id,
+  survey_questions_answer_id: nullable(integer),
+  answer: nullable(text),
+  consumer_rating_id: id,
+  user_id: id,
+  date_created: timestamp,
+});
+
+const EduArea = row({ name: text, is_active: bool, is_external: bool, date_created: timestamp });
+
+const EduLocation = row({
+  edu_area_id: id,
+  name: text,
+  place_id: nullable(text),
+  is_active: bool,
+  is_external: bool,
+  date_created: timestamp,
+});
+
+const EduDorm = row({
+  edu_location_id: nullable(integer),
+  name: text,
+  place_id: nullable(text),
+  is_active: bool,
+  date_created: timestamp,
+});
+
+const EduProfessor = row({ edu_department_id: id, name: text, is_active: bool, date_created: timestamp });
+
+const EduClassCode = row({
+  edu_department_id: nullable(integer),
+  code: text,
+  name: text,
+  is_active: bool,
+  date_created: timestamp,
+});
+
+// Departments, internet, security and social options share this shape
+const EduLookup = row({ name: text, date_created: timestamp });
+
+const ImageType = row({ image_type: text, date_created: timestamp });
+
+const Image = row({
+  image_type_id: id,
+  user_id: id,
+  consumer_rating_id: nullable(integer),
+  consumer_review_id: nullable(integer),
+  edu_dorm_id: nullable(integer),
+  image_url: text,
+  order_by_number: integer,
+  is_active: bool,
+  moderation_notes: nullable(text),
+  date_created: timestamp,
+});
+
+const Faq = row({
+  faq: text,
+  faq_answer: text,
+  environment_type_id: id,
+  is_active: bool,
+  date_created: timestamp,
+});
+
+const SiteContent = row({
+  subject: text,
+  content: text,
+  is_active: bool,
+  date_created: timestamp,
+  active_since_datetime: timestamp,
+});
+
+const Message = row({
+  user_id: nullable(integer),
+  message_category_id: nullable(integer),
+  environment_type_id: nullable(integer),
+  email: nullable(text),
+  subject: nullable(text),
+  message: text,
+  is_read: bool,
+  requires_reply: bool,
+  is_replied: bool,
+  reply_text: nullable(text),
+  replied_by: nullable(integer),
+  replied_at: nullable(timestamp),
+  date_created: timestamp,
+});
+
+const Ad = row({
+  business_name: text,
+  business_telephone: text,
+  content: text,
+  expiration_date: nullable(timestamp),
+  image_url: text,
+  url: text,
+  is_active: bool,
+  date_created: timestamp,
+});
+
+const ActivityLog = row({
+  user_id: id,
+  event_type: text,
+  event_category: nullable(text),
+  details: nullable({ type: 'object' }),
+  ip_address: nullable(text),
+  occurred_at: timestamp,
+});
+
+const Permission = row({ permission: text, description: nullable(text), date_created: timestamp });
+
+const RolePermissions = row({ role: text, permissions: arrayOf(text) });
+
+const DependencyCheck = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: ['ok', 'error'] },
+    latencyMs: integer,
+    error: text,
+  },
+};
+
+const Diagnostics = {
+  type: 'object',
+  properties: {
+    build: {
+      type: 'object',
+      properties: {
+        version: text,
+        commitSha: nullable(text),
+        revision: nullable(text),
+        node: text,
+        environment: text,
+      },
+    },
+    uptime: { type: 'object', properties: { startedAt: timestamp, seconds: integer } },
+    process: {
+      type: 'object',
+      properties: { pid: integer, hostname: text, rssBytes: integer, heapUsedBytes: integer, shuttingDown: bool },
+    },
+    pool: { type: 'object', properties: { max: integer, total: integer, idle: integer, waiting: integer } },
+    migrations: {
+      type: 'object',
+      properties: {
+        applied: integer,
+        latest: nullable(text),
+        pending: arrayOf(text),
+        changed: arrayOf(text),
+        unknown: arrayOf(text),
+      },
+    },
+    readiness: {
+      type: 'object',
+      properties: {
+        ready: bool,
+        checks: { type: 'object', additionalProperties: ref('DependencyCheck') },
+      },
+    },
+  },
+};
+
+module.exports = {
+  ApiError,
+  Pagination,
+  User,
+  UserBusinessType,
+  PointsEntry,
+  Points,
+  PointsRule,
+  PointsMultiplier,
+  AchievementDefinition,
+  UserAchievement,
+  Achievements,
+  Reward,
+  Redemption,
+  Sector,
+  BusinessType,
+  Business,
+  Rating,
+  QuarantinedRating,
+  PlaceRatings,
+  RatingTrendBucket,
+  RatingTrendTotals,
+  RatingTrends,
+  PlaceScore,
+  PlaceScoreSet,
+  RankedPlace,
+  LeaderboardEntry,
+  Review,
+  RatingRevision,
+  ReviewRevision,
+  SurveyQuestion,
+  SurveyAnswer,
+  EduArea,
+  EduLocation,
+  EduDorm,
+  EduProfessor,
+  EduClassCode,
+  EduLookup,
+  ImageType,
+  Image,
+  Faq,
+  SiteContent,
+  Message,
+  Ad,
+  ActivityLog,
+  Permission,
+  RolePermissions,
+  DependencyCheck,
+  Diagnostics
+};
@@ -0,0 +1,97 @@
+const {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  object,
+  arrayOf,
+  idParams,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+/**
+ * Operation returning a list under `key`
+ * @param {string} summary - Operation summary
+ * @param {string} key - Response property
+ * @param {string} component - Item component name
+ * @param {Object} [params] - Path params schema
+ * @returns {Object} Operation docs
+ */
+const list = (summary, key, component, params) => ({
+  summary,
+  ...(params && { params }),
+  responses: respond(200, summary, wrapped(key, arrayOf(ref(component)))),
+});
+
+/**
+ * Operation returning one row by ID under `key`
+ * @param {string} summary - Operation summary
+ * @param {string} key - Response property
+ * @param {string} component - Component name
+ * @returns {Object} Operation docs
+ */
+const single = (summary, key, component) => ({
+  summary,
+  params: idParams('id'),
+  responses: respond(200, summary, wrapped(key, ref(component))),
+});
+
+const areaBody = object({ name: nonEmptyText, isActive: bool, isExternal: bool }, ['name']);
+
+const locationBody = object({
+  eduAreaId: id,
+  name: nonEmptyText,
+  placeId: text,
+  isActive: bool,
+  isExternal: bool,
+}, ['eduAreaId', 'name']);
+
+module.exports = {
+  getAllAreas: list('List campuses', 'areas', 'EduArea'),
+  getAreaById: single('Get a campus', 'area', 'EduArea'),
+  getAllLocations: list('List campus locations', 'locations', 'EduLocation'),
+  getLocationsByArea: list('List the locations of a campus', 'locations', 'EduLocation', idParams('areaId')),
+  getLocationById: single('Get a campus location', 'location', 'EduLocation'),
+  getAllDorms: list('List dorms', 'dorms', 'EduDorm'),
+  getDormsByLocation: list('List the dorms at a location', 'dorms', 'EduDorm', idParams('locationId')),
+  getDormById: single('Get a dorm', 'dorm', 'EduDorm'),
+  getAllProfessors: list('List professors', 'professors', 'EduProfessor'),
+  getProfessorsByDepartment: list(
+    'List the professors of a department', 'professors', 'EduProfessor', idParams('departmentId')
+  ),
+  getProfessorById: single('Get a professor', 'professor', 'EduProfessor'),
+  getProfessorCourses: list('List the courses a professor teaches', 'courses', 'EduClassCode', idParams('id')),
+  getAllDepartments: list('List departments', 'departments', 'EduLookup'),
+  getAllClassCodes: list('List class codes', 'classCodes', 'EduClassCode'),
+  getClassCodesByDepartment: list(
+    'List the class codes of a department', 'classCodes', 'EduClassCode', idParams('departmentId')
+  ),
+  getAllInternet: list('List internet options', 'internet', 'EduLookup'),
+  getAllSecurity: list('List campus security options', 'security', 'EduLookup'),
+  getAllSocial: list('List campus social options', 'social', 'EduLookup'),
+  createArea: {
+    summary: 'Create a campus',
+    body: areaBody,
+    responses: respond(201, 'Campus created', message({ area: ref('EduArea') })),
+  },
+  updateArea: {
+    summary: 'Replace a campus',
+    params: idParams('id'),
+    body: areaBody,
+    responses: respond(200, 'Campus updated', message({ area: ref('EduArea') })),
+  },
+  createLocation: {
+    summary: 'Create a campus location',
+    body: locationBody,
+    responses: respond(201, 'Location created', message({ location: ref('EduLocation') })),
+  },
+  updateLocation: {
+    summary: 'Replace a campus location',
+    params: idParams('id'),
+    body: locationBody,
+    responses: respond(200, 'Location updated', message({ location: ref('EduLocation') })),
+  },
+};
@@ -0,0 +1,29 @@
+const components = require('./components');
+const { message, respond } = require('./common');
+
+// Operation docs per mount path, keyed by controller handler name
+const sections = {
+  '/': {
+    tag: 'API',
+    operations: {
+      getApiStatus: {
+        summary: 'Check that the API is up',
+        responses: respond(200, 'API is working', message()),
+      },
+    },
+  },
+  '/auth': { tag: 'Auth', operations: require('./authSchemas') },
+  '/users': { tag: 'Users', operations: require('./userSchemas') },
+  '/business': { tag: 'Business', operations: require('./businessSchemas') },
+  '/ratings': { tag: 'Ratings', operations: require('./ratingSchemas') },
+  '/education': { tag: 'Education', operations: require('./educationSchemas') },
+  '/media': { tag: 'Media', operations: require('./mediaSchemas') },
+  '/rewards': { tag: 'Rewards', operations: require('./rewardSchemas') },
+  '/leaderboards': { tag: 'Leaderboards', operations: require('./leaderboardSchemas') },
+  '/admin': { tag: 'Admin', operations: require('./adminSchemas') },
+};
+
+module.exports = {
+  components,
+  sections
+};
@@ -0,0 +1,23 @@
+const { id, ref, nullableRef, arrayOf, paginationQuery, respond } = require('./common');
+
+module.exports = {
+  getLeaderboard: {
+    summary: 'Users ranked by points earned, ratings or helpful votes, by period and optionally campus or sector',
+    query: paginationQuery({
+      metric: { type: 'string', enum: ['points', 'ratings', 'helpful'], default: 'points' },
+      // Current UTC week or month
+      period: { type: 'string', enum: ['week', 'month', 'all'], default: 'all' },
+      eduAreaId: id,
+      sectorId: id,
+    }),
+    responses: respond(200, 'Page of ranked users', {
+      type: 'object',
+      properties: {
+        data: arrayOf(ref('LeaderboardEntry')),
+        // The caller's standing; null when opted out or without activity
+        me: nullableRef('LeaderboardEntry'),
+        pagination: ref('Pagination'),
+      },
+    }),
+  },
+};
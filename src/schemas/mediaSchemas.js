@@ -0,0 +1,72 @@
+const {
+  id,
+  text,
+  bool,
+  object,
+  arrayOf,
+  idParams,
+  paginationQuery,
+  paginated,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+const imageList = respond(200, 'Images', wrapped('images', arrayOf(ref('Image'))));
+
+module.exports = {
+  getImageTypes: {
+    summary: 'List image types',
+    responses: respond(200, 'Image types', wrapped('types', arrayOf(ref('ImageType')))),
+  },
+  uploadImage: {
+    summary: 'Upload an image, optionally attached to a rating, review or dorm',
+    contentType: 'multipart/form-data',
+    body: object({
+      image: { type: 'string', format: 'binary' },
+      imageTypeId: id,
+      consumerRatingId: id,
+      consumerReviewId: id,
+      eduDormId: id,
+      orderByNumber: { type: 'integer', minimum: 0 },
+    }, ['image', 'imageTypeId']),
+    responses: respond(201, 'Image uploaded', message({ image: ref('Image') })),
+  },
+  deleteImage: {
+    summary: 'Delete an image',
+    params: idParams('id'),
+    responses: respond(200, 'Image deleted', message()),
+  },
+  getImagesByUser: {
+    summary: 'List the images uploaded by a user',
+    params: idParams('userId'),
+    responses: imageList,
+  },
+  getImagesByRating: {
+    summary: 'List the images attached to a rating',
+    params: idParams('ratingId'),
+    responses: imageList,
+  },
+  getImagesByReview: {
+    summary: 'List the images attached to a review',
+    params: idParams('reviewId'),
+    responses: imageList,
+  },
+  getImagesByDorm: {
+    summary: 'List the images of a dorm',
+    params: idParams('dormId'),
+    responses: imageList,
+  },
+  getAllImages: {
+    summary: 'List all images, including hidden ones',
+    query: paginationQuery({ imageTypeId: id }),
+    responses: respond(200, 'Page of images', paginated('Image')),
+  },
+  moderateImage: {
+    summary: 'Hide or restore an image',
+    params: idParams('id'),
+    body: object({ isActive: bool, moderationNotes: text }, ['isActive']),
+    responses: respond(200, 'Image moderated', message({ image: ref('Image') })),
+  },
+};
@@ -0,0 +1,201 @@
+const {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  date,
+  object,
+  arrayOf,
+  idParams,
+  paginationQuery,
+  paginated,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+const ratingValue = { type: 'integer', minimum: 1, maximum: 5 };
+const placeParams = object({ placeId: nonEmptyText }, ['placeId']);
+const halfLifeDays = { type: 'integer', minimum: 0, maximum: 3650 };
+
+const moderationBody = object({ isActive: bool, moderationNotes: text }, ['isActive']);
+
+module.exports = {
+  getRatingsByPlace: {
+    summary: 'Rating summary of a place: average, count, 1-5 histogram and last rating date',
+    params: placeParams,
+    responses: respond(200, 'Place rating summary', wrapped('ratings', ref('PlaceRatings'))),
+  },
+  getRatingListByPlace: {
+    summary: 'List the individual ratings of a place, newest first',
+    params: placeParams,
+    query: paginationQuery(),
+    responses: respond(200, 'Page of ratings', paginated('Rating')),
+  },
+  getRatingTrendsByPlace: {
+    summary: 'Average rating and volume of a place per day, week or month, with rolling averages and deltas',
+    params: placeParams,
+    query: object({
+      interval: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' },
+      from: date,
+      to: date,
+      window: { type: 'integer', minimum: 1, maximum: 90 },
+      businessTypeId: id,
+      subcategory: text,
+    }),
+    responses: respond(200, 'Rating trends', wrapped('trends', ref('RatingTrends'))),
+  },
+  getPlaceScore: {
+    summary: 'Confidence-weighted score of a place for each business type it was rated under',
+    params: placeParams,
+    query: object({ halfLifeDays }),
+    responses: respond(200, 'Place score', wrapped('score', ref('PlaceScoreSet'))),
+  },
+  getRankings: {
+    summary: 'Places ranked by confidence-weighted score, optionally within a business type or sector',
+    query: paginationQuery({
+      businessTypeId: id,
+      sectorId: id,
+      minRatings: { type: 'integer', minimum: 1, default: 1 },
+      halfLifeDays,
+    }),
+    responses: respond(200, 'Page of ranked places', paginated('RankedPlace')),
+  },
+  getReviewsByPlace: {
+    summary: 'List the public reviews of a place',
+    params: placeParams,
+    query: paginationQuery(),
+    responses: respond(200, 'Page of reviews', paginated('Review')),
+  },
+  createRating: {
+    summary: 'Rate a place and earn Glad points (202 when the rating is quarantined for review)',
+    body: object({
+      placeId: nonEmptyText,
+      placeName: text,
+      placeAddress: text,
+      ratingValue,
+      businessTypeId: id,
+      eduLocationId: id,
+      subcategory: text,
+    }, ['placeId', 'ratingValue']),
+    responses: {
+      ...respond(201, 'Rating created', message({ rating: ref('Rating') })),
+      ...respond(202, 'Rating quarantined for review', message({ rating: ref('QuarantinedRating') })),
+    },
+  },
+  updateRating: {
+    summary: 'Change the value of one of the caller\'s ratings',
+    params: idParams('id'),
+    body: object({ ratingValue }, ['ratingValue']),
+    responses: respond(200, 'Rating updated', message({ rating: ref('Rating') })),
+  },
+  deleteRating: {
+    summary: 'Delete one of the caller\'s ratings',
+    params: idParams('id'),
+    responses: respond(200, 'Rating deleted', message()),
+  },
+  getRatingHistory: {
+    summary: 'Edit history of a rating, newest first (its author or revisions:read)',
+    params: idParams('id'),
+    responses: respond(200, 'Rating revisions', wrapped('revisions', arrayOf(ref('RatingRevision')))),
+  },
+  restoreRatingRevision: {
+    summary: 'Put a rating back to the value it had before a revision',
+    params: idParams('id', 'revisionId'),
+    responses: respond(200, 'Rating restored', message({ rating: ref('Rating') })),
+  },
+  createReview: {
+    summary: 'Review a place the caller has rated',
+    body: object({
+      consumerRatingId: id,
+      review: nonEmptyText,
+      placeId: nonEmptyText,
+      isPrivate: bool,
+    }, ['consumerRatingId', 'review', 'placeId']),
+    responses: respond(201, 'Review created', message({ review: ref('Review') })),
+  },
+  updateReview: {
+    summary: 'Edit one of the caller\'s reviews',
+    params: idParams('id'),
+    body: object({ review: nonEmptyText, isPrivate: bool }, ['review']),
+    responses: respond(200, 'Review updated', message({ review: ref('Review') })),
+  },
+  deleteReview: {
+    summary: 'Delete one of the caller\'s reviews',
+    params: idParams('id'),
+    responses: respond(200, 'Review deleted', message()),
+  },
+  markReviewHelpful: {
+    summary: 'Mark a public review helpful (once per reader; not your own)',
+    params: idParams('id'),
+    responses: respond(200, 'Vote recorded', message({ helpfulCount: { type: 'integer' } })),
+  },
+  unmarkReviewHelpful: {
+    summary: 'Withdraw your helpful vote from a review',
+    params: idParams('id'),
+    responses: respond(200, 'Vote removed', message({ helpfulCount: { type: 'integer' } })),
+  },
+  getReviewHistory: {
+    summary: 'Edit history of a review, newest first (its author or revisions:read)',
+    params: idParams('id'),
+    responses: respond(200, 'Review revisions', wrapped('revisions', arrayOf(ref('ReviewRevision')))),
+  },
+  restoreReviewRevision: {
+    summary: 'Put a review\'s text back to what it was before a revision',
+    params: idParams('id', 'revisionId'),
+    responses: respond(200, 'Review restored', message({ review: ref('Review') })),
+  },
+  submitSurveyAnswers: {
+    summary: 'Answer the survey questions for one of the caller\'s ratings',
+    body: object({
+      consumerRatingId: id,
+      answers: {
+        ...arrayOf(object({
+          surveyQuestionId: id,
+          surveyQuestionsAnswerId: id,
+          answer: text,
+        }, ['surveyQuestionId'])),
+        minItems: 1,
+      },
+    }, ['consumerRatingId', 'answers']),
+    responses: respond(201, 'Answers saved', message({ answers: arrayOf(ref('SurveyAnswer')) })),
+  },
+  getSurveyQuestionsByType: {
+    summary: 'List the survey questions for a business type',
+    params: idParams('typeId'),
+    responses: respond(200, 'Survey questions', wrapped('questions', arrayOf(ref('SurveyQuestion')))),
+  },
+  getAllRatings: {
+    summary: 'List all ratings',
+    query: paginationQuery({
+      placeId: text,
+      userId: id,
+      businessTypeId: id,
+      status: { type: 'string', enum: ['active', 'quarantined', 'rejected'] },
+    }),
+    responses: respond(200, 'Page of ratings', paginated('Rating')),
+  },
+  getQuarantinedRatings: {
+    summary: 'List ratings quarantined by an abuse rule and awaiting a decision, oldest first',
+    query: paginationQuery(),
+    responses: respond(200, 'Page of quarantined ratings', paginated('QuarantinedRating')),
+  },
+  decideQuarantinedRating: {
+    summary: 'Approve (count it and award Glad points) or reject a quarantined rating',
+    params: idParams('id'),
+    body: object({ decision: { type: 'string', enum: ['approved', 'rejected'] }, notes: text }, ['decision']),
+    responses: respond(200, 'Decision recorded', message({ rating: ref('Rating') })),
+  },
+  getAllReviews: {
+    summary: 'List all reviews, including private and hidden ones',
+    query: paginationQuery({ placeId: text, userId: id }),
+    responses: respond(200, 'Page of reviews', paginated('Review')),
+  },
+  moderateReview: {
+    summary: 'Hide or restore a review',
+    params: idParams('id'),
+    body: moderationBody,
+    responses: respond(200, 'Review moderated', message({ review: ref('Review') })),
+  },
+};
@@ -0,0 +1,76 @@
+const {
+  id,
+  text,
+  nonEmptyText,
+  bool,
+  timestamp,
+  nullable,
+  object,
+  idParams,
+  paginationQuery,
+  paginated,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+// Updates replace every column, so create and update share one body
+const rewardBody = object({
+  businessId: id,
+  name: nonEmptyText,
+  description: text,
+  pointsCost: { type: 'integer', minimum: 1 },
+  // null or absent for unlimited
+  stock: nullable({ type: 'integer', minimum: 0 }),
+  validFrom: nullable(timestamp),
+  validUntil: nullable(timestamp),
+  imageURL: text,
+  isActive: bool,
+}, ['businessId', 'name', 'pointsCost']);
+
+const rewardQuery = paginationQuery({ businessId: id });
+
+module.exports = {
+  getCatalog: {
+    summary: 'List the rewards that can be redeemed now',
+    query: rewardQuery,
+    responses: respond(200, 'Page of rewards', paginated('Reward')),
+  },
+  getUserRedemptions: {
+    summary: 'List the caller\'s redemptions, newest first',
+    query: paginationQuery(),
+    responses: respond(200, 'Page of redemptions', paginated('Redemption')),
+  },
+  getAllRewards: {
+    summary: 'List every reward, including inactive, expired and sold out ones',
+    query: rewardQuery,
+    responses: respond(200, 'Page of rewards', paginated('Reward')),
+  },
+  getRewardById: {
+    summary: 'Get a reward',
+    params: idParams('id'),
+    responses: respond(200, 'Reward', wrapped('reward', ref('Reward'))),
+  },
+  redeemReward: {
+    summary: 'Redeem a reward with the caller\'s Glad points and get a redemption code',
+    params: idParams('id'),
+    responses: respond(201, 'Reward redeemed', message({ redemption: ref('Redemption') })),
+  },
+  createReward: {
+    summary: 'Create a reward',
+    body: rewardBody,
+    responses: respond(201, 'Reward created', message({ reward: ref('Reward') })),
+  },
+  updateReward: {
+    summary: 'Replace a reward',
+    params: idParams('id'),
+    body: rewardBody,
+    responses: respond(200, 'Reward updated', message({ reward: ref('Reward') })),
+  },
+  deleteReward: {
+    summary: 'Delete a reward that has never been redeemed',
+    params: idParams('id'),
+    responses: respond(200, 'Reward deleted', message()),
+  },
+};
@@ -0,0 +1,102 @@
+const {
+  id,
+  text,
+  bool,
+  object,
+  arrayOf,
+  idParams,
+  paginationQuery,
+  paginated,
+  ref,
+  message,
+  wrapped,
+  respond
+} = require('./common');
+
+const profileFields = {
+  firstName: text,
+  lastName: text,
+  telephone: text,
+  displayName: text,
+  photoUrl: text,
+  leaderboardOptOut: bool,
+};
+
+module.exports = {
+  getCurrentUser: {
+    summary: 'Get the caller\'s profile',
+    responses: respond(200, 'Profile', wrapped('user', ref('User'))),
+  },
+  updateProfile: {
+    summary: 'Update the caller\'s profile (only the fields sent are changed)',
+    body: object(profileFields),
+    responses: respond(200, 'Profile updated', message({ user: ref('User') })),
+  },
+  deleteAccount: {
+    summary: 'Mark the caller\'s account as deleted',
+    responses: respond(200, 'Account marked for deletion', message()),
+  },
+  getUserReviews: {
+    summary: 'List the caller\'s reviews',
+    responses: respond(200, 'Reviews', wrapped('reviews', arrayOf(ref('Review')))),
+  },
+  getUserRatings: {
+    summary: 'List the caller\'s ratings',
+    responses: respond(200, 'Ratings', wrapped('ratings', arrayOf(ref('Rating')))),
+  },
+  getUserPoints: {
+    summary: 'Get the caller\'s Glad points balance and history',
+    responses: respond(200, 'Points', wrapped('points', ref('Points'))),
+  },
+  getUserAchievements: {
+    summary: 'Get the caller\'s tier, earned achievements and progress towards the rest',
+    responses: respond(200, 'Achievements', wrapped('achievements', ref('Achievements'))),
+  },
+  getUserBusinessTypes: {
+    summary: 'List the caller\'s preferred business types',
+    responses: respond(200, 'Preferred business types', wrapped('businessTypes', arrayOf(ref('UserBusinessType')))),
+  },
+  addUserBusinessType: {
+    summary: 'Add a preferred business type',
+    body: object({ businessTypeId: id, sortNumber: { type: 'integer', minimum: 0 } }, ['businessTypeId']),
+    responses: respond(201, 'Preference added', message({ userBusinessType: ref('UserBusinessType') })),
+  },
+  updateUserBusinessType: {
+    summary: 'Reorder a preferred business type',
+    params: idParams('id'),
+    body: object({ sortNumber: { type: 'integer', minimum: 0 } }, ['sortNumber']),
+    responses: respond(200, 'Preference updated', message({ userBusinessType: ref('UserBusinessType') })),
+  },
+  deleteUserBusinessType: {
+    summary: 'Remove a preferred business type',
+    params: idParams('id'),
+    responses: respond(200, 'Preference removed', message()),
+  },
+  getAllUsers: {
+    summary: 'List users',
+    query: paginationQuery({ search: text, role: text }),
+    responses: respond(200, 'Page of users', paginated('User')),
+  },
+  getUserById: {
+    summary: 'Get a user',
+    params: idParams('id'),
+    responses: respond(200, 'User', wrapped('user', ref('User'))),
+  },
+  updateUser: {
+    summary: 'Update a user (only the fields sent are changed)',
+    params: idParams('id'),
+    body: object({ ...profileFields, isActive: bool }),
+    responses: respond(200, 'User updated', message({ user: ref('User') })),
+  },
+  deleteUser: {
+    summary: 'Delete a user',
+    params: idParams('id'),
+    responses: respond(200, 'User deleted', message()),
+  },
+  changeUserRole: {
+    summary: 'Change a user\'s primary role',
+    params: idParams('id'),
+    body: object({ roleId: id }, ['roleId']),
+    responses: respond(200, 'Role changed', message({ user: ref('User') })),
+  },
+};
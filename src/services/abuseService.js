@@ -0,0 +1,133 @@
+const db = require('../config/db');
+const { wrapError } = require('../utils/errorUtils');
+const { getConfig } = require('../config');
+const { instrumentService } = require('../utils/metrics');
+
+const abuseConfig = getConfig().abuse;
+
+/**
+ * Abuse rules for new ratings.
+ * Each rule looks at ratings already stored and names a reason when the new
+ * rating would break it; ratingService quarantines ratings with any reason.
+ * Limits come from the `abuse` config section and 0 turns a rule off.
+ */
+
+// Advisory lock classes for rating checks; the second key is the user, or a
+// hash of the device or place ID. Taken in this order to avoid deadlocks.
+const RATING_CHECK_LOCK_KEY = 4242003;
+const DEVICE_CHECK_LOCK_KEY = 4242005;
+const PLACE_CHECK_LOCK_KEY = 4242006;
+
+const RULES = [
+  {
+    reason: 'duplicate_place_rating',
+    limit: (config) => (config.placeCooldownHours > 0 ? 1 : 0),
+    applies: () => true,
+    // Deleted ratings count too, so deleting and rating again does not reset the cooldown
+    count: ({ userId, placeId }, config) => db.query(
+      `SELECT (
+         (SELECT COUNT(*) FROM consumer_ratings
+          WHERE user_id = $1 AND place_id = $2 AND status = 'active'
+            AND date_created > NOW() - make_interval(hours => $3))
+         + (SELECT COUNT(*) FROM rating_deletions
+            WHERE user_id = $1 AND place_id = $2
+              AND rating_date_created > NOW() - make_interval(hours => $3))
+       )::int AS count`,
+      { userId, placeId, hours: config.placeCooldownHours }
+    ),
+  },
+  {
+    reason: 'user_velocity',
+    limit: (config) => config.userMaxPerHour,
+    applies: () => true,
+    count: ({ userId }) => db.query(
+      `SELECT COUNT(*)::int AS count FROM consumer_ratings
+       WHERE user_id = $1 AND date_created > NOW() - INTERVAL '1 hour'`,
+      { userId }
+    ),
+  },
+  {
+    reason: 'device_velocity',
+    limit: (config) => config.deviceMaxPerHour,
+    applies: ({ deviceId }) => Boolean(deviceId),
+    count: ({ deviceId }) => db.query(
+      `SELECT COUNT(*)::int AS count FROM consumer_ratings
+       WHERE device_id = $1 AND date_created > NOW() - INTERVAL '1 hour'`,
+      { deviceId }
+    ),
+  },
+  {
+    reason: 'place_burst',
+    limit: (config) => (config.placeBurstMinutes > 0 ? config.placeBurstMax : 0),
+    applies: () => true,
+    count: ({ placeId }, config) => db.query(
+      `SELECT COUNT(*)::int AS count FROM consumer_ratings
+       WHERE place_id = $1 AND date_created > NOW() - make_interval(mins => $2)`,
+      { placeId, minutes: config.placeBurstMinutes }
+    ),
+  },
+];
+
+/**
+ * Take the advisory locks a rating check needs, in a fixed order: the
+ * device and place rules count other users' ratings, so concurrent ratings
+ * from one device or of one place must be checked one at a time too
+ * @param {Object} rating - Rating being created
+ */
+const lockRatingCheck = async ({ userId, deviceId, placeId }) => {
+  await db.query(
+    'SELECT pg_advisory_xact_lock($1, $2)',
+    { lockKey: RATING_CHECK_LOCK_KEY, userId }
+  );
+
+  if (deviceId) {
+    await db.query(
+      'SELECT pg_advisory_xact_lock($1, hashtext($2))',
+      { lockKey: DEVICE_CHECK_LOCK_KEY, deviceId }
+    );
+  }
+
+  await db.query(
+    'SELECT pg_advisory_xact_lock($1, hashtext($2))',
+    { lockKey: PLACE_CHECK_LOCK_KEY, placeId }
+  );
+};
+
+/**
+ * Check a rating about to be created against the abuse rules.
+ * Run it in the transaction that inserts the rating: it holds advisory locks
+ * on the user, device and place until that transaction ends, so concurrent
+ * ratings that share any of them are checked one at a time.
+ * @param {Object} rating - Rating being created
+ * @param {number} rating.userId - Rating user
+ * @param {string} rating.placeId - Google Place ID
+ * @param {string} [rating.deviceId] - Client device identifier
+ * @returns {Promise<Array<string>>} Reasons to quarantine the rating (empty if none)
+ */
+const checkRating = async (rating) => {
+  try {
+    await lockRatingCheck(rating);
+
+    const reasons = [];
+
+    for (const rule of RULES) {
+      const limit = rule.limit(abuseConfig);
+
+      if (limit > 0 && rule.applies(rating)) {
+        const [{ count }] = await rule.count(rating, abuseConfig);
+
+        if (count >= limit) {
+          reasons.push(rule.reason);
+        }
+      }
+    }
+
+    return reasons;
+  } catch (error) {
+    throw wrapError(error, 'Error checking rating');
+  }
+};
+
+module.exports = instrumentService('abuseService', {
+  checkRating
+});
@@ -0,0 +1,314 @@
+const db = require('../config/db');
+const { wrapError } = require('../utils/errorUtils');
+const { currentLogger } = require('../utils/logger');
+const { business, instrumentService } = require('../utils/metrics');
+const pointsService = require('./pointsService');
+
+/**
+ * Achievements.
+ * Each definition names a metric below and a threshold; a user earns it the
+ * first time their count reaches the threshold, and keeps it. Metrics count
+ * active ratings and active reviews of active ratings only. Rating and review
+ * events evaluate the user in the background, so a slow evaluation never
+ * holds up the request that triggered it.
+ */
+
+// What each metric counts for `$userId`; definitions may only use these
+const METRICS_SQL = `
+  WITH ratings AS (
+    SELECT r.business_type_id, r.date_created
+    FROM consumer_ratings r
+    WHERE r.user_id = $userId AND r.status = 'active'
+  ),
+  reviews AS (
+    SELECT r.business_type_id, rv.date_created
+    FROM consumer_reviews rv
+    JOIN consumer_ratings r ON rv.consumer_rating_id = r.id
+    WHERE rv.user_id = $userId AND rv.is_active = TRUE AND r.status = 'active'
+  ),
+  active_days AS (
+    SELECT DISTINCT (date_created AT TIME ZONE 'UTC')::date AS day
+    FROM (SELECT date_created FROM ratings UNION ALL SELECT date_created FROM reviews) activity
+  ),
+  -- Consecutive days share day minus position
+  streaks AS (
+    SELECT COUNT(*) AS days
+    FROM (SELECT day - (ROW_NUMBER() OVER (ORDER BY day))::int AS streak FROM active_days) numbered
+    GROUP BY streak
+  )
+  SELECT
+    (SELECT COUNT(*) FROM ratings)::int AS ratings,
+    (SELECT COUNT(*) FROM reviews)::int AS reviews,
+    (SELECT COUNT(*)
+     FROM reviews
+     JOIN business_types bt ON reviews.business_type_id = bt.id
+     WHERE bt.business_type = 'Dorm')::int AS dorm_reviews,
+    (SELECT COUNT(DISTINCT bt.business_sector_id)
+     FROM ratings
+     JOIN business_types bt ON ratings.business_type_id = bt.id)::int AS sectors_rated,
+    (SELECT COALESCE(MAX(days), 0) FROM streaks)::int AS streak_days`;
+
+// Evaluations started by evaluateUserLater and not yet finished
+const pending = new Set();
+
+/**
+ * Current value of every metric for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} Counts keyed by metric
+ */
+const metricsOf = async (userId) => {
+  const [metrics] = await db.query(METRICS_SQL, { userId: parseInt(userId) });
+
+  return metrics;
+};
+
+/**
+ * Award every active achievement a user has reached and not yet earned,
+ * crediting its bonus points in the same transaction
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Array>} Achievements newly earned
+ */
+const evaluateUser = async (userId) => {
+  try {
+    const metrics = await metricsOf(userId);
+
+    const reached = await db.query(
+      `SELECT ad.*
+       FROM achievement_definitions ad
+       WHERE ad.is_active = TRUE
+         AND NOT EXISTS (
+           SELECT 1 FROM user_achievements ua
+           WHERE ua.achievement_id = ad.id AND ua.user_id = $1
+         )
+       ORDER BY ad.id`,
+      { userId: parseInt(userId) }
+    );
+
+    const earned = [];
+
+    for (const achievement of reached.filter((definition) => metrics[definition.metric] >= definition.threshold)) {
+      const awarded = await db.transaction(async () => {
+        const inserted = await db.query(
+          `INSERT INTO user_achievements (user_id, achievement_id)
+           VALUES ($1, $2)
+           ON CONFLICT DO NOTHING
+           RETURNING date_earned`,
+          { userId: parseInt(userId), achievementId: achievement.id }
+        );
+
+        if (inserted.length === 0) {
+          return null;
+        }
+
+        if (achievement.bonus_points > 0) {
+          await pointsService.creditPoints(userId, achievement.bonus_points, {
+            reason: 'achievement',
+            entryKey: `achievement:${achievement.id}:${parseInt(userId)}`,
+            details: { achievementId: achievement.id, code: achievement.code }
+          });
+        }
+
+        return { ...achievement, date_earned: inserted[0].date_earned };
+      });
+
+      if (awarded) {
+        business.achievementsEarned.inc({ code: achievement.code });
+        earned.push(awarded);
+      }
+    }
+
+    return earned;
+  } catch (error) {
+    throw wrapError(error, 'Error evaluating achievements');
+  }
+};
+
+/**
+ * Evaluate a user's achievements after the current request has moved on.
+ * Failures are logged, not thrown. Call it outside any transaction: the
+ * evaluation would otherwise inherit the transaction's client.
+ * @param {string|number} userId - User ID
+ */
+const evaluateUserLater = (userId) => {
+  const evaluation = new Promise((resolve) => setImmediate(resolve))
+    .then(() => evaluateUser(userId))
+    .catch((error) => currentLogger().error('Achievement evaluation failed', { userId, error }))
+    .finally(() => pending.delete(evaluation));
+
+  pending.add(evaluation);
+};
+
+/**
+ * Wait for every background evaluation to finish, e.g. before closing the pool
+ * @returns {Promise<void>}
+ */
+const whenIdle = async () => {
+  while (pending.size > 0) {
+    await Promise.all(pending);
+  }
+};
+
+/**
+ * Get a user's tier and achievements: those earned, and progress towards
+ * the active ones not yet earned
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Object>} `{ lifetimePoints, tier, nextTier, earned, inProgress }`
+ */
+const getUserAchievements = async (userId) => {
+  try {
+    const { lifetimePoints, tier, nextTier } = await pointsService.getUserTier(userId);
+    const metrics = await metricsOf(userId);
+
+    const definitions = await db.query(
+      `SELECT ad.id, ad.code, ad.name, ad.description, ad.metric, ad.threshold, ad.bonus_points,
+              ua.date_earned
+       FROM achievement_definitions ad
+       LEFT JOIN user_achievements ua ON ua.achievement_id = ad.id AND ua.user_id = $1
+       WHERE ad.is_active = TRUE OR ua.date_earned IS NOT NULL
+       ORDER BY ad.id`,
+      { userId: parseInt(userId) }
+    );
+
+    const achievements = definitions.map((definition) => ({
+      ...definition,
+      progress: Math.min(metrics[definition.metric], definition.threshold)
+    }));
+
+    return {
+      lifetimePoints,
+      tier,
+      nextTier,
+      earned: achievements.filter((achievement) => achievement.date_earned !== null),
+      inProgress: achievements.filter((achievement) => achievement.date_earned === null)
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting achievements');
+  }
+};
+
+/**
+ * Get every achievement definition with how many users have earned it
+ * @returns {Promise<Array>} Definitions
+ */
+const getDefinitions = async () => {
+  try {
+    const definitions = await db.query(
+      `SELECT ad.*, COUNT(ua.user_id)::int AS earned_count
+       FROM achievement_definitions ad
+       LEFT JOIN user_achievements ua ON ua.achievement_id = ad.id
+       GROUP BY ad.id
+       ORDER BY ad.id`
+    );
+
+    return definitions;
+  } catch (error) {
+    throw wrapError(error, 'Error getting achievement definitions');
+  }
+};
+
+/**
+ * Create an achievement definition
+ * @param {Object} definitionData - `{ code, name, description, metric, threshold, bonusPoints, isActive, createdBy }`
+ * @returns {Promise<Object>} Created definition
+ */
+const createDefinition = async (definitionData) => {
+  try {
+    const { code, name, description, metric, threshold, bonusPoints, isActive, createdBy } = definitionData;
+
+    const result = await db.query(
+      `INSERT INTO achievement_definitions (
+        code, name, description, metric, threshold, bonus_points, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *`,
+      {
+        code,
+        name,
+        description: description || '',
+        metric,
+        threshold,
+        bonusPoints: bonusPoints || 0,
+        isActive: isActive !== undefined ? isActive : true,
+        createdBy: parseInt(createdBy)
+      }
+    );
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error creating achievement definition');
+  }
+};
+
+/**
+ * Update an achievement definition (every column is replaced). Users who
+ * already earned it keep it; the change applies to later evaluations.
+ * @param {string|number} id - Definition ID
+ * @param {Object} definitionData - `{ code, name, description, metric, threshold, bonusPoints, isActive }`
+ * @returns {Promise<Object|null>} Updated definition or null if not found
+ */
+const updateDefinition = async (id, definitionData) => {
+  try {
+    const { code, name, description, metric, threshold, bonusPoints, isActive } = definitionData;
+
+    const result = await db.query(
+      `UPDATE achievement_definitions
+       SET code = $1,
+           name = $2,
+           description = $3,
+           metric = $4,
+           threshold = $5,
+           bonus_points = $6,
+           is_active = $7,
+           last_updated = NOW()
+       WHERE id = $8
+       RETURNING *`,
+      {
+        code,
+        name,
+        description: description || '',
+        metric,
+        threshold,
+        bonusPoints: bonusPoints || 0,
+        isActive: isActive !== undefined ? isActive : true,
+        id: parseInt(id)
+      }
+    );
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error updating achievement definition');
+  }
+};
+
+/**
+ * Delete an achievement definition. Definitions users have earned cannot be
+ * deleted; deactivate them instead.
+ * @param {string|number} id - Definition ID
+ * @returns {Promise<boolean>} False if the definition does not exist
+ */
+const deleteDefinition = async (id) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM achievement_definitions WHERE id = $1 RETURNING id',
+      { id: parseInt(id) }
+    );
+
+    return result.length > 0;
+  } catch (error) {
+    throw wrapError(error, 'Error deleting achievement definition');
+  }
+};
+
+module.exports = instrumentService('achievementService', {
+  evaluateUser,
+  evaluateUserLater,
+  whenIdle,
+  getUserAchievements,
+  getDefinitions,
+  createDefinition,
+  updateDefinition,
+  deleteDefinition
+});
@@ -1,6 +1,21 @@
 // @ts-nocheck
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { createError, wrapError, NotFoundError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
+
+/**
+ * Count registered users
+ * @returns {Promise<number>} Number of users
+ */
+const getUserCount = async () => {
+  try {
+    const result = await db.query('SELECT COUNT(*) AS cnt FROM users');
+
+    return parseInt(result[0].cnt);
+  } catch (error) {
+    throw wrapError(error, 'Error counting users');
+  }
+};
 
 /**
  * Get all FAQs
@@ -17,7 +32,7 @@ const getAllFaqs = async () => {
     
     return faqs;
   } catch (error) {
-    throw createError(`Error getting FAQs: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting FAQs');
   }
 };
 
@@ -59,7 +74,7 @@ const createFaq = async (faqData) => {
     
     return createdFaq[0];
   } catch (error) {
-    throw createError(`Error creating FAQ: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating FAQ');
   }
 };
 
@@ -99,12 +114,12 @@ const updateFaq = async (id, faqData) => {
     );
     
     if (updatedFaq.length === 0) {
-      throw createError('FAQ not found', 404);
+      throw new NotFoundError('FAQ not found', 'FAQ_NOT_FOUND');
     }
     
     return updatedFaq[0];
   } catch (error) {
-    throw createError(`Error updating FAQ: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating FAQ');
   }
 };
 
@@ -122,7 +137,7 @@ const deleteFaq = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting FAQ: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting FAQ');
   }
 };
 
@@ -163,7 +178,7 @@ const getAllSiteContent = async () => {
     
     return content;
   } catch (error) {
-    throw createError(`Error getting site content: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting site content');
   }
 };
 
@@ -273,7 +288,7 @@ const createSiteContent = async (contentData) => {
     
     return item;
   } catch (error) {
-    throw createError(`Error creating site content: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating site content');
   }
 };
 
@@ -369,7 +384,7 @@ const updateSiteContent = async (id, contentData) => {
     );
     
     if (updatedContent.length === 0) {
-      throw createError('Content not found', 404);
+      throw new NotFoundError('Content not found', 'SITE_CONTENT_NOT_FOUND');
     }
     
     const item = updatedContent[0];
@@ -397,7 +412,7 @@ const updateSiteContent = async (id, contentData) => {
     
     return item;
   } catch (error) {
-    throw createError(`Error updating site content: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating site content');
   }
 };
 
@@ -434,7 +449,7 @@ const deleteSiteContent = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting site content: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting site content');
   }
 };
 
@@ -467,7 +482,7 @@ const getAllSurveyQuestions = async () => {
     
     return questions;
   } catch (error) {
-    throw createError(`Error getting survey questions: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting survey questions');
   }
 };
 
@@ -542,21 +557,21 @@ const createSurveyQuestion = async (questionData) => {
       throw createError('Question not found after creation', 500);
     }
     
-    const question = createdQuestion[0];
+    const newQuestion = createdQuestion[0];
     
     // Get answer options
     const options = await db.query(
       `SELECT * FROM survey_questions_answer_options
        WHERE survey_question_id = $1
        ORDER BY id`,
-      { id: question.id }
+      { id: newQuestion.id }
     );
     
-    question.answerOptions = options;
+    newQuestion.answerOptions = options;
     
-    return question;
+    return newQuestion;
   } catch (error) {
-    throw createError(`Error creating survey question: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating survey question');
   }
 };
 
@@ -634,24 +649,24 @@ const updateSurveyQuestion = async (id, questionData) => {
     );
     
     if (updatedQuestion.length === 0) {
-      throw createError('Question not found', 404);
+      throw new NotFoundError('Question not found', 'SURVEY_QUESTION_NOT_FOUND');
     }
     
-    const question = updatedQuestion[0];
+    const savedQuestion = updatedQuestion[0];
     
     // Get answer options
     const options = await db.query(
       `SELECT * FROM survey_questions_answer_options
        WHERE survey_question_id = $1
        ORDER BY id`,
-      { id: question.id }
+      { id: savedQuestion.id }
     );
     
-    question.answerOptions = options;
+    savedQuestion.answerOptions = options;
     
-    return question;
+    return savedQuestion;
   } catch (error) {
-    throw createError(`Error updating survey question: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating survey question');
   }
 };
 
@@ -682,7 +697,7 @@ const deleteSurveyQuestion = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting survey question: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting survey question');
   }
 };
 
@@ -771,7 +786,7 @@ const getAllMessages = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all messages: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all messages');
   }
 };
 
@@ -798,12 +813,12 @@ const markMessageAsRead = async (id) => {
     );
     
     if (updatedMessage.length === 0) {
-      throw createError('Message not found', 404);
+      throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
     }
     
     return updatedMessage[0];
   } catch (error) {
-    throw createError(`Error marking message as read: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error marking message as read');
   }
 };
 
@@ -843,12 +858,12 @@ const replyToMessage = async (id, replyData) => {
     );
     
     if (updatedMessage.length === 0) {
-      throw createError('Message not found', 404);
+      throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
     }
     
     return updatedMessage[0];
   } catch (error) {
-    throw createError(`Error replying to message: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error replying to message');
   }
 };
 
@@ -866,7 +881,7 @@ const deleteMessage = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting message: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting message');
   }
 };
 
@@ -925,7 +940,7 @@ const getAllAds = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all ads: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all ads');
   }
 };
 
@@ -980,7 +995,7 @@ const createAd = async (adData) => {
     
     return createdAd[0];
   } catch (error) {
-    throw createError(`Error creating ad: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating ad');
   }
 };
 
@@ -1031,12 +1046,12 @@ const updateAd = async (id, adData) => {
      );
      
      if (updatedAd.length === 0) {
-       throw createError('Ad not found', 404);
+       throw new NotFoundError('Ad not found', 'AD_NOT_FOUND');
      }
      
      return updatedAd[0];
    } catch (error) {
-     throw createError(`Error updating ad: ${error.message}`, 500, error);
+     throw wrapError(error, 'Error updating ad');
    }
  };
  
@@ -1054,7 +1069,7 @@ const updateAd = async (id, adData) => {
      
      return true;
    } catch (error) {
-     throw createError(`Error deleting ad: ${error.message}`, 500, error);
+     throw wrapError(error, 'Error deleting ad');
    }
  };
  
@@ -1138,7 +1153,7 @@ const updateAd = async (id, adData) => {
        }
      };
    } catch (error) {
-     throw createError(`Error getting user activity logs: ${error.message}`, 500, error);
+     throw wrapError(error, 'Error getting user activity logs');
    }
  };
  
@@ -1225,11 +1240,12 @@ const updateAd = async (id, adData) => {
        }
      };
    } catch (error) {
-     throw createError(`Error getting user activity logs: ${error.message}`, 500, error);
+     throw wrapError(error, 'Error getting user activity logs');
    }
  };
  
- module.exports = {
+ module.exports = instrumentService('adminService', {
+   getUserCount,
    getAllFaqs,
    createFaq,
    updateFaq,
@@ -1252,4 +1268,4 @@ const updateAd = async (id, adData) => {
    deleteAd,
    getUserActivityLogs,
    getUserActivityLogsByUser
- };
\ No newline at end of file
+ });
\ No newline at end of file
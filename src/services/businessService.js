@@ -1,5 +1,6 @@
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { wrapError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
 
 /**
  * Get all business sectors
@@ -14,7 +15,7 @@ const getAllSectors = async () => {
     
     return sectors;
   } catch (error) {
-    throw createError(`Error getting business sectors: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business sectors');
   }
 };
 
@@ -36,7 +37,7 @@ const getSectorById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting business sector: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business sector');
   }
 };
 
@@ -55,7 +56,7 @@ const getAllTypes = async () => {
     
     return types;
   } catch (error) {
-    throw createError(`Error getting business types: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business types');
   }
 };
 
@@ -77,7 +78,7 @@ const getTypesBySector = async (sectorId) => {
     
     return types;
   } catch (error) {
-    throw createError(`Error getting business types by sector: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business types by sector');
   }
 };
 
@@ -102,7 +103,7 @@ const getTypeById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting business type: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business type');
   }
 };
 
@@ -125,7 +126,7 @@ const getUserBusinesses = async (userId) => {
     
     return businesses;
   } catch (error) {
-    throw createError(`Error getting user businesses: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user businesses');
   }
 };
 
@@ -151,7 +152,7 @@ const getBusinessById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting business: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting business');
   }
 };
 
@@ -213,7 +214,7 @@ const createBusiness = async (businessData) => {
     
     return await getBusinessById(businessId);
   } catch (error) {
-    throw createError(`Error creating business: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating business');
   }
 };
 
@@ -279,13 +280,13 @@ const updateBusiness = async (id, businessData) => {
       query,
       { 
         id: parseInt(id), 
-        ...Object.values(updateFields)
+        ...updateFields
       }
     );
     
     return await getBusinessById(id);
   } catch (error) {
-    throw createError(`Error updating business: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating business');
   }
 };
 
@@ -320,7 +321,7 @@ const createSector = async (sectorData) => {
       
       return await getSectorById(sectorId);
     } catch (error) {
-      throw createError(`Error creating business sector: ${error.message}`, 500, error);
+      throw wrapError(error, 'Error creating business sector');
     }
   };
   
@@ -354,7 +355,7 @@ const createSector = async (sectorData) => {
       
       return await getSectorById(id);
     } catch (error) {
-      throw createError(`Error updating business sector: ${error.message}`, 500, error);
+      throw wrapError(error, 'Error updating business sector');
     }
   };
   
@@ -392,7 +393,7 @@ const createSector = async (sectorData) => {
       
       return await getTypeById(typeId);
     } catch (error) {
-      throw createError(`Error creating business type: ${error.message}`, 500, error);
+      throw wrapError(error, 'Error creating business type');
     }
   };
   
@@ -429,11 +430,11 @@ const createSector = async (sectorData) => {
       
       return await getTypeById(id);
     } catch (error) {
-      throw createError(`Error updating business type: ${error.message}`, 500, error);
+      throw wrapError(error, 'Error updating business type');
     }
   };
   
-  module.exports = {
+  module.exports = instrumentService('businessService', {
     getAllSectors,
     getSectorById,
     getAllTypes,
@@ -447,4 +448,4 @@ const createSector = async (sectorData) => {
     updateSector,
     createType,
     updateType
-  };
\ No newline at end of file
+  });
\ No newline at end of file
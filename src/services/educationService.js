@@ -1,5 +1,6 @@
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { wrapError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
 
 /**
  * Get all education areas
@@ -15,7 +16,7 @@ const getAllAreas = async () => {
     
     return areas;
   } catch (error) {
-    throw createError(`Error getting education areas: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting education areas');
   }
 };
 
@@ -37,7 +38,7 @@ const getAreaById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting education area: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting education area');
   }
 };
 
@@ -57,7 +58,7 @@ const getAllLocations = async () => {
     
     return locations;
   } catch (error) {
-    throw createError(`Error getting education locations: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting education locations');
   }
 };
 
@@ -79,7 +80,7 @@ const getLocationsByArea = async (areaId) => {
     
     return locations;
   } catch (error) {
-    throw createError(`Error getting education locations by area: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting education locations by area');
   }
 };
 
@@ -104,7 +105,7 @@ const getLocationById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting education location: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting education location');
   }
 };
 
@@ -139,7 +140,7 @@ const getAllDorms = async () => {
     
     return dorms;
   } catch (error) {
-    throw createError(`Error getting dorms: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting dorms');
   }
 };
 
@@ -155,7 +156,7 @@ const getDormsByLocation = async (locationId) => {
     // For now, returning all dorms
     return await getAllDorms();
   } catch (error) {
-    throw createError(`Error getting dorms by location: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting dorms by location');
   }
 };
 
@@ -189,7 +190,7 @@ const getDormById = async (id) => {
     
     return dorm;
   } catch (error) {
-    throw createError(`Error getting dorm: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting dorm');
   }
 };
 
@@ -208,7 +209,7 @@ const getAllProfessors = async () => {
     
     return professors;
   } catch (error) {
-    throw createError(`Error getting professors: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting professors');
   }
 };
 
@@ -230,7 +231,7 @@ const getProfessorsByDepartment = async (departmentId) => {
     
     return professors;
   } catch (error) {
-    throw createError(`Error getting professors by department: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting professors by department');
   }
 };
 
@@ -255,7 +256,7 @@ const getProfessorById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting professor: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting professor');
   }
 };
 
@@ -277,7 +278,7 @@ const getProfessorCourses = async (professorId) => {
     
     return courses;
   } catch (error) {
-    throw createError(`Error getting professor courses: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting professor courses');
   }
 };
 
@@ -295,7 +296,7 @@ const getAllDepartments = async () => {
     
     return departments;
   } catch (error) {
-    throw createError(`Error getting departments: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting departments');
   }
 };
 
@@ -313,7 +314,7 @@ const getAllClassCodes = async () => {
     
     return classCodes;
   } catch (error) {
-    throw createError(`Error getting class codes: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting class codes');
   }
 };
 
@@ -329,7 +330,7 @@ const getClassCodesByDepartment = async (departmentId) => {
     // For now, returning all class codes
     return await getAllClassCodes();
   } catch (error) {
-    throw createError(`Error getting class codes by department: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting class codes by department');
   }
 };
 
@@ -347,7 +348,7 @@ const getAllInternet = async () => {
     
     return internet;
   } catch (error) {
-    throw createError(`Error getting internet services: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting internet services');
   }
 };
 
@@ -366,7 +367,7 @@ const getAllSecurity = async () => {
     
     return security;
   } catch (error) {
-    throw createError(`Error getting security services: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting security services');
   }
 };
 
@@ -385,7 +386,7 @@ const getAllSocial = async () => {
     
     return social;
   } catch (error) {
-    throw createError(`Error getting social locations: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting social locations');
   }
 };
 
@@ -417,7 +418,7 @@ const createArea = async (areaData) => {
     
     return await getAreaById(areaId);
   } catch (error) {
-    throw createError(`Error creating education area: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating education area');
   }
 };
 
@@ -447,7 +448,7 @@ const updateArea = async (id, areaData) => {
     
     return await getAreaById(id);
   } catch (error) {
-    throw createError(`Error updating education area: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating education area');
   }
 };
 
@@ -481,7 +482,7 @@ const createLocation = async (locationData) => {
     
     return await getLocationById(locationId);
   } catch (error) {
-    throw createError(`Error creating location: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating location');
   }
 };
 
@@ -515,11 +516,11 @@ const updateLocation = async (id, locationData) => {
     
     return await getLocationById(id);
   } catch (error) {
-    throw createError(`Error updating location: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating location');
   }
 };
 
-module.exports = {
+module.exports = instrumentService('educationService', {
   getAllAreas,
   getAreaById,
   getAllLocations,
@@ -542,4 +543,4 @@ module.exports = {
   updateArea,
   createLocation,
   updateLocation
-};
\ No newline at end of file
+});
\ No newline at end of file
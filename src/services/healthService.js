@@ -0,0 +1,161 @@
+const os = require('os');
+const db = require('../config/db');
+const firebase = require('../config/firebase');
+const { getConfig } = require('../config');
+const migrationService = require('./migrationService');
+const { wrapError } = require('../utils/errorUtils');
+const { version } = require('../../package.json');
+const { instrumentService } = require('../utils/metrics');
+
+const config = getConfig();
+const startedAt = new Date();
+
+// Set once SIGTERM arrives, so load balancers stop routing new requests here
+let shuttingDown = false;
+
+/**
+ * Mark the process as draining; readiness fails from now on
+ */
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * Run a dependency check, timing it and bounding how long it may take
+ * @param {Function} check - Async check resolving to extra fields, or throwing
+ * @returns {Promise<Object>} `{ status: 'ok'|'error', latencyMs, ... }`
+ */
+const runCheck = async (check) => {
+  const start = Date.now();
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${config.health.checkTimeoutMs}ms`)),
+      config.health.checkTimeoutMs
+    );
+  });
+
+  try {
+    const details = await Promise.race([check(), timeout]);
+    return { status: 'ok', latencyMs: Date.now() - start, ...details };
+  } catch (error) {
+    return { status: 'error', latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Check that the pool can hand out a connection and run a query
+ * @returns {Promise<Object>} Empty details
+ */
+const checkDatabase = async () => {
+  await db.query('SELECT 1');
+  return {};
+};
+
+/**
+ * Check that the Firebase Admin default app is initialized
+ * @returns {Promise<Object>} `{ projectId }`
+ */
+const checkFirebase = async () => {
+  const [app] = firebase.apps;
+
+  if (!app) {
+    throw new Error('Firebase Admin is not initialized');
+  }
+
+  return { projectId: app.options.projectId };
+};
+
+/**
+ * Check every dependency a request needs
+ * @returns {Promise<Object>} `{ ready, checks }`
+ */
+const getReadiness = async () => {
+  const [database, firebaseCheck] = await Promise.all([runCheck(checkDatabase), runCheck(checkFirebase)]);
+  const checks = { database, firebase: firebaseCheck };
+
+  if (shuttingDown) {
+    checks.shutdown = { status: 'error', error: 'Shutting down' };
+  }
+
+  return {
+    ready: Object.values(checks).every((check) => check.status === 'ok'),
+    checks,
+  };
+};
+
+/**
+ * Seconds since the process started serving
+ * @returns {number} Uptime in whole seconds
+ */
+const getUptimeSeconds = () => Math.floor((Date.now() - startedAt.getTime()) / 1000);
+
+/**
+ * Migration state: applied count, latest applied, and labels of pending or drifted migrations
+ * @returns {Promise<Object>} `{ applied, latest, pending, changed, unknown }`
+ */
+const getMigrationSummary = async () => {
+  const status = await migrationService.getStatus();
+
+  return {
+    applied: status.applied.length,
+    latest: status.applied.length > 0
+      ? migrationService.migrationLabel(status.applied[status.applied.length - 1])
+      : null,
+    pending: status.pending.map(migrationService.migrationLabel),
+    changed: status.changed.map(migrationService.migrationLabel),
+    unknown: status.unknown.map(migrationService.migrationLabel),
+  };
+};
+
+/**
+ * Runtime details for operators: build, uptime, pool and migrations
+ * @returns {Promise<Object>} Diagnostics report
+ */
+const getDiagnostics = async () => {
+  const { pool } = db;
+  const memory = process.memoryUsage();
+
+  try {
+    return {
+      build: {
+        version,
+        commitSha: config.build.commitSha || null,
+        revision: config.build.revision || null,
+        node: process.version,
+        environment: config.environment,
+      },
+      uptime: {
+        startedAt: startedAt.toISOString(),
+        seconds: getUptimeSeconds(),
+      },
+      process: {
+        pid: process.pid,
+        hostname: os.hostname(),
+        rssBytes: memory.rss,
+        heapUsedBytes: memory.heapUsed,
+        shuttingDown,
+      },
+      pool: {
+        max: pool.options.max,
+        total: pool.totalCount,
+        idle: pool.idleCount,
+        waiting: pool.waitingCount,
+      },
+      migrations: await getMigrationSummary(),
+      readiness: await getReadiness(),
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting diagnostics');
+  }
+};
+
+module.exports = instrumentService('healthService', {
+  markShuttingDown,
+  getReadiness,
+  getUptimeSeconds,
+  getDiagnostics
+});
@@ -0,0 +1,147 @@
+const db = require('../config/db');
+const { wrapError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
+
+/**
+ * User leaderboards.
+ * Users are ranked by one metric over the current UTC week or month, or all
+ * time, optionally within a campus (edu area) or business sector. Only
+ * display names are shown, and users who opted out, guests and inactive or
+ * deleted accounts are left out.
+ */
+
+// Score per user for each metric; `cr` is the rating the activity belongs to.
+// `inPeriod(column)` and `inScope` are the period and scope conditions.
+const SCORES = {
+  // Points earned net of reversals; spending and expiry do not count
+  points: ({ inPeriod, inScope }) => `
+    SELECT g.user_id, SUM(g.points) AS score
+    FROM consumer_glad_points g
+    LEFT JOIN consumer_ratings cr ON g.consumer_rating_id = cr.id
+    WHERE g.reason NOT IN ('redemption', 'expiry') AND ${inPeriod('g.date_created')} AND ${inScope}
+    GROUP BY g.user_id`,
+  ratings: ({ inPeriod, inScope }) => `
+    SELECT cr.user_id, COUNT(*) AS score
+    FROM consumer_ratings cr
+    WHERE cr.status = 'active' AND ${inPeriod('cr.date_created')} AND ${inScope}
+    GROUP BY cr.user_id`,
+  // Helpful votes cast in the period on the user's public reviews
+  helpful: ({ inPeriod, inScope }) => `
+    SELECT rv.user_id, COUNT(*) AS score
+    FROM review_helpful_votes hv
+    JOIN consumer_reviews rv ON hv.consumer_review_id = rv.id
+    JOIN consumer_ratings cr ON rv.consumer_rating_id = cr.id
+    WHERE rv.is_active = TRUE AND rv.is_private = FALSE AND ${inPeriod('hv.date_created')} AND ${inScope}
+    GROUP BY rv.user_id`,
+};
+
+// Start of each period, in UTC; all-time has none
+const PERIOD_STARTS = {
+  week: 'date_trunc(\'week\', NOW() AT TIME ZONE \'UTC\') AT TIME ZONE \'UTC\'',
+  month: 'date_trunc(\'month\', NOW() AT TIME ZONE \'UTC\') AT TIME ZONE \'UTC\'',
+  all: null,
+};
+
+/**
+ * Ranked-users query for a metric, period and scope
+ * @param {string} metric - points, ratings or helpful
+ * @param {string} period - week, month or all
+ * @param {Object} scope - `{ eduAreaId, sectorId }`, either may be null
+ * @returns {string} SQL selecting `user_id, display_name, score, rank`
+ */
+const rankedQuery = (metric, period, { eduAreaId, sectorId }) => {
+  const start = PERIOD_STARTS[period];
+  const scope = [];
+
+  if (eduAreaId) {
+    scope.push('cr.edu_location_id IN (SELECT id FROM edu_locations WHERE edu_area_id = $eduAreaId::int)');
+  }
+  if (sectorId) {
+    scope.push('cr.business_type_id IN (SELECT id FROM business_types WHERE business_sector_id = $sectorId::int)');
+  }
+
+  const scores = SCORES[metric]({
+    inPeriod: (column) => (start ? `${column} >= ${start}` : 'TRUE'),
+    inScope: scope.length > 0 ? scope.join(' AND ') : 'TRUE'
+  });
+
+  return `
+    SELECT s.user_id,
+           COALESCE(NULLIF(u.display_name, ''), 'Anonymous') AS display_name,
+           s.score::int AS score,
+           RANK() OVER (ORDER BY s.score DESC)::int AS rank
+    FROM (${scores}) s
+    JOIN users u ON s.user_id = u.id
+    WHERE s.score > 0
+      AND u.leaderboard_opt_out = FALSE
+      AND u.is_guest = FALSE
+      AND u.is_active = TRUE
+      AND u.is_deleted = FALSE`;
+};
+
+/**
+ * Get a leaderboard page and the caller's own standing
+ * @param {Object} options - Leaderboard options
+ * @param {string} [options.metric] - points (default), ratings or helpful
+ * @param {string} [options.period] - week, month or all (default)
+ * @param {number} [options.eduAreaId] - Only activity on ratings at this campus
+ * @param {number} [options.sectorId] - Only activity on ratings of business types in this sector
+ * @param {number} [options.userId] - Caller, for `me`
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Items per page
+ * @returns {Promise<Object>} Paginated `{ rank, displayName, score }`, best first, plus `me` (null if the caller
+ *   is not ranked)
+ */
+const getLeaderboard = async (options = {}) => {
+  try {
+    const { metric = 'points', period = 'all', eduAreaId = null, sectorId = null, userId = null } = options;
+    const { page = 1, limit = 10 } = options;
+    const offset = (page - 1) * limit;
+
+    const ranked = rankedQuery(metric, period, { eduAreaId, sectorId });
+    const scopeParams = {
+      ...(eduAreaId && { eduAreaId: parseInt(eduAreaId) }),
+      ...(sectorId && { sectorId: parseInt(sectorId) })
+    };
+
+    const rows = await db.query(
+      `SELECT * FROM (${ranked}) ranked
+       ORDER BY rank, user_id
+       LIMIT $limit OFFSET $offset`,
+      { ...scopeParams, limit, offset }
+    );
+
+    const countResult = await db.query(`SELECT COUNT(*) FROM (${ranked}) ranked`, scopeParams);
+
+    const own = userId
+      ? await db.query(
+        `SELECT * FROM (${ranked}) ranked WHERE user_id = $userId`,
+        { ...scopeParams, userId: parseInt(userId) }
+      )
+      : [];
+
+    const toEntry = (row) => ({ rank: row.rank, displayName: row.display_name, score: row.score });
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: rows.map(toEntry),
+      me: own.length > 0 ? toEntry(own[0]) : null,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting leaderboard');
+  }
+};
+
+module.exports = instrumentService('leaderboardService', {
+  getLeaderboard
+});
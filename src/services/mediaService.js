@@ -1,5 +1,7 @@
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { wrapError } = require('../utils/errorUtils');
+const { business, instrumentService } = require('../utils/metrics');
+const pointsService = require('./pointsService');
 
 /**
  * Get all image types
@@ -14,7 +16,7 @@ const getImageTypes = async () => {
     
     return types;
   } catch (error) {
-    throw createError(`Error getting image types: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting image types');
   }
 };
 
@@ -39,12 +41,13 @@ const getImageById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting image: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting image');
   }
 };
 
 /**
- * Upload a new image
+ * Upload a new image. A photo on a rating, or on a review of one, earns the
+ * rater photo points in the same transaction.
  * @param {Object} imageData - Image data
  * @returns {Promise<Object>} Created image record
  */
@@ -63,31 +66,46 @@ const uploadImage = async (imageData) => {
     
     const now = new Date().toISOString();
     
-    const result = await db.query(
-      `INSERT INTO image_urls (
-        image_type_id, consumer_rating_id, consumer_review_id,
-        edu_dorm_id, user_id, image_url, order_by_number,
-        is_active, date_created
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING id`,
-      {
-        imageTypeId: parseInt(imageTypeId),
-        consumerRatingId: consumerRatingId ? parseInt(consumerRatingId) : null,
-        consumerReviewId: consumerReviewId ? parseInt(consumerReviewId) : null,
-        eduDormId: eduDormId ? parseInt(eduDormId) : null,
-        userId: parseInt(userId),
-        imageURL,
-        orderByNumber: orderByNumber || 0,
-        isActive: isActive !== undefined ? isActive : true,
-        dateCreated: now
+    const imageId = await db.transaction(async () => {
+      const result = await db.query(
+        `INSERT INTO image_urls (
+          image_type_id, consumer_rating_id, consumer_review_id,
+          edu_dorm_id, user_id, image_url, order_by_number,
+          is_active, date_created
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id`,
+        {
+          imageTypeId: parseInt(imageTypeId),
+          consumerRatingId: consumerRatingId ? parseInt(consumerRatingId) : null,
+          consumerReviewId: consumerReviewId ? parseInt(consumerReviewId) : null,
+          eduDormId: eduDormId ? parseInt(eduDormId) : null,
+          userId: parseInt(userId),
+          imageURL,
+          orderByNumber: orderByNumber || 0,
+          isActive: isActive !== undefined ? isActive : true,
+          dateCreated: now
+        }
+      );
+
+      const reviews = consumerReviewId
+        ? await db.query(
+          'SELECT consumer_rating_id FROM consumer_reviews WHERE id = $1',
+          { id: parseInt(consumerReviewId) }
+        )
+        : [];
+      const ratingId = consumerRatingId || (reviews.length > 0 && reviews[0].consumer_rating_id);
+
+      if (ratingId) {
+        await pointsService.awardRatingPoints(ratingId);
       }
-    );
-    
-    const imageId = result[0].id;
+
+      return result[0].id;
+    });
+    business.imagesUploaded.inc();
     
     return await getImageById(imageId);
   } catch (error) {
-    throw createError(`Error uploading image: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error uploading image');
   }
 };
 
@@ -105,10 +123,11 @@ const deleteImage = async (id) => {
        WHERE id = $1`,
       { id: parseInt(id) }
     );
+    await pointsService.reverseImagePoints([parseInt(id)], 'photo_deleted');
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting image: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting image');
   }
 };
 
@@ -130,7 +149,7 @@ const getImagesByUser = async (userId) => {
     
     return images;
   } catch (error) {
-    throw createError(`Error getting images by user: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting images by user');
   }
 };
 
@@ -152,7 +171,7 @@ const getImagesByRating = async (ratingId) => {
     
     return images;
   } catch (error) {
-    throw createError(`Error getting images by rating: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting images by rating');
   }
 };
 
@@ -174,7 +193,7 @@ const getImagesByReview = async (reviewId) => {
     
     return images;
   } catch (error) {
-    throw createError(`Error getting images by review: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting images by review');
   }
 };
 
@@ -196,7 +215,7 @@ const getImagesByDorm = async (dormId) => {
     
     return images;
   } catch (error) {
-    throw createError(`Error getting images by dorm: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting images by dorm');
   }
 };
 
@@ -252,7 +271,7 @@ const getAllImages = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all images: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all images');
   }
 };
 
@@ -278,13 +297,17 @@ const moderateImage = async (id, moderationData) => {
       }
     );
     
+    if (!isActive) {
+      await pointsService.reverseImagePoints([parseInt(id)], 'photo_hidden');
+    }
+    
     return await getImageById(id);
   } catch (error) {
-    throw createError(`Error moderating image: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error moderating image');
   }
 };
 
-module.exports = {
+module.exports = instrumentService('mediaService', {
   getImageTypes,
   getImageById,
   uploadImage,
@@ -295,4 +318,4 @@ module.exports = {
   getImagesByDorm,
   getAllImages,
   moderateImage
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/db');
+const { createError } = require('../utils/errorUtils');
+
+const MIGRATIONS_DIR = path.resolve(__dirname, '../../migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// Arbitrary key for pg_advisory_lock so concurrent deploys migrate one at a time
+const MIGRATION_LOCK_KEY = 4242001;
+
+/**
+ * Compute the checksum recorded for a migration
+ * @param {string} sql - Migration SQL
+ * @returns {string} SHA-256 hex digest
+ */
+const checksum = (sql) => crypto
+  .createHash('sha256')
+  .update(sql.replace(/\r\n/g, '\n'))
+  .digest('hex');
+
+/**
+ * Human-readable migration label, e.g. 001_initial_schema
+ * @param {Object} migration - Migration or tracking row
+ * @returns {string} Label
+ */
+const migrationLabel = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+
+/**
+ * Load migration files from disk
+ * @param {string} [dir] - Migrations directory
+ * @returns {Array} Migrations sorted by version
+ */
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = new Map();
+
+  fs.readdirSync(dir).forEach((file) => {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) {
+      return;
+    }
+
+    const version = parseInt(match[1], 10);
+    const name = match[2];
+    const direction = match[3];
+
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw createError(`Migration version ${version} is used by more than one name`, 500);
+    }
+
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    migrations.set(version, migration);
+  });
+
+  return [...migrations.values()]
+    .map((migration) => {
+      if (!migration.up) {
+        throw createError(`Migration ${migrationLabel(migration)} has no up file`, 500);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version - b.version);
+};
+
+/**
+ * Create the tracking table if needed
+ * @param {Object} client - pg client
+ * @returns {Promise<void>}
+ */
+const ensureMigrationsTable = async (client) => {
+  await client.query(
+    `CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INTEGER NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`
+  );
+};
+
+/**
+ * Get the migrations recorded as applied
+ * @param {Object} executor - pg client or pool
+ * @returns {Promise<Array>} Applied migrations sorted by version
+ */
+const getAppliedMigrations = async (executor) => {
+  const exists = await executor.query('SELECT to_regclass($1) AS table_name', [MIGRATIONS_TABLE]);
+  if (!exists.rows[0].table_name) {
+    return [];
+  }
+
+  const result = await executor.query(
+    `SELECT version, name, checksum, execution_ms, applied_at
+     FROM ${MIGRATIONS_TABLE}
+     ORDER BY version`
+  );
+  return result.rows;
+};
+
+/**
+ * Compare migration files with the tracking table
+ * @param {Array} migrations - Migrations on disk
+ * @param {Array} applied - Applied migrations
+ * @returns {Object} Status summary
+ */
+const compareMigrations = (migrations, applied) => {
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+  const localVersions = new Set(migrations.map((migration) => migration.version));
+
+  return {
+    applied: applied.filter((row) => localVersions.has(row.version)),
+    pending: migrations.filter((migration) => !appliedByVersion.has(migration.version)),
+    changed: migrations.filter((migration) => {
+      const row = appliedByVersion.get(migration.version);
+      return row && row.checksum !== migration.checksum;
+    }),
+    unknown: applied.filter((row) => !localVersions.has(row.version)),
+  };
+};
+
+/**
+ * Throw if applied migrations no longer match the files on disk
+ * @param {Object} status - Result of compareMigrations
+ */
+const assertNoDrift = (status) => {
+  const problems = [
+    ...status.changed.map((migration) => `${migrationLabel(migration)} was modified after it was applied`),
+    ...status.unknown.map((row) => `${migrationLabel(row)} is applied but its file is missing`),
+  ];
+
+  if (problems.length > 0) {
+    throw createError(`Migration checksum verification failed: ${problems.join('; ')}`, 500);
+  }
+};
+
+/**
+ * Run `fn` with a dedicated client holding the migration lock
+ * @param {Function} fn - Callback receiving the client
+ * @returns {Promise<*>} Callback result
+ */
+const withMigrationLock = async (fn) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Apply or revert one migration inside its own transaction
+ * @param {Object} client - pg client
+ * @param {Object} migration - Migration
+ * @param {string} direction - 'up' or 'down'
+ * @returns {Promise<number>} Execution time in milliseconds
+ */
+const runMigration = async (client, migration, direction) => {
+  const started = Date.now();
+
+  await client.query('BEGIN');
+  try {
+    // Migration files are plain SQL: run them as-is, without parameter binding
+    await client.query(migration[direction]);
+
+    const executionMs = Date.now() - started;
+
+    if (direction === 'up') {
+      await client.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (version, name, checksum, execution_ms)
+         VALUES ($1, $2, $3, $4)`,
+        [migration.version, migration.name, migration.checksum, executionMs]
+      );
+    } else {
+      await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [migration.version]);
+    }
+
+    await client.query('COMMIT');
+    return executionMs;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw createError(
+      `Migration ${migrationLabel(migration)} (${direction}) failed: ${error.message}`,
+      500,
+      error
+    );
+  }
+};
+
+/**
+ * Get applied, pending and drifted migrations
+ * @param {Object} [options] - Options
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Object>} Migration status
+ */
+const getStatus = async ({ dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const applied = await getAppliedMigrations(db.pool);
+
+  return compareMigrations(migrations, applied);
+};
+
+/**
+ * Apply pending migrations
+ * @param {Object} [options] - Options
+ * @param {number} [options.to] - Stop after this version
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Array>} Applied migrations with timings
+ */
+const migrateUp = async ({ to, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+
+  return withMigrationLock(async (client) => {
+    const status = compareMigrations(migrations, await getAppliedMigrations(client));
+    assertNoDrift(status);
+
+    const results = [];
+    for (const migration of status.pending) {
+      if (to !== undefined && migration.version > to) {
+        break;
+      }
+      const executionMs = await runMigration(client, migration, 'up');
+      results.push({ version: migration.version, name: migration.name, executionMs });
+    }
+
+    return results;
+  });
+};
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} [options] - Options
+ * @param {number} [options.steps] - Number of migrations to revert
+ * @param {string} [options.dir] - Migrations directory
+ * @returns {Promise<Array>} Reverted migrations with timings
+ */
+const migrateDown = async ({ steps = 1, dir } = {}) => {
+  const migrations = loadMigrations(dir);
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+
+  return withMigrationLock(async (client) => {
+    const status = compareMigrations(migrations, await getAppliedMigrations(client));
+    assertNoDrift(status);
+
+    const toRevert = status.applied.slice(-steps).reverse();
+    const results = [];
+
+    for (const row of toRevert) {
+      const migration = byVersion.get(row.version);
+      if (!migration.down) {
+        throw createError(`Migration ${migrationLabel(migration)} has no down file`, 500);
+      }
+      const executionMs = await runMigration(client, migration, 'down');
+      results.push({ version: migration.version, name: migration.name, executionMs });
+    }
+
+    return results;
+  });
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  migrationLabel,
+  loadMigrations,
+  getStatus,
+  migrateUp,
+  migrateDown
+};
@@ -0,0 +1,216 @@
+const db = require('../config/db');
+const { wrapError, NotFoundError, ValidationError, ConflictError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
+
+const PERMISSION_NAME_PATTERN = /^[a-z][a-z-]*:[a-z][a-z-]*$/;
+
+/**
+ * Get all permissions
+ * @returns {Promise<Array>} Permissions
+ */
+const getAllPermissions = async () => {
+  try {
+    const permissions = await db.query(
+      `SELECT id, permission, description, date_created
+       FROM permissions
+       ORDER BY permission`
+    );
+
+    return permissions;
+  } catch (error) {
+    throw wrapError(error, 'Error getting permissions');
+  }
+};
+
+/**
+ * Create a permission
+ * @param {Object} permissionData - Permission data
+ * @returns {Promise<Object>} Created permission
+ */
+const createPermission = async (permissionData) => {
+  const { permission, description } = permissionData;
+
+  if (!PERMISSION_NAME_PATTERN.test(permission || '')) {
+    throw new ValidationError(
+      'Permission must look like "resource:action", e.g. reviews:moderate',
+      'INVALID_PERMISSION_NAME'
+    );
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO permissions (permission, description)
+       VALUES ($1, $2)
+       RETURNING id, permission, description, date_created`,
+      { permission, description: description || null }
+    );
+
+    return result[0];
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Permission ${permission} already exists`, 'PERMISSION_EXISTS');
+    }
+    throw wrapError(error, 'Error creating permission');
+  }
+};
+
+/**
+ * Get every role with the permissions granted to it
+ * @returns {Promise<Array>} Roles with a `permissions` array of names
+ */
+const getRolesWithPermissions = async () => {
+  try {
+    const roles = await db.query(
+      `SELECT r.id, r.role, r.description,
+              COALESCE(
+                ARRAY_AGG(p.permission ORDER BY p.permission) FILTER (WHERE p.id IS NOT NULL),
+                '{}'
+              ) AS permissions
+       FROM roles r
+       LEFT JOIN role_permissions rp ON rp.role_id = r.id
+       LEFT JOIN permissions p ON p.id = rp.permission_id
+       GROUP BY r.id
+       ORDER BY r.id`
+    );
+
+    return roles;
+  } catch (error) {
+    throw wrapError(error, 'Error getting role permissions');
+  }
+};
+
+/**
+ * Get the permissions granted to any of the given roles
+ * @param {Array<string>} roles - Role names
+ * @returns {Promise<Array<string>>} Permission names
+ */
+const getPermissionsForRoles = async (roles) => {
+  try {
+    const result = await db.query(
+      `SELECT DISTINCT p.permission
+       FROM permissions p
+       JOIN role_permissions rp ON rp.permission_id = p.id
+       JOIN roles r ON r.id = rp.role_id
+       WHERE r.role IN ($1)`,
+      { roles }
+    );
+
+    return result.map((row) => row.permission);
+  } catch (error) {
+    throw wrapError(error, 'Error getting permissions for roles');
+  }
+};
+
+/**
+ * Look up role and permission IDs, failing with 404 when either is unknown
+ * @param {Object} client - Query executor
+ * @param {string|number} roleId - Role ID
+ * @param {Array<string>} permissionNames - Permission names
+ * @returns {Promise<Array<number>>} Permission IDs
+ */
+const resolveGrant = async (client, roleId, permissionNames) => {
+  const role = await client.query('SELECT id FROM roles WHERE id = $1', { id: parseInt(roleId) });
+
+  if (role.length === 0) {
+    throw new NotFoundError('Role not found', 'ROLE_NOT_FOUND');
+  }
+
+  const permissions = await client.query(
+    'SELECT id, permission FROM permissions WHERE permission IN ($1)',
+    { permissionNames }
+  );
+
+  const found = permissions.map((row) => row.permission);
+  const missing = permissionNames.filter((name) => !found.includes(name));
+
+  if (missing.length > 0) {
+    throw new NotFoundError(`Unknown permissions: ${missing.join(', ')}`, 'PERMISSION_NOT_FOUND');
+  }
+
+  return permissions.map((row) => row.id);
+};
+
+/**
+ * Replace the full set of permissions granted to a role
+ * @param {string|number} roleId - Role ID
+ * @param {Array<string>} permissionNames - Permission names
+ * @returns {Promise<Array<string>>} Permissions now granted
+ */
+const setRolePermissions = async (roleId, permissionNames) => {
+  try {
+    return await db.transaction(async (client) => {
+      const permissionIds = await resolveGrant(client, roleId, permissionNames);
+
+      await client.query(
+        'DELETE FROM role_permissions WHERE role_id = $1',
+        { roleId: parseInt(roleId) }
+      );
+
+      for (const permissionId of permissionIds) {
+        await client.query(
+          'INSERT INTO role_permissions (role_id, permission_id) VALUES ($1, $2)',
+          { roleId: parseInt(roleId), permissionId }
+        );
+      }
+
+      return [...permissionNames].sort();
+    });
+  } catch (error) {
+    throw wrapError(error, 'Error setting role permissions');
+  }
+};
+
+/**
+ * Grant a permission to a role
+ * @param {string|number} roleId - Role ID
+ * @param {string} permission - Permission name
+ * @returns {Promise<void>}
+ */
+const grantPermission = async (roleId, permission) => {
+  try {
+    const [permissionId] = await resolveGrant(db, roleId, [permission]);
+
+    await db.query(
+      `INSERT INTO role_permissions (role_id, permission_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      { roleId: parseInt(roleId), permissionId }
+    );
+  } catch (error) {
+    throw wrapError(error, 'Error granting permission');
+  }
+};
+
+/**
+ * Revoke a permission from a role
+ * @param {string|number} roleId - Role ID
+ * @param {string} permission - Permission name
+ * @returns {Promise<boolean>} Whether the role had the permission
+ */
+const revokePermission = async (roleId, permission) => {
+  try {
+    const result = await db.query(
+      `DELETE FROM role_permissions rp
+       USING permissions p
+       WHERE rp.permission_id = p.id
+         AND rp.role_id = $1
+         AND p.permission = $2
+       RETURNING rp.role_id`,
+      { roleId: parseInt(roleId), permission }
+    );
+
+    return result.length > 0;
+  } catch (error) {
+    throw wrapError(error, 'Error revoking permission');
+  }
+};
+
+module.exports = instrumentService('permissionService', {
+  getAllPermissions,
+  createPermission,
+  getRolesWithPermissions,
+  getPermissionsForRoles,
+  setRolePermissions,
+  grantPermission,
+  revokePermission
+});
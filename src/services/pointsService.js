@@ -0,0 +1,728 @@
+const db = require('../config/db');
+const { wrapError, NotFoundError, ConflictError } = require('../utils/errorUtils');
+const { getConfig } = require('../config');
+const { business, instrumentService } = require('../utils/metrics');
+
+const pointsConfig = getConfig().points;
+
+/**
+ * Glad points rules engine.
+ * Awards are rows in the consumer_glad_points ledger, one per reason and
+ * source, keyed by `entry_key` so re-running the engine never pays twice.
+ * What each reason pays comes from points_rules, scaled by the rating's
+ * business type multiplier and the user's tier, and limited by the rule's
+ * daily cap. Spending,
+ * reversing and expiring points add negative entries, so a user's balance is
+ * the sum of the ledger.
+ */
+
+// Advisory lock class for ledger writes (second key is the user), so daily caps and balances hold under concurrency
+const POINTS_LOCK_KEY = 4242004;
+
+// What is left of each of a user's awards once spending and expiry are taken
+// from the oldest first. Reversals come off the award they point at.
+const UNSPENT_CREDITS = `
+  WITH ledger AS (
+    SELECT * FROM consumer_glad_points WHERE user_id = $userId
+  ),
+  credits AS (
+    SELECT c.id, c.date_created, c.points + COALESCE(SUM(r.points), 0) AS points
+    FROM ledger c
+    LEFT JOIN ledger r ON r.reversed_entry_id = c.id
+    WHERE c.points > 0
+    GROUP BY c.id, c.date_created, c.points
+  ),
+  spent AS (
+    SELECT COALESCE(-SUM(points), 0) AS points
+    FROM ledger
+    WHERE points < 0 AND reversed_entry_id IS NULL
+  ),
+  unspent AS (
+    SELECT credits.id, credits.date_created,
+           GREATEST(LEAST(
+             credits.points,
+             SUM(credits.points) OVER (ORDER BY credits.date_created, credits.id) - spent.points
+           ), 0)::int AS points
+    FROM credits, spent
+  )`;
+
+/**
+ * Serialise ledger writes for a user until the transaction ends
+ * @param {number} userId - User ID
+ */
+const lockLedger = async (userId) => {
+  await db.query(
+    'SELECT pg_advisory_xact_lock($1, $2)',
+    { lockKey: POINTS_LOCK_KEY, userId: parseInt(userId) }
+  );
+};
+
+/**
+ * Current balance of a user
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Sum of the user's ledger
+ */
+const balanceOf = async (userId) => {
+  const [{ balance }] = await db.query(
+    'SELECT COALESCE(SUM(points), 0)::int AS balance FROM consumer_glad_points WHERE user_id = $1',
+    { userId: parseInt(userId) }
+  );
+
+  return balance;
+};
+
+/**
+ * Points a user has earned over time: awards net of reversals. Spending and
+ * expiry do not count, so a tier once reached is kept until points are
+ * taken back.
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Lifetime points
+ */
+const lifetimePointsOf = async (userId) => {
+  const [{ points }] = await db.query(
+    `SELECT COALESCE(SUM(points), 0)::int AS points
+     FROM consumer_glad_points
+     WHERE user_id = $1 AND reason NOT IN ('redemption', 'expiry')`,
+    { userId: parseInt(userId) }
+  );
+
+  return points;
+};
+
+/**
+ * Tier a user is in and the next one up
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} `{ lifetimePoints, tier, nextTier }`; tiers are null past either end
+ */
+const tierOf = async (userId) => {
+  const lifetimePoints = await lifetimePointsOf(userId);
+  const tiers = await db.query(
+    `SELECT id, name, min_points, points_multiplier::float8 AS points_multiplier, description
+     FROM tiers
+     ORDER BY min_points`
+  );
+
+  const reached = tiers.filter((tier) => tier.min_points <= lifetimePoints);
+
+  return {
+    lifetimePoints,
+    tier: reached.length > 0 ? reached[reached.length - 1] : null,
+    nextTier: tiers.find((tier) => tier.min_points > lifetimePoints) || null
+  };
+};
+
+/**
+ * Awards a rating has earned so far, as `{ reason, entryKey, imageId? }`
+ * @param {Object} rating - consumer_ratings row
+ * @returns {Promise<Array<Object>>} Candidate awards
+ */
+const earnedAwards = async (rating) => {
+  const [facts] = await db.query(
+    `SELECT
+       NOT EXISTS (
+         SELECT 1 FROM consumer_ratings earlier
+         WHERE earlier.place_id = r.place_id
+           AND earlier.status = 'active'
+           AND (earlier.date_created, earlier.id) < (r.date_created, r.id)
+       ) AS is_first_of_place,
+       EXISTS (
+         SELECT 1 FROM consumer_reviews rv
+         WHERE rv.consumer_rating_id = r.id AND rv.user_id = r.user_id AND rv.is_active = TRUE
+       ) AS has_review,
+       EXISTS (
+         SELECT 1 FROM consumer_survey_question_answers sa
+         WHERE sa.consumer_rating_id = r.id
+       ) AS has_survey
+     FROM consumer_ratings r
+     WHERE r.id = $1`,
+    { id: rating.id }
+  );
+
+  // The rater's own photos on the rating or on their reviews of it
+  const images = await db.query(
+    `SELECT i.id
+     FROM image_urls i
+     LEFT JOIN consumer_reviews rv ON i.consumer_review_id = rv.id
+     WHERE i.user_id = $1 AND i.is_active = TRUE
+       AND (i.consumer_rating_id = $2 OR rv.consumer_rating_id = $2)
+     ORDER BY i.id`,
+    { userId: rating.user_id, ratingId: rating.id }
+  );
+
+  const awards = [{ reason: 'rating', entryKey: `rating:${rating.id}:rating` }];
+
+  if (facts.is_first_of_place) {
+    awards.push({ reason: 'first_place_rating', entryKey: `rating:${rating.id}:first_place_rating` });
+  }
+  if (facts.has_review) {
+    awards.push({ reason: 'review', entryKey: `rating:${rating.id}:review` });
+  }
+  if (facts.has_survey) {
+    awards.push({ reason: 'survey', entryKey: `rating:${rating.id}:survey` });
+  }
+  images.forEach((image) => {
+    awards.push({ reason: 'photo', entryKey: `image:${image.id}:photo`, imageId: image.id });
+  });
+
+  return awards;
+};
+
+/**
+ * Pay out every award a rating has earned and not yet received: the rating
+ * itself, being first to rate the place, a review, survey answers and photos.
+ * Safe to call after any of those events; inactive (e.g. quarantined)
+ * ratings earn nothing until they become active. Each award is paid at most
+ * once, even if it was later reversed.
+ * @param {string|number} ratingId - Rating ID
+ * @returns {Promise<Array>} Ledger entries written
+ */
+const awardRatingPoints = async (ratingId) => {
+  try {
+    const entries = await db.transaction(async () => {
+      const ratings = await db.query(
+        'SELECT * FROM consumer_ratings WHERE id = $1',
+        { id: parseInt(ratingId) }
+      );
+      const rating = ratings[0];
+
+      if (!rating || rating.status !== 'active') {
+        return [];
+      }
+
+      await lockLedger(rating.user_id);
+
+      const candidates = await earnedAwards(rating);
+      const paid = await db.query(
+        'SELECT entry_key FROM consumer_glad_points WHERE entry_key IN ($1)',
+        { keys: candidates.map((award) => award.entryKey) }
+      );
+      const paidKeys = new Set(paid.map((row) => row.entry_key));
+      const pending = candidates.filter((award) => !paidKeys.has(award.entryKey));
+
+      if (pending.length === 0) {
+        return [];
+      }
+
+      const rules = await db.query(
+        'SELECT * FROM points_rules WHERE is_active = TRUE AND reason IN ($1)',
+        { reasons: [...new Set(pending.map((award) => award.reason))] }
+      );
+      const rulesByReason = Object.fromEntries(rules.map((rule) => [rule.reason, rule]));
+
+      const multipliers = rating.business_type_id
+        ? await db.query(
+          'SELECT multiplier::float8 AS multiplier FROM points_multipliers WHERE business_type_id = $1',
+          { businessTypeId: rating.business_type_id }
+        )
+        : [];
+      const multiplier = multipliers.length > 0 ? multipliers[0].multiplier : 1;
+
+      const { tier } = await tierOf(rating.user_id);
+      const tierMultiplier = tier ? tier.points_multiplier : 1;
+
+      const written = [];
+
+      for (const award of pending) {
+        const rule = rulesByReason[award.reason];
+
+        if (!rule) {
+          continue;
+        }
+
+        let points = Math.round(rule.points * multiplier * tierMultiplier);
+        let capped = false;
+
+        if (rule.daily_cap !== null) {
+          const [{ earned }] = await db.query(
+            `SELECT COALESCE(SUM(points), 0)::int AS earned
+             FROM consumer_glad_points
+             WHERE user_id = $1 AND reason = $2
+               AND date_created >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'`,
+            { userId: rating.user_id, reason: award.reason }
+          );
+
+          if (earned + points > rule.daily_cap) {
+            points = Math.max(rule.daily_cap - earned, 0);
+            capped = true;
+          }
+        }
+
+        // Capped-out awards are recorded at zero so the ledger shows why nothing was paid
+        const inserted = await db.query(
+          `INSERT INTO consumer_glad_points (
+            consumer_rating_id, user_id, points, reason, entry_key, details, is_redeemed
+          ) VALUES ($1, $2, $3, $4, $5, $6, FALSE)
+          ON CONFLICT (entry_key) DO NOTHING
+          RETURNING *`,
+          {
+            ratingId: rating.id,
+            userId: rating.user_id,
+            points,
+            reason: award.reason,
+            entryKey: award.entryKey,
+            details: {
+              basePoints: rule.points,
+              multiplier,
+              tierMultiplier,
+              ...(capped && { dailyCap: rule.daily_cap }),
+              ...(award.imageId && { imageId: award.imageId })
+            }
+          }
+        );
+
+        written.push(...inserted);
+      }
+
+      return written;
+    });
+
+    const total = entries.reduce((sum, entry) => sum + entry.points, 0);
+    if (total > 0) {
+      business.gladPointsAwarded.inc(total);
+    }
+
+    return entries;
+  } catch (error) {
+    throw wrapError(error, 'Error awarding glad points');
+  }
+};
+
+/**
+ * Debit points from a user's balance as a negative ledger entry.
+ * Must run inside the transaction that records what the points paid for.
+ * @param {number} userId - User ID
+ * @param {number} points - Points to take (positive)
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.reason - Reason code, e.g. 'redemption'
+ * @param {string} entry.entryKey - Unique key, e.g. 'redemption:12'
+ * @param {Object} [entry.details] - What the points paid for
+ * @returns {Promise<Object>} Ledger entry
+ */
+const debitPoints = async (userId, points, { reason, entryKey, details = {} }) => {
+  try {
+    await lockLedger(userId);
+
+    const balance = await balanceOf(userId);
+
+    if (balance < points) {
+      throw new ConflictError(`Not enough Glad points: ${points} needed, ${balance} available`, 'INSUFFICIENT_POINTS');
+    }
+
+    const result = await db.query(
+      `INSERT INTO consumer_glad_points (
+        user_id, points, reason, entry_key, details, is_redeemed, is_redeemed_datetime
+      ) VALUES ($1, $2, $3, $4, $5, TRUE, NOW())
+      RETURNING *`,
+      { userId: parseInt(userId), points: -points, reason, entryKey, details }
+    );
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error debiting glad points');
+  }
+};
+
+/**
+ * Credit points to a user outside the rating rules, e.g. an achievement bonus.
+ * Must run inside the transaction that records what the points are for.
+ * @param {number} userId - User ID
+ * @param {number} points - Points to give
+ * @param {Object} entry - Ledger entry
+ * @param {string} entry.reason - Reason code, e.g. 'achievement'
+ * @param {string} entry.entryKey - Unique key, e.g. 'achievement:3:12'
+ * @param {Object} [entry.details] - What the points are for
+ * @returns {Promise<Object|null>} Ledger entry, or null if the key was already paid
+ */
+const creditPoints = async (userId, points, { reason, entryKey, details = {} }) => {
+  try {
+    await lockLedger(userId);
+
+    const result = await db.query(
+      `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key, details, is_redeemed)
+       VALUES ($1, $2, $3, $4, $5, FALSE)
+       ON CONFLICT (entry_key) DO NOTHING
+       RETURNING *`,
+      { userId: parseInt(userId), points, reason, entryKey, details }
+    );
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    business.gladPointsAwarded.inc(points);
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error crediting glad points');
+  }
+};
+
+/**
+ * Get a user's tier, the next one up and their lifetime points
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Object>} `{ lifetimePoints, tier, nextTier }`
+ */
+const getUserTier = async (userId) => {
+  try {
+    return await tierOf(userId);
+  } catch (error) {
+    throw wrapError(error, 'Error getting tier');
+  }
+};
+
+/**
+ * Take back awards with reversal entries for their full amount, even if the
+ * points were already spent: the balance may go negative, and later awards
+ * pay off the debt before they can be spent.
+ * @param {string} condition - SQL condition on ledger entries `g`, with named parameters
+ * @param {Object} params - Parameters of the condition
+ * @param {string} cause - Why the awards are reversed, e.g. 'rating_deleted'
+ * @returns {Promise<Array>} Reversal entries written
+ */
+const reverseEntries = (condition, params, cause) => db.transaction(async () => {
+  const owners = await db.query(
+    `SELECT DISTINCT g.user_id FROM consumer_glad_points g WHERE ${condition}`,
+    params
+  );
+  const written = [];
+
+  for (const { user_id: userId } of owners) {
+    await lockLedger(userId);
+
+    const entries = await db.query(
+      `SELECT g.*
+       FROM consumer_glad_points g
+       WHERE ${condition}
+         AND g.user_id = $userId
+         AND g.points > 0
+         AND NOT EXISTS (SELECT 1 FROM consumer_glad_points r WHERE r.reversed_entry_id = g.id)
+       ORDER BY g.id`,
+      { ...params, userId }
+    );
+
+    for (const entry of entries) {
+      const { points } = entry;
+
+      const inserted = await db.query(
+        `INSERT INTO consumer_glad_points (
+          consumer_rating_id, user_id, points, reason, entry_key, details, reversed_entry_id
+        ) VALUES ($1, $2, $3, 'reversal', $4, $5, $6)
+        ON CONFLICT (entry_key) DO NOTHING
+        RETURNING *`,
+        {
+          ratingId: entry.consumer_rating_id,
+          userId,
+          points: -points,
+          entryKey: `reversal:${entry.id}`,
+          details: { cause, reversedEntryKey: entry.entry_key },
+          reversedEntryId: entry.id
+        }
+      );
+
+      // A concurrent reversal of the same entry already took these points
+      if (inserted.length > 0) {
+        db.afterCommit(() => business.gladPointsReversed.inc(points));
+        written.push(...inserted);
+      }
+    }
+  }
+
+  return written;
+});
+
+/**
+ * Reverse every award of a rating, e.g. before it is deleted
+ * @param {string|number} ratingId - Rating ID
+ * @param {string} cause - Why, e.g. 'rating_deleted'
+ * @returns {Promise<Array>} Reversal entries written
+ */
+const reverseRatingPoints = async (ratingId, cause) => {
+  try {
+    return await reverseEntries('g.consumer_rating_id = $ratingId', { ratingId: parseInt(ratingId) }, cause);
+  } catch (error) {
+    throw wrapError(error, 'Error reversing rating points');
+  }
+};
+
+/**
+ * Reverse a rating's review bonus once the rater has no active review of it left
+ * @param {string|number} ratingId - Rating ID
+ * @param {string} cause - Why, e.g. 'review_hidden'
+ * @returns {Promise<Array>} Reversal entries written
+ */
+const reverseReviewPoints = async (ratingId, cause) => {
+  try {
+    return await reverseEntries(
+      `g.entry_key = 'rating:' || $ratingId::int || ':review'
+       AND NOT EXISTS (
+         SELECT 1 FROM consumer_reviews rv
+         JOIN consumer_ratings r ON rv.consumer_rating_id = r.id
+         WHERE r.id = $ratingId::int AND rv.user_id = r.user_id AND rv.is_active = TRUE
+       )`,
+      { ratingId: parseInt(ratingId) },
+      cause
+    );
+  } catch (error) {
+    throw wrapError(error, 'Error reversing review points');
+  }
+};
+
+/**
+ * Reverse the photo points of images
+ * @param {Array<number>} imageIds - Image IDs
+ * @param {string} cause - Why, e.g. 'photo_deleted'
+ * @returns {Promise<Array>} Reversal entries written
+ */
+const reverseImagePoints = async (imageIds, cause) => {
+  try {
+    if (imageIds.length === 0) {
+      return [];
+    }
+
+    return await reverseEntries(
+      'g.entry_key IN ($entryKeys)',
+      { entryKeys: imageIds.map((imageId) => `image:${imageId}:photo`) },
+      cause
+    );
+  } catch (error) {
+    throw wrapError(error, 'Error reversing photo points');
+  }
+};
+
+/**
+ * Expire points left unspent longer than the configured expiry window.
+ * Spending is taken from the oldest points first, so only the part of old
+ * awards a user has not used expires. Meant to run daily from
+ * `npm run points:expire`; running it again the same day expires nothing new.
+ * @returns {Promise<Object>} `{ users, points }` expired
+ */
+const expirePoints = async () => {
+  try {
+    const { expiryMonths } = pointsConfig;
+    const totals = { users: 0, points: 0 };
+
+    if (expiryMonths === 0) {
+      return totals;
+    }
+
+    const holders = await db.query(
+      `SELECT DISTINCT user_id
+       FROM consumer_glad_points
+       WHERE points > 0 AND date_created < NOW() - make_interval(months => $1)
+       ORDER BY user_id`,
+      { expiryMonths }
+    );
+    const today = new Date().toISOString().slice(0, 10);
+
+    for (const { user_id: userId } of holders) {
+      const expired = await db.transaction(async () => {
+        await lockLedger(userId);
+
+        const [{ points }] = await db.query(
+          `${UNSPENT_CREDITS}
+           SELECT COALESCE(SUM(points), 0)::int AS points
+           FROM unspent
+           WHERE date_created < NOW() - make_interval(months => $expiryMonths::int)`,
+          { userId, expiryMonths }
+        );
+
+        if (points === 0) {
+          return 0;
+        }
+
+        const inserted = await db.query(
+          `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key, details)
+           VALUES ($1, $2, 'expiry', $3, $4)
+           ON CONFLICT (entry_key) DO NOTHING
+           RETURNING points`,
+          { userId, points: -points, entryKey: `expiry:${userId}:${today}`, details: { expiryMonths } }
+        );
+
+        return inserted.length > 0 ? points : 0;
+      });
+
+      if (expired > 0) {
+        totals.users++;
+        totals.points += expired;
+        business.gladPointsExpired.inc(expired);
+      }
+    }
+
+    return totals;
+  } catch (error) {
+    throw wrapError(error, 'Error expiring glad points');
+  }
+};
+
+/**
+ * Points of a user that expire within the warning window
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Object>} `{ points, withinDays, nextExpiresAt }`; nextExpiresAt is when the oldest unspent points
+ *   expire, or null if none will
+ */
+const getExpiringPoints = async (userId) => {
+  try {
+    const { expiryMonths, expiryWarningDays } = pointsConfig;
+
+    if (expiryMonths === 0) {
+      return { points: 0, withinDays: expiryWarningDays, nextExpiresAt: null };
+    }
+
+    const [expiring] = await db.query(
+      `${UNSPENT_CREDITS}
+       SELECT
+         COALESCE(SUM(points) FILTER (
+           WHERE date_created + make_interval(months => $expiryMonths::int)
+             < NOW() + make_interval(days => $expiryWarningDays::int)
+         ), 0)::int AS points,
+         MIN(date_created) FILTER (WHERE points > 0) + make_interval(months => $expiryMonths::int) AS next_expires_at
+       FROM unspent`,
+      { userId: parseInt(userId), expiryMonths, expiryWarningDays }
+    );
+
+    return {
+      points: expiring.points,
+      withinDays: expiryWarningDays,
+      nextExpiresAt: expiring.next_expires_at
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting expiring glad points');
+  }
+};
+
+/**
+ * Get every points rule
+ * @returns {Promise<Array>} Rules
+ */
+const getRules = async () => {
+  try {
+    const rules = await db.query('SELECT * FROM points_rules ORDER BY reason');
+
+    return rules;
+  } catch (error) {
+    throw wrapError(error, 'Error getting points rules');
+  }
+};
+
+/**
+ * Update what a reason pays. Only the fields given are changed.
+ * @param {string} reason - Reason code
+ * @param {Object} ruleData - `{ points, dailyCap, isActive, description }` (dailyCap null removes the cap)
+ * @param {number} updatedBy - Admin user ID
+ * @returns {Promise<Object>} Updated rule
+ */
+const updateRule = async (reason, ruleData, updatedBy) => {
+  try {
+    const { points, dailyCap, isActive, description } = ruleData;
+
+    const result = await db.query(
+      `UPDATE points_rules
+       SET points = COALESCE($1, points),
+           daily_cap = CASE WHEN $2::boolean THEN $3::int ELSE daily_cap END,
+           is_active = COALESCE($4, is_active),
+           description = COALESCE($5, description),
+           updated_by = $6,
+           date_updated = NOW()
+       WHERE reason = $7
+       RETURNING *`,
+      {
+        points: points !== undefined ? points : null,
+        setDailyCap: dailyCap !== undefined,
+        dailyCap: dailyCap !== undefined ? dailyCap : null,
+        isActive: isActive !== undefined ? isActive : null,
+        description: description || null,
+        updatedBy: parseInt(updatedBy),
+        reason
+      }
+    );
+
+    if (result.length === 0) {
+      throw new NotFoundError('Points rule not found', 'POINTS_RULE_NOT_FOUND');
+    }
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error updating points rule');
+  }
+};
+
+/**
+ * Get the business type multipliers
+ * @returns {Promise<Array>} Multipliers with business type names
+ */
+const getMultipliers = async () => {
+  try {
+    const multipliers = await db.query(
+      `SELECT pm.business_type_id, pm.multiplier::float8 AS multiplier, pm.updated_by,
+              pm.date_updated, bt.business_type
+       FROM points_multipliers pm
+       JOIN business_types bt ON pm.business_type_id = bt.id
+       ORDER BY bt.business_type`
+    );
+
+    return multipliers;
+  } catch (error) {
+    throw wrapError(error, 'Error getting points multipliers');
+  }
+};
+
+/**
+ * Set the points multiplier of a business type
+ * @param {string|number} businessTypeId - Business type ID
+ * @param {number} multiplier - Factor applied to every award for ratings of the type
+ * @param {number} updatedBy - Admin user ID
+ * @returns {Promise<Object>} Multiplier
+ */
+const setMultiplier = async (businessTypeId, multiplier, updatedBy) => {
+  try {
+    const result = await db.query(
+      `INSERT INTO points_multipliers (business_type_id, multiplier, updated_by)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (business_type_id) DO UPDATE SET
+         multiplier = EXCLUDED.multiplier,
+         updated_by = EXCLUDED.updated_by,
+         date_updated = NOW()
+       RETURNING business_type_id, multiplier::float8 AS multiplier, updated_by, date_updated`,
+      { businessTypeId: parseInt(businessTypeId), multiplier, updatedBy: parseInt(updatedBy) }
+    );
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error setting points multiplier');
+  }
+};
+
+/**
+ * Remove a business type's multiplier (back to 1)
+ * @param {string|number} businessTypeId - Business type ID
+ * @returns {Promise<boolean>} False if the type had no multiplier
+ */
+const deleteMultiplier = async (businessTypeId) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM points_multipliers WHERE business_type_id = $1 RETURNING business_type_id',
+      { businessTypeId: parseInt(businessTypeId) }
+    );
+
+    return result.length > 0;
+  } catch (error) {
+    throw wrapError(error, 'Error deleting points multiplier');
+  }
+};
+
+module.exports = instrumentService('pointsService', {
+  awardRatingPoints,
+  debitPoints,
+  creditPoints,
+  getUserTier,
+  reverseRatingPoints,
+  reverseReviewPoints,
+  reverseImagePoints,
+  expirePoints,
+  getExpiringPoints,
+  getRules,
+  updateRule,
+  getMultipliers,
+  setMultiplier,
+  deleteMultiplier
+});
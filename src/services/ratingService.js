@@ -1,64 +1,415 @@
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { wrapError, ValidationError, NotFoundError, ForbiddenError } = require('../utils/errorUtils');
+const { getConfig } = require('../config');
+const { business, instrumentService } = require('../utils/metrics');
+const abuseService = require('./abuseService');
+const pointsService = require('./pointsService');
+const achievementService = require('./achievementService');
+
+const ratingsConfig = getConfig().ratings;
+
+// Aggregates of consumer_ratings rows, shared by the summary table refresh and live reads
+const PLACE_AGGREGATES = `
+  COUNT(*)::int AS rating_count,
+  COALESCE(SUM(rating_value), 0)::int AS rating_sum,
+  COUNT(*) FILTER (WHERE rating_value = 1)::int AS count_1,
+  COUNT(*) FILTER (WHERE rating_value = 2)::int AS count_2,
+  COUNT(*) FILTER (WHERE rating_value = 3)::int AS count_3,
+  COUNT(*) FILTER (WHERE rating_value = 4)::int AS count_4,
+  COUNT(*) FILTER (WHERE rating_value = 5)::int AS count_5,
+  MAX(date_created) AS last_rated_at`;
+
+// Advisory lock class for place summary refreshes (second key is the place)
+const PLACE_SUMMARY_LOCK_KEY = 4242002;
+
+/**
+ * Shape an aggregate row as the place rating summary returned to clients
+ * @param {string} placeId - Google Place ID
+ * @param {Object} row - Row with PLACE_AGGREGATES columns (or undefined for no ratings)
+ * @returns {Object} Ratings summary
+ */
+const toPlaceSummary = (placeId, row) => {
+  const totalRatings = row ? row.rating_count : 0;
+
+  return {
+    placeId,
+    averageRating: totalRatings > 0 ? row.rating_sum / totalRatings : 0,
+    totalRatings,
+    ratingCounts: {
+      1: totalRatings > 0 ? row.count_1 : 0,
+      2: totalRatings > 0 ? row.count_2 : 0,
+      3: totalRatings > 0 ? row.count_3 : 0,
+      4: totalRatings > 0 ? row.count_4 : 0,
+      5: totalRatings > 0 ? row.count_5 : 0
+    },
+    lastRatedAt: totalRatings > 0 ? row.last_rated_at : null
+  };
+};
+
+/**
+ * Recompute a place's row in place_rating_summaries.
+ * Must run inside the transaction that changed the place's ratings: the
+ * advisory lock makes concurrent refreshes of one place take turns, and each
+ * statement after it sees every rating committed before the lock was granted.
+ * @param {string} placeId - Google Place ID
+ * @returns {Promise<void>}
+ */
+const refreshPlaceSummary = async (placeId) => {
+  await db.query(
+    'SELECT pg_advisory_xact_lock($1, hashtext($2))',
+    { lockKey: PLACE_SUMMARY_LOCK_KEY, placeId }
+  );
+
+  await db.query(
+    `INSERT INTO place_rating_summaries (
+      place_id, rating_count, rating_sum, count_1, count_2, count_3,
+      count_4, count_5, last_rated_at, date_updated
+    )
+    SELECT place_id, rating_count, rating_sum, count_1, count_2, count_3,
+           count_4, count_5, last_rated_at, NOW()
+    FROM (
+      SELECT place_id, ${PLACE_AGGREGATES}
+      FROM consumer_ratings
+      WHERE place_id = $1 AND status = 'active'
+      GROUP BY place_id
+    ) aggregates
+    ON CONFLICT (place_id) DO UPDATE SET
+      rating_count = EXCLUDED.rating_count,
+      rating_sum = EXCLUDED.rating_sum,
+      count_1 = EXCLUDED.count_1,
+      count_2 = EXCLUDED.count_2,
+      count_3 = EXCLUDED.count_3,
+      count_4 = EXCLUDED.count_4,
+      count_5 = EXCLUDED.count_5,
+      last_rated_at = EXCLUDED.last_rated_at,
+      date_updated = EXCLUDED.date_updated`,
+    { placeId }
+  );
+
+  await db.query(
+    `DELETE FROM place_rating_summaries
+     WHERE place_id = $1
+       AND NOT EXISTS (SELECT 1 FROM consumer_ratings WHERE place_id = $1 AND status = 'active')`,
+    { placeId }
+  );
+};
+
+/**
+ * Rebuild place_rating_summaries from consumer_ratings, e.g. after a bulk
+ * import that bypassed the service
+ * @returns {Promise<number>} Number of places summarized
+ */
+const rebuildPlaceSummaries = async () => {
+  try {
+    return await db.transaction(async (client) => {
+      await client.query('DELETE FROM place_rating_summaries');
+
+      const result = await client.query(
+        `INSERT INTO place_rating_summaries (
+          place_id, rating_count, rating_sum, count_1, count_2, count_3,
+          count_4, count_5, last_rated_at
+        )
+        SELECT place_id, ${PLACE_AGGREGATES}
+        FROM consumer_ratings
+        WHERE status = 'active'
+        GROUP BY place_id
+        RETURNING place_id`
+      );
+
+      return result.length;
+    });
+  } catch (error) {
+    throw wrapError(error, 'Error rebuilding place rating summaries');
+  }
+};
 
 /**
- * Get ratings by place ID
+ * Get the rating summary of a place: average, count, 1-5 histogram and
+ * when it was last rated. Reads place_rating_summaries unless disabled in
+ * config, falling back to aggregating consumer_ratings for places without
+ * a summary row.
  * @param {string} placeId - Google Place ID
  * @returns {Promise<Object>} Ratings summary
  */
 const getRatingsByPlace = async (placeId) => {
   try {
-    // Get all ratings for this place
+    if (ratingsConfig.useSummaryTable) {
+      const summaries = await db.query(
+        `SELECT rating_count, rating_sum, count_1, count_2, count_3, count_4, count_5, last_rated_at
+         FROM place_rating_summaries
+         WHERE place_id = $1`,
+        { placeId }
+      );
+
+      if (summaries.length > 0) {
+        return toPlaceSummary(placeId, summaries[0]);
+      }
+    }
+
+    const aggregates = await db.query(
+      `SELECT ${PLACE_AGGREGATES}
+       FROM consumer_ratings
+       WHERE place_id = $1 AND status = 'active'`,
+      { placeId }
+    );
+
+    return toPlaceSummary(placeId, aggregates[0]);
+  } catch (error) {
+    throw wrapError(error, 'Error getting ratings by place');
+  }
+};
+
+/**
+ * Get the individual ratings of a place with pagination, newest first
+ * @param {string} placeId - Google Place ID
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Paginated ratings
+ */
+const getRatingListByPlace = async (placeId, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit;
+
     const ratings = await db.query(
       `SELECT * FROM consumer_ratings
-       WHERE place_id = $1`,
+       WHERE place_id = $1 AND status = 'active'
+       ORDER BY date_created DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      {
+        placeId,
+        limit,
+        offset
+      }
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM consumer_ratings WHERE place_id = $1 AND status = 'active'`,
       { placeId }
     );
-    
-    if (ratings.length === 0) {
-      return {
-        placeId,
-        averageRating: 0,
-        totalRatings: 0,
-        ratingCounts: {
-          1: 0,
-          2: 0,
-          3: 0,
-          4: 0,
-          5: 0
-        },
-        ratings: []
-      };
-    }
-    
-    // Calculate average rating
-    const sum = ratings.reduce((acc, curr) => acc + curr.rating_value, 0);
-    const averageRating = sum / ratings.length;
-    
-    // Count ratings by value
-    const ratingCounts = {
-      1: 0,
-      2: 0,
-      3: 0,
-      4: 0,
-      5: 0
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: ratings,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
     };
-    
-    ratings.forEach(rating => {
-      if (rating.rating_value >= 1 && rating.rating_value <= 5) {
-        ratingCounts[rating.rating_value]++;
+  } catch (error) {
+    throw wrapError(error, 'Error getting ratings list by place');
+  }
+};
+
+// Trend bucket sizes: default range (in buckets), default rolling window and
+// the longest range one request may cover
+const TREND_INTERVALS = {
+  day: { defaultBuckets: 30, defaultWindow: 7, maxRangeDays: 366 },
+  week: { defaultBuckets: 12, defaultWindow: 4, maxRangeDays: 3 * 366 },
+  month: { defaultBuckets: 12, defaultWindow: 3, maxRangeDays: 5 * 366 }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as a UTC calendar date
+ * @param {Date} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Start of the default trends range: `buckets` buckets ending with the one containing `to`
+ * @param {string} to - Last day of the range (YYYY-MM-DD)
+ * @param {string} interval - day, week or month
+ * @param {number} buckets - Number of buckets
+ * @returns {string} First day of the range (YYYY-MM-DD)
+ */
+const defaultTrendsStart = (to, interval, buckets) => {
+  const end = new Date(`${to}T00:00:00Z`);
+
+  if (interval === 'month') {
+    return toDateString(new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - (buckets - 1), 1)));
+  }
+
+  const bucketDays = interval === 'week' ? 7 : 1;
+  return toDateString(new Date(end.getTime() - (buckets - 1) * bucketDays * DAY_MS));
+};
+
+/**
+ * Average of a rating sum, or null when nothing was rated
+ * @param {number} sum - Sum of rating values
+ * @param {number} count - Number of ratings
+ * @returns {number|null} Average rounded to 2 decimals
+ */
+const averageOf = (sum, count) => (count > 0 ? Math.round((sum / count) * 100) / 100 : null);
+
+/**
+ * Difference between two averages, or null when either is missing
+ * @param {number|null} current - Current average
+ * @param {number|null} previous - Previous average
+ * @returns {number|null} Delta rounded to 2 decimals
+ */
+const averageDelta = (current, previous) => (
+  current === null || previous === null ? null : Math.round((current - previous) * 100) / 100
+);
+
+/**
+ * Get a place's rating trends: average rating and volume per day, week or
+ * month (UTC), with a rolling average over the last `window` buckets and
+ * deltas against the previous bucket and the previous period of equal length.
+ * @param {string} placeId - Google Place ID
+ * @param {Object} [options] - Trend options
+ * @param {string} [options.interval] - day, week (ISO, starting Monday) or month
+ * @param {string} [options.from] - First day of the range (YYYY-MM-DD)
+ * @param {string} [options.to] - Last day of the range (YYYY-MM-DD), defaults to today
+ * @param {number} [options.window] - Buckets in the rolling average
+ * @param {number} [options.businessTypeId] - Only ratings of this business type
+ * @param {string} [options.subcategory] - Only ratings in this subcategory
+ * @returns {Promise<Object>} Rating trends
+ */
+const getRatingTrendsByPlace = async (placeId, options = {}) => {
+  const { interval = 'day', businessTypeId = null, subcategory = null } = options;
+  const intervalConfig = TREND_INTERVALS[interval];
+
+  if (!intervalConfig) {
+    throw new ValidationError(`interval must be one of ${Object.keys(TREND_INTERVALS).join(', ')}`, 'INVALID_INTERVAL');
+  }
+
+  const to = options.to || toDateString(new Date());
+  const from = options.from || defaultTrendsStart(to, interval, intervalConfig.defaultBuckets);
+  const rollingWindow = options.window || intervalConfig.defaultWindow;
+  const rangeDays = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS;
+
+  if (rangeDays < 0) {
+    throw new ValidationError('from must not be after to', 'INVALID_DATE_RANGE');
+  }
+
+  if (rangeDays >= intervalConfig.maxRangeDays) {
+    throw new ValidationError(
+      `A ${interval} trend may cover at most ${intervalConfig.maxRangeDays} days`,
+      'DATE_RANGE_TOO_LARGE'
+    );
+  }
+
+  try {
+    // Buckets before `from` are fetched too, so the first rolling averages
+    // have a full window and the previous period can be compared against
+    const rows = await db.query(
+      `WITH bounds AS (
+         SELECT date_trunc($interval::text, $from::timestamp) AS first_period,
+                date_trunc($interval::text, $to::timestamp) AS last_period,
+                ('1 ' || $interval::text)::interval AS step
+       ),
+       range AS (
+         SELECT first_period, last_period, step,
+                (SELECT COUNT(*) FROM generate_series(first_period, last_period, step))::int AS bucket_count
+         FROM bounds
+       ),
+       periods AS (
+         SELECT generate_series(
+                  first_period - GREATEST(bucket_count, $window - 1) * step,
+                  last_period,
+                  step
+                ) AS period_start
+         FROM range
+       ),
+       buckets AS (
+         SELECT date_trunc($interval::text, cr.date_created AT TIME ZONE 'UTC') AS period_start,
+                COUNT(*)::int AS rating_count,
+                SUM(cr.rating_value)::int AS rating_sum
+         FROM consumer_ratings cr, range
+         WHERE cr.place_id = $placeId
+           AND cr.status = 'active'
+           AND cr.date_created >= (range.first_period - GREATEST(range.bucket_count, $window - 1) * range.step)
+                                  AT TIME ZONE 'UTC'
+           AND cr.date_created < (range.last_period + range.step) AT TIME ZONE 'UTC'
+           AND ($businessTypeId::int IS NULL OR cr.business_type_id = $businessTypeId)
+           AND ($subcategory::text IS NULL OR cr.subcategory = $subcategory)
+         GROUP BY 1
+       )
+       SELECT to_char(p.period_start, 'YYYY-MM-DD') AS period_start,
+              p.period_start >= range.first_period AS in_range,
+              COALESCE(b.rating_count, 0) AS rating_count,
+              COALESCE(b.rating_sum, 0) AS rating_sum,
+              SUM(COALESCE(b.rating_count, 0)) OVER rolling AS rolling_count,
+              SUM(COALESCE(b.rating_sum, 0)) OVER rolling AS rolling_sum
+       FROM periods p
+       CROSS JOIN range
+       LEFT JOIN buckets b ON b.period_start = p.period_start
+       WINDOW rolling AS (ORDER BY p.period_start ROWS BETWEEN $preceding PRECEDING AND CURRENT ROW)
+       ORDER BY p.period_start`,
+      {
+        interval,
+        from,
+        to,
+        window: rollingWindow,
+        placeId,
+        businessTypeId,
+        subcategory,
+        preceding: rollingWindow - 1
       }
+    );
+
+    const current = rows.filter((row) => row.in_range);
+    const previous = rows.filter((row) => !row.in_range).slice(-current.length);
+
+    const buckets = current.map((row) => {
+      const before = rows[rows.indexOf(row) - 1];
+      const averageRating = averageOf(row.rating_sum, row.rating_count);
+
+      return {
+        periodStart: row.period_start,
+        ratingCount: row.rating_count,
+        averageRating,
+        rollingAverage: averageOf(Number(row.rolling_sum), Number(row.rolling_count)),
+        countDelta: row.rating_count - before.rating_count,
+        averageDelta: averageDelta(averageRating, averageOf(before.rating_sum, before.rating_count))
+      };
     });
-    
+
+    /**
+     * Totals of a run of buckets
+     * @param {Array} periodRows - Bucket rows
+     * @returns {Object} `{ firstPeriodStart, lastPeriodStart, ratingCount, averageRating }`
+     */
+    const totals = (periodRows) => {
+      const ratingCount = periodRows.reduce((sum, row) => sum + row.rating_count, 0);
+      const ratingSum = periodRows.reduce((sum, row) => sum + row.rating_sum, 0);
+
+      return {
+        firstPeriodStart: periodRows[0].period_start,
+        lastPeriodStart: periodRows[periodRows.length - 1].period_start,
+        ratingCount,
+        averageRating: averageOf(ratingSum, ratingCount)
+      };
+    };
+
+    const currentTotals = totals(current);
+    const previousTotals = totals(previous);
+
     return {
       placeId,
-      averageRating,
-      totalRatings: ratings.length,
-      ratingCounts,
-      ratings
+      interval,
+      from,
+      to,
+      window: rollingWindow,
+      filters: { businessTypeId, subcategory },
+      buckets,
+      comparison: {
+        current: currentTotals,
+        previous: previousTotals,
+        countDelta: currentTotals.ratingCount - previousTotals.ratingCount,
+        averageDelta: averageDelta(currentTotals.averageRating, previousTotals.averageRating)
+      }
     };
   } catch (error) {
-    throw createError(`Error getting ratings by place: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting rating trends by place');
   }
 };
 
@@ -76,7 +427,8 @@ const getReviewsByPlace = async (placeId, page = 1, limit = 10) => {
     // Get reviews
     const reviews = await db.query(
       `SELECT r.*, u.first_name, u.last_name, u.display_name, u.photo_url,
-              cr.rating_value, cr.place_name
+              cr.rating_value, cr.place_name,
+              (SELECT COUNT(*) FROM review_helpful_votes hv WHERE hv.consumer_review_id = r.id)::int AS helpful_count
        FROM consumer_reviews r
        JOIN users u ON r.user_id = u.id
        JOIN consumer_ratings cr ON r.consumer_rating_id = cr.id
@@ -129,7 +481,7 @@ const getReviewsByPlace = async (placeId, page = 1, limit = 10) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting reviews by place: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting reviews by place');
   }
 };
 
@@ -151,14 +503,16 @@ const getRatingById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting rating: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting rating');
   }
 };
 
 /**
- * Create a new rating
+ * Create a new rating and award its points in the same transaction.
+ * Ratings that break an abuse rule are stored as quarantined: they do not
+ * count toward the place or earn points until a moderator approves them.
  * @param {Object} ratingData - Rating data
- * @returns {Promise<Object>} Created rating
+ * @returns {Promise<Object>} Created rating, with `status` and, if quarantined, `quarantine_reasons`
  */
 const createRating = async (ratingData) => {
   try {
@@ -170,61 +524,182 @@ const createRating = async (ratingData) => {
       placeName,
       ratingValue,
       subcategory,
-      userId
+      userId,
+      deviceId
     } = ratingData;
     
     const now = new Date().toISOString();
     
-    const result = await db.query(
-      `INSERT INTO consumer_ratings (
-        business_type_id, edu_location_id, place_address, place_id,
-        place_name, rating_value, subcategory, user_id, date_created
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING id`,
-      {
-        businessTypeId: businessTypeId ? parseInt(businessTypeId) : null,
-        eduLocationId: eduLocationId ? parseInt(eduLocationId) : null,
-        placeAddress,
-        placeId,
-        placeName,
-        ratingValue: parseInt(ratingValue),
-        subcategory: subcategory || null,
+    const { ratingId, reasons } = await db.transaction(async (client) => {
+      const quarantineReasons = await abuseService.checkRating({
         userId: parseInt(userId),
-        dateCreated: now
+        placeId,
+        deviceId: deviceId || null
+      });
+
+      const result = await client.query(
+        `INSERT INTO consumer_ratings (
+          business_type_id, edu_location_id, place_address, place_id,
+          place_name, rating_value, subcategory, user_id, date_created,
+          device_id, status
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING id`,
+        {
+          businessTypeId: businessTypeId ? parseInt(businessTypeId) : null,
+          eduLocationId: eduLocationId ? parseInt(eduLocationId) : null,
+          placeAddress,
+          placeId,
+          placeName,
+          ratingValue: parseInt(ratingValue),
+          subcategory: subcategory || null,
+          userId: parseInt(userId),
+          dateCreated: now,
+          deviceId: deviceId || null,
+          status: quarantineReasons.length > 0 ? 'quarantined' : 'active'
+        }
+      );
+
+      if (quarantineReasons.length > 0) {
+        await client.query(
+          'INSERT INTO rating_quarantine (consumer_rating_id, reasons) VALUES ($1, $2)',
+          { id: result[0].id, reasons: quarantineReasons }
+        );
+      } else {
+        await refreshPlaceSummary(placeId);
+        await pointsService.awardRatingPoints(result[0].id);
       }
-    );
-    
-    const ratingId = result[0].id;
+
+      return { ratingId: result[0].id, reasons: quarantineReasons };
+    });
+    business.ratingsCreated.inc();
+    reasons.forEach((reason) => business.ratingsQuarantined.inc({ reason }));
     
-    return await getRatingById(ratingId);
+    const rating = await getRatingById(ratingId);
+
+    return reasons.length > 0 ? { ...rating, quarantine_reasons: reasons } : rating;
   } catch (error) {
-    throw createError(`Error creating rating: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating rating');
+  }
+};
+
+/**
+ * Set a rating's value and record the change as a revision.
+ * Must run inside a transaction.
+ * @param {number} id - Rating ID
+ * @param {number} ratingValue - New value
+ * @param {number} changedBy - User ID making the change
+ * @param {number} [restoredRevisionId] - Revision being restored, if any
+ * @returns {Promise<boolean>} False if the rating does not exist
+ */
+const setRatingValue = async (id, ratingValue, changedBy, restoredRevisionId = null) => {
+  const current = await db.query(
+    'SELECT rating_value, place_id FROM consumer_ratings WHERE id = $1 FOR UPDATE',
+    { id }
+  );
+
+  if (current.length === 0) {
+    return false;
+  }
+
+  if (current[0].rating_value === ratingValue) {
+    return true;
   }
+
+  await db.query(
+    'UPDATE consumer_ratings SET rating_value = $1 WHERE id = $2',
+    { ratingValue, id }
+  );
+
+  await db.query(
+    `INSERT INTO consumer_rating_revisions (
+      consumer_rating_id, changed_by, old_rating_value, new_rating_value, restored_revision_id
+    ) VALUES ($1, $2, $3, $4, $5)`,
+    {
+      id,
+      changedBy,
+      oldRatingValue: current[0].rating_value,
+      ratingValue,
+      restoredRevisionId
+    }
+  );
+
+  await refreshPlaceSummary(current[0].place_id);
+
+  return true;
 };
 
 /**
  * Update a rating
  * @param {string|number} id - Rating ID
  * @param {Object} ratingData - Rating data to update
+ * @param {number} ratingData.ratingValue - New value
+ * @param {number} ratingData.changedBy - User ID making the change
  * @returns {Promise<Object>} Updated rating
  */
 const updateRating = async (id, ratingData) => {
   try {
-    const { ratingValue } = ratingData;
+    const { ratingValue, changedBy } = ratingData;
     
-    await db.query(
-      `UPDATE consumer_ratings
-       SET rating_value = $1
-       WHERE id = $2`,
-      {
-        ratingValue: parseInt(ratingValue),
-        id: parseInt(id)
-      }
-    );
+    await db.transaction(() => setRatingValue(parseInt(id), parseInt(ratingValue), parseInt(changedBy)));
     
     return await getRatingById(id);
   } catch (error) {
-    throw createError(`Error updating rating: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating rating');
+  }
+};
+
+/**
+ * Get the edit history of a rating, newest first
+ * @param {string|number} id - Rating ID
+ * @returns {Promise<Array>} Revisions
+ */
+const getRatingHistory = async (id) => {
+  try {
+    const revisions = await db.query(
+      `SELECT rr.*, u.display_name AS changed_by_name
+       FROM consumer_rating_revisions rr
+       JOIN users u ON rr.changed_by = u.id
+       WHERE rr.consumer_rating_id = $1
+       ORDER BY rr.id DESC`,
+      { id: parseInt(id) }
+    );
+
+    return revisions;
+  } catch (error) {
+    throw wrapError(error, 'Error getting rating history');
+  }
+};
+
+/**
+ * Put a rating back to the value it had before a revision
+ * @param {string|number} id - Rating ID
+ * @param {string|number} revisionId - Revision of this rating to undo
+ * @param {string|number} changedBy - User ID restoring it
+ * @returns {Promise<Object>} Restored rating
+ */
+const restoreRatingRevision = async (id, revisionId, changedBy) => {
+  try {
+    const found = await db.transaction(async () => {
+      const revisions = await db.query(
+        `SELECT old_rating_value FROM consumer_rating_revisions
+         WHERE id = $1 AND consumer_rating_id = $2`,
+        { revisionId: parseInt(revisionId), id: parseInt(id) }
+      );
+
+      if (revisions.length === 0) {
+        return false;
+      }
+
+      return setRatingValue(parseInt(id), revisions[0].old_rating_value, parseInt(changedBy), parseInt(revisionId));
+    });
+
+    if (!found) {
+      throw new NotFoundError('Revision not found', 'REVISION_NOT_FOUND');
+    }
+
+    return await getRatingById(id);
+  } catch (error) {
+    throw wrapError(error, 'Error restoring rating revision');
   }
 };
 
@@ -251,6 +726,18 @@ const deleteRating = async (id) => {
           `DELETE FROM image_urls WHERE consumer_review_id IN ($1)`,
           { reviewIds }
         );
+
+        // Delete review history
+        await client.query(
+          `DELETE FROM consumer_review_revisions WHERE consumer_review_id IN ($1)`,
+          { reviewIds }
+        );
+
+        // Delete helpful votes
+        await client.query(
+          `DELETE FROM review_helpful_votes WHERE consumer_review_id IN ($1)`,
+          { reviewIds }
+        );
         
         // Delete reviews
         await client.query(
@@ -271,17 +758,40 @@ const deleteRating = async (id) => {
         { id: parseInt(id) }
       );
       
-      // Delete glad points
+      // Take back the rating's glad points; the ledger keeps the entries, detached from the rating
+      await pointsService.reverseRatingPoints(id, 'rating_deleted');
+      await client.query(
+        `UPDATE consumer_glad_points SET consumer_rating_id = NULL WHERE consumer_rating_id = $1`,
+        { id: parseInt(id) }
+      );
+
+      // Delete rating history
       await client.query(
-        `DELETE FROM consumer_glad_points WHERE consumer_rating_id = $1`,
+        `DELETE FROM consumer_rating_revisions WHERE consumer_rating_id = $1`,
+        { id: parseInt(id) }
+      );
+
+      // Delete quarantine record
+      await client.query(
+        `DELETE FROM rating_quarantine WHERE consumer_rating_id = $1`,
         { id: parseInt(id) }
       );
       
       // Delete rating
-      await client.query(
-        `DELETE FROM consumer_ratings WHERE id = $1`,
+      const deleted = await client.query(
+        `DELETE FROM consumer_ratings WHERE id = $1 RETURNING user_id, place_id, date_created`,
         { id: parseInt(id) }
       );
+
+      if (deleted.length > 0) {
+        // Deleting and rating again must not get round the place cooldown
+        await client.query(
+          `INSERT INTO rating_deletions (user_id, place_id, rating_date_created)
+           VALUES ($1, $2, $3)`,
+          { userId: deleted[0].user_id, placeId: deleted[0].place_id, dateCreated: deleted[0].date_created }
+        );
+        await refreshPlaceSummary(deleted[0].place_id);
+      }
     };
     
     // Execute transaction
@@ -289,7 +799,114 @@ const deleteRating = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting rating: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting rating');
+  }
+};
+
+/**
+ * Get quarantined ratings awaiting a decision, oldest first
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Paginated ratings with `quarantine_reasons` and `quarantined_at`
+ */
+const getQuarantinedRatings = async (page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit;
+
+    const ratings = await db.query(
+      `SELECT r.*, q.reasons AS quarantine_reasons, q.date_created AS quarantined_at,
+              u.display_name
+       FROM rating_quarantine q
+       JOIN consumer_ratings r ON q.consumer_rating_id = r.id
+       JOIN users u ON r.user_id = u.id
+       WHERE q.decision IS NULL
+       ORDER BY q.date_created, q.consumer_rating_id
+       LIMIT $1 OFFSET $2`,
+      { limit, offset }
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM rating_quarantine WHERE decision IS NULL`
+    );
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: ratings,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting quarantined ratings');
+  }
+};
+
+/**
+ * Approve or reject a quarantined rating. Approved ratings count toward
+ * their place and earn Glad points; rejected ones are kept for the record.
+ * @param {string|number} id - Rating ID
+ * @param {Object} decisionData - Decision data
+ * @param {string} decisionData.decision - approved or rejected
+ * @param {string} [decisionData.notes] - Moderator notes
+ * @param {number} decisionData.decidedBy - Moderator user ID
+ * @returns {Promise<Object>} Updated rating
+ */
+const decideQuarantinedRating = async (id, decisionData) => {
+  try {
+    const { decision, notes, decidedBy } = decisionData;
+
+    const rating = await db.transaction(async () => {
+      const pending = await db.query(
+        `SELECT r.id, r.user_id, r.place_id
+         FROM rating_quarantine q
+         JOIN consumer_ratings r ON q.consumer_rating_id = r.id
+         WHERE q.consumer_rating_id = $1 AND q.decision IS NULL
+         FOR UPDATE OF q`,
+        { id: parseInt(id) }
+      );
+
+      if (pending.length === 0) {
+        return null;
+      }
+
+      await db.query(
+        `UPDATE rating_quarantine
+         SET decision = $1, decided_by = $2, decided_at = NOW(), notes = $3
+         WHERE consumer_rating_id = $4`,
+        { decision, decidedBy: parseInt(decidedBy), notes: notes || null, id: parseInt(id) }
+      );
+
+      await db.query(
+        'UPDATE consumer_ratings SET status = $1 WHERE id = $2',
+        { status: decision === 'approved' ? 'active' : 'rejected', id: parseInt(id) }
+      );
+
+      if (decision === 'approved') {
+        await refreshPlaceSummary(pending[0].place_id);
+        await pointsService.awardRatingPoints(pending[0].id);
+      }
+
+      return pending[0];
+    });
+
+    if (!rating) {
+      throw new NotFoundError('No quarantined rating awaiting a decision', 'QUARANTINED_RATING_NOT_FOUND');
+    }
+
+    if (decision === 'approved') {
+      achievementService.evaluateUserLater(rating.user_id);
+    }
+
+    return await getRatingById(id);
+  } catch (error) {
+    throw wrapError(error, 'Error deciding quarantined rating');
   }
 };
 
@@ -325,12 +942,12 @@ const getReviewById = async (id) => {
     
     return review;
   } catch (error) {
-    throw createError(`Error getting review: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting review');
   }
 };
 
 /**
- * Create a new review
+ * Create a new review and award the rating's review points in the same transaction
  * @param {Object} reviewData - Review data
  * @returns {Promise<Object>} Created review
  */
@@ -347,56 +964,162 @@ const createReview = async (reviewData) => {
     
     const now = new Date().toISOString();
     
-    const result = await db.query(
-      `INSERT INTO consumer_reviews (
-        consumer_rating_id, review, place_id, is_private,
-        is_active, user_id, date_created
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING id`,
+    const reviewId = await db.transaction(async () => {
+      const result = await db.query(
+        `INSERT INTO consumer_reviews (
+          consumer_rating_id, review, place_id, is_private,
+          is_active, user_id, date_created
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING id`,
+        {
+          consumerRatingId: parseInt(consumerRatingId),
+          review,
+          placeId,
+          isPrivate: isPrivate || false,
+          isActive: isActive !== undefined ? isActive : true,
+          userId: parseInt(userId),
+          dateCreated: now
+        }
+      );
+
+      await pointsService.awardRatingPoints(consumerRatingId);
+
+      return result[0].id;
+    });
+    
+    return await getReviewById(reviewId);
+  } catch (error) {
+    throw wrapError(error, 'Error creating review');
+  }
+};
+
+/**
+ * Change a review and record a change to its text as a revision.
+ * Must run inside a transaction.
+ * @param {number} id - Review ID
+ * @param {Object} changes - `{ review, isPrivate }`; an undefined isPrivate is left as is
+ * @param {number} changedBy - User ID making the change
+ * @param {number} [restoredRevisionId] - Revision being restored, if any
+ * @returns {Promise<boolean>} False if the review does not exist
+ */
+const setReviewText = async (id, { review, isPrivate }, changedBy, restoredRevisionId = null) => {
+  const current = await db.query(
+    'SELECT review FROM consumer_reviews WHERE id = $1 FOR UPDATE',
+    { id }
+  );
+
+  if (current.length === 0) {
+    return false;
+  }
+
+  await db.query(
+    `UPDATE consumer_reviews
+     SET review = $1,
+         is_private = COALESCE($2, is_private)
+     WHERE id = $3`,
+    {
+      review,
+      isPrivate: isPrivate !== undefined ? isPrivate : null,
+      id
+    }
+  );
+
+  if (current[0].review !== review) {
+    await db.query(
+      `INSERT INTO consumer_review_revisions (
+        consumer_review_id, changed_by, old_review, new_review, restored_revision_id
+      ) VALUES ($1, $2, $3, $4, $5)`,
       {
-        consumerRatingId: parseInt(consumerRatingId),
+        id,
+        changedBy,
+        oldReview: current[0].review,
         review,
-        placeId,
-        isPrivate: isPrivate || false,
-        isActive: isActive !== undefined ? isActive : true,
-        userId: parseInt(userId),
-        dateCreated: now
+        restoredRevisionId
       }
     );
-    
-    const reviewId = result[0].id;
-    
-    return await getReviewById(reviewId);
-  } catch (error) {
-    throw createError(`Error creating review: ${error.message}`, 500, error);
   }
+
+  return true;
 };
 
 /**
  * Update a review
  * @param {string|number} id - Review ID
  * @param {Object} reviewData - Review data to update
+ * @param {string} reviewData.review - New text
+ * @param {boolean} [reviewData.isPrivate] - New visibility
+ * @param {number} reviewData.changedBy - User ID making the change
  * @returns {Promise<Object>} Updated review
  */
 const updateReview = async (id, reviewData) => {
   try {
-    const { review, isPrivate } = reviewData;
+    const { review, isPrivate, changedBy } = reviewData;
     
-    await db.query(
-      `UPDATE consumer_reviews
-       SET review = $1,
-           is_private = $2
-       WHERE id = $3`,
-      {
-        review,
-        isPrivate,
-        id: parseInt(id)
-      }
-    );
+    await db.transaction(() => setReviewText(parseInt(id), { review, isPrivate }, parseInt(changedBy)));
     
     return await getReviewById(id);
   } catch (error) {
-    throw createError(`Error updating review: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating review');
+  }
+};
+
+/**
+ * Get the edit history of a review, newest first
+ * @param {string|number} id - Review ID
+ * @returns {Promise<Array>} Revisions
+ */
+const getReviewHistory = async (id) => {
+  try {
+    const revisions = await db.query(
+      `SELECT rr.*, u.display_name AS changed_by_name
+       FROM consumer_review_revisions rr
+       JOIN users u ON rr.changed_by = u.id
+       WHERE rr.consumer_review_id = $1
+       ORDER BY rr.id DESC`,
+      { id: parseInt(id) }
+    );
+
+    return revisions;
+  } catch (error) {
+    throw wrapError(error, 'Error getting review history');
+  }
+};
+
+/**
+ * Put a review's text back to what it was before a revision
+ * @param {string|number} id - Review ID
+ * @param {string|number} revisionId - Revision of this review to undo
+ * @param {string|number} changedBy - User ID restoring it
+ * @returns {Promise<Object>} Restored review
+ */
+const restoreReviewRevision = async (id, revisionId, changedBy) => {
+  try {
+    const found = await db.transaction(async () => {
+      const revisions = await db.query(
+        `SELECT old_review FROM consumer_review_revisions
+         WHERE id = $1 AND consumer_review_id = $2`,
+        { revisionId: parseInt(revisionId), id: parseInt(id) }
+      );
+
+      if (revisions.length === 0) {
+        return false;
+      }
+
+      return setReviewText(
+        parseInt(id),
+        { review: revisions[0].old_review },
+        parseInt(changedBy),
+        parseInt(revisionId)
+      );
+    });
+
+    if (!found) {
+      throw new NotFoundError('Revision not found', 'REVISION_NOT_FOUND');
+    }
+
+    return await getReviewById(id);
+  } catch (error) {
+    throw wrapError(error, 'Error restoring review revision');
   }
 };
 
@@ -408,17 +1131,34 @@ const updateReview = async (id, reviewData) => {
 const deleteReview = async (id) => {
   try {
     const transaction = async (client) => {
-      // Delete review images
+      // Delete review images, taking back their photo points
+      const images = await client.query(
+        `DELETE FROM image_urls WHERE consumer_review_id = $1 RETURNING id`,
+        { id: parseInt(id) }
+      );
+      await pointsService.reverseImagePoints(images.map((image) => image.id), 'review_deleted');
+
+      // Delete review history
       await client.query(
-        `DELETE FROM image_urls WHERE consumer_review_id = $1`,
+        `DELETE FROM consumer_review_revisions WHERE consumer_review_id = $1`,
+        { id: parseInt(id) }
+      );
+
+      // Delete helpful votes
+      await client.query(
+        `DELETE FROM review_helpful_votes WHERE consumer_review_id = $1`,
         { id: parseInt(id) }
       );
       
       // Delete review
-      await client.query(
-        `DELETE FROM consumer_reviews WHERE id = $1`,
+      const deleted = await client.query(
+        `DELETE FROM consumer_reviews WHERE id = $1 RETURNING consumer_rating_id`,
         { id: parseInt(id) }
       );
+
+      if (deleted.length > 0) {
+        await pointsService.reverseReviewPoints(deleted[0].consumer_rating_id, 'review_deleted');
+      }
     };
     
     // Execute transaction
@@ -426,7 +1166,7 @@ const deleteReview = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting review: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting review');
   }
 };
 
@@ -440,63 +1180,114 @@ const moderateReview = async (id, moderationData) => {
   try {
     const { isActive, moderationNotes } = moderationData;
     
-    await db.query(
-      `UPDATE consumer_reviews
-       SET is_active = $1,
-           moderation_notes = $2
-       WHERE id = $3`,
-      {
-        isActive,
-        moderationNotes: moderationNotes || null,
-        id: parseInt(id)
+    const review = await db.transaction(async () => {
+      await db.query(
+        `UPDATE consumer_reviews
+         SET is_active = $1,
+             moderation_notes = $2
+         WHERE id = $3`,
+        {
+          isActive,
+          moderationNotes: moderationNotes || null,
+          id: parseInt(id)
+        }
+      );
+
+      const moderated = await getReviewById(id);
+
+      // Hiding the rater's only review takes back the review bonus; restoring it does not pay it again
+      if (moderated && !isActive) {
+        await pointsService.reverseReviewPoints(moderated.consumer_rating_id, 'review_hidden');
       }
-    );
+
+      return moderated;
+    });
+    business.reviewsModerated.inc({ action: isActive ? 'restored' : 'hidden' });
     
-    return await getReviewById(id);
+    return review;
   } catch (error) {
-    throw createError(`Error moderating review: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error moderating review');
+  }
+};
+
+/**
+ * Helpful votes a review has received
+ * @param {number} reviewId - Review ID
+ * @returns {Promise<number>} Vote count
+ */
+const helpfulCountOf = async (reviewId) => {
+  const [{ count }] = await db.query(
+    'SELECT COUNT(*)::int AS count FROM review_helpful_votes WHERE consumer_review_id = $1',
+    { reviewId }
+  );
+
+  return count;
+};
+
+/**
+ * Public, active review that readers may vote on
+ * @param {string|number} id - Review ID
+ * @returns {Promise<Object>} Review `{ id, user_id }`
+ */
+const getVotableReview = async (id) => {
+  const result = await db.query(
+    'SELECT id, user_id FROM consumer_reviews WHERE id = $1 AND is_active = TRUE AND is_private = FALSE',
+    { id: parseInt(id) }
+  );
+
+  if (result.length === 0) {
+    throw new NotFoundError('Review not found', 'REVIEW_NOT_FOUND');
   }
+
+  return result[0];
 };
 
 /**
- * Add glad points for a rating
- * @param {string|number} ratingId - Rating ID
- * @param {string|number} userId - User ID
- * @returns {Promise<Object>} Created glad points record
+ * Mark a public review helpful. Voting again has no effect; authors cannot
+ * vote on their own reviews.
+ * @param {string|number} id - Review ID
+ * @param {number} userId - Voting user
+ * @returns {Promise<number>} The review's helpful vote count
  */
-const addGladPoints = async (ratingId, userId) => {
+const markReviewHelpful = async (id, userId) => {
   try {
-    // Default points value
-    const points = 10;
-    
-    const result = await db.query(
-      `INSERT INTO consumer_glad_points (
-        consumer_rating_id, points, user_id, is_redeemed
-      ) VALUES ($1, $2, $3, FALSE)
-      RETURNING id`,
-      {
-        consumerRatingId: parseInt(ratingId),
-        points,
-        userId: parseInt(userId)
-      }
+    const review = await getVotableReview(id);
+
+    if (review.user_id === parseInt(userId)) {
+      throw new ForbiddenError('You cannot mark your own review helpful', 'HELPFUL_VOTE_OWN_REVIEW');
+    }
+
+    await db.query(
+      `INSERT INTO review_helpful_votes (consumer_review_id, user_id)
+       VALUES ($1, $2)
+       ON CONFLICT DO NOTHING`,
+      { reviewId: review.id, userId: parseInt(userId) }
     );
-    
-    const pointsId = result[0].id;
-    
-    // Get the created record
-    const gladPoints = await db.query(
-      `SELECT * FROM consumer_glad_points WHERE id = $1`,
-      { id: pointsId }
+
+    return await helpfulCountOf(review.id);
+  } catch (error) {
+    throw wrapError(error, 'Error marking review helpful');
+  }
+};
+
+/**
+ * Withdraw the caller's helpful vote from a review, if any
+ * @param {string|number} id - Review ID
+ * @param {number} userId - Voting user
+ * @returns {Promise<number>} The review's helpful vote count
+ */
+const unmarkReviewHelpful = async (id, userId) => {
+  try {
+    const review = await getVotableReview(id);
+
+    await db.query(
+      'DELETE FROM review_helpful_votes WHERE consumer_review_id = $1 AND user_id = $2',
+      { reviewId: review.id, userId: parseInt(userId) }
     );
-    
-    return gladPoints[0];
+
+    return await helpfulCountOf(review.id);
   } catch (error) {
-    // If points already exist, just return
-    if (error.code === '23505') { // Unique violation
-      return { message: 'Points already awarded for this rating' };
-    }
-    
-    throw createError(`Error adding glad points: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error removing helpful vote');
   }
 };
 
@@ -543,7 +1334,32 @@ const createSurveyAnswer = async (answerData) => {
     
     return surveyAnswer[0];
   } catch (error) {
-    throw createError(`Error creating survey answer: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating survey answer');
+  }
+};
+
+/**
+ * Save a user's answers to a rating's survey and award the rating's survey
+ * points, all in one transaction
+ * @param {Object} submission - `{ consumerRatingId, userId, answers }`, each answer
+ *   `{ surveyQuestionId, surveyQuestionsAnswerId, answer }`
+ * @returns {Promise<Array>} Created answers
+ */
+const submitSurveyAnswers = async ({ consumerRatingId, userId, answers }) => {
+  try {
+    return await db.transaction(async () => {
+      const saved = [];
+
+      for (const answer of answers) {
+        saved.push(await createSurveyAnswer({ ...answer, consumerRatingId, userId }));
+      }
+
+      await pointsService.awardRatingPoints(consumerRatingId);
+
+      return saved;
+    });
+  } catch (error) {
+    throw wrapError(error, 'Error submitting survey answers');
   }
 };
 
@@ -584,7 +1400,7 @@ const getSurveyQuestionsByType = async (typeId) => {
     
     return questions;
   } catch (error) {
-    throw createError(`Error getting survey questions: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting survey questions');
   }
 };
 
@@ -595,7 +1411,7 @@ const getSurveyQuestionsByType = async (typeId) => {
  */
 const getAllRatings = async (options) => {
   try {
-    const { page = 1, limit = 10, placeId, userId, businessTypeId } = options;
+    const { page = 1, limit = 10, placeId, userId, businessTypeId, status } = options;
     const offset = (page - 1) * limit;
     
     // Build query conditions
@@ -603,6 +1419,11 @@ const getAllRatings = async (options) => {
     const queryParams = { limit, offset };
     let paramIndex = 3;
     
+    if (status) {
+      conditions.push(`r.status = $${paramIndex++}`);
+      queryParams.status = status;
+    }
+    
     if (placeId) {
       conditions.push(`r.place_id = $${paramIndex++}`);
       queryParams.placeId = placeId;
@@ -660,7 +1481,7 @@ const getAllRatings = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all ratings: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all ratings');
   }
 };
 
@@ -731,25 +1552,36 @@ const getAllReviews = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all reviews: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all reviews');
   }
 };
 
-module.exports = {
+module.exports = instrumentService('ratingService', {
   getRatingsByPlace,
+  getRatingListByPlace,
+  getRatingTrendsByPlace,
+  rebuildPlaceSummaries,
   getReviewsByPlace,
   getRatingById,
   createRating,
   updateRating,
+  getRatingHistory,
+  restoreRatingRevision,
   deleteRating,
+  getQuarantinedRatings,
+  decideQuarantinedRating,
   getReviewById,
   createReview,
   updateReview,
+  getReviewHistory,
+  restoreReviewRevision,
   deleteReview,
   moderateReview,
-  addGladPoints,
+  markReviewHelpful,
+  unmarkReviewHelpful,
   createSurveyAnswer,
+  submitSurveyAnswers,
   getSurveyQuestionsByType,
   getAllRatings,
   getAllReviews
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,431 @@
+const crypto = require('crypto');
+const db = require('../config/db');
+const { wrapError, NotFoundError, ConflictError } = require('../utils/errorUtils');
+const { business, instrumentService } = require('../utils/metrics');
+const pointsService = require('./pointsService');
+
+// Redemption codes: GG- plus 8 characters without look-alikes (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// A reward can be redeemed while active, in its validity window and in stock
+const AVAILABLE = `r.is_active = TRUE
+  AND (r.valid_from IS NULL OR r.valid_from <= NOW())
+  AND (r.valid_until IS NULL OR r.valid_until > NOW())
+  AND (r.stock IS NULL OR r.stock > 0)`;
+
+// Redemption with its reward and sponsor, and whether the code can still be used
+const REDEMPTION_SELECT = `
+  SELECT rr.*, r.name AS reward_name, r.business_id, b.business_name,
+         CASE
+           WHEN rr.used_at IS NOT NULL THEN 'used'
+           WHEN rr.expires_at IS NOT NULL AND rr.expires_at <= NOW() THEN 'expired'
+           ELSE 'valid'
+         END AS status
+  FROM reward_redemptions rr
+  JOIN rewards r ON rr.reward_id = r.id
+  JOIN businesses b ON r.business_id = b.id`;
+
+/**
+ * Random redemption code
+ * @returns {string} Code, e.g. GG-7KQ2M9XD
+ */
+const generateCode = () => {
+  const characters = Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+
+  return `GG-${characters.join('')}`;
+};
+
+/**
+ * Get rewards with pagination
+ * @param {Object} options - Query options
+ * @param {boolean} [options.availableOnly] - Only rewards that can be redeemed now (the catalog)
+ * @param {number} [options.businessId] - Sponsoring business
+ * @returns {Promise<Object>} Paginated rewards
+ */
+const getRewards = async (options) => {
+  try {
+    const { page = 1, limit = 10, availableOnly = false, businessId } = options;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const queryParams = { limit, offset };
+
+    if (availableOnly) {
+      conditions.push(AVAILABLE);
+    }
+
+    if (businessId) {
+      conditions.push('r.business_id = $businessId');
+      queryParams.businessId = parseInt(businessId);
+    }
+
+    const whereClause = conditions.length > 0
+      ? `WHERE ${conditions.join(' AND ')}`
+      : '';
+
+    const rewards = await db.query(
+      `SELECT r.*, b.business_name
+       FROM rewards r
+       JOIN businesses b ON r.business_id = b.id
+       ${whereClause}
+       ORDER BY r.points_cost, r.id
+       LIMIT $limit OFFSET $offset`,
+      queryParams
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM rewards r ${whereClause}`,
+      queryParams
+    );
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: rewards,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting rewards');
+  }
+};
+
+/**
+ * Get reward by ID
+ * @param {string|number} id - Reward ID
+ * @returns {Promise<Object|null>} Reward or null if not found
+ */
+const getRewardById = async (id) => {
+  try {
+    const result = await db.query(
+      `SELECT r.*, b.business_name
+       FROM rewards r
+       JOIN businesses b ON r.business_id = b.id
+       WHERE r.id = $1`,
+      { id: parseInt(id) }
+    );
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error getting reward');
+  }
+};
+
+/**
+ * Create a reward
+ * @param {Object} rewardData - Reward data
+ * @returns {Promise<Object>} Created reward
+ */
+const createReward = async (rewardData) => {
+  try {
+    const {
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive,
+      createdBy
+    } = rewardData;
+
+    const result = await db.query(
+      `INSERT INTO rewards (
+        business_id, name, description, points_cost, stock,
+        valid_from, valid_until, image_url, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING id`,
+      {
+        businessId: parseInt(businessId),
+        name,
+        description: description || '',
+        pointsCost,
+        stock: stock !== undefined ? stock : null,
+        validFrom: validFrom || null,
+        validUntil: validUntil || null,
+        imageURL: imageURL || '',
+        isActive: isActive !== undefined ? isActive : true,
+        createdBy: parseInt(createdBy)
+      }
+    );
+
+    return await getRewardById(result[0].id);
+  } catch (error) {
+    throw wrapError(error, 'Error creating reward');
+  }
+};
+
+/**
+ * Update a reward (every column is replaced)
+ * @param {string|number} id - Reward ID
+ * @param {Object} rewardData - Reward data
+ * @returns {Promise<Object|null>} Updated reward or null if not found
+ */
+const updateReward = async (id, rewardData) => {
+  try {
+    const {
+      businessId,
+      name,
+      description,
+      pointsCost,
+      stock,
+      validFrom,
+      validUntil,
+      imageURL,
+      isActive
+    } = rewardData;
+
+    const result = await db.query(
+      `UPDATE rewards
+       SET business_id = $1,
+           name = $2,
+           description = $3,
+           points_cost = $4,
+           stock = $5,
+           valid_from = $6,
+           valid_until = $7,
+           image_url = $8,
+           is_active = $9,
+           last_updated = NOW()
+       WHERE id = $10
+       RETURNING id`,
+      {
+        businessId: parseInt(businessId),
+        name,
+        description: description || '',
+        pointsCost,
+        stock: stock !== undefined ? stock : null,
+        validFrom: validFrom || null,
+        validUntil: validUntil || null,
+        imageURL: imageURL || '',
+        isActive: isActive !== undefined ? isActive : true,
+        id: parseInt(id)
+      }
+    );
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    return await getRewardById(id);
+  } catch (error) {
+    throw wrapError(error, 'Error updating reward');
+  }
+};
+
+/**
+ * Delete a reward. Rewards that have been redeemed cannot be deleted;
+ * deactivate them instead.
+ * @param {string|number} id - Reward ID
+ * @returns {Promise<boolean>} False if the reward does not exist
+ */
+const deleteReward = async (id) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM rewards WHERE id = $1 RETURNING id',
+      { id: parseInt(id) }
+    );
+
+    return result.length > 0;
+  } catch (error) {
+    throw wrapError(error, 'Error deleting reward');
+  }
+};
+
+/**
+ * Redeem a reward: take a unit of stock, debit its cost from the user's
+ * Glad points and issue a redemption code, all in one transaction
+ * @param {string|number} rewardId - Reward ID
+ * @param {number} userId - Redeeming user
+ * @returns {Promise<Object>} Redemption with its code
+ */
+const redeemReward = async (rewardId, userId) => {
+  try {
+    const { redemptionId, points } = await db.transaction(async () => {
+      const claimed = await db.query(
+        `UPDATE rewards r
+         SET stock = r.stock - 1
+         WHERE r.id = $1 AND ${AVAILABLE}
+         RETURNING r.id, r.points_cost, r.valid_until`,
+        { id: parseInt(rewardId) }
+      );
+
+      if (claimed.length === 0) {
+        const reward = await getRewardById(rewardId);
+
+        if (!reward) {
+          throw new NotFoundError('Reward not found', 'REWARD_NOT_FOUND');
+        }
+        if (reward.stock === 0) {
+          throw new ConflictError('Reward is out of stock', 'REWARD_OUT_OF_STOCK');
+        }
+        throw new ConflictError('Reward is not available', 'REWARD_UNAVAILABLE');
+      }
+
+      const [reward] = claimed;
+
+      const [redemption] = await db.query(
+        `INSERT INTO reward_redemptions (reward_id, user_id, code, points, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING id`,
+        {
+          rewardId: reward.id,
+          userId: parseInt(userId),
+          code: generateCode(),
+          points: reward.points_cost,
+          expiresAt: reward.valid_until
+        }
+      );
+
+      await pointsService.debitPoints(userId, reward.points_cost, {
+        reason: 'redemption',
+        entryKey: `redemption:${redemption.id}`,
+        details: { rewardId: reward.id, redemptionId: redemption.id }
+      });
+
+      return { redemptionId: redemption.id, points: reward.points_cost };
+    });
+
+    // Counted once committed, so failed or retried attempts are not
+    business.gladPointsRedeemed.inc(points);
+
+    const [redemption] = await db.query(`${REDEMPTION_SELECT} WHERE rr.id = $1`, { id: redemptionId });
+
+    return redemption;
+  } catch (error) {
+    throw wrapError(error, 'Error redeeming reward');
+  }
+};
+
+/**
+ * Get a user's redemptions with pagination
+ * @param {string|number} userId - User ID
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<Object>} Paginated redemptions, newest first
+ */
+const getRedemptionsByUser = async (userId, page = 1, limit = 10) => {
+  try {
+    const offset = (page - 1) * limit;
+
+    const redemptions = await db.query(
+      `${REDEMPTION_SELECT}
+       WHERE rr.user_id = $1
+       ORDER BY rr.date_created DESC, rr.id DESC
+       LIMIT $2 OFFSET $3`,
+      { userId: parseInt(userId), limit, offset }
+    );
+
+    const countResult = await db.query(
+      'SELECT COUNT(*) FROM reward_redemptions WHERE user_id = $1',
+      { userId: parseInt(userId) }
+    );
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: redemptions,
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting redemptions');
+  }
+};
+
+/**
+ * Look up a redemption code for the business that sponsors its reward
+ * @param {string} code - Redemption code (case-insensitive)
+ * @param {string|number} businessId - Sponsoring business ID
+ * @returns {Promise<Object|null>} Redemption with its status, or null if the code is not the business's
+ */
+const getRedemptionByCode = async (code, businessId) => {
+  try {
+    const result = await db.query(
+      `${REDEMPTION_SELECT}
+       WHERE rr.code = $1 AND r.business_id = $2`,
+      { code: code.toUpperCase(), businessId: parseInt(businessId) }
+    );
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    return result[0];
+  } catch (error) {
+    throw wrapError(error, 'Error getting redemption');
+  }
+};
+
+/**
+ * Mark a redemption code as used at the sponsoring business
+ * @param {string} code - Redemption code (case-insensitive)
+ * @param {string|number} businessId - Sponsoring business ID
+ * @param {number} usedBy - User recording the use
+ * @returns {Promise<Object>} Used redemption
+ */
+const useRedemption = async (code, businessId, usedBy) => {
+  try {
+    const used = await db.query(
+      `UPDATE reward_redemptions rr
+       SET used_at = NOW(), used_by = $1
+       FROM rewards r
+       WHERE rr.reward_id = r.id
+         AND rr.code = $2
+         AND r.business_id = $3
+         AND rr.used_at IS NULL
+         AND (rr.expires_at IS NULL OR rr.expires_at > NOW())
+       RETURNING rr.id`,
+      { usedBy: parseInt(usedBy), code: code.toUpperCase(), businessId: parseInt(businessId) }
+    );
+
+    if (used.length === 0) {
+      const redemption = await getRedemptionByCode(code, businessId);
+
+      if (!redemption) {
+        throw new NotFoundError('Redemption code not found', 'REDEMPTION_NOT_FOUND');
+      }
+      if (redemption.status === 'used') {
+        throw new ConflictError('Redemption code has already been used', 'REDEMPTION_ALREADY_USED');
+      }
+      throw new ConflictError('Redemption code has expired', 'REDEMPTION_EXPIRED');
+    }
+
+    return await getRedemptionByCode(code, businessId);
+  } catch (error) {
+    throw wrapError(error, 'Error using redemption');
+  }
+};
+
+module.exports = instrumentService('rewardService', {
+  getRewards,
+  getRewardById,
+  createReward,
+  updateReward,
+  deleteReward,
+  redeemReward,
+  getRedemptionsByUser,
+  getRedemptionByCode,
+  useRedemption
+});
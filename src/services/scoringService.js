@@ -0,0 +1,182 @@
+const db = require('../config/db');
+const { wrapError } = require('../utils/errorUtils');
+const { getConfig } = require('../config');
+const { instrumentService } = require('../utils/metrics');
+
+const ratingsConfig = getConfig().ratings;
+
+/**
+ * Confidence-weighted place scores.
+ * A place's score is a Bayesian average: its ratings plus `priorWeight`
+ * imaginary ratings at its business type's mean, so a handful of ratings
+ * barely moves a place off the prior while hundreds dominate it. Type means
+ * are themselves shrunk toward the global mean so thinly rated types get a
+ * sensible prior. With a half-life, each rating counts 0.5^(age/half-life).
+ * Ratings without a business type have no prior and are not scored, and
+ * only active (not quarantined or rejected) ratings count.
+ */
+
+// Every place scored against its type's prior. Named parameters: halfLifeDays,
+// priorWeight, businessTypeId, sectorId (null for no filter).
+const SCORED_PLACES = `
+  WITH weighted AS (
+    SELECT place_id, place_name, business_type_id, rating_value, date_created,
+           CASE WHEN $halfLifeDays::int > 0
+                THEN power(0.5, EXTRACT(EPOCH FROM NOW() - date_created)::float8 / 86400 / $halfLifeDays::int)
+                ELSE 1
+           END AS weight
+    FROM consumer_ratings
+    WHERE business_type_id IS NOT NULL AND status = 'active'
+  ),
+  global_prior AS (
+    SELECT COALESCE(SUM(weight * rating_value) / NULLIF(SUM(weight), 0), 0) AS mean
+    FROM weighted
+  ),
+  type_priors AS (
+    SELECT w.business_type_id,
+           (SUM(w.weight * w.rating_value) + $priorWeight::int * g.mean) / (SUM(w.weight) + $priorWeight::int) AS mean
+    FROM weighted w
+    CROSS JOIN global_prior g
+    GROUP BY w.business_type_id, g.mean
+  ),
+  places AS (
+    SELECT place_id, business_type_id,
+           (array_agg(place_name ORDER BY date_created DESC))[1] AS place_name,
+           COUNT(*)::int AS rating_count,
+           AVG(rating_value)::float8 AS average_rating,
+           SUM(weight) AS weight_sum,
+           SUM(weight * rating_value) AS weighted_sum
+    FROM weighted
+    GROUP BY place_id, business_type_id
+  ),
+  scored AS (
+    SELECT p.place_id, p.place_name, p.business_type_id, bt.business_type,
+           bt.business_sector_id, p.rating_count, p.average_rating,
+           tp.mean AS prior_mean,
+           (p.weighted_sum + $priorWeight::int * tp.mean) / (p.weight_sum + $priorWeight::int) AS score
+    FROM places p
+    JOIN type_priors tp ON tp.business_type_id = p.business_type_id
+    JOIN business_types bt ON bt.id = p.business_type_id
+    WHERE ($businessTypeId::int IS NULL OR p.business_type_id = $businessTypeId::int)
+      AND ($sectorId::int IS NULL OR bt.business_sector_id = $sectorId::int)
+  )
+  SELECT scored.*,
+         RANK() OVER (PARTITION BY business_type_id ORDER BY score DESC) AS type_rank
+  FROM scored`;
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number} Rounded value
+ */
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Scoring options with config defaults applied
+ * @param {Object} options - Options from the caller
+ * @returns {Object} `{ halfLifeDays, priorWeight }`
+ */
+const scoringOptions = (options) => ({
+  halfLifeDays: options.halfLifeDays !== undefined ? options.halfLifeDays : ratingsConfig.halfLifeDays,
+  priorWeight: ratingsConfig.priorWeight
+});
+
+/**
+ * Shape a scored row for clients
+ * @param {Object} row - Row from SCORED_PLACES
+ * @returns {Object} Place score
+ */
+const toPlaceScore = (row) => ({
+  placeId: row.place_id,
+  placeName: row.place_name,
+  businessTypeId: row.business_type_id,
+  businessType: row.business_type,
+  sectorId: row.business_sector_id,
+  ratingCount: row.rating_count,
+  averageRating: round(row.average_rating, 2),
+  priorMean: round(row.prior_mean, 3),
+  score: round(row.score, 3),
+  typeRank: parseInt(row.type_rank)
+});
+
+/**
+ * Get the confidence-weighted score of a place, once per business type it
+ * was rated under, with its rank among places of that type
+ * @param {string} placeId - Google Place ID
+ * @param {Object} [options] - Scoring options
+ * @param {number} [options.halfLifeDays] - Recency half-life (0 disables decay)
+ * @returns {Promise<Object>} `{ placeId, halfLifeDays, priorWeight, scores }`
+ */
+const getPlaceScore = async (placeId, options = {}) => {
+  try {
+    const { halfLifeDays, priorWeight } = scoringOptions(options);
+
+    const rows = await db.query(
+      `SELECT * FROM (${SCORED_PLACES}) ranked
+       WHERE place_id = $placeId
+       ORDER BY score DESC`,
+      { halfLifeDays, priorWeight, businessTypeId: null, sectorId: null, placeId }
+    );
+
+    return { placeId, halfLifeDays, priorWeight, scores: rows.map(toPlaceScore) };
+  } catch (error) {
+    throw wrapError(error, 'Error getting place score');
+  }
+};
+
+/**
+ * Get places ranked by confidence-weighted score, optionally within one
+ * business type or sector
+ * @param {Object} options - Ranking options
+ * @param {number} [options.businessTypeId] - Only places of this business type
+ * @param {number} [options.sectorId] - Only places of business types in this sector
+ * @param {number} [options.minRatings] - Leave out places with fewer ratings
+ * @param {number} [options.halfLifeDays] - Recency half-life (0 disables decay)
+ * @param {number} [options.page] - Page number
+ * @param {number} [options.limit] - Items per page
+ * @returns {Promise<Object>} Paginated place scores, best first
+ */
+const getRankings = async (options = {}) => {
+  try {
+    const { businessTypeId = null, sectorId = null, minRatings = 1, page = 1, limit = 10 } = options;
+    const { halfLifeDays, priorWeight } = scoringOptions(options);
+    const offset = (page - 1) * limit;
+
+    const rows = await db.query(
+      `SELECT * FROM (${SCORED_PLACES}) ranked
+       WHERE rating_count >= $minRatings
+       ORDER BY score DESC, rating_count DESC, place_id
+       LIMIT $limit OFFSET $offset`,
+      { halfLifeDays, priorWeight, businessTypeId, sectorId, minRatings, limit, offset }
+    );
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) FROM (${SCORED_PLACES}) ranked
+       WHERE rating_count >= $minRatings`,
+      { halfLifeDays, priorWeight, businessTypeId, sectorId, minRatings }
+    );
+
+    const totalCount = parseInt(countResult[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    return {
+      data: rows.map((row, index) => ({ rank: offset + index + 1, ...toPlaceScore(row) })),
+      pagination: {
+        total: totalCount,
+        page,
+        limit,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    };
+  } catch (error) {
+    throw wrapError(error, 'Error getting place rankings');
+  }
+};
+
+module.exports = instrumentService('scoringService', {
+  getPlaceScore,
+  getRankings
+});
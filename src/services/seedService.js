@@ -0,0 +1,521 @@
+const db = require('../config/db');
+const { createError } = require('../utils/errorUtils');
+const ratingService = require('./ratingService');
+const referenceData = require('../../seeds/referenceData');
+const syntheticData = require('../../seeds/syntheticData');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEED_UID_PREFIX = 'seed-';
+const POINTS_PER_RATING = 10;
+
+// Staff accounts with stable Firebase UIDs so local tokens can target them
+const STAFF_USERS = [
+  { firebaseUid: 'seed-admin', firstName: 'Ada', lastName: 'Admin', role: 'Admin' },
+  { firebaseUid: 'seed-moderator', firstName: 'Mo', lastName: 'Moderator', role: 'Moderator' },
+  { firebaseUid: 'seed-support', firstName: 'Sam', lastName: 'Support', role: 'Support' },
+  { firebaseUid: 'seed-client', firstName: 'Cleo', lastName: 'Client', role: 'Client' },
+];
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so fixtures are reproducible
+ * @param {number} seed - Seed value
+ * @returns {Object} Random helpers
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (items) => items[int(0, items.length - 1)];
+  const chance = (probability) => next() < probability;
+
+  const sample = (items, count) => {
+    const pool = [...items];
+    const picked = [];
+    while (picked.length < count && pool.length > 0) {
+      picked.push(pool.splice(int(0, pool.length - 1), 1)[0]);
+    }
+    return picked;
+  };
+
+  return { next, int, pick, chance, sample };
+};
+
+/**
+ * Insert a row unless one matching `match` already exists
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @param {Object} match - Column values identifying the row
+ * @param {Object} [values] - Additional column values for the insert
+ * @returns {Promise<number>} Row ID
+ */
+const insertIfMissing = async (client, table, match, values = {}) => {
+  const conditions = Object.keys(match).map((column) => `${column} = $${column}`);
+
+  const existing = await client.query(
+    `SELECT id FROM ${table} WHERE ${conditions.join(' AND ')}`,
+    match
+  );
+
+  if (existing.length > 0) {
+    return existing[0].id;
+  }
+
+  const row = { ...match, ...values };
+  const columns = Object.keys(row);
+
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map((column) => `$${column}`).join(', ')})
+     RETURNING id`,
+    row
+  );
+
+  return result[0].id;
+};
+
+/**
+ * Build a name -> id map for a lookup table
+ * @param {Object} client - Transaction client
+ * @param {string} table - Table name
+ * @param {string} column - Name column
+ * @returns {Promise<Object>} Lookup map
+ */
+const loadLookup = async (client, table, column) => {
+  const rows = await client.query(`SELECT id, ${column} AS name FROM ${table}`);
+  return rows.reduce((lookup, row) => ({ ...lookup, [row.name]: row.id }), {});
+};
+
+/**
+ * Seed lookup tables: roles, business sectors/types, environment types,
+ * message categories, image types and education data
+ * @returns {Promise<Object>} Counts of rows present per table
+ */
+const seedReferenceData = async () => {
+  try {
+    return await db.transaction(async (client) => {
+      for (const { role, description } of referenceData.roles) {
+        await insertIfMissing(client, 'roles', { role }, { description });
+      }
+
+      for (const { permission, description } of referenceData.permissions) {
+        await insertIfMissing(client, 'permissions', { permission }, { description });
+      }
+
+      const roles = await loadLookup(client, 'roles', 'role');
+      const permissions = await loadLookup(client, 'permissions', 'permission');
+
+      for (const [role, granted] of Object.entries(referenceData.rolePermissions)) {
+        const existingGrants = await client.query(
+          'SELECT COUNT(*) FROM role_permissions WHERE role_id = $1',
+          { roleId: roles[role] }
+        );
+
+        // Leave roles alone once an admin has configured them
+        if (parseInt(existingGrants[0].count) > 0) {
+          continue;
+        }
+
+        const names = granted.includes('*') ? Object.keys(permissions) : granted;
+
+        for (const name of names) {
+          await client.query(
+            `INSERT INTO role_permissions (role_id, permission_id)
+             VALUES ($1, $2)`,
+            { roleId: roles[role], permissionId: permissions[name] }
+          );
+        }
+      }
+
+      for (const name of referenceData.environmentTypes) {
+        await insertIfMissing(client, 'environment_types', { name });
+      }
+
+      for (const name of referenceData.messageCategories) {
+        await insertIfMissing(client, 'message_categories', { name });
+      }
+
+      for (const imageType of referenceData.imageTypes) {
+        await insertIfMissing(client, 'image_types', { image_type: imageType });
+      }
+
+      for (const name of referenceData.eduCategories) {
+        await insertIfMissing(client, 'edu_categories', { name });
+      }
+
+      for (const sector of referenceData.businessSectors) {
+        const sectorId = await insertIfMissing(client, 'business_sector', {
+          business_sector_name: sector.name
+        });
+
+        for (const businessType of sector.types) {
+          await insertIfMissing(client, 'business_types', {
+            business_type: businessType,
+            business_sector_id: sectorId
+          });
+        }
+      }
+
+      const businessTypes = await loadLookup(client, 'business_types', 'business_type');
+
+      for (const { businessType, question, answerOptions } of referenceData.surveyQuestions) {
+        const questionId = await insertIfMissing(client, 'survey_questions', {
+          question,
+          business_type_id: businessTypes[businessType]
+        });
+
+        for (const answerOption of answerOptions) {
+          await insertIfMissing(client, 'survey_questions_answer_options', {
+            survey_question_id: questionId,
+            answer_option: answerOption
+          });
+        }
+      }
+
+      for (const area of referenceData.eduAreas) {
+        const areaId = await insertIfMissing(client, 'edu_areas', { name: area.name });
+        let firstLocationId = null;
+
+        for (const location of area.locations) {
+          const locationId = await insertIfMissing(
+            client,
+            'edu_locations',
+            { edu_area_id: areaId, name: location.name },
+            { place_id: location.placeId }
+          );
+          firstLocationId = firstLocationId || locationId;
+        }
+
+        for (const name of area.dorms) {
+          await insertIfMissing(client, 'edu_dorms', { name }, { edu_location_id: firstLocationId });
+        }
+
+        for (const name of area.security) {
+          await insertIfMissing(client, 'edu_security', { edu_area_id: areaId, name });
+        }
+
+        for (const name of area.social) {
+          await insertIfMissing(client, 'edu_social', { edu_area_id: areaId, name });
+        }
+      }
+
+      for (const department of referenceData.eduDepartments) {
+        const departmentId = await insertIfMissing(client, 'edu_departments', { name: department.name });
+
+        const classCodeIds = [];
+        for (const { code, name } of department.classCodes) {
+          classCodeIds.push(await insertIfMissing(
+            client,
+            'edu_class_codes',
+            { code },
+            { name, edu_department_id: departmentId }
+          ));
+        }
+
+        for (const name of department.professors) {
+          const professorId = await insertIfMissing(client, 'edu_professors', {
+            name,
+            edu_department_id: departmentId
+          });
+
+          for (const classCodeId of classCodeIds) {
+            await insertIfMissing(client, 'edu_professor_courses', {
+              professor_id: professorId,
+              edu_class_code_id: classCodeId
+            });
+          }
+        }
+      }
+
+      for (const name of referenceData.eduInternet) {
+        await insertIfMissing(client, 'edu_internet', { name });
+      }
+
+      const counts = await client.query(
+        `SELECT
+           (SELECT COUNT(*) FROM roles) AS roles,
+           (SELECT COUNT(*) FROM permissions) AS permissions,
+           (SELECT COUNT(*) FROM role_permissions) AS role_permissions,
+           (SELECT COUNT(*) FROM business_sector) AS business_sectors,
+           (SELECT COUNT(*) FROM business_types) AS business_types,
+           (SELECT COUNT(*) FROM edu_areas) AS edu_areas,
+           (SELECT COUNT(*) FROM edu_locations) AS edu_locations,
+           (SELECT COUNT(*) FROM edu_dorms) AS edu_dorms,
+           (SELECT COUNT(*) FROM edu_professors) AS edu_professors`
+      );
+
+      return Object.fromEntries(
+        Object.entries(counts[0]).map(([table, count]) => [table, parseInt(count)])
+      );
+    });
+  } catch (error) {
+    throw createError(`Error seeding reference data: ${error.message}`, 500, error);
+  }
+};
+
+/**
+ * Generate the synthetic places users will rate
+ * @param {Object} random - Random helpers
+ * @param {number} count - Number of business places
+ * @param {Object} businessTypes - Business type name -> id
+ * @param {Array} eduLocations - Education locations
+ * @returns {Array} Places
+ */
+const generatePlaces = (random, count, businessTypes, eduLocations) => {
+  const commercialTypes = referenceData.businessSectors
+    .filter((sector) => sector.name !== 'Education')
+    .flatMap((sector) => sector.types);
+
+  const places = [];
+
+  for (let i = 1; i <= count; i++) {
+    const businessType = random.pick(commercialTypes);
+    places.push({
+      placeId: `${SEED_UID_PREFIX}place-${String(i).padStart(3, '0')}`,
+      placeName: `${random.pick(syntheticData.placeNamePrefixes)} ${businessType}`,
+      placeAddress: `${random.int(10, 9999)} ${random.pick(syntheticData.streets)}, ${random.pick(syntheticData.cities)}`,
+      businessTypeId: businessTypes[businessType],
+      eduLocationId: null,
+      // Underlying quality so places get distinguishable averages
+      quality: 1.5 + random.next() * 3.5
+    });
+  }
+
+  eduLocations.forEach((location) => {
+    places.push({
+      placeId: location.place_id,
+      placeName: location.name,
+      placeAddress: location.area_name,
+      businessTypeId: businessTypes.Dorm,
+      eduLocationId: location.id,
+      quality: 1.5 + random.next() * 3.5
+    });
+  });
+
+  return places;
+};
+
+/**
+ * Seed synthetic users, ratings, reviews, survey answers and glad points.
+ * Skipped when seeded users already exist.
+ * @param {Object} [options] - Options
+ * @param {number} [options.users] - Number of consumer users
+ * @param {number} [options.places] - Number of business places
+ * @param {number} [options.seed] - Random seed
+ * @param {number} [options.days] - Spread rating dates over this many past days
+ * @returns {Promise<Object>} Counts of created rows
+ */
+const seedSyntheticData = async ({ users = 40, places = 25, seed = 42, days = 365 } = {}) => {
+  try {
+    const random = createRandom(seed);
+    const now = Date.now();
+
+    return await db.transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT COUNT(*) FROM users WHERE firebase_uid LIKE $prefix',
+        { prefix: `${SEED_UID_PREFIX}%` }
+      );
+
+      if (parseInt(existing[0].count) > 0) {
+        return { skipped: true };
+      }
+
+      const roles = await loadLookup(client, 'roles', 'role');
+      const businessTypes = await loadLookup(client, 'business_types', 'business_type');
+
+      if (!roles.User || !businessTypes.Dorm) {
+        throw createError('Reference data is missing; seed it first', 500);
+      }
+
+      const eduLocations = await client.query(
+        `SELECT l.id, l.name, l.place_id, a.name AS area_name
+         FROM edu_locations l
+         JOIN edu_areas a ON l.edu_area_id = a.id
+         WHERE l.place_id IS NOT NULL
+         ORDER BY l.id`
+      );
+
+      const surveyQuestions = await client.query(
+        `SELECT sq.id, sq.business_type_id, o.id AS option_id, o.answer_option
+         FROM survey_questions sq
+         JOIN survey_questions_answer_options o ON o.survey_question_id = sq.id
+         WHERE sq.is_active = TRUE
+         ORDER BY sq.id, o.id`
+      );
+
+      const placeList = generatePlaces(random, places, businessTypes, eduLocations);
+      const counts = { users: 0, ratings: 0, reviews: 0, surveyAnswers: 0, gladPoints: 0 };
+
+      const accounts = [
+        ...STAFF_USERS,
+        ...Array.from({ length: users }, (_, index) => ({
+          firebaseUid: `${SEED_UID_PREFIX}user-${String(index + 1).padStart(3, '0')}`,
+          firstName: random.pick(syntheticData.firstNames),
+          lastName: random.pick(syntheticData.lastNames),
+          role: 'User'
+        }))
+      ];
+
+      for (const account of accounts) {
+        const joined = new Date(now - random.int(days, days + 180) * DAY_MS).toISOString();
+
+        const userRows = await client.query(
+          `INSERT INTO users (
+            firebase_uid, email, first_name, last_name, display_name,
+            primary_role_id, date_created, last_updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+          RETURNING id`,
+          {
+            firebaseUid: account.firebaseUid,
+            email: `${account.firebaseUid}@example.com`,
+            firstName: account.firstName,
+            lastName: account.lastName,
+            displayName: `${account.firstName} ${account.lastName[0]}.`,
+            primaryRoleId: roles[account.role],
+            dateCreated: joined
+          }
+        );
+        counts.users++;
+
+        if (account.role !== 'User') {
+          continue;
+        }
+
+        const userId = userRows[0].id;
+        const ratedPlaces = random.sample(placeList, random.int(1, 8));
+
+        for (const place of ratedPlaces) {
+          const noise = (random.next() + random.next() - 1) * 1.5;
+          const ratingValue = Math.min(5, Math.max(1, Math.round(place.quality + noise)));
+          const ratedAt = new Date(now - random.int(0, days) * DAY_MS - random.int(0, DAY_MS)).toISOString();
+
+          const ratingRows = await client.query(
+            `INSERT INTO consumer_ratings (
+              business_type_id, edu_location_id, place_address, place_id,
+              place_name, rating_value, user_id, date_created
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            RETURNING id`,
+            {
+              businessTypeId: place.businessTypeId,
+              eduLocationId: place.eduLocationId,
+              placeAddress: place.placeAddress,
+              placeId: place.placeId,
+              placeName: place.placeName,
+              ratingValue,
+              userId,
+              dateCreated: ratedAt
+            }
+          );
+          const ratingId = ratingRows[0].id;
+          counts.ratings++;
+
+          await client.query(
+            `INSERT INTO consumer_glad_points (
+              consumer_rating_id, points, user_id, reason, entry_key, is_redeemed, date_created
+            ) VALUES ($1, $2, $3, 'rating', $4, FALSE, $5)`,
+            {
+              ratingId,
+              points: POINTS_PER_RATING,
+              userId,
+              entryKey: `rating:${ratingId}:rating`,
+              dateCreated: ratedAt
+            }
+          );
+          counts.gladPoints++;
+
+          if (random.chance(0.55)) {
+            await client.query(
+              `INSERT INTO consumer_reviews (
+                consumer_rating_id, review, place_id, is_private,
+                is_active, user_id, date_created
+              ) VALUES ($1, $2, $3, $4, TRUE, $5, $6)`,
+              {
+                ratingId,
+                review: random.pick(syntheticData.reviewsByRating[ratingValue]),
+                placeId: place.placeId,
+                isPrivate: random.chance(0.1),
+                userId,
+                dateCreated: ratedAt
+              }
+            );
+            counts.reviews++;
+          }
+
+          const questionIds = [...new Set(
+            surveyQuestions
+              .filter((row) => row.business_type_id === place.businessTypeId)
+              .map((row) => row.id)
+          )];
+
+          for (const questionId of questionIds) {
+            if (!random.chance(0.7)) {
+              continue;
+            }
+
+            const option = random.pick(surveyQuestions.filter((row) => row.id === questionId));
+
+            await client.query(
+              `INSERT INTO consumer_survey_question_answers (
+                survey_question_id, survey_questions_answer_id, answer,
+                consumer_rating_id, user_id, date_created
+              ) VALUES ($1, $2, $3, $4, $5, $6)`,
+              {
+                questionId,
+                optionId: option.option_id,
+                answer: option.answer_option,
+                ratingId,
+                userId,
+                dateCreated: ratedAt
+              }
+            );
+            counts.surveyAnswers++;
+          }
+        }
+      }
+
+      // Ratings were inserted directly, so the per-place summaries are built in one pass
+      await ratingService.rebuildPlaceSummaries();
+
+      return counts;
+    });
+  } catch (error) {
+    throw createError(`Error seeding synthetic data: ${error.message}`, 500, error);
+  }
+};
+
+/**
+ * Empty every application table (keeps migration history)
+ * @returns {Promise<boolean>} Success status
+ */
+const resetData = async () => {
+  try {
+    const tables = await db.query(
+      `SELECT tablename FROM pg_tables
+       WHERE schemaname = 'public' AND tablename <> 'schema_migrations'`
+    );
+
+    if (tables.length > 0) {
+      await db.query(
+        `TRUNCATE ${tables.map((table) => `"${table.tablename}"`).join(', ')} RESTART IDENTITY CASCADE`
+      );
+    }
+
+    return true;
+  } catch (error) {
+    throw createError(`Error resetting data: ${error.message}`, 500, error);
+  }
+};
+
+module.exports = {
+  STAFF_USERS,
+  seedReferenceData,
+  seedSyntheticData,
+  resetData
+};
@@ -1,5 +1,7 @@
 const db = require('../config/db');
-const { createError } = require('../utils/errorUtils');
+const { createError, wrapError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errorUtils');
+const { instrumentService } = require('../utils/metrics');
+const pointsService = require('./pointsService');
 
 /**
  * Get a user by ID
@@ -21,22 +23,24 @@ const getUserById = async (id) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting user by ID: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user by ID');
   }
 };
 
 /**
  * Get a user by Firebase UID
  * @param {string} firebaseUid - Firebase UID
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeDeleted] - Also return users marked as deleted
  * @returns {Promise<Object|null>} User object or null if not found
  */
-const getUserByFirebaseUid = async (firebaseUid) => {
+const getUserByFirebaseUid = async (firebaseUid, { includeDeleted = false } = {}) => {
   try {
     const result = await db.query(
       `SELECT u.*, r.role FROM users u
        LEFT JOIN roles r ON u.primary_role_id = r.id
-       WHERE u.firebase_uid = $1 AND u.is_deleted = FALSE`,
-      { firebaseUid }
+       WHERE u.firebase_uid = $1 AND (u.is_deleted = FALSE OR $2)`,
+      { firebaseUid, includeDeleted }
     );
     
     if (result.length === 0) {
@@ -45,7 +49,7 @@ const getUserByFirebaseUid = async (firebaseUid) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting user by Firebase UID: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user by Firebase UID');
   }
 };
 
@@ -69,7 +73,56 @@ const getUserByEmail = async (email) => {
     
     return result[0];
   } catch (error) {
-    throw createError(`Error getting user by email: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user by email');
+  }
+};
+
+/**
+ * Get a role ID by role name
+ * @param {string} role - Role name, e.g. 'User'
+ * @returns {Promise<number|null>} Role ID or null if not found
+ */
+const getRoleIdByName = async (role) => {
+  try {
+    const result = await db.query(
+      'SELECT id FROM roles WHERE role = $1',
+      { role }
+    );
+    
+    if (result.length === 0) {
+      return null;
+    }
+    
+    return result[0].id;
+  } catch (error) {
+    throw wrapError(error, 'Error getting role');
+  }
+};
+
+/**
+ * Get every role a user holds: the primary role first, then secondary roles
+ * @param {string|number} userId - User ID
+ * @returns {Promise<Array<string>>} Role names
+ */
+const getUserRoles = async (userId) => {
+  try {
+    const result = await db.query(
+      `SELECT r.role, TRUE AS is_primary
+       FROM users u
+       JOIN roles r ON u.primary_role_id = r.id
+       WHERE u.id = $1
+       UNION
+       SELECT r.role, FALSE AS is_primary
+       FROM user_roles ur
+       JOIN roles r ON ur.role_id = r.id
+       WHERE ur.user_id = $1
+       ORDER BY is_primary DESC, role`,
+      { userId: parseInt(userId) }
+    );
+    
+    return [...new Set(result.map(row => row.role))];
+  } catch (error) {
+    throw wrapError(error, 'Error getting user roles');
   }
 };
 
@@ -122,7 +175,7 @@ const createUser = async (userData) => {
     
     return await getUserById(userId);
   } catch (error) {
-    throw createError(`Error creating user: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating user');
   }
 };
 
@@ -168,7 +221,54 @@ const getOrCreateGuestUser = async (firebaseUid) => {
       isGuest: true
     });
   } catch (error) {
-    throw createError(`Error creating guest user: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error creating guest user');
+  }
+};
+
+/**
+ * Create the user record for a verified Firebase token seen for the first time.
+ * Anonymous sign-ins become guests; everyone else gets the 'User' role.
+ * @param {Object} decodedToken - Verified Firebase ID token
+ * @returns {Promise<Object>} User object
+ */
+const provisionUserFromToken = async (decodedToken) => {
+  try {
+    const signInProvider = decodedToken.firebase && decodedToken.firebase.sign_in_provider;
+    
+    if (signInProvider === 'anonymous') {
+      return await getOrCreateGuestUser(decodedToken.uid);
+    }
+    
+    const roleId = await getRoleIdByName('User');
+    
+    if (!roleId) {
+      throw createError('User role not found', 500);
+    }
+    
+    const [firstName = '', ...rest] = (decodedToken.name || '').split(' ');
+    
+    try {
+      return await createUser({
+        firebaseUid: decodedToken.uid,
+        email: decodedToken.email || '',
+        firstName,
+        lastName: rest.join(' '),
+        telephone: decodedToken.phone_number || '',
+        displayName: decodedToken.name || '',
+        photoUrl: decodedToken.picture || '',
+        primaryRoleId: roleId,
+        isActive: true,
+        isGuest: false
+      });
+    } catch (error) {
+      // Another request provisioned the same user first
+      if (error.originalError && error.originalError.code === '23505') {
+        return await getUserByFirebaseUid(decodedToken.uid);
+      }
+      throw error;
+    }
+  } catch (error) {
+    throw wrapError(error, 'Error provisioning user');
   }
 };
 
@@ -186,6 +286,7 @@ const updateUser = async (id, userData) => {
       telephone,
       displayName,
       photoUrl,
+      leaderboardOptOut,
       isActive
     } = userData;
     
@@ -196,6 +297,7 @@ const updateUser = async (id, userData) => {
     if (telephone !== undefined) updateFields.telephone = telephone;
     if (displayName !== undefined) updateFields.displayName = displayName;
     if (photoUrl !== undefined) updateFields.photoUrl = photoUrl;
+    if (leaderboardOptOut !== undefined) updateFields.leaderboardOptOut = leaderboardOptOut;
     if (isActive !== undefined) updateFields.isActive = isActive;
     
     // Add last updated timestamp
@@ -224,13 +326,13 @@ const updateUser = async (id, userData) => {
       query,
       { 
         id: parseInt(id), 
-        ...Object.values(updateFields)
+        ...updateFields
       }
     );
     
     return await getUserById(id);
   } catch (error) {
-    throw createError(`Error updating user: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating user');
   }
 };
 
@@ -251,7 +353,7 @@ const updateLastLogin = async (id) => {
       }
     );
   } catch (error) {
-    throw createError(`Error updating last login: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating last login');
   }
 };
 
@@ -284,7 +386,7 @@ const markUserAsDeleted = async (id) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error marking user as deleted: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error marking user as deleted');
   }
 };
 
@@ -307,7 +409,7 @@ const changeUserRole = async (id, roleId) => {
     
     return await getUserById(id);
   } catch (error) {
-    throw createError(`Error changing user role: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error changing user role');
   }
 };
 
@@ -371,7 +473,7 @@ const getAllUsers = async (options) => {
       }
     };
   } catch (error) {
-    throw createError(`Error getting all users: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting all users');
   }
 };
 
@@ -393,7 +495,7 @@ const getUserReviews = async (userId) => {
     
     return reviews;
   } catch (error) {
-    throw createError(`Error getting user reviews: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user reviews');
   }
 };
 
@@ -415,7 +517,7 @@ const getUserRatings = async (userId) => {
     
     return ratings;
   } catch (error) {
-    throw createError(`Error getting user ratings: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user ratings');
   }
 };
 
@@ -426,48 +528,43 @@ const getUserRatings = async (userId) => {
  */
 const getUserPoints = async (userId) => {
   try {
-    // Get total points
-    const totalPointsResult = await db.query(
-      `SELECT SUM(points) as total_points
+    // Earned points are the ledger's credits; every debit is a redemption, reversal or expiry
+    const totalsResult = await db.query(
+      `SELECT COALESCE(SUM(points) FILTER (WHERE points > 0), 0)::int AS total_points,
+              COALESCE(-SUM(points) FILTER (WHERE reason = 'redemption'), 0)::int AS redeemed_points,
+              COALESCE(-SUM(points) FILTER (WHERE reason = 'reversal'), 0)::int AS reversed_points,
+              COALESCE(-SUM(points) FILTER (WHERE reason = 'expiry'), 0)::int AS expired_points,
+              COALESCE(SUM(points), 0)::int AS available_points
        FROM consumer_glad_points
        WHERE user_id = $1`,
       { userId: parseInt(userId) }
     );
     
-    const totalPoints = parseInt(totalPointsResult[0]?.total_points || 0);
-    
-    // Get redeemed points
-    const redeemedPointsResult = await db.query(
-      `SELECT SUM(points) as redeemed_points
-       FROM consumer_glad_points
-       WHERE user_id = $1 AND is_redeemed = TRUE`,
-      { userId: parseInt(userId) }
-    );
-    
-    const redeemedPoints = parseInt(redeemedPointsResult[0]?.redeemed_points || 0);
-    
-    // Get available points
-    const availablePoints = totalPoints - redeemedPoints;
+    const totals = totalsResult[0];
+    const expiringSoon = await pointsService.getExpiringPoints(userId);
     
-    // Get points history
+    // Get the ledger, newest first, with the reason for each entry
     const pointsHistory = await db.query(
-      `SELECT cgp.*, cr.place_name, cr.place_id
+      `SELECT cgp.*, cr.place_name, cr.place_id, pr.description AS reason_description
        FROM consumer_glad_points cgp
-       JOIN consumer_ratings cr ON cgp.consumer_rating_id = cr.id
+       LEFT JOIN consumer_ratings cr ON cgp.consumer_rating_id = cr.id
+       LEFT JOIN points_rules pr ON cgp.reason = pr.reason
        WHERE cgp.user_id = $1
-       ORDER BY cgp.is_redeemed_datetime DESC NULLS FIRST, 
-                cgp.date_created DESC`,
+       ORDER BY cgp.date_created DESC, cgp.id DESC`,
       { userId: parseInt(userId) }
     );
     
     return {
-      totalPoints,
-      redeemedPoints,
-      availablePoints,
+      totalPoints: totals.total_points,
+      redeemedPoints: totals.redeemed_points,
+      reversedPoints: totals.reversed_points,
+      expiredPoints: totals.expired_points,
+      availablePoints: totals.available_points,
+      expiringSoon,
       pointsHistory
     };
   } catch (error) {
-    throw createError(`Error getting user points: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user points');
   }
 };
 
@@ -490,7 +587,7 @@ const getUserBusinessTypes = async (userId) => {
     
     return businessTypes;
   } catch (error) {
-    throw createError(`Error getting user business types: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error getting user business types');
   }
 };
 
@@ -514,7 +611,7 @@ const addUserBusinessType = async (userId, businessTypeId, sortNumber) => {
     );
     
     if (existing.length > 0) {
-      throw createError('This business type is already in user preferences', 400);
+      throw new ConflictError('This business type is already in user preferences', 'BUSINESS_TYPE_PREFERENCE_EXISTS');
     }
     
     // If sort number not provided, put at the end
@@ -557,7 +654,7 @@ const addUserBusinessType = async (userId, businessTypeId, sortNumber) => {
     
     return newPreference[0];
   } catch (error) {
-    throw createError(`Error adding business type to user: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error adding business type to user');
   }
 };
 
@@ -578,11 +675,11 @@ const updateUserBusinessType = async (id, userId, sortNumber) => {
     );
     
     if (existing.length === 0) {
-      throw createError('Business type preference not found', 404);
+      throw new NotFoundError('Business type preference not found', 'BUSINESS_TYPE_PREFERENCE_NOT_FOUND');
     }
     
     if (existing[0].user_id !== parseInt(userId)) {
-      throw createError('Not authorized to update this preference', 403);
+      throw new ForbiddenError('Not authorized to update this preference', 'BUSINESS_TYPE_PREFERENCE_FORBIDDEN');
     }
     
     // Update sort number
@@ -608,7 +705,7 @@ const updateUserBusinessType = async (id, userId, sortNumber) => {
     
     return updated[0];
   } catch (error) {
-    throw createError(`Error updating business type preference: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error updating business type preference');
   }
 };
 
@@ -628,11 +725,11 @@ const deleteUserBusinessType = async (id, userId) => {
     );
     
     if (existing.length === 0) {
-      throw createError('Business type preference not found', 404);
+      throw new NotFoundError('Business type preference not found', 'BUSINESS_TYPE_PREFERENCE_NOT_FOUND');
     }
     
     if (existing[0].user_id !== parseInt(userId)) {
-      throw createError('Not authorized to delete this preference', 403);
+      throw new ForbiddenError('Not authorized to delete this preference', 'BUSINESS_TYPE_PREFERENCE_FORBIDDEN');
     }
     
     // Delete the preference
@@ -644,16 +741,19 @@ const deleteUserBusinessType = async (id, userId) => {
     
     return true;
   } catch (error) {
-    throw createError(`Error deleting business type preference: ${error.message}`, 500, error);
+    throw wrapError(error, 'Error deleting business type preference');
   }
 };
 
-module.exports = {
+module.exports = instrumentService('userService', {
   getUserById,
   getUserByFirebaseUid,
   getUserByEmail,
+  getRoleIdByName,
+  getUserRoles,
   createUser,
   getOrCreateGuestUser,
+  provisionUserFromToken,
   updateUser,
   updateLastLogin,
   markUserAsDeleted,
@@ -666,4 +766,4 @@ module.exports = {
   addUserBusinessType,
   updateUserBusinessType,
   deleteUserBusinessType
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -1,23 +1,192 @@
 /**
- * Create an application error with additional metadata
+ * Application errors.
+ * Every error the API answers with is an AppError carrying an HTTP status and
+ * a stable machine-readable code (e.g. RATING_NOT_FOUND). Services throw the
+ * typed subclasses below; anything else reaching the error handler is a 500.
+ */
+
+// Code used when an error is built from a bare status
+const DEFAULT_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {number} [options.status] - HTTP status code
+   * @param {string} [options.code] - Machine-readable code
+   * @param {Array<Object>} [options.details] - Per-field problems
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { status = 500, code, details, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code || DEFAULT_CODES[status] || 'ERROR';
+    this.isOperational = true;
+
+    if (details) {
+      this.details = details;
+    }
+
+    if (cause) {
+      this.originalError = cause;
+      this.stack = `${this.stack}\nCaused by: ${cause.stack || cause}`;
+    }
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message, code = 'VALIDATION_FAILED', details) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, { status: 404, code });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, { status: 409, code });
+  }
+}
+
+class UnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable', code = 'SERVICE_UNAVAILABLE', cause) {
+    super(message, { status: 503, code, cause });
+  }
+}
+
+// Postgres errors by exact SQLSTATE: [status, code, client message]
+const SQLSTATE_ERRORS = {
+  '23502': [400, 'MISSING_REQUIRED_VALUE', 'A required value is missing'],
+  '23505': [409, 'DUPLICATE_ENTRY', 'Duplicate entry'],
+  '23514': [400, 'CHECK_VIOLATION', 'A value is outside the allowed range'],
+  '23P01': [409, 'EXCLUSION_VIOLATION', 'Conflicts with an existing record'],
+  '22001': [400, 'VALUE_TOO_LONG', 'A value is too long'],
+  '22003': [400, 'VALUE_OUT_OF_RANGE', 'A number is out of range'],
+  '55P03': [409, 'RESOURCE_LOCKED', 'The record is locked by another request'],
+  '57014': [503, 'QUERY_TIMEOUT', 'The database query timed out'],
+};
+
+// Postgres errors by SQLSTATE class (first two characters)
+const SQLSTATE_CLASS_ERRORS = {
+  '08': [503, 'DATABASE_UNAVAILABLE', 'Database connection error'],
+  '22': [400, 'INVALID_VALUE', 'A value has the wrong format'],
+  '23': [409, 'CONSTRAINT_VIOLATION', 'The change violates a data constraint'],
+  '25': [500, 'DATABASE_ERROR', 'Database transaction error'],
+  '28': [503, 'DATABASE_UNAVAILABLE', 'Database connection error'],
+  '3D': [503, 'DATABASE_UNAVAILABLE', 'Database connection error'],
+  '40': [409, 'TRANSACTION_CONFLICT', 'The request conflicted with a concurrent change; retry it'],
+  '42': [500, 'DATABASE_QUERY_ERROR', 'Database query error'],
+  '53': [503, 'DATABASE_OVERLOADED', 'The database is out of resources'],
+  '54': [500, 'DATABASE_QUERY_ERROR', 'Database query error'],
+  '55': [409, 'RESOURCE_BUSY', 'The record is busy; retry the request'],
+  '57': [503, 'DATABASE_UNAVAILABLE', 'Database connection error'],
+  '58': [503, 'DATABASE_UNAVAILABLE', 'Database connection error'],
+  'XX': [500, 'DATABASE_ERROR', 'Database error'],
+};
+
+// Socket-level failures reaching the database, and pg's own pool/connection messages
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EPIPE', 'EHOSTUNREACH'];
+const CONNECTION_ERROR_MESSAGE = /timeout exceeded when trying to connect|Connection terminated/;
+
+/**
+ * Translate a Postgres or connection error into an AppError
+ * @param {Error} error - Error raised by pg
+ * @returns {AppError|null} Typed error, or null if it is not a database error
+ */
+const fromDatabaseError = (error) => {
+  const { code } = error;
+
+  if (CONNECTION_ERROR_CODES.includes(code) || CONNECTION_ERROR_MESSAGE.test(error.message)) {
+    return new UnavailableError('Database connection error', 'DATABASE_UNAVAILABLE', error);
+  }
+
+  if (typeof code !== 'string' || !/^[0-9A-Z]{5}$/.test(code)) {
+    return null;
+  }
+
+  // A missing parent is the caller's mistake; a delete blocked by children is a conflict
+  if (code === '23503') {
+    const inUse = /still referenced/.test(error.detail || '');
+
+    return inUse
+      ? new AppError('The record is still in use', { status: 409, code: 'RECORD_IN_USE', cause: error })
+      : new AppError('Referenced record does not exist', {
+        status: 400,
+        code: 'REFERENCED_RECORD_NOT_FOUND',
+        cause: error,
+      });
+  }
+
+  const [status, appCode, message] = SQLSTATE_ERRORS[code]
+    || SQLSTATE_CLASS_ERRORS[code.slice(0, 2)]
+    || [500, 'DATABASE_ERROR', 'Database error'];
+
+  return new AppError(message, { status, code: appCode, cause: error });
+};
+
+/**
+ * Error to rethrow from a service catch block: typed errors pass through
+ * untouched, database errors are translated, anything else becomes a 500
+ * whose message keeps the service context for the logs
+ * @param {Error} error - Caught error
+ * @param {string} context - What the service was doing, e.g. 'Error updating FAQ'
+ * @returns {AppError} Error to throw
+ */
+const wrapError = (error, context) => {
+  if (error instanceof AppError) {
+    return error;
+  }
+
+  return fromDatabaseError(error) || new AppError(`${context}: ${error.message}`, { cause: error });
+};
+
+/**
+ * Create an application error from a status code
  * @param {string} message - Error message
  * @param {number} statusCode - HTTP status code
  * @param {Error} originalError - Original error object if available
- * @returns {Error} Custom error object
+ * @returns {AppError} Error with the default code for the status
  */
-const createError = (message, statusCode = 500, originalError = null) => {
-    const error = new Error(message);
-    error.status = statusCode;
-    error.isOperational = true;
-    
-    if (originalError) {
-      error.stack = originalError.stack;
-      error.originalError = originalError;
-    }
-    
-    return error;
-  };
-  
-  module.exports = {
-    createError
-  };
\ No newline at end of file
+const createError = (message, statusCode = 500, originalError = null) => new AppError(message, {
+  status: statusCode,
+  cause: originalError || undefined,
+});
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  UnavailableError,
+  createError,
+  fromDatabaseError,
+  wrapError
+};
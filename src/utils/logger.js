@@ -0,0 +1,157 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig } = require('../config');
+
+/**
+ * Structured logging.
+ * Each entry is one JSON line in the format Cloud Logging parses from stdout:
+ * `severity`, `message` and `time`, plus the logger's bindings and any fields.
+ * Tokens, emails and phone numbers are masked before anything is written.
+ */
+
+const LEVELS = {
+  debug: { rank: 10, severity: 'DEBUG' },
+  info: { rank: 20, severity: 'INFO' },
+  warn: { rank: 30, severity: 'WARNING' },
+  error: { rank: 40, severity: 'ERROR' },
+  silent: { rank: Infinity },
+};
+
+// Values under these keys are never logged
+const SENSITIVE_KEY = /authorization|cookie|password|secret|token|api[-_]?key/i;
+
+// Patterns masked inside any logged string
+const STRING_REDACTIONS = [
+  [/Bearer\s+[\w.~+/=-]+/gi, 'Bearer [REDACTED]'],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[REDACTED_TOKEN]'],
+  [/[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]'],
+  [/(?<![\w.])(?:\+\d{1,3}[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}(?![\w.])/g, '[REDACTED_PHONE]'],
+];
+
+const MAX_DEPTH = 6;
+
+/**
+ * Plain object for an Error, keeping the fields worth logging
+ * @param {Error} error - Error
+ * @returns {Object} Serializable error
+ */
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code && { code: error.code }),
+  ...(error.status && { status: error.status }),
+  stack: error.stack,
+});
+
+/**
+ * Copy of a value with sensitive keys and patterns masked
+ * @param {*} value - Value to log
+ * @param {number} [depth] - Current nesting depth
+ * @returns {*} Redacted copy
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return STRING_REDACTIONS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+  }
+
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) ? '[REDACTED]' : redact(item, depth + 1),
+  ]));
+};
+
+/**
+ * Create a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - Minimum level written (debug, info, warn, error, silent)
+ * @param {Object} [options.bindings] - Fields added to every entry
+ * @param {Function} [options.write] - Receives each JSON line (defaults to stdout)
+ * @returns {Object} Logger with `debug`, `info`, `warn`, `error`, `child` and `setLevel`
+ */
+const createLogger = ({
+  level = 'info',
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  // Shared with child loggers so setLevel applies to all of them
+  const sink = { level, write };
+
+  const build = (boundFields) => {
+    const log = (entryLevel) => (message, fields = {}) => {
+      if (LEVELS[entryLevel].rank < LEVELS[sink.level].rank) {
+        return;
+      }
+
+      const entry = redact({ ...boundFields, ...fields, message });
+      sink.write(JSON.stringify({
+        severity: LEVELS[entryLevel].severity,
+        time: new Date().toISOString(),
+        ...entry,
+      }));
+    };
+
+    return {
+      debug: log('debug'),
+      info: log('info'),
+      warn: log('warn'),
+      error: log('error'),
+      isLevelEnabled: (entryLevel) => LEVELS[entryLevel].rank >= LEVELS[sink.level].rank,
+      child: (fields) => build({ ...boundFields, ...fields }),
+      setLevel: (newLevel) => {
+        if (!LEVELS[newLevel]) {
+          throw new Error(`Unknown log level: ${newLevel}`);
+        }
+        sink.level = newLevel;
+      },
+    };
+  };
+
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level: ${level}`);
+  }
+
+  return build(bindings);
+};
+
+const logger = createLogger({ level: getConfig().log.level });
+
+// Logger of the request the current async call chain is serving
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `log` as the current logger, so code without access to
+ * `req` (e.g. the db layer) logs with the request's correlation fields
+ * @param {Object} log - Request logger
+ * @param {Function} fn - Callback
+ * @returns {*} Callback result
+ */
+const runWithLogger = (log, fn) => requestContext.run(log, fn);
+
+/**
+ * The current request's logger, or the process logger outside a request
+ * @returns {Object} Logger
+ */
+const currentLogger = () => requestContext.getStore() || logger;
+
+module.exports = {
+  logger,
+  createLogger,
+  currentLogger,
+  runWithLogger,
+  redact
+};
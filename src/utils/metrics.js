@@ -0,0 +1,175 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics.
+ * Everything is registered on one registry served at /metrics: process
+ * defaults, HTTP traffic by route template, Postgres pool usage and query
+ * durations by service function, and business counters.
+ */
+
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry });
+
+// Seconds; API requests and queries are mostly well under a second
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route template and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route template and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Postgres query latency by service function',
+  labelNames: ['operation'],
+  buckets: LATENCY_BUCKETS,
+  registers: [registry],
+});
+
+const dbQueryErrorsTotal = new client.Counter({
+  name: 'db_query_errors_total',
+  help: 'Failed Postgres queries by service function and SQLSTATE class',
+  labelNames: ['operation', 'sqlstate_class'],
+  registers: [registry],
+});
+
+const business = {
+  ratingsCreated: new client.Counter({
+    name: 'gladgrade_ratings_created_total',
+    help: 'Ratings created',
+    registers: [registry],
+  }),
+  ratingsQuarantined: new client.Counter({
+    name: 'gladgrade_ratings_quarantined_total',
+    help: 'Ratings quarantined by an abuse rule, by rule',
+    labelNames: ['reason'],
+    registers: [registry],
+  }),
+  reviewsModerated: new client.Counter({
+    name: 'gladgrade_reviews_moderated_total',
+    help: 'Review moderation decisions by action',
+    labelNames: ['action'],
+    registers: [registry],
+  }),
+  imagesUploaded: new client.Counter({
+    name: 'gladgrade_images_uploaded_total',
+    help: 'Images uploaded',
+    registers: [registry],
+  }),
+  gladPointsAwarded: new client.Counter({
+    name: 'gladgrade_glad_points_awarded_total',
+    help: 'Glad points awarded',
+    registers: [registry],
+  }),
+  gladPointsRedeemed: new client.Counter({
+    name: 'gladgrade_glad_points_redeemed_total',
+    help: 'Glad points spent on rewards',
+    registers: [registry],
+  }),
+  gladPointsReversed: new client.Counter({
+    name: 'gladgrade_glad_points_reversed_total',
+    help: 'Glad points taken back when what earned them was removed',
+    registers: [registry],
+  }),
+  gladPointsExpired: new client.Counter({
+    name: 'gladgrade_glad_points_expired_total',
+    help: 'Glad points expired unspent',
+    registers: [registry],
+  }),
+  achievementsEarned: new client.Counter({
+    name: 'gladgrade_achievements_earned_total',
+    help: 'Achievements earned, by achievement code',
+    labelNames: ['code'],
+    registers: [registry],
+  }),
+};
+
+/**
+ * Report a pg pool's connection counts on every scrape
+ * @param {Object} pool - pg Pool
+ */
+const observePool = (pool) => {
+  new client.Gauge({
+    name: 'db_pool_connections',
+    help: 'Postgres pool connections by state (total, idle, waiting clients, max)',
+    labelNames: ['state'],
+    registers: [registry],
+    collect() {
+      this.set({ state: 'total' }, pool.totalCount);
+      this.set({ state: 'idle' }, pool.idleCount);
+      this.set({ state: 'waiting' }, pool.waitingCount);
+      this.set({ state: 'max' }, pool.options.max);
+    },
+  });
+};
+
+// Service function the current async call chain is running
+const operationContext = new AsyncLocalStorage();
+
+/**
+ * Wrap a service module's functions so queries they run are labelled with
+ * `<serviceName>.<function>`. Nested service calls label with the innermost.
+ * @param {string} serviceName - Service module name, e.g. 'ratingService'
+ * @param {Object} service - Exported functions
+ * @returns {Object} Same exports, with functions wrapped
+ */
+const instrumentService = (serviceName, service) => Object.fromEntries(
+  Object.entries(service).map(([name, value]) => {
+    if (typeof value !== 'function') {
+      return [name, value];
+    }
+
+    const operation = `${serviceName}.${name}`;
+    // Computed key keeps the function's own name for stack traces
+    const wrapped = { [name]: (...args) => operationContext.run(operation, () => value(...args)) }[name];
+
+    return [name, wrapped];
+  })
+);
+
+/**
+ * Record a finished query against the current service function
+ * @param {number} seconds - Query duration
+ * @param {Error} [error] - Error the query failed with
+ */
+const observeQuery = (seconds, error) => {
+  const operation = operationContext.getStore() || 'other';
+
+  dbQueryDuration.observe({ operation }, seconds);
+
+  if (error) {
+    const isSqlState = typeof error.code === 'string' && error.code.length === 5;
+    dbQueryErrorsTotal.inc({ operation, sqlstate_class: isSqlState ? error.code.slice(0, 2) : 'none' });
+  }
+};
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} labels - `{ method, route, status }`
+ * @param {number} seconds - Request duration
+ */
+const observeRequest = (labels, seconds) => {
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+};
+
+module.exports = {
+  registry,
+  business,
+  observePool,
+  observeQuery,
+  observeRequest,
+  instrumentService
+};
@@ -0,0 +1,219 @@
+const { version } = require('../../package.json');
+const routes = require('../routes');
+const mounts = require('../routes/mounts');
+const { verifyToken } = require('../middleware/auth');
+const { components, sections } = require('../schemas');
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/ApiError' } } },
+});
+
+const standardResponses = {
+  BadRequest: errorResponse('Invalid request'),
+  Unauthorized: errorResponse('Missing or invalid bearer token'),
+  Forbidden: errorResponse('Authenticated but not allowed'),
+  NotFound: errorResponse('Resource not found'),
+  ServerError: errorResponse('Unexpected server error'),
+};
+
+/**
+ * Express path to OpenAPI path, e.g. /ratings/:id -> /ratings/{id}
+ * @param {string} path - Express route path
+ * @returns {string} OpenAPI path
+ */
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Join a mount path and a route path without doubled or trailing slashes
+ * @param {string} mountPath - Mount path ('' for the API root)
+ * @param {string} routePath - Route path within the router
+ * @returns {string} Combined path
+ */
+const joinPath = (mountPath, routePath) => (routePath === '/' ? mountPath || '/' : `${mountPath}${routePath}`);
+
+/**
+ * Routes declared directly on a router (not nested routers)
+ * @param {Object} router - Express router
+ * @returns {Array<Object>} `{ method, path, handlers }`
+ */
+const routerRoutes = (router) => router.stack
+  .filter((layer) => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map((method) => ({
+    method,
+    path: route.path,
+    handlers: route.stack.map((layer) => layer.handle),
+  })));
+
+/**
+ * Every route served under the API prefix
+ * @returns {Array<Object>} `{ method, path, mountPath, handler, guards, validated, authenticated }`,
+ * with `path` relative to the API prefix and `validated` the operation passed to validate(), if any
+ */
+const listApiRoutes = () => {
+  const groups = [
+    { path: '', router: routes, authenticated: false },
+    ...mounts,
+  ];
+
+  return groups.flatMap((mount) => routerRoutes(mount.router).map(({ method, path, handlers }) => ({
+    method,
+    path: joinPath(mount.path, path),
+    mountPath: mount.path || '/',
+    handler: handlers[handlers.length - 1],
+    guards: handlers.filter((handle) => handle.guard).map((handle) => handle.guard),
+    validated: (handlers.find((handle) => handle.operation) || {}).operation,
+    authenticated: mount.authenticated || handlers.includes(verifyToken),
+  })));
+};
+
+/**
+ * Format a list as "a, b or c"
+ * @param {Array<string>} items - Items
+ * @returns {string} Readable list
+ */
+const readableList = (items) => (items.length > 1
+  ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`
+  : items.join(''));
+
+/**
+ * Sentence describing an authorization guard
+ * @param {Object} guard - Guard description from the auth middleware
+ * @returns {string} Markdown sentence
+ */
+const describeGuard = (guard) => {
+  if (guard.permissions) {
+    return `Requires permission ${guard.permissions.map((name) => `\`${name}\``).join(' and ')}.`;
+  }
+
+  if (guard.roles) {
+    return `Requires role ${readableList(guard.roles)}.`;
+  }
+
+  const bypass = [
+    ...(guard.bypassRoles || []).map((role) => `role ${role}`),
+    ...(guard.bypassPermission ? [`permission \`${guard.bypassPermission}\``] : []),
+  ];
+  const subject = guard.owner
+    ? `the owner of the ${guard.owner.toLowerCase()}`
+    : `the user identified by \`${guard.self}\``;
+
+  return `Allowed for ${subject}${bypass.length > 0 ? ` or users with ${readableList(bypass)}` : ''}.`;
+};
+
+/**
+ * OpenAPI parameters from a params or query object schema
+ * @param {Object} schema - Object schema
+ * @param {string} location - 'path' or 'query'
+ * @returns {Array<Object>} Parameter objects
+ */
+const toParameters = (schema, location) => Object.entries(schema.properties).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(name),
+  schema: property,
+}));
+
+/**
+ * OpenAPI operation for one route
+ * @param {Object} route - Route from listApiRoutes
+ * @param {Object} docs - Operation docs from src/schemas
+ * @param {string} tag - Section tag
+ * @returns {Object} Operation object
+ */
+const buildOperation = (route, docs, tag) => {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map((match) => match[1]);
+  const declared = docs.params ? Object.keys(docs.params.properties) : [];
+  const parameters = [
+    ...(docs.params ? toParameters(docs.params, 'path') : []),
+    // Path segments without a declared schema are still documented
+    ...pathParams
+      .filter((name) => !declared.includes(name))
+      .map((name) => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+    ...(docs.query ? toParameters(docs.query, 'query') : []),
+  ];
+
+  const responses = {};
+  Object.entries(docs.responses).forEach(([status, { description, schema }]) => {
+    responses[status] = { description, content: { 'application/json': { schema } } };
+  });
+
+  const stock = (status, name) => {
+    responses[status] = responses[status] || { $ref: `#/components/responses/${name}` };
+  };
+  if (parameters.length > 0 || docs.body) stock(400, 'BadRequest');
+  if (route.authenticated) stock(401, 'Unauthorized');
+  if (route.authenticated) stock(403, 'Forbidden');
+  if (pathParams.length > 0) stock(404, 'NotFound');
+  stock(500, 'ServerError');
+
+  const permissions = route.guards.flatMap((guard) => guard.permissions || []);
+  const roles = route.guards.flatMap((guard) => guard.roles || []);
+
+  return {
+    tags: [tag],
+    operationId: `${tag.toLowerCase()}.${route.handler.name}`,
+    summary: docs.summary,
+    ...(route.guards.length > 0 && { description: route.guards.map(describeGuard).join(' ') }),
+    security: route.authenticated ? [{ bearerAuth: [] }] : [],
+    ...(permissions.length > 0 && { 'x-permissions': permissions }),
+    ...(roles.length > 0 && { 'x-roles': roles }),
+    ...(parameters.length > 0 && { parameters }),
+    ...(docs.body && {
+      requestBody: {
+        required: true,
+        content: { [docs.contentType || 'application/json']: { schema: docs.body } },
+      },
+    }),
+    responses,
+  };
+};
+
+/**
+ * Generate the OpenAPI document from the mounted routers and src/schemas.
+ * Routes whose handler has no entry in src/schemas are left out.
+ * @param {Object} options - Generation options
+ * @param {string} options.serverUrl - Base URL the paths are relative to (the API prefix)
+ * @returns {Object} OpenAPI 3.1 document
+ */
+const buildOpenApiSpec = ({ serverUrl }) => {
+  const paths = {};
+
+  listApiRoutes().forEach((route) => {
+    const section = sections[route.mountPath];
+    const docs = section && section.operations[route.handler.name];
+
+    if (!docs) {
+      return;
+    }
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = buildOperation(route, docs, section.tag);
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'GladGrade API',
+      version,
+      description: 'Authenticate with a Firebase ID token sent as `Authorization: Bearer <token>`.',
+    },
+    servers: [{ url: serverUrl }],
+    tags: Object.values(sections).map(({ tag }) => ({ name: tag })),
+    paths,
+    components: {
+      schemas: components,
+      responses: standardResponses,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'Firebase ID token' },
+      },
+    },
+  };
+};
+
+module.exports = {
+  listApiRoutes,
+  toOpenApiPath,
+  buildOpenApiSpec
+};
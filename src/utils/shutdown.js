@@ -0,0 +1,64 @@
+/**
+ * Close an HTTP server, letting in-flight requests finish
+ * @param {Object} server - http.Server
+ * @param {number} timeoutMs - How long to wait before cutting remaining connections
+ * @returns {Promise<boolean>} True if every request finished in time
+ */
+const drainServer = (server, timeoutMs) => new Promise((resolve) => {
+  const timer = setTimeout(() => {
+    server.closeAllConnections();
+    resolve(false);
+  }, timeoutMs);
+
+  server.close(() => {
+    clearTimeout(timer);
+    resolve(true);
+  });
+
+  // Idle keep-alive sockets would otherwise hold close() open until they time out
+  server.closeIdleConnections();
+});
+
+/**
+ * Shut down gracefully: keep serving for `readinessDelayMs` so readiness
+ * probes see the instance failing, stop accepting connections, drain
+ * in-flight requests, then run the cleanup steps (closing the pool, etc.) in order
+ * @param {Object} server - http.Server
+ * @param {Object} options - Shutdown options
+ * @param {number} [options.readinessDelayMs] - How long to keep accepting connections before draining
+ * @param {number} options.timeoutMs - Drain deadline; cleanup still runs after it
+ * @param {Array<Function>} [options.cleanup] - Async steps run after draining
+ * @param {Object} options.log - Logger
+ * @returns {Promise<boolean>} True if requests drained and every cleanup step succeeded
+ */
+const gracefulShutdown = async (server, { readinessDelayMs = 0, timeoutMs, cleanup = [], log }) => {
+  const start = Date.now();
+
+  if (readinessDelayMs > 0) {
+    await new Promise((resolve) => setTimeout(resolve, readinessDelayMs));
+  }
+
+  const drained = await drainServer(server, timeoutMs);
+
+  if (!drained) {
+    log.warn('Shutdown deadline reached; closed remaining connections', { timeoutMs });
+  }
+
+  let clean = true;
+  for (const step of cleanup) {
+    try {
+      await step();
+    } catch (error) {
+      clean = false;
+      log.error('Shutdown step failed', { error });
+    }
+  }
+
+  log.info('Shutdown complete', { durationMs: Date.now() - start, drained });
+
+  return drained && clean;
+};
+
+module.exports = {
+  gracefulShutdown
+};
@@ -0,0 +1,192 @@
+/**
+ * Helpers for turning the `db.query(sql, params)` calls used throughout the
+ * services into the positional text/values pairs that `pg` understands.
+ *
+ * Two placeholder styles are supported and may be mixed:
+ *   - `$1..$n` bind to the n-th value of the params object (insertion order),
+ *     or the n-th element when params is an array
+ *   - `$name` binds to `params.name`
+ *
+ * Only placeholders that actually appear in the SQL are sent to Postgres and
+ * they are renumbered in order of first appearance, so a params object may
+ * carry extra keys (e.g. `limit`/`offset` reused by a COUNT query).
+ * An array bound inside `IN (...)` is expanded to one placeholder per element.
+ */
+
+const IDENTIFIER_START = /[A-Za-z_]/;
+const IDENTIFIER_CHAR = /[A-Za-z0-9_]/;
+const DIGIT = /[0-9]/;
+const IN_LIST_PREFIX = /\bIN\s*\(\s*$/i;
+
+/**
+ * Find the end index (exclusive) of a quoted section starting at `start`
+ * @param {string} sql - SQL text
+ * @param {number} start - Index of the opening quote
+ * @param {string} quote - Quote character
+ * @param {boolean} [backslashEscapes] - Backslash escapes the next character, as in `E'...'` strings
+ * @returns {number} Index just past the closing quote
+ */
+const skipQuoted = (sql, start, quote, backslashEscapes = false) => {
+  let i = start + 1;
+  while (i < sql.length) {
+    if (backslashEscapes && sql[i] === '\\') {
+      i += 2;
+      continue;
+    }
+    if (sql[i] === quote) {
+      // Doubled quote is an escaped quote
+      if (sql[i + 1] === quote) {
+        i += 2;
+        continue;
+      }
+      return i + 1;
+    }
+    i++;
+  }
+  return sql.length;
+};
+
+/**
+ * Read an identifier-like token starting at `start`
+ * @param {string} sql - SQL text
+ * @param {number} start - Start index
+ * @param {RegExp} firstChar - Pattern for the first character
+ * @param {RegExp} restChar - Pattern for the following characters
+ * @returns {string} Token (empty string if none)
+ */
+const readToken = (sql, start, firstChar, restChar) => {
+  if (start >= sql.length || !firstChar.test(sql[start])) {
+    return '';
+  }
+  let end = start + 1;
+  while (end < sql.length && restChar.test(sql[end])) {
+    end++;
+  }
+  return sql.slice(start, end);
+};
+
+/**
+ * Resolve the value for a placeholder
+ * @param {Object|Array} params - Query params
+ * @param {Array} positional - Positional view of the params
+ * @param {string} token - Placeholder token without the leading `$`
+ * @returns {*} Bound value
+ */
+const resolveValue = (params, positional, token) => {
+  if (DIGIT.test(token[0])) {
+    const index = parseInt(token, 10) - 1;
+    if (index < 0 || index >= positional.length) {
+      throw new Error(`Missing value for query parameter $${token}`);
+    }
+    return positional[index];
+  }
+
+  if (Array.isArray(params) || !Object.prototype.hasOwnProperty.call(params, token)) {
+    throw new Error(`Missing value for query parameter $${token}`);
+  }
+  return params[token];
+};
+
+/**
+ * Bind named or positional parameters to a SQL statement
+ * @param {string} sql - SQL text with `$n` and/or `$name` placeholders
+ * @param {Object|Array} [params] - Values to bind
+ * @returns {{ text: string, values: Array }} Statement ready for `pg`
+ */
+const bindParams = (sql, params) => {
+  if (params === undefined || params === null) {
+    params = {};
+  }
+
+  const positional = Array.isArray(params) ? params : Object.values(params);
+  const values = [];
+  const bound = new Map();
+  let text = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    // String literals and quoted identifiers are copied verbatim
+    if (char === '\'' || char === '"') {
+      // E'...' (but not a name ending in e, like `type'`) is an escape string
+      const escapeString = char === '\''
+        && /[Ee]/.test(sql[i - 1] || '')
+        && !IDENTIFIER_CHAR.test(sql[i - 2] || '');
+      const end = skipQuoted(sql, i, char, escapeString);
+      text += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    // Line comments
+    if (char === '-' && sql[i + 1] === '-') {
+      const newline = sql.indexOf('\n', i);
+      const end = newline === -1 ? sql.length : newline;
+      text += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    // Block comments
+    if (char === '/' && sql[i + 1] === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      const end = close === -1 ? sql.length : close + 2;
+      text += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    if (char !== '$') {
+      text += char;
+      i++;
+      continue;
+    }
+
+    // Dollar-quoted strings: $$...$$ or $tag$...$tag$
+    const tag = readToken(sql, i + 1, IDENTIFIER_START, IDENTIFIER_CHAR);
+    if (sql[i + 1] === '$' || (tag && sql[i + 1 + tag.length] === '$')) {
+      const delimiter = `$${tag}$`;
+      const close = sql.indexOf(delimiter, i + delimiter.length);
+      const end = close === -1 ? sql.length : close + delimiter.length;
+      text += sql.slice(i, end);
+      i = end;
+      continue;
+    }
+
+    const token = readToken(sql, i + 1, DIGIT, DIGIT) || tag;
+    if (!token) {
+      text += char;
+      i++;
+      continue;
+    }
+
+    const value = resolveValue(params, positional, token);
+
+    if (Array.isArray(value) && IN_LIST_PREFIX.test(text)) {
+      // Expand IN ($1) into IN ($1, $2, ...); an empty list matches nothing
+      if (value.length === 0) {
+        text += 'NULL';
+      } else {
+        text += value.map((item) => {
+          values.push(item);
+          return `$${values.length}`;
+        }).join(', ');
+      }
+    } else {
+      if (!bound.has(token)) {
+        values.push(value === undefined ? null : value);
+        bound.set(token, values.length);
+      }
+      text += `$${bound.get(token)}`;
+    }
+
+    i += token.length + 1;
+  }
+
+  return { text, values };
+};
+
+module.exports = {
+  bindParams
+};
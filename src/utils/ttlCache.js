@@ -0,0 +1,58 @@
+/**
+ * Small in-memory cache with per-entry expiry.
+ * Entries are evicted oldest-first once `maxEntries` is reached.
+ * @param {Object} options - Cache options
+ * @param {number} options.ttlMs - Time to live for each entry
+ * @param {number} [options.maxEntries] - Maximum number of entries kept
+ * @returns {Object} Cache with get/set/delete/deleteWhere/clear
+ */
+const createTtlCache = ({ ttlMs, maxEntries = 1000 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    if (ttlMs <= 0) {
+      return;
+    }
+    entries.delete(key);
+    if (entries.size >= maxEntries) {
+      // Maps iterate in insertion order, so the first key is the oldest
+      entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  };
+
+  const deleteWhere = (predicate) => {
+    for (const [key, entry] of entries) {
+      if (predicate(entry.value, key)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    get,
+    set,
+    delete: (key) => entries.delete(key),
+    deleteWhere,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    }
+  };
+};
+
+module.exports = {
+  createTtlCache
+};
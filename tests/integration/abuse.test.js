@@ -0,0 +1,145 @@
+// Low limits so each rule trips within a few requests
+process.env.ABUSE_USER_MAX_PER_HOUR = '3';
+process.env.ABUSE_DEVICE_MAX_PER_HOUR = '2';
+process.env.ABUSE_PLACE_BURST_MAX = '4';
+process.env.ABUSE_PLACE_BURST_MINUTES = '10';
+
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const moderator = authAs('seed-moderator');
+
+describe('rating abuse rules', () => {
+  let run;
+
+  beforeAll(() => {
+    run = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  });
+
+  /**
+   * Rate a place through the API
+   * @param {Object} headers - Request headers
+   * @param {string} placeId - Place ID
+   * @param {number} [ratingValue] - Rating value
+   * @returns {Promise<Object>} supertest response
+   */
+  const rate = (headers, placeId, ratingValue = 4) => request()
+    .post('/api/v1/ratings')
+    .set(headers)
+    .send({ placeId: `${placeId}-${run}`, ratingValue });
+
+  it('quarantines a repeat rating of the same place without awarding points', async () => {
+    const { headers } = await createTestUser();
+
+    const first = await rate(headers, 'repeat', 5);
+    const repeat = await rate(headers, 'repeat', 1);
+
+    expect(first.status).toBe(201);
+    expect(first.body.rating.status).toBe('active');
+    expect(repeat.status).toBe(202);
+    expect(repeat.body.rating).toMatchObject({ status: 'quarantined', quarantine_reasons: ['duplicate_place_rating'] });
+
+    const points = await db.query(
+      'SELECT * FROM consumer_glad_points WHERE consumer_rating_id = $1',
+      { id: repeat.body.rating.id }
+    );
+    expect(points).toHaveLength(0);
+
+    const summary = await request().get(`/api/v1/ratings/by-place/repeat-${run}`).set(headers);
+    expect(summary.body.ratings).toMatchObject({ totalRatings: 1, averageRating: 5 });
+  });
+
+  it('limits how many ratings a user makes per hour', async () => {
+    const { headers } = await createTestUser();
+
+    for (const place of ['velocity-a', 'velocity-b', 'velocity-c']) {
+      await rate(headers, place).expect(201);
+    }
+    const fourth = await rate(headers, 'velocity-d');
+
+    expect(fourth.status).toBe(202);
+    expect(fourth.body.rating.quarantine_reasons).toEqual(['user_velocity']);
+  });
+
+  it('limits how many ratings one device sends per hour across accounts', async () => {
+    const device = { 'X-Device-Id': `device-${run}` };
+    const users = await Promise.all([createTestUser(), createTestUser(), createTestUser()]);
+
+    await rate({ ...users[0].headers, ...device }, 'device-a').expect(201);
+    await rate({ ...users[1].headers, ...device }, 'device-b').expect(201);
+    const third = await rate({ ...users[2].headers, ...device }, 'device-c');
+
+    expect(third.status).toBe(202);
+    expect(third.body.rating).toMatchObject({ device_id: `device-${run}`, quarantine_reasons: ['device_velocity'] });
+  });
+
+  it('checks concurrent ratings from one device across accounts one at a time', async () => {
+    const device = { 'X-Device-Id': `concurrent-device-${run}` };
+    const users = await Promise.all([createTestUser(), createTestUser(), createTestUser()]);
+
+    const responses = await Promise.all(users.map(({ headers }, index) => (
+      rate({ ...headers, ...device }, `concurrent-device-${index}`)
+    )));
+
+    expect(responses.map((res) => res.status).sort()).toEqual([201, 201, 202]);
+  });
+
+  it('quarantines a burst of ratings against one place', async () => {
+    for (let i = 0; i < 4; i++) {
+      const { headers } = await createTestUser();
+      await rate(headers, 'burst').expect(201);
+    }
+
+    const { headers } = await createTestUser();
+    const fifth = await rate(headers, 'burst');
+
+    expect(fifth.status).toBe(202);
+    expect(fifth.body.rating.quarantine_reasons).toEqual(['place_burst']);
+  });
+
+  it('lets moderators approve or reject quarantined ratings', async () => {
+    const { headers } = await createTestUser();
+    await rate(headers, 'queue', 5).expect(201);
+    const approvedId = (await rate(headers, 'queue', 3)).body.rating.id;
+    const rejectedId = (await rate(headers, 'queue', 1)).body.rating.id;
+
+    await request().get('/api/v1/ratings/quarantine').set(headers).expect(403);
+
+    const queue = await request().get('/api/v1/ratings/quarantine?limit=100').set(moderator);
+    expect(queue.status).toBe(200);
+    expect(queue.body.data.map((rating) => rating.id)).toEqual(expect.arrayContaining([approvedId, rejectedId]));
+    expect(queue.body.data.find((rating) => rating.id === approvedId)).toMatchObject({
+      quarantine_reasons: ['duplicate_place_rating'],
+      quarantined_at: expect.any(String),
+    });
+
+    const approved = await request()
+      .put(`/api/v1/ratings/${approvedId}/quarantine`)
+      .set(moderator)
+      .send({ decision: 'approved', notes: 'Second visit' });
+    expect(approved.status).toBe(200);
+    expect(approved.body.rating.status).toBe('active');
+
+    const rejected = await request()
+      .put(`/api/v1/ratings/${rejectedId}/quarantine`)
+      .set(moderator)
+      .send({ decision: 'rejected' });
+    expect(rejected.body.rating.status).toBe('rejected');
+
+    const again = await request()
+      .put(`/api/v1/ratings/${rejectedId}/quarantine`)
+      .set(moderator)
+      .send({ decision: 'approved' });
+    expect(again.status).toBe(404);
+    expect(again.body.error.code).toBe('QUARANTINED_RATING_NOT_FOUND');
+
+    const points = await db.query(
+      'SELECT consumer_rating_id FROM consumer_glad_points WHERE consumer_rating_id IN ($1)',
+      { ids: [approvedId, rejectedId] }
+    );
+    expect(points.map((row) => row.consumer_rating_id)).toEqual([approvedId]);
+
+    const summary = await request().get(`/api/v1/ratings/by-place/queue-${run}`).set(headers);
+    expect(summary.body.ratings).toMatchObject({ totalRatings: 2, averageRating: 4 });
+  });
+});
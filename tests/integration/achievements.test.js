@@ -0,0 +1,252 @@
+const db = require('../../src/config/db');
+const achievementService = require('../../src/services/achievementService');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+
+describe('achievements and tiers', () => {
+  let run;
+  let dormTypeId;
+  let otherSectorTypeId;
+  const created = [];
+
+  beforeAll(async () => {
+    run = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    [{ id: dormTypeId }] = await db.query('SELECT id FROM business_types WHERE business_type = \'Dorm\' LIMIT 1');
+    [{ id: otherSectorTypeId }] = await db.query(
+      `SELECT bt.id FROM business_types bt
+       WHERE bt.business_sector_id <> (SELECT business_sector_id FROM business_types WHERE id = $1)
+       ORDER BY bt.id LIMIT 1`,
+      { dormTypeId }
+    );
+  });
+
+  afterAll(async () => {
+    // Definitions made here would otherwise pay bonuses in later test files
+    const ids = created.map((achievement) => achievement.id);
+    if (ids.length > 0) {
+      await db.query('DELETE FROM user_achievements WHERE achievement_id IN ($1)', { ids });
+      await db.query('DELETE FROM achievement_definitions WHERE id IN ($1)', { ids });
+    }
+  });
+
+  /**
+   * Create an achievement definition as an admin
+   * @param {Object} fields - Body fields over the defaults
+   * @returns {Promise<Object>} Created definition
+   */
+  const define = async (fields) => {
+    const res = await request()
+      .post('/api/v1/admin/achievements')
+      .set(admin)
+      .send({ code: `test_${created.length}_${run.replace(/\W/g, '_')}`, name: 'Test', ...fields });
+
+    expect(res.status).toBe(201);
+    created.push(res.body.achievement);
+    return res.body.achievement;
+  };
+
+  /**
+   * Rate a place and review the rating through the API
+   * @param {Object} headers - Authorization header
+   * @param {string} place - Place name, made unique to the run
+   * @param {number} businessTypeId - Business type of the place
+   * @returns {Promise<Object>} Created rating
+   */
+  const rateAndReview = async (headers, place, businessTypeId) => {
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `${place}-${run}`, ratingValue: 4, businessTypeId })
+      .expect(201);
+
+    await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: body.rating.id, review: 'Worth it', placeId: body.rating.place_id })
+      .expect(201);
+
+    return body.rating;
+  };
+
+  it('awards the first review achievement and its bonus in the background', async () => {
+    const { user, headers } = await createTestUser();
+
+    await rateAndReview(headers, 'first-review', dormTypeId);
+    await achievementService.whenIdle();
+
+    const res = await request().get('/api/v1/users/achievements').set(headers);
+
+    expect(res.status).toBe(200);
+    const { achievements } = res.body;
+    expect(achievements.earned.map((achievement) => achievement.code)).toEqual(['first_review']);
+    expect(achievements.inProgress).toContainEqual(expect.objectContaining({
+      code: 'dorm_critic',
+      threshold: 10,
+      progress: 1,
+      date_earned: null,
+    }));
+    expect(achievements.tier).toMatchObject({ name: 'Bronze' });
+    expect(achievements.nextTier).toMatchObject({ name: 'Silver', min_points: 500 });
+
+    const bonuses = await db.query(
+      'SELECT points, details FROM consumer_glad_points WHERE user_id = $1 AND reason = \'achievement\'',
+      { userId: user.id }
+    );
+    expect(bonuses).toEqual([{ points: 10, details: expect.objectContaining({ code: 'first_review' }) }]);
+    expect(achievements.lifetimePoints).toBe(30);
+
+    // Evaluating again never pays twice
+    expect(await achievementService.evaluateUser(user.id)).toEqual([]);
+  });
+
+  it('counts dorm reviews and business sectors rated', async () => {
+    const dorms = await define({ metric: 'dorm_reviews', threshold: 2, bonusPoints: 7 });
+    const sectors = await define({ metric: 'sectors_rated', threshold: 2 });
+    const { user, headers } = await createTestUser();
+
+    await rateAndReview(headers, 'dorm-a', dormTypeId);
+    await achievementService.whenIdle();
+    expect(await achievementService.evaluateUser(user.id)).toEqual([]);
+
+    await rateAndReview(headers, 'dorm-b', dormTypeId);
+    await rateAndReview(headers, 'elsewhere', otherSectorTypeId);
+    await achievementService.whenIdle();
+
+    const res = await request().get('/api/v1/users/achievements').set(headers);
+    const earned = res.body.achievements.earned.map((achievement) => achievement.id);
+    expect(earned).toEqual(expect.arrayContaining([dorms.id, sectors.id]));
+
+    const [{ points }] = await db.query(
+      'SELECT SUM(points)::int AS points FROM consumer_glad_points WHERE user_id = $1 AND reason = \'achievement\'',
+      { userId: user.id }
+    );
+    expect(points).toBe(10 + 7);
+  });
+
+  it('finds the longest run of consecutive active days', async () => {
+    const streak = await define({ metric: 'streak_days', threshold: 3 });
+    const { user } = await createTestUser();
+
+    /**
+     * Insert an active rating some days ago
+     * @param {number} daysAgo - Age in days
+     */
+    const rateDaysAgo = (daysAgo) => db.query(
+      `INSERT INTO consumer_ratings (user_id, place_id, rating_value, date_created)
+       VALUES ($1, $2, 4, NOW() - make_interval(days => $3))`,
+      { userId: user.id, placeId: `streak-${daysAgo}-${run}`, daysAgo }
+    );
+
+    await rateDaysAgo(10);
+    await rateDaysAgo(9);
+    await rateDaysAgo(5);
+    await rateDaysAgo(4);
+    expect(await achievementService.evaluateUser(user.id)).toEqual([]);
+
+    await rateDaysAgo(3);
+    const earned = await achievementService.evaluateUser(user.id);
+    expect(earned.map((achievement) => achievement.id)).toEqual([streak.id]);
+  });
+
+  it('scales awards by the user\'s tier', async () => {
+    const { user, headers } = await createTestUser();
+    await db.query(
+      `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key)
+       VALUES ($1, 500, 'rating', $2)`,
+      { userId: user.id, entryKey: `test-tier:${user.id}` }
+    );
+
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `tier-${run}`, ratingValue: 5 })
+      .expect(201);
+
+    const entries = await db.query(
+      `SELECT reason, points, details->>'tierMultiplier' AS tier_multiplier
+       FROM consumer_glad_points
+       WHERE consumer_rating_id = $1
+       ORDER BY reason`,
+      { ratingId: body.rating.id }
+    );
+    expect(entries).toEqual([
+      { reason: 'first_place_rating', points: 6, tier_multiplier: '1.1' },
+      { reason: 'rating', points: 11, tier_multiplier: '1.1' },
+    ]);
+
+    // Spending points does not drop the tier
+    await db.query(
+      `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key, is_redeemed)
+       VALUES ($1, -400, 'redemption', $2, TRUE)`,
+      { userId: user.id, entryKey: `test-spend:${user.id}` }
+    );
+    const res = await request().get('/api/v1/users/achievements').set(headers);
+    expect(res.body.achievements).toMatchObject({ lifetimePoints: 517, tier: { name: 'Silver' } });
+  });
+
+  it('evaluates the user again after survey answers', async () => {
+    const { headers } = await createTestUser();
+    const [question] = await db.query(
+      'SELECT id, business_type_id FROM survey_questions WHERE business_type_id IS NOT NULL ORDER BY id LIMIT 1'
+    );
+
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `survey-${run}`, ratingValue: 4, businessTypeId: question.business_type_id })
+      .expect(201);
+    await achievementService.whenIdle();
+
+    // Defined after the rating, so only the survey's evaluation can award it
+    const rater = await define({ metric: 'ratings', threshold: 1 });
+
+    await request()
+      .post('/api/v1/ratings/survey-answers')
+      .set(headers)
+      .send({ consumerRatingId: body.rating.id, answers: [{ surveyQuestionId: question.id, answer: 'Yes' }] })
+      .expect(201);
+    await achievementService.whenIdle();
+
+    const res = await request().get('/api/v1/users/achievements').set(headers);
+    expect(res.body.achievements.earned.map((achievement) => achievement.id)).toContain(rater.id);
+  });
+
+  it('lets admins manage achievement definitions', async () => {
+    const { user, headers } = await createTestUser();
+
+    await request().get('/api/v1/admin/achievements').set(headers).expect(403);
+    await request()
+      .post('/api/v1/admin/achievements')
+      .set(admin)
+      .send({ code: 'bad', name: 'Bad', metric: 'followers', threshold: 1 })
+      .expect(400);
+
+    const achievement = await define({ metric: 'ratings', threshold: 50 });
+    const updated = await request()
+      .put(`/api/v1/admin/achievements/${achievement.id}`)
+      .set(admin)
+      .send({ code: achievement.code, name: 'Regular', metric: 'ratings', threshold: 1, bonusPoints: 3 });
+    expect(updated.status).toBe(200);
+    expect(updated.body.achievement).toMatchObject({ name: 'Regular', threshold: 1, bonus_points: 3 });
+
+    await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `regular-${run}`, ratingValue: 3 })
+      .expect(201);
+    await achievementService.whenIdle();
+
+    const listed = await request().get('/api/v1/admin/achievements').set(admin);
+    expect(listed.body.achievements).toContainEqual(
+      expect.objectContaining({ id: achievement.id, earned_count: 1 })
+    );
+
+    const inUse = await request().delete(`/api/v1/admin/achievements/${achievement.id}`).set(admin);
+    expect(inUse.status).toBe(409);
+
+    await db.query('DELETE FROM user_achievements WHERE user_id = $1', { userId: user.id });
+    await request().delete(`/api/v1/admin/achievements/${achievement.id}`).set(admin).expect(200);
+    await request().delete(`/api/v1/admin/achievements/${achievement.id}`).set(admin).expect(404);
+  });
+});
@@ -0,0 +1,196 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+const support = authAs('seed-support');
+const moderator = authAs('seed-moderator');
+
+describe('admin routes', () => {
+  let environmentTypeId;
+
+  beforeAll(async () => {
+    [{ id: environmentTypeId }] = await db.query('SELECT id FROM environment_types ORDER BY id LIMIT 1');
+  });
+
+  it('counts users for staff with users:read', async () => {
+    const res = await request().get('/api/v1/admin/user-count').set(support);
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBeGreaterThan(0);
+  });
+
+  it('rejects regular users', async () => {
+    const { headers } = await createTestUser();
+
+    await request().get('/api/v1/admin/user-count').set(headers).expect(403);
+    await request().get('/api/v1/admin/faqs').set(headers).expect(403);
+  });
+
+  describe('content', () => {
+    it('manages FAQs', async () => {
+      const created = await request()
+        .post('/api/v1/admin/faqs')
+        .set(admin)
+        .send({ faq: 'How do I earn points?', faqAnswer: 'Rate places.', environmentTypeId });
+      expect(created.status).toBe(201);
+
+      const faqId = created.body.faq.id;
+
+      await request()
+        .put(`/api/v1/admin/faqs/${faqId}`)
+        .set(admin)
+        .send({ faq: 'How do I earn Glad points?', faqAnswer: 'Rate places.', environmentTypeId, isActive: true })
+        .expect(200);
+
+      const listed = await request().get('/api/v1/admin/faqs').set(admin);
+      expect(listed.body.faqs.map((faq) => faq.id)).toContain(faqId);
+
+      await request().delete(`/api/v1/admin/faqs/${faqId}`).set(admin).expect(200);
+    });
+
+    it('manages site content', async () => {
+      const [category] = await db.query('SELECT id FROM message_categories ORDER BY id LIMIT 1');
+
+      const created = await request()
+        .post('/api/v1/admin/site-content')
+        .set(admin)
+        .send({
+          subject: 'Terms',
+          content: 'Be nice.',
+          messageCategoryIds: [category.id],
+          environmentTypeIds: [environmentTypeId],
+        });
+      expect(created.status).toBe(201);
+
+      await request().get('/api/v1/admin/site-content').set(admin).expect(200);
+      await request().delete(`/api/v1/admin/site-content/${created.body.content.id}`).set(admin).expect(200);
+    });
+
+    it('manages survey questions with answer options', async () => {
+      const [businessType] = await db.query('SELECT id FROM business_types ORDER BY id LIMIT 1');
+
+      const created = await request()
+        .post('/api/v1/admin/survey-questions')
+        .set(admin)
+        .send({ question: 'Was it clean?', businessTypeId: businessType.id, answerOptions: ['Yes', 'No'] });
+      expect(created.status).toBe(201);
+      expect(created.body.question.answerOptions).toHaveLength(2);
+
+      await request().get('/api/v1/admin/survey-questions').set(admin).expect(200);
+      await request().delete(`/api/v1/admin/survey-questions/${created.body.question.id}`).set(admin).expect(200);
+    });
+
+    it('manages ads', async () => {
+      const created = await request()
+        .post('/api/v1/admin/ads')
+        .set(admin)
+        .send({
+          businessName: 'Corner Bakery',
+          businessTelephone: '555-0100',
+          content: 'Two for one',
+          expirationDate: '2030-01-01',
+          imageURL: 'https://example.com/ad.png',
+          url: 'https://example.com',
+        });
+      expect(created.status).toBe(201);
+
+      await request().get('/api/v1/admin/ads').set(admin).expect(200);
+      await request().delete(`/api/v1/admin/ads/${created.body.ad.id}`).set(admin).expect(200);
+    });
+  });
+
+  describe('support messages', () => {
+    it('lets support read and reply to messages', async () => {
+      const { user } = await createTestUser();
+      const [message] = await db.query(
+        `INSERT INTO messages (user_id, email, subject, message, requires_reply)
+         VALUES ($1, $2, $3, $4, TRUE)
+         RETURNING id`,
+        { userId: user.id, email: user.email, subject: 'Help', message: 'My points are missing' }
+      );
+
+      const listed = await request().get('/api/v1/admin/messages').set(support);
+      expect(listed.status).toBe(200);
+
+      await request().put(`/api/v1/admin/messages/${message.id}/read`).set(support).expect(200);
+
+      const replied = await request()
+        .post(`/api/v1/admin/messages/${message.id}/reply`)
+        .set(support)
+        .send({ replyText: 'They are back' });
+      expect(replied.status).toBe(200);
+
+      await request().delete(`/api/v1/admin/messages/${message.id}`).set(support).expect(200);
+    });
+  });
+
+  describe('activity logs', () => {
+    it('lists activity overall and per user', async () => {
+      const { user } = await createTestUser();
+      await db.query(
+        'INSERT INTO user_activity_logs (user_id, event_type, event_category) VALUES ($1, $2, $3)',
+        { userId: user.id, eventType: 'login', eventCategory: 'auth' }
+      );
+
+      await request().get('/api/v1/admin/activity-logs').set(support).expect(200);
+      await request().get(`/api/v1/admin/activity-logs/user/${user.id}`).set(support).expect(200);
+    });
+  });
+
+  describe('role permissions', () => {
+    let moderatorRoleId;
+
+    beforeAll(async () => {
+      [{ id: moderatorRoleId }] = await db.query('SELECT id FROM roles WHERE role = $1', { role: 'Moderator' });
+    });
+
+    it('lists permissions and role grants', async () => {
+      const permissions = await request().get('/api/v1/admin/permissions').set(admin);
+      const roles = await request().get('/api/v1/admin/roles').set(admin);
+
+      expect(permissions.body.permissions.map((item) => item.permission)).toContain('reviews:moderate');
+      expect(roles.body.roles.find((role) => role.role === 'Moderator').permissions).toContain('reviews:moderate');
+    });
+
+    it('grants and revokes a permission, taking effect immediately', async () => {
+      await request().get('/api/v1/admin/user-count').set(moderator).expect(403);
+
+      await request()
+        .post(`/api/v1/admin/roles/${moderatorRoleId}/permissions`)
+        .set(admin)
+        .send({ permission: 'users:read' })
+        .expect(200);
+
+      await request().get('/api/v1/admin/user-count').set(moderator).expect(200);
+
+      await request()
+        .delete(`/api/v1/admin/roles/${moderatorRoleId}/permissions/users:read`)
+        .set(admin)
+        .expect(200);
+
+      await request().get('/api/v1/admin/user-count').set(moderator).expect(403);
+    });
+
+    it('rejects unknown permissions', async () => {
+      const res = await request()
+        .put(`/api/v1/admin/roles/${moderatorRoleId}/permissions`)
+        .set(admin)
+        .send({ permissions: ['reviews:moderate', 'made:up'] });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('creates new permissions', async () => {
+      const res = await request()
+        .post('/api/v1/admin/permissions')
+        .set(admin)
+        .send({ permission: 'reports:export', description: 'Export reports' });
+
+      expect(res.status).toBe(201);
+    });
+
+    it('forbids support from managing permissions', async () => {
+      await request().get('/api/v1/admin/roles').set(support).expect(403);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const { request, authAs, createTestUser } = require('../support/testApp');
+const { issueToken } = require('../support/firebaseStub');
+
+describe('auth routes', () => {
+  describe('POST /api/v1/auth/register', () => {
+    it('creates the Firebase account and the application user', async () => {
+      const res = await request()
+        .post('/api/v1/auth/register')
+        .send({ email: 'new.person@example.com', password: 'secret1', firstName: 'New', lastName: 'Person' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.user).toMatchObject({ email: 'new.person@example.com', first_name: 'New' });
+      expect(res.body.user.firebase_uid).toMatch(/^test-/);
+    });
+
+    it('rejects an email that is already registered', async () => {
+      const body = { email: 'twice@example.com', password: 'secret1', firstName: 'Two', lastName: 'Times' };
+
+      await request().post('/api/v1/auth/register').send(body).expect(201);
+      const res = await request().post('/api/v1/auth/register').send(body);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('EMAIL_ALREADY_REGISTERED');
+    });
+  });
+
+  describe('POST /api/v1/auth/guest-login', () => {
+    it('creates a guest user once and returns it on later calls', async () => {
+      const first = await request().post('/api/v1/auth/guest-login').send({ firebaseUid: 'anon-guest-1' });
+      const second = await request().post('/api/v1/auth/guest-login').send({ firebaseUid: 'anon-guest-1' });
+
+      expect(first.status).toBe(200);
+      expect(first.body.user.is_guest).toBe(true);
+      expect(second.body.user.id).toBe(first.body.user.id);
+    });
+
+    it('requires a Firebase UID', async () => {
+      const res = await request().post('/api/v1/auth/guest-login').send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('GET /api/v1/auth/me', () => {
+    it('returns the user behind the token', async () => {
+      const { user, headers } = await createTestUser();
+
+      const res = await request().get('/api/v1/auth/me').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.id).toBe(user.id);
+    });
+
+    it('rejects requests without a token', async () => {
+      const res = await request().get('/api/v1/auth/me');
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects tokens with a bad signature', async () => {
+      const token = `${issueToken('seed-admin').slice(0, -4)}AAAA`;
+
+      const res = await request().get('/api/v1/auth/me').set({ Authorization: `Bearer ${token}` });
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects expired tokens', async () => {
+      const res = await request().get('/api/v1/auth/me').set(authAs('seed-admin', { expiresIn: -10 }));
+
+      expect(res.status).toBe(401);
+    });
+
+    it('rejects valid tokens for unknown users', async () => {
+      const res = await request().get('/api/v1/auth/me').set(authAs('nobody-here'));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('rejects inactive users', async () => {
+      const { headers } = await createTestUser({ columns: { is_active: false } });
+
+      const res = await request().get('/api/v1/auth/me').set(headers);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/v1/auth/logout', () => {
+    it('records the logout for the current user', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request().post('/api/v1/auth/logout').set(headers);
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
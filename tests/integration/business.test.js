@@ -0,0 +1,178 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+
+const newBusiness = (businessTypeId) => ({
+  businessName: 'Corner Bakery',
+  placeId: `place-${Date.now()}`,
+  businessTypeId,
+  streetAddress: '1 Main St',
+  city: 'Springfield',
+  state: 'IL',
+  zipCode: '62701',
+  country: 'US',
+  phone: '555-0100',
+  website: 'https://bakery.example.com',
+});
+
+// The place of an existing business cannot be changed
+const businessUpdate = (businessTypeId) => {
+  const { placeId, ...fields } = newBusiness(businessTypeId);
+  return fields;
+};
+
+describe('business routes', () => {
+  let businessTypeId;
+
+  beforeAll(async () => {
+    [{ id: businessTypeId }] = await db.query('SELECT id FROM business_types ORDER BY id LIMIT 1');
+  });
+
+  describe('sectors and types', () => {
+    it('lists sectors and the types within a sector', async () => {
+      const { headers } = await createTestUser();
+
+      const sectors = await request().get('/api/v1/business/sectors').set(headers);
+      expect(sectors.status).toBe(200);
+      expect(sectors.body.sectors.length).toBeGreaterThan(0);
+
+      const sectorId = sectors.body.sectors[0].id;
+
+      const sector = await request().get(`/api/v1/business/sectors/${sectorId}`).set(headers);
+      const types = await request().get(`/api/v1/business/types/by-sector/${sectorId}`).set(headers);
+      const allTypes = await request().get('/api/v1/business/types').set(headers);
+
+      expect(sector.status).toBe(200);
+      expect(types.status).toBe(200);
+      expect(types.body.types.every((type) => type.business_sector_id === sectorId)).toBe(true);
+      expect(allTypes.body.types.length).toBeGreaterThanOrEqual(types.body.types.length);
+    });
+
+    it('returns 404 for an unknown type', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request().get('/api/v1/business/types/999999').set(headers);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('lets admins create and rename sectors and types', async () => {
+      const sector = await request()
+        .post('/api/v1/business/sectors')
+        .set(admin)
+        .send({ businessSectorName: 'Test Sector' });
+      expect(sector.status).toBe(201);
+
+      const sectorId = sector.body.sector.id;
+
+      await request()
+        .put(`/api/v1/business/sectors/${sectorId}`)
+        .set(admin)
+        .send({ businessSectorName: 'Renamed Sector', isExternal: false })
+        .expect(200);
+
+      const type = await request()
+        .post('/api/v1/business/types')
+        .set(admin)
+        .send({ businessType: 'Test Type', businessSectorId: sectorId });
+      expect(type.status).toBe(201);
+
+      const renamed = await request()
+        .put(`/api/v1/business/types/${type.body.type.id}`)
+        .set(admin)
+        .send({ businessType: 'Renamed Type', businessSectorId: sectorId, isDefault: false, isExternal: false });
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.type.business_type).toBe('Renamed Type');
+    });
+
+    it('forbids regular users from creating sectors', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request()
+        .post('/api/v1/business/sectors')
+        .set(headers)
+        .send({ businessSectorName: 'Nope' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('businesses', () => {
+    it('lets a client create, view, list and update their business', async () => {
+      const { headers } = await createTestUser({ role: 'Client' });
+
+      const created = await request()
+        .post('/api/v1/business/businesses')
+        .set(headers)
+        .send(newBusiness(businessTypeId));
+      expect(created.status).toBe(201);
+
+      const businessId = created.body.business.id;
+
+      const single = await request().get(`/api/v1/business/businesses/${businessId}`).set(headers);
+      expect(single.status).toBe(200);
+
+      const mine = await request().get('/api/v1/business/my-businesses').set(headers);
+      expect(mine.body.businesses.map((business) => business.id)).toContain(businessId);
+
+      const updated = await request()
+        .put(`/api/v1/business/businesses/${businessId}`)
+        .set(headers)
+        .send({ ...businessUpdate(businessTypeId), businessName: 'Corner Bakery & Cafe' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.business.business_name).toBe('Corner Bakery & Cafe');
+    });
+
+    it('forbids regular users from creating businesses', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request()
+        .post('/api/v1/business/businesses')
+        .set(headers)
+        .send(newBusiness(businessTypeId));
+
+      expect(res.status).toBe(403);
+    });
+
+    it('forbids updating somebody else\'s business but allows admins', async () => {
+      const owner = await createTestUser({ role: 'Client' });
+      const other = await createTestUser({ role: 'Client' });
+
+      const created = await request()
+        .post('/api/v1/business/businesses')
+        .set(owner.headers)
+        .send(newBusiness(businessTypeId));
+      const businessId = created.body.business.id;
+
+      await request()
+        .put(`/api/v1/business/businesses/${businessId}`)
+        .set(other.headers)
+        .send(businessUpdate(businessTypeId))
+        .expect(403);
+
+      await request()
+        .put(`/api/v1/business/businesses/${businessId}`)
+        .set(admin)
+        .send(businessUpdate(businessTypeId))
+        .expect(200);
+    });
+
+    it('hides inactive businesses from everyone but the owner and admins', async () => {
+      const owner = await createTestUser({ role: 'Client' });
+      const other = await createTestUser();
+
+      const created = await request()
+        .post('/api/v1/business/businesses')
+        .set(owner.headers)
+        .send(newBusiness(businessTypeId));
+      const businessId = created.body.business.id;
+
+      await db.query('UPDATE businesses SET is_active = FALSE WHERE id = $1', { businessId });
+
+      await request().get(`/api/v1/business/businesses/${businessId}`).set(other.headers).expect(404);
+      await request().get(`/api/v1/business/businesses/${businessId}`).set(owner.headers).expect(200);
+      await request().get(`/api/v1/business/businesses/${businessId}`).set(admin).expect(200);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+
+describe('education routes', () => {
+  let headers;
+
+  beforeAll(async () => {
+    ({ headers } = await createTestUser());
+  });
+
+  it.each([
+    ['/areas', 'areas'],
+    ['/locations', 'locations'],
+    ['/dorms', 'dorms'],
+    ['/professors', 'professors'],
+    ['/departments', 'departments'],
+    ['/class-codes', 'classCodes'],
+    ['/internet', 'internet'],
+    ['/security', 'security'],
+    ['/social', 'social'],
+  ])('lists %s', async (path, key) => {
+    const res = await request().get(`/api/v1/education${path}`).set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body[key].length).toBeGreaterThan(0);
+  });
+
+  it('navigates from an area to its locations and dorms', async () => {
+    const [dorm] = await db.query(
+      `SELECT d.id, d.edu_location_id, l.edu_area_id
+       FROM edu_dorms d
+       JOIN edu_locations l ON l.id = d.edu_location_id
+       ORDER BY d.id LIMIT 1`
+    );
+
+    await request().get(`/api/v1/education/areas/${dorm.edu_area_id}`).set(headers).expect(200);
+
+    const locations = await request().get(`/api/v1/education/locations/by-area/${dorm.edu_area_id}`).set(headers);
+    expect(locations.body.locations.map((location) => location.id)).toContain(dorm.edu_location_id);
+
+    await request().get(`/api/v1/education/locations/${dorm.edu_location_id}`).set(headers).expect(200);
+
+    const dorms = await request().get(`/api/v1/education/dorms/by-location/${dorm.edu_location_id}`).set(headers);
+    expect(dorms.body.dorms.map((item) => item.id)).toContain(dorm.id);
+
+    await request().get(`/api/v1/education/dorms/${dorm.id}`).set(headers).expect(200);
+  });
+
+  it('looks up professors, their courses and department class codes', async () => {
+    const [professor] = await db.query('SELECT id, edu_department_id FROM edu_professors ORDER BY id LIMIT 1');
+
+    await request().get(`/api/v1/education/professors/${professor.id}`).set(headers).expect(200);
+    await request().get(`/api/v1/education/professors/${professor.id}/courses`).set(headers).expect(200);
+
+    const byDepartment = await request()
+      .get(`/api/v1/education/professors/by-department/${professor.edu_department_id}`)
+      .set(headers);
+    expect(byDepartment.body.professors.map((item) => item.id)).toContain(professor.id);
+
+    const classCodes = await request()
+      .get(`/api/v1/education/class-codes/by-department/${professor.edu_department_id}`)
+      .set(headers);
+    expect(classCodes.status).toBe(200);
+  });
+
+  it('returns 404 for an unknown area', async () => {
+    await request().get('/api/v1/education/areas/999999').set(headers).expect(404);
+  });
+
+  it('lets admins create and update areas and locations', async () => {
+    const area = await request().post('/api/v1/education/areas').set(admin).send({ name: 'Test Campus' });
+    expect(area.status).toBe(201);
+
+    const areaId = area.body.area.id;
+
+    await request()
+      .put(`/api/v1/education/areas/${areaId}`)
+      .set(admin)
+      .send({ name: 'Renamed Campus', isActive: true, isExternal: false })
+      .expect(200);
+
+    const location = await request()
+      .post('/api/v1/education/locations')
+      .set(admin)
+      .send({ eduAreaId: areaId, name: 'Main Quad', placeId: 'test-quad' });
+    expect(location.status).toBe(201);
+
+    const updated = await request()
+      .put(`/api/v1/education/locations/${location.body.location.id}`)
+      .set(admin)
+      .send({ eduAreaId: areaId, name: 'North Quad', placeId: 'test-quad', isActive: true, isExternal: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.location.name).toBe('North Quad');
+  });
+
+  it('forbids regular users from creating areas', async () => {
+    await request().post('/api/v1/education/areas').set(headers).send({ name: 'Nope' }).expect(403);
+  });
+});
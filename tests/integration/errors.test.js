@@ -0,0 +1,119 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+const { fromDatabaseError, wrapError, NotFoundError } = require('../../src/utils/errorUtils');
+
+const admin = authAs('seed-admin');
+
+/**
+ * Error shaped like the ones pg raises
+ * @param {string} code - SQLSTATE
+ * @param {Object} [fields] - Extra fields, e.g. { detail }
+ * @returns {Error} Error
+ */
+const pgError = (code, fields = {}) => Object.assign(new Error(`pg error ${code}`), { code, ...fields });
+
+describe('error responses', () => {
+  it('carry a code and the request correlation id', async () => {
+    const res = await request().get('/api/v1/nowhere').set('X-Request-Id', 'trace-abc.123');
+
+    expect(res.status).toBe(404);
+    expect(res.headers['x-request-id']).toBe('trace-abc.123');
+    expect(res.body.error).toMatchObject({ code: 'ROUTE_NOT_FOUND', status: 404, correlationId: 'trace-abc.123' });
+  });
+
+  it('generate a correlation id when the incoming one is unusable', async () => {
+    const res = await request().get('/api/v1/nowhere').set('X-Request-Id', 'bad id\twith spaces');
+
+    expect(res.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.error.correlationId).toBe(res.headers['x-request-id']);
+  });
+
+  it('use typed codes thrown by services', async () => {
+    const [{ id: environmentTypeId }] = await db.query('SELECT id FROM environment_types ORDER BY id LIMIT 1');
+
+    const res = await request()
+      .put('/api/v1/admin/faqs/999999')
+      .set(admin)
+      .send({ faq: 'Missing?', faqAnswer: 'Yes.', environmentTypeId, isActive: true });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('FAQ_NOT_FOUND');
+  });
+
+  it('name the resource when an ownership check cannot find it', async () => {
+    const { headers } = await createTestUser();
+
+    const res = await request().put('/api/v1/ratings/999999').set(headers).send({ ratingValue: 3 });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('RATING_NOT_FOUND');
+  });
+
+  it('distinguish missing tokens, missing permissions and validation failures', async () => {
+    const { headers } = await createTestUser();
+
+    const anonymous = await request().get('/api/v1/users');
+    const forbidden = await request().get('/api/v1/users').set(headers);
+    const invalid = await request().get('/api/v1/education/areas/abc').set(headers);
+
+    expect(anonymous.body.error).toMatchObject({ status: 401, code: 'TOKEN_MISSING' });
+    expect(forbidden.body.error).toMatchObject({ status: 403, code: 'MISSING_PERMISSION' });
+    expect(invalid.body.error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+  });
+
+  it('report unique violations as 409 conflicts', async () => {
+    const body = { businessSectorName: `Duplicate Sector ${Date.now()}` };
+
+    await request().post('/api/v1/business/sectors').set(admin).send(body).expect(201);
+    const res = await request().post('/api/v1/business/sectors').set(admin).send(body);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toMatchObject({ code: 'DUPLICATE_ENTRY', message: 'Duplicate entry' });
+  });
+
+  it('report malformed JSON bodies', async () => {
+    const res = await request()
+      .post('/api/v1/auth/register')
+      .set('Content-Type', 'application/json')
+      .send('{"email":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_JSON');
+  });
+});
+
+describe('fromDatabaseError', () => {
+  it('maps exact SQLSTATEs before their class', () => {
+    expect(fromDatabaseError(pgError('23505'))).toMatchObject({ status: 409, code: 'DUPLICATE_ENTRY' });
+    expect(fromDatabaseError(pgError('23514'))).toMatchObject({ status: 400, code: 'CHECK_VIOLATION' });
+    expect(fromDatabaseError(pgError('57014'))).toMatchObject({ status: 503, code: 'QUERY_TIMEOUT' });
+  });
+
+  it('falls back to the SQLSTATE class', () => {
+    expect(fromDatabaseError(pgError('22P02'))).toMatchObject({ status: 400, code: 'INVALID_VALUE' });
+    expect(fromDatabaseError(pgError('40001'))).toMatchObject({ status: 409, code: 'TRANSACTION_CONFLICT' });
+    expect(fromDatabaseError(pgError('08006'))).toMatchObject({ status: 503, code: 'DATABASE_UNAVAILABLE' });
+    expect(fromDatabaseError(pgError('42P01'))).toMatchObject({ status: 500, code: 'DATABASE_QUERY_ERROR' });
+  });
+
+  it('tells a missing parent from a row that is still referenced', () => {
+    expect(fromDatabaseError(pgError('23503', { detail: 'Key (user_id)=(9) is not present in table "users".' })))
+      .toMatchObject({ status: 400, code: 'REFERENCED_RECORD_NOT_FOUND' });
+    expect(fromDatabaseError(pgError('23503', { detail: 'Key (id)=(9) is still referenced from table "x".' })))
+      .toMatchObject({ status: 409, code: 'RECORD_IN_USE' });
+  });
+
+  it('treats connection failures as unavailability and ignores other errors', () => {
+    expect(fromDatabaseError(pgError('ECONNREFUSED'))).toMatchObject({ status: 503, code: 'DATABASE_UNAVAILABLE' });
+    expect(fromDatabaseError(new Error('Connection terminated unexpectedly'))).toMatchObject({ status: 503 });
+    expect(fromDatabaseError(new TypeError('x is not a function'))).toBeNull();
+  });
+
+  it('lets wrapError pass typed errors through untouched', () => {
+    const notFound = new NotFoundError('FAQ not found', 'FAQ_NOT_FOUND');
+
+    expect(wrapError(notFound, 'Error updating FAQ')).toBe(notFound);
+    expect(wrapError(new Error('boom'), 'Error updating FAQ'))
+      .toMatchObject({ status: 500, code: 'INTERNAL_ERROR', message: 'Error updating FAQ: boom' });
+  });
+});
@@ -0,0 +1,114 @@
+const http = require('http');
+const express = require('express');
+const { request, authAs, createTestUser } = require('../support/testApp');
+const healthService = require('../../src/services/healthService');
+const { createLogger } = require('../../src/utils/logger');
+const { gracefulShutdown } = require('../../src/utils/shutdown');
+
+const admin = authAs('seed-admin');
+
+/**
+ * GET a path on a listening server
+ * @param {Object} server - Listening http.Server
+ * @param {string} path - Request path
+ * @returns {Promise<Object>} `{ status, body }`
+ */
+const get = (server, path) => new Promise((resolve, reject) => {
+  http.get({ port: server.address().port, path, agent: false }, (res) => {
+    let body = '';
+    res.on('data', (chunk) => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+describe('health and diagnostics', () => {
+  it('answers liveness without authentication', async () => {
+    const res = await request().get('/healthz');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ status: 'ok', uptimeSeconds: expect.any(Number) });
+  });
+
+  it('reports readiness of the database and Firebase', async () => {
+    const res = await request().get('/readyz');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: 'ok',
+      checks: { database: { status: 'ok' }, firebase: { status: 'ok', projectId: 'gladgrade-test' } },
+    });
+  });
+
+  it('reports diagnostics only with the system:diagnostics permission', async () => {
+    const { headers } = await createTestUser();
+
+    const denied = await request().get('/api/v1/admin/diagnostics').set(headers);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.code).toBe('MISSING_PERMISSION');
+
+    const res = await request().get('/api/v1/admin/diagnostics').set(admin);
+
+    expect(res.status).toBe(200);
+    expect(res.body.build).toMatchObject({ version: expect.any(String), environment: 'test' });
+    expect(res.body.pool).toMatchObject({ max: 5 });
+    expect(res.body.migrations).toMatchObject({ pending: [], changed: [], unknown: [] });
+    expect(res.body.migrations.applied).toBeGreaterThan(0);
+    expect(res.body.readiness.ready).toBe(true);
+  });
+
+  it('drains in-flight requests before running cleanup', async () => {
+    const app = express();
+    app.get('/slow', (req, res) => setTimeout(() => res.send('done'), 100));
+
+    const server = await new Promise((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    const cleanup = jest.fn();
+
+    const inFlight = get(server, '/slow');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    const clean = await gracefulShutdown(server, {
+      timeoutMs: 2000,
+      cleanup: [cleanup],
+      log: createLogger({ level: 'silent' }),
+    });
+
+    await expect(inFlight).resolves.toEqual({ status: 200, body: 'done' });
+    expect(clean).toBe(true);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(server.listening).toBe(false);
+  });
+
+  it('keeps accepting connections for the readiness delay', async () => {
+    const app = express();
+    app.get('/ping', (req, res) => res.send('pong'));
+
+    const server = await new Promise((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    const shutdown = gracefulShutdown(server, {
+      readinessDelayMs: 200,
+      timeoutMs: 2000,
+      log: createLogger({ level: 'silent' }),
+    });
+
+    await expect(get(server, '/ping')).resolves.toEqual({ status: 200, body: 'pong' });
+    expect(server.listening).toBe(true);
+
+    await expect(shutdown).resolves.toBe(true);
+    expect(server.listening).toBe(false);
+  });
+
+  it('fails readiness once shutdown has started', async () => {
+    healthService.markShuttingDown();
+
+    const res = await request().get('/readyz');
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ status: 'unavailable', checks: { shutdown: { status: 'error' } } });
+  });
+});
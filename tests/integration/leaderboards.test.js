@@ -0,0 +1,177 @@
+const db = require('../../src/config/db');
+const { request, createTestUser } = require('../support/testApp');
+
+describe('leaderboards', () => {
+  let run;
+  let eduAreaId;
+  let eduLocationId;
+  let sectorId;
+  let businessTypeId;
+
+  beforeAll(async () => {
+    run = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+    // A campus and a sector of their own keep other tests' activity off these boards
+    [{ id: eduAreaId }] = await db.query(
+      'INSERT INTO edu_areas (name) VALUES ($1) RETURNING id',
+      { name: `Area ${run}` }
+    );
+    [{ id: eduLocationId }] = await db.query(
+      'INSERT INTO edu_locations (edu_area_id, name) VALUES ($1, $2) RETURNING id',
+      { eduAreaId, name: `Quad ${run}` }
+    );
+    [{ id: sectorId }] = await db.query(
+      'INSERT INTO business_sector (business_sector_name) VALUES ($1) RETURNING id',
+      { name: `Sector ${run}` }
+    );
+    [{ id: businessTypeId }] = await db.query(
+      'INSERT INTO business_types (business_type, business_sector_id) VALUES ($1, $2) RETURNING id',
+      { name: `Type ${run}`, sectorId }
+    );
+  });
+
+  /**
+   * Test user with a display name
+   * @param {string} displayName - Display name
+   * @param {Object} [columns] - Extra users columns
+   * @returns {Promise<Object>} `{ user, headers }`
+   */
+  const member = (displayName, columns = {}) => createTestUser({ columns: { display_name: displayName, ...columns } });
+
+  /**
+   * Rate places on the test campus, in the test sector
+   * @param {Object} headers - Authorization header
+   * @param {number} count - Ratings to create
+   * @returns {Promise<Array>} Created ratings
+   */
+  const rateOnCampus = async (headers, count) => {
+    const ratings = [];
+
+    for (let index = 0; index < count; index++) {
+      const res = await request()
+        .post('/api/v1/ratings')
+        .set(headers)
+        .send({ placeId: `campus-${index}-${run}`, ratingValue: 4, eduLocationId, businessTypeId });
+
+      expect(res.status).toBe(201);
+      ratings.push(res.body.rating);
+    }
+
+    return ratings;
+  };
+
+  it('ranks users by ratings on a campus by display name only, leaving out those who opted out', async () => {
+    const ada = await member('Ada');
+    const bo = await member('Bo');
+    const hidden = await member('Hidden');
+
+    await rateOnCampus(ada.headers, 3);
+    await rateOnCampus(bo.headers, 1);
+    await rateOnCampus(hidden.headers, 5);
+
+    await request().put('/api/v1/users/profile').set(hidden.headers).send({ leaderboardOptOut: true }).expect(200);
+
+    // Older than any current week or month
+    await db.query(
+      `INSERT INTO consumer_ratings (user_id, place_id, rating_value, edu_location_id, date_created)
+       VALUES ($1, $2, 3, $3, NOW() - INTERVAL '40 days'), ($1, $4, 3, $3, NOW() - INTERVAL '41 days')`,
+      { userId: bo.user.id, placeA: `old-a-${run}`, eduLocationId, placeB: `old-b-${run}` }
+    );
+
+    const month = await request()
+      .get(`/api/v1/leaderboards?metric=ratings&period=month&eduAreaId=${eduAreaId}`)
+      .set(bo.headers);
+
+    expect(month.status).toBe(200);
+    expect(month.body.data).toEqual([
+      { rank: 1, displayName: 'Ada', score: 3 },
+      { rank: 2, displayName: 'Bo', score: 1 },
+    ]);
+    expect(month.body.me).toEqual({ rank: 2, displayName: 'Bo', score: 1 });
+    expect(month.body.pagination.total).toBe(2);
+
+    const allTime = await request()
+      .get(`/api/v1/leaderboards?metric=ratings&eduAreaId=${eduAreaId}`)
+      .set(hidden.headers);
+
+    expect(allTime.body.data.map((entry) => [entry.displayName, entry.rank, entry.score])).toEqual([
+      ['Ada', 1, 3],
+      ['Bo', 1, 3],
+    ]);
+    expect(allTime.body.me).toBeNull();
+  });
+
+  it('ranks points earned within a business sector', async () => {
+    const { headers } = await member('Sector fan');
+    await rateOnCampus(headers, 1);
+
+    const res = await request()
+      .get(`/api/v1/leaderboards?period=week&sectorId=${sectorId}&limit=100`)
+      .set(headers);
+
+    expect(res.status).toBe(200);
+    // Campus places in the first test were rated first, so this rating earns no first-rating bonus
+    expect(res.body.me).toMatchObject({ displayName: 'Sector fan', score: 10 });
+    expect(res.body.data[0]).toMatchObject({ displayName: 'Ada', score: 45 });
+    res.body.data.forEach((entry) => expect(Object.keys(entry).sort()).toEqual(['displayName', 'rank', 'score']));
+  });
+
+  it('counts helpful votes on public reviews', async () => {
+    const author = await member('Author');
+    const reader = await member('Reader');
+    const [rating] = await rateOnCampus(author.headers, 1);
+
+    const { body } = await request()
+      .post('/api/v1/ratings/reviews')
+      .set(author.headers)
+      .send({ consumerRatingId: rating.id, review: 'Great study spot', placeId: rating.place_id })
+      .expect(201);
+    const path = `/api/v1/ratings/reviews/${body.review.id}/helpful`;
+
+    const own = await request().post(path).set(author.headers);
+    expect(own.status).toBe(403);
+    expect(own.body.error.code).toBe('HELPFUL_VOTE_OWN_REVIEW');
+
+    const voted = await request().post(path).set(reader.headers);
+    expect(voted.status).toBe(200);
+    expect(voted.body.helpfulCount).toBe(1);
+    await request().post(path).set(reader.headers).expect(200);
+
+    const board = await request()
+      .get(`/api/v1/leaderboards?metric=helpful&eduAreaId=${eduAreaId}`)
+      .set(reader.headers);
+    expect(board.body.data).toEqual([{ rank: 1, displayName: 'Author', score: 1 }]);
+
+    const reviews = await request().get(`/api/v1/ratings/reviews/by-place/${rating.place_id}`).set(reader.headers);
+    expect(reviews.body.data[0].helpful_count).toBe(1);
+
+    const withdrawn = await request().delete(path).set(reader.headers);
+    expect(withdrawn.body.helpfulCount).toBe(0);
+
+    await request().post('/api/v1/ratings/reviews/999999/helpful').set(reader.headers).expect(404);
+  });
+
+  it('documents and returns a null standing for callers who are not ranked', async () => {
+    const quiet = await member('Quiet');
+    const opted = await member('Opted out', { leaderboard_opt_out: true });
+    await rateOnCampus(opted.headers, 1);
+
+    for (const { headers } of [quiet, opted]) {
+      const res = await request().get(`/api/v1/leaderboards?metric=ratings&eduAreaId=${eduAreaId}`).set(headers);
+      expect(res.status).toBe(200);
+      expect(res.body.me).toBeNull();
+      expect(res.body.data.map((entry) => entry.displayName)).not.toContain('Opted out');
+    }
+
+    const { body: spec } = await request().get('/api/docs/openapi.json');
+    const { schema } = spec.paths['/leaderboards'].get.responses['200'].content['application/json'];
+    expect(schema.properties.me.oneOf).toContainEqual({ type: 'null' });
+  });
+
+  it('rejects unknown metrics and periods', async () => {
+    const { headers } = await member('Curious');
+
+    await request().get('/api/v1/leaderboards?metric=followers').set(headers).expect(400);
+    await request().get('/api/v1/leaderboards?period=decade').set(headers).expect(400);
+  });
+});
@@ -0,0 +1,140 @@
+// Log every query, so the slow-query path runs against the real database
+process.env.LOG_SLOW_QUERY_MS = '1';
+
+const db = require('../../src/config/db');
+const { request, createTestUser } = require('../support/testApp');
+const { logger, createLogger, runWithLogger, redact } = require('../../src/utils/logger');
+
+/**
+ * Capture the JSON lines the process logger writes while `fn` runs
+ * @param {Function} fn - Async callback
+ * @returns {Promise<Array<Object>>} Parsed entries
+ */
+const captureLogs = async (fn) => {
+  const entries = [];
+  const spy = jest.spyOn(process.stdout, 'write').mockImplementation((line) => {
+    entries.push(JSON.parse(line));
+    return true;
+  });
+
+  logger.setLevel('debug');
+  try {
+    await fn();
+  } finally {
+    logger.setLevel('silent');
+    spy.mockRestore();
+  }
+
+  return entries;
+};
+
+describe('logging', () => {
+  describe('createLogger', () => {
+    it('writes Cloud Logging JSON lines above the configured level', () => {
+      const lines = [];
+      const log = createLogger({ level: 'info', bindings: { service: 'api' }, write: (line) => lines.push(line) });
+
+      log.debug('hidden');
+      log.warn('Disk almost full', { freeMb: 12 });
+
+      expect(lines).toHaveLength(1);
+      expect(JSON.parse(lines[0])).toEqual({
+        severity: 'WARNING',
+        time: expect.any(String),
+        service: 'api',
+        freeMb: 12,
+        message: 'Disk almost full',
+      });
+    });
+
+    it('binds child fields and shares the level with its parent', () => {
+      const lines = [];
+      const parent = createLogger({ level: 'error', write: (line) => lines.push(JSON.parse(line)) });
+      const child = parent.child({ requestId: 'abc' });
+
+      child.info('ignored');
+      parent.setLevel('info');
+      child.info('kept');
+
+      expect(lines).toEqual([expect.objectContaining({ requestId: 'abc', message: 'kept' })]);
+      expect(() => parent.setLevel('verbose')).toThrow('Unknown log level');
+    });
+  });
+
+  describe('redact', () => {
+    it('masks credentials, emails and phone numbers', () => {
+      expect(redact({
+        headers: { authorization: 'Bearer abc.def', 'x-api-key': 'k' },
+        password: 'hunter2',
+        note: 'Contact jane.doe@example.com or +1 (555) 123-4567 with Bearer abc123',
+        jwt: 'eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl',
+        requestId: '123e4567-e89b-12d3-a456-426614174000',
+        createdAt: '2026-10-19T10:20:30.000Z',
+      })).toEqual({
+        headers: { authorization: '[REDACTED]', 'x-api-key': '[REDACTED]' },
+        password: '[REDACTED]',
+        note: 'Contact [REDACTED_EMAIL] or [REDACTED_PHONE] with Bearer [REDACTED]',
+        jwt: '[REDACTED_TOKEN]',
+        requestId: '123e4567-e89b-12d3-a456-426614174000',
+        createdAt: '2026-10-19T10:20:30.000Z',
+      });
+    });
+
+    it('serializes errors', () => {
+      const error = Object.assign(new Error('No user with email a@b.co'), { code: 'USER_NOT_FOUND' });
+
+      expect(redact({ error })).toEqual({
+        error: expect.objectContaining({
+          name: 'Error',
+          message: 'No user with email [REDACTED_EMAIL]',
+          code: 'USER_NOT_FOUND',
+        }),
+      });
+    });
+  });
+
+  describe('requests', () => {
+    it('writes an access log entry with latency, user id and request id', async () => {
+      const { user, headers } = await createTestUser();
+
+      const entries = await captureLogs(() => request()
+        .get('/api/v1/auth/me')
+        .set(headers)
+        .set('X-Request-Id', 'access-log-test')
+        .expect(200));
+
+      const access = entries.find((entry) => entry.message === 'Request completed');
+      expect(access).toMatchObject({
+        severity: 'INFO',
+        requestId: 'access-log-test',
+        userId: user.id,
+        httpRequest: { requestMethod: 'GET', requestUrl: '/api/v1/auth/me', status: 200 },
+      });
+      expect(access.latencyMs).toEqual(expect.any(Number));
+      expect(access.httpRequest.latency).toMatch(/^\d+\.\d{3}s$/);
+      expect(JSON.stringify(entries)).not.toContain(headers.Authorization.split(' ')[1]);
+    });
+
+    it('logs client errors as warnings', async () => {
+      const entries = await captureLogs(() => request().get('/api/v1/auth/me').expect(401));
+
+      expect(entries.find((entry) => entry.message === 'Request completed'))
+        .toMatchObject({ severity: 'WARNING', httpRequest: { status: 401 } });
+    });
+
+    it('logs slow queries with the current request id and without values', async () => {
+      const requestLog = logger.child({ requestId: 'slow-query-test' });
+
+      const entries = await captureLogs(() => runWithLogger(requestLog, () => db.query(
+        'SELECT pg_sleep(0.01), $email::text AS email',
+        { email: 'private@example.com' }
+      )));
+
+      const slow = entries.find((entry) => entry.message === 'Slow query');
+      expect(slow).toMatchObject({ severity: 'WARNING', requestId: 'slow-query-test', paramCount: 1 });
+      expect(slow.sql).toContain('pg_sleep');
+      expect(slow.durationMs).toBeGreaterThanOrEqual(1);
+      expect(JSON.stringify(slow)).not.toContain('private@example.com');
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+const moderator = authAs('seed-moderator');
+
+// Smallest valid PNG (1x1 transparent pixel)
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('media routes', () => {
+  let imageTypeId;
+
+  beforeAll(async () => {
+    [{ id: imageTypeId }] = await db.query('SELECT id FROM image_types WHERE image_type = $1', { type: 'Profile' });
+  });
+
+  /**
+   * Upload the test image as the given user
+   * @param {Object} headers - Authorization header
+   * @returns {Promise<Object>} supertest response
+   */
+  const upload = (headers) => request()
+    .post('/api/v1/media/upload')
+    .set(headers)
+    .field('imageTypeId', String(imageTypeId))
+    .attach('image', PNG, { filename: 'pixel.png', contentType: 'image/png' });
+
+  it('lists image types', async () => {
+    const { headers } = await createTestUser();
+
+    const res = await request().get('/api/v1/media/image-types').set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.types.map((type) => type.image_type)).toContain('Profile');
+  });
+
+  it('uploads an image and lists it for its owner', async () => {
+    const { user, headers } = await createTestUser();
+
+    const uploaded = await upload(headers);
+    expect(uploaded.status).toBe(201);
+    expect(uploaded.body.image.user_id).toBe(user.id);
+
+    const res = await request().get(`/api/v1/media/by-user/${user.id}`).set(headers);
+    expect(res.status).toBe(200);
+    expect(res.body.images.map((image) => image.id)).toContain(uploaded.body.image.id);
+  });
+
+  it('rejects uploads that are not images', async () => {
+    const { headers } = await createTestUser();
+
+    const res = await request()
+      .post('/api/v1/media/upload')
+      .set(headers)
+      .field('imageTypeId', String(imageTypeId))
+      .attach('image', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('forbids listing another user\'s images except for admins', async () => {
+    const owner = await createTestUser();
+    const other = await createTestUser();
+
+    await request().get(`/api/v1/media/by-user/${owner.user.id}`).set(other.headers).expect(403);
+    await request().get(`/api/v1/media/by-user/${owner.user.id}`).set(admin).expect(200);
+  });
+
+  it('lets only the owner or an admin delete an image', async () => {
+    const owner = await createTestUser();
+    const other = await createTestUser();
+    const { body } = await upload(owner.headers);
+
+    await request().delete(`/api/v1/media/${body.image.id}`).set(other.headers).expect(403);
+    await request().delete(`/api/v1/media/${body.image.id}`).set(owner.headers).expect(200);
+  });
+
+  it('lists images attached to ratings, reviews and dorms', async () => {
+    const { headers } = await createTestUser();
+    const [rating] = await db.query('SELECT id FROM consumer_ratings ORDER BY id LIMIT 1');
+    const [review] = await db.query('SELECT id FROM consumer_reviews ORDER BY id LIMIT 1');
+    const [dorm] = await db.query('SELECT id FROM edu_dorms ORDER BY id LIMIT 1');
+
+    await request().get(`/api/v1/media/by-rating/${rating.id}`).set(headers).expect(200);
+    await request().get(`/api/v1/media/by-review/${review.id}`).set(headers).expect(200);
+    await request().get(`/api/v1/media/by-dorm/${dorm.id}`).set(headers).expect(200);
+  });
+
+  it('lets moderators hide an image', async () => {
+    const { headers } = await createTestUser();
+    const { body } = await upload(headers);
+
+    await request().get('/api/v1/media/all').set(moderator).expect(200);
+
+    const res = await request()
+      .put(`/api/v1/media/${body.image.id}/moderate`)
+      .set(moderator)
+      .send({ isActive: false, moderationNotes: 'Not a profile photo' });
+
+    expect(res.status).toBe(200);
+  });
+});
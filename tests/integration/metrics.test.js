@@ -0,0 +1,87 @@
+// Scrapes must authenticate once a token is configured
+process.env.METRICS_TOKEN = 'test-metrics-token';
+
+const { request, createTestUser } = require('../support/testApp');
+
+const scrapeHeaders = { Authorization: 'Bearer test-metrics-token' };
+
+/**
+ * Current value of one series in the Prometheus text output
+ * @param {string} text - /metrics body
+ * @param {string} series - Metric name with labels, e.g. 'x_total{a="b"}'
+ * @returns {number} Value, or 0 if the series is absent
+ */
+const valueOf = (text, series) => {
+  const line = text.split('\n').find((candidate) => candidate.startsWith(`${series} `));
+  return line ? Number(line.slice(series.length + 1)) : 0;
+};
+
+/**
+ * Scrape the metrics endpoint
+ * @returns {Promise<string>} Prometheus text
+ */
+const scrape = async () => {
+  const res = await request().get('/metrics').set(scrapeHeaders);
+
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toMatch(/^text\/plain/);
+  return res.text;
+};
+
+describe('metrics', () => {
+  let headers;
+
+  beforeAll(async () => {
+    ({ headers } = await createTestUser());
+  });
+
+  it('requires the scrape token when one is configured', async () => {
+    const res = await request().get('/metrics');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error.code).toBe('METRICS_TOKEN_INVALID');
+  });
+
+  it('counts requests by route template and status', async () => {
+    await request().get('/api/v1/ratings/by-place/metrics-place').set(headers).expect(200);
+    await request().get('/api/v1/ratings/by-place/another-place').set(headers).expect(200);
+    await request().get('/api/v1/nowhere').set(headers).expect(404);
+
+    const text = await scrape();
+    const route = 'method="GET",route="/api/v1/ratings/by-place/:placeId",status="200"';
+
+    expect(valueOf(text, `http_requests_total{${route}}`)).toBe(2);
+    expect(valueOf(text, `http_request_duration_seconds_count{${route}}`)).toBe(2);
+    expect(valueOf(text, 'http_requests_total{method="GET",route="unmatched",status="404"}')).toBe(1);
+    expect(text).not.toContain('metrics-place');
+  });
+
+  it('times queries by service function and reports pool usage', async () => {
+    await request().get('/api/v1/ratings/by-place/metrics-place').set(headers).expect(200);
+
+    const text = await scrape();
+
+    expect(valueOf(text, 'db_query_duration_seconds_count{operation="ratingService.getRatingsByPlace"}'))
+      .toBeGreaterThan(0);
+    expect(valueOf(text, 'db_pool_connections{state="max"}')).toBe(5);
+    expect(text).toContain('process_cpu_seconds_total');
+  });
+
+  it('counts ratings created and glad points awarded', async () => {
+    // First rating of the place: 10 for the rating and a 5 point first-rating bonus
+    const before = await scrape();
+
+    await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: 'metrics-place', ratingValue: 5 })
+      .expect(201);
+
+    const after = await scrape();
+
+    expect(valueOf(after, 'gladgrade_ratings_created_total') - valueOf(before, 'gladgrade_ratings_created_total'))
+      .toBe(1);
+    expect(valueOf(after, 'gladgrade_glad_points_awarded_total')
+      - valueOf(before, 'gladgrade_glad_points_awarded_total')).toBe(15);
+  });
+});
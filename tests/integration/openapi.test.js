@@ -0,0 +1,86 @@
+const { request } = require('../support/testApp');
+const { listApiRoutes, toOpenApiPath } = require('../../src/utils/openApi');
+const { sections } = require('../../src/schemas');
+
+/**
+ * Every `$ref` value in a document
+ * @param {*} node - Document or fragment
+ * @returns {Array<string>} Reference strings
+ */
+const collectRefs = (node) => {
+  if (Array.isArray(node)) {
+    return node.flatMap(collectRefs);
+  }
+  if (node && typeof node === 'object') {
+    return Object.entries(node).flatMap(([key, value]) => (key === '$ref' ? [value] : collectRefs(value)));
+  }
+  return [];
+};
+
+describe('OpenAPI document', () => {
+  let spec;
+
+  beforeAll(async () => {
+    const res = await request().get('/api/docs/openapi.json');
+
+    expect(res.status).toBe(200);
+    spec = res.body;
+  });
+
+  it('documents every mounted route', () => {
+    const missing = listApiRoutes()
+      .filter((route) => !(spec.paths[toOpenApiPath(route.path)] || {})[route.method])
+      .map((route) => `${route.method.toUpperCase()} ${route.path} (${route.handler.name || 'anonymous handler'})`);
+
+    expect(missing).toEqual([]);
+  });
+
+  it('has no docs for handlers that are no longer routed', () => {
+    const routed = new Set(listApiRoutes().map((route) => `${route.mountPath} ${route.handler.name}`));
+    const stale = Object.entries(sections).flatMap(([mountPath, { operations }]) => Object.keys(operations)
+      .filter((name) => !routed.has(`${mountPath} ${name}`))
+      .map((name) => `${mountPath} ${name}`));
+
+    expect(stale).toEqual([]);
+  });
+
+  it('resolves every schema reference', () => {
+    const unresolved = collectRefs(spec).filter((ref) => {
+      const [, group, name] = ref.match(/^#\/components\/(\w+)\/(\w+)$/) || [];
+      return !(group && spec.components[group] && spec.components[group][name]);
+    });
+
+    expect(unresolved).toEqual([]);
+  });
+
+  it('describes auth and permission requirements', () => {
+    const listUsers = spec.paths['/users'].get;
+    const register = spec.paths['/auth/register'].post;
+    const createBusiness = spec.paths['/business/businesses'].post;
+
+    expect(listUsers.security).toEqual([{ bearerAuth: [] }]);
+    expect(listUsers['x-permissions']).toEqual(['users:read']);
+    expect(register.security).toEqual([]);
+    expect(createBusiness['x-roles']).toEqual(['Client', 'Client Admin', 'Admin']);
+    expect(spec.paths['/auth/me'].get.security).toEqual([{ bearerAuth: [] }]);
+  });
+
+  it('describes request bodies and path parameters', () => {
+    const createAd = spec.paths['/admin/ads'].post;
+    const updateRating = spec.paths['/ratings/{id}'].put;
+
+    expect(createAd.requestBody.content['application/json'].schema.required).toEqual(['businessName', 'content']);
+    expect(updateRating.parameters).toEqual([
+      expect.objectContaining({ name: 'id', in: 'path', required: true }),
+    ]);
+    expect(spec.paths['/media/upload'].post.requestBody.content).toHaveProperty('multipart/form-data');
+  });
+
+  it('serves the browsable docs page and its assets without authentication', async () => {
+    const page = await request().get('/api/docs');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('/api/docs/openapi.json');
+
+    await request().get('/api/docs/swagger-ui-bundle.js').expect(200);
+  });
+});
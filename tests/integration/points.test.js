@@ -0,0 +1,433 @@
+const db = require('../../src/config/db');
+const pointsService = require('../../src/services/pointsService');
+const achievementService = require('../../src/services/achievementService');
+const { business } = require('../../src/utils/metrics');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+const moderator = authAs('seed-moderator');
+
+// Smallest valid PNG (1x1 transparent pixel)
+const PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+describe('glad points', () => {
+  let run;
+  let businessTypeId;
+  let rules;
+
+  beforeAll(async () => {
+    run = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    [{ business_type_id: businessTypeId }] = await db.query(
+      'SELECT business_type_id FROM survey_questions WHERE business_type_id IS NOT NULL ORDER BY id LIMIT 1'
+    );
+    rules = await db.query('SELECT reason, points, daily_cap, is_active FROM points_rules');
+  });
+
+  afterAll(async () => {
+    for (const rule of rules) {
+      await db.query(
+        'UPDATE points_rules SET points = $1, daily_cap = $2, is_active = $3 WHERE reason = $4',
+        { points: rule.points, dailyCap: rule.daily_cap, isActive: rule.is_active, reason: rule.reason }
+      );
+    }
+    await db.query('DELETE FROM points_multipliers WHERE business_type_id = $1', { businessTypeId });
+  });
+
+  /**
+   * Rate a place through the API
+   * @param {Object} headers - Authorization header
+   * @param {string} place - Place name, made unique to the run
+   * @returns {Promise<Object>} Created rating
+   */
+  const rate = async (headers, place) => {
+    const res = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `${place}-${run}`, ratingValue: 4, businessTypeId });
+
+    expect(res.status).toBe(201);
+    return res.body.rating;
+  };
+
+  /**
+   * Ledger entries of a rating as `{ reason, points }`, ordered by reason
+   * @param {number} ratingId - Rating ID
+   * @returns {Promise<Array>} Entries
+   */
+  const ledgerOf = (ratingId) => db.query(
+    'SELECT reason, points FROM consumer_glad_points WHERE consumer_rating_id = $1 ORDER BY reason, id',
+    { ratingId }
+  );
+
+  it('awards bonuses for the first rating of a place, a review, survey answers and photos', async () => {
+    const { headers } = await createTestUser();
+    const rating = await rate(headers, 'bonuses');
+
+    await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: rating.id, review: 'Lovely staff', placeId: rating.place_id })
+      .expect(201);
+
+    const [question] = await db.query(
+      'SELECT id FROM survey_questions WHERE business_type_id = $1 ORDER BY id LIMIT 1',
+      { businessTypeId }
+    );
+    await request()
+      .post('/api/v1/ratings/survey-answers')
+      .set(headers)
+      .send({ consumerRatingId: rating.id, answers: [{ surveyQuestionId: question.id, answer: 'Yes' }] })
+      .expect(201);
+
+    const [{ id: imageTypeId }] = await db.query('SELECT id FROM image_types ORDER BY id LIMIT 1');
+    await request()
+      .post('/api/v1/media/upload')
+      .set(headers)
+      .field('imageTypeId', String(imageTypeId))
+      .field('consumerRatingId', String(rating.id))
+      .attach('image', PNG, { filename: 'pixel.png', contentType: 'image/png' })
+      .expect(201);
+
+    expect(await ledgerOf(rating.id)).toEqual([
+      { reason: 'first_place_rating', points: 5 },
+      { reason: 'photo', points: 2 },
+      { reason: 'rating', points: 10 },
+      { reason: 'review', points: 5 },
+      { reason: 'survey', points: 3 },
+    ]);
+
+    const second = await rate((await createTestUser()).headers, 'bonuses');
+    expect(await ledgerOf(second.id)).toEqual([{ reason: 'rating', points: 10 }]);
+  });
+
+  it('explains each entry in the user\'s points history', async () => {
+    const { headers } = await createTestUser();
+    await rate(headers, 'history');
+
+    const res = await request().get('/api/v1/users/points').set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.points.totalPoints).toBe(15);
+    expect(res.body.points.pointsHistory.map((entry) => entry.reason).sort()).toEqual(['first_place_rating', 'rating']);
+    expect(res.body.points.pointsHistory[0]).toMatchObject({
+      reason_description: expect.any(String),
+      details: { basePoints: expect.any(Number), multiplier: 1 },
+    });
+  });
+
+  it('scales awards by the business type multiplier', async () => {
+    await request()
+      .put(`/api/v1/admin/points/multipliers/${businessTypeId}`)
+      .set(admin)
+      .send({ multiplier: 1.5 })
+      .expect(200);
+
+    const { headers } = await createTestUser();
+    const rating = await rate(headers, 'multiplier');
+
+    expect(await ledgerOf(rating.id)).toEqual([
+      { reason: 'first_place_rating', points: 8 },
+      { reason: 'rating', points: 15 },
+    ]);
+
+    const listed = await request().get('/api/v1/admin/points/multipliers').set(admin);
+    expect(listed.body.multipliers).toContainEqual(
+      expect.objectContaining({ business_type_id: businessTypeId, multiplier: 1.5 })
+    );
+
+    await request().delete(`/api/v1/admin/points/multipliers/${businessTypeId}`).set(admin).expect(200);
+    await request().delete(`/api/v1/admin/points/multipliers/${businessTypeId}`).set(admin).expect(404);
+  });
+
+  it('caps a reason\'s daily total and records capped awards at zero', async () => {
+    await request().put('/api/v1/admin/points/rules/rating').set(admin).send({ dailyCap: 15 }).expect(200);
+
+    const { headers } = await createTestUser();
+    const first = await rate(headers, 'cap-a');
+    const second = await rate(headers, 'cap-b');
+    const third = await rate(headers, 'cap-c');
+
+    const [firstEntry, secondEntry, thirdEntry] = await db.query(
+      `SELECT points, details FROM consumer_glad_points
+       WHERE consumer_rating_id IN ($1) AND reason = 'rating'
+       ORDER BY consumer_rating_id`,
+      { ids: [first.id, second.id, third.id] }
+    );
+
+    expect(firstEntry.points).toBe(10);
+    expect(secondEntry).toMatchObject({ points: 5, details: { dailyCap: 15 } });
+    expect(thirdEntry).toMatchObject({ points: 0, details: { dailyCap: 15 } });
+
+    await request().put('/api/v1/admin/points/rules/rating').set(admin).send({ dailyCap: null }).expect(200);
+  });
+
+  it('never awards the same entry twice', async () => {
+    const { headers } = await createTestUser();
+    const rating = await rate(headers, 'idempotent');
+
+    await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: rating.id, review: 'First visit', placeId: rating.place_id })
+      .expect(201);
+    await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: rating.id, review: 'Second visit', placeId: rating.place_id })
+      .expect(201);
+
+    expect(await ledgerOf(rating.id)).toEqual([
+      { reason: 'first_place_rating', points: 5 },
+      { reason: 'rating', points: 10 },
+      { reason: 'review', points: 5 },
+    ]);
+  });
+
+  it('saves nothing when awarding a rating\'s points fails', async () => {
+    const { user, headers } = await createTestUser();
+    const award = jest.spyOn(pointsService, 'awardRatingPoints').mockRejectedValue(new Error('ledger unavailable'));
+
+    try {
+      const res = await request()
+        .post('/api/v1/ratings')
+        .set(headers)
+        .send({ placeId: `award-fails-${run}`, ratingValue: 4, businessTypeId });
+
+      expect(res.status).toBe(500);
+    } finally {
+      award.mockRestore();
+    }
+
+    const ratings = await db.query('SELECT id FROM consumer_ratings WHERE user_id = $1', { userId: user.id });
+    expect(ratings).toEqual([]);
+  });
+
+  it('lets admins change and disable rules', async () => {
+    const { headers } = await createTestUser();
+    await request().get('/api/v1/admin/points/rules').set(headers).expect(403);
+
+    const updated = await request()
+      .put('/api/v1/admin/points/rules/first_place_rating')
+      .set(admin)
+      .send({ isActive: false });
+    expect(updated.status).toBe(200);
+    expect(updated.body.rule).toMatchObject({ reason: 'first_place_rating', is_active: false, points: 5 });
+
+    const rating = await rate(headers, 'disabled');
+    expect(await ledgerOf(rating.id)).toEqual([{ reason: 'rating', points: 10 }]);
+
+    const listed = await request().get('/api/v1/admin/points/rules').set(admin);
+    expect(listed.body.rules.map((rule) => rule.reason)).toEqual(
+      expect.arrayContaining(['rating', 'review', 'photo', 'survey', 'first_place_rating'])
+    );
+
+    const missing = await request().put('/api/v1/admin/points/rules/unknown').set(admin).send({ points: 1 });
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('POINTS_RULE_NOT_FOUND');
+  });
+});
+
+describe('glad points lifecycle', () => {
+  let run;
+
+  beforeAll(() => {
+    run = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  });
+
+  /**
+   * Add a ledger entry directly
+   * @param {number} userId - User ID
+   * @param {number} points - Points (negative for a debit)
+   * @param {string} reason - Reason code
+   * @param {string} [age] - How long ago, as a Postgres interval
+   */
+  const addEntry = (userId, points, reason, age = '0 days') => db.query(
+    `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key, date_created)
+     VALUES ($1, $2, $3, $4, NOW() - $5::interval)`,
+    { userId, points, reason, entryKey: `test:${userId}:${reason}:${age}`, age }
+  );
+
+  /**
+   * Reasons and points of the reversals of a user's entries
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>} `{ reversed, points }` by reversed entry key
+   */
+  const reversalsOf = (userId) => db.query(
+    `SELECT g.entry_key AS reversed, r.points, r.details->>'cause' AS cause
+     FROM consumer_glad_points r
+     JOIN consumer_glad_points g ON r.reversed_entry_id = g.id
+     WHERE r.user_id = $1
+     ORDER BY g.id`,
+    { userId }
+  );
+
+  it('reverses a deleted rating\'s points in full, even once they were spent', async () => {
+    const { user, headers } = await createTestUser();
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `reversal-${run}`, ratingValue: 5 })
+      .expect(201);
+    await addEntry(user.id, -10, 'redemption');
+
+    await request().delete(`/api/v1/ratings/${body.rating.id}`).set(headers).expect(200);
+
+    expect(await reversalsOf(user.id)).toEqual([
+      { reversed: `rating:${body.rating.id}:rating`, points: -10, cause: 'rating_deleted' },
+      { reversed: `rating:${body.rating.id}:first_place_rating`, points: -5, cause: 'rating_deleted' },
+    ]);
+
+    const points = await request().get('/api/v1/users/points').set(headers);
+    expect(points.body.points).toMatchObject({
+      totalPoints: 15,
+      redeemedPoints: 10,
+      reversedPoints: 15,
+      availablePoints: -10,
+    });
+  });
+
+  it('counts reversed points only once their transaction commits', async () => {
+    const { headers } = await createTestUser();
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `reversal-metric-${run}`, ratingValue: 5 })
+      .expect(201);
+    const reversedTotal = async () => (await business.gladPointsReversed.get()).values
+      .reduce((sum, { value }) => sum + value, 0);
+    const before = await reversedTotal();
+
+    await expect(db.transaction(async () => {
+      await pointsService.reverseRatingPoints(body.rating.id, 'rating_deleted');
+      throw new Error('delete failed');
+    })).rejects.toThrow('delete failed');
+
+    expect(await reversedTotal()).toBe(before);
+
+    await pointsService.reverseRatingPoints(body.rating.id, 'rating_deleted');
+    await pointsService.reverseRatingPoints(body.rating.id, 'rating_deleted');
+
+    expect(await reversedTotal()).toBe(before + 15);
+  });
+
+  it('reverses review and photo bonuses when the review or photo is removed', async () => {
+    const { user, headers } = await createTestUser();
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `removed-${run}`, ratingValue: 4 })
+      .expect(201);
+    const ratingId = body.rating.id;
+
+    const review = await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: ratingId, review: 'Cosy', placeId: body.rating.place_id })
+      .expect(201);
+
+    const [{ id: imageTypeId }] = await db.query('SELECT id FROM image_types ORDER BY id LIMIT 1');
+    const image = await request()
+      .post('/api/v1/media/upload')
+      .set(headers)
+      .field('imageTypeId', String(imageTypeId))
+      .field('consumerRatingId', String(ratingId))
+      .attach('image', PNG, { filename: 'pixel.png', contentType: 'image/png' })
+      .expect(201);
+
+    await request()
+      .put(`/api/v1/ratings/reviews/${review.body.review.id}/moderate`)
+      .set(moderator)
+      .send({ isActive: false, moderationNotes: 'Off topic' })
+      .expect(200);
+    await request().delete(`/api/v1/media/${image.body.image.id}`).set(headers).expect(200);
+
+    expect(await reversalsOf(user.id)).toEqual([
+      { reversed: `rating:${ratingId}:review`, points: -5, cause: 'review_hidden' },
+      { reversed: `image:${image.body.image.id}:photo`, points: -2, cause: 'photo_deleted' },
+    ]);
+
+    // A new review does not pay the reversed bonus again
+    await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: ratingId, review: 'Cosy and quiet', placeId: body.rating.place_id })
+      .expect(201);
+
+    // 15 left from the rating plus the first review achievement's 10
+    await achievementService.whenIdle();
+    const points = await request().get('/api/v1/users/points').set(headers);
+    expect(points.body.points.availablePoints).toBe(25);
+  });
+
+  it('keeps a review visible when taking back its bonus fails', async () => {
+    const { headers } = await createTestUser();
+    const { body } = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: `hide-fails-${run}`, ratingValue: 4 })
+      .expect(201);
+    const review = await request()
+      .post('/api/v1/ratings/reviews')
+      .set(headers)
+      .send({ consumerRatingId: body.rating.id, review: 'Loud', placeId: body.rating.place_id })
+      .expect(201);
+
+    const reverse = jest.spyOn(pointsService, 'reverseReviewPoints').mockRejectedValue(new Error('ledger unavailable'));
+
+    try {
+      await request()
+        .put(`/api/v1/ratings/reviews/${review.body.review.id}/moderate`)
+        .set(moderator)
+        .send({ isActive: false })
+        .expect(500);
+    } finally {
+      reverse.mockRestore();
+    }
+
+    const [{ is_active: isActive }] = await db.query(
+      'SELECT is_active FROM consumer_reviews WHERE id = $1',
+      { id: review.body.review.id }
+    );
+    expect(isActive).toBe(true);
+  });
+
+  it('expires the oldest unspent points and warns about points expiring soon', async () => {
+    const { user, headers } = await createTestUser();
+    await addEntry(user.id, 100, 'rating', '14 months');
+    await addEntry(user.id, 20, 'rating', '11 months 20 days');
+    await addEntry(user.id, 30, 'rating');
+    await addEntry(user.id, -40, 'redemption');
+
+    await pointsService.expirePoints();
+
+    const [expiry] = await db.query(
+      'SELECT points FROM consumer_glad_points WHERE user_id = $1 AND reason = \'expiry\'',
+      { userId: user.id }
+    );
+    expect(expiry.points).toBe(-60);
+
+    await pointsService.expirePoints();
+    const expiries = await db.query(
+      'SELECT id FROM consumer_glad_points WHERE user_id = $1 AND reason = \'expiry\'',
+      { userId: user.id }
+    );
+    expect(expiries).toHaveLength(1);
+
+    const res = await request().get('/api/v1/users/points').set(headers);
+    expect(res.body.points).toMatchObject({
+      totalPoints: 150,
+      redeemedPoints: 40,
+      expiredPoints: 60,
+      availablePoints: 50,
+      expiringSoon: { points: 20, withinDays: 30 },
+    });
+
+    const nextExpiresAt = new Date(res.body.points.expiringSoon.nextExpiresAt);
+    const daysAway = (nextExpiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+    expect(daysAway).toBeGreaterThan(5);
+    expect(daysAway).toBeLessThan(15);
+  });
+});
@@ -0,0 +1,99 @@
+const db = require('../../src/config/db');
+const { request, createTestUser } = require('../support/testApp');
+
+describe('place scores and rankings', () => {
+  let headers;
+  let userId;
+  let sectorId;
+  let businessTypeId;
+  let suffix;
+
+  /**
+   * Insert ratings for a place directly
+   * @param {string} placeId - Place ID
+   * @param {Array<number>} values - Rating values
+   * @param {string} [dateCreated] - ISO timestamp for every rating
+   */
+  const rate = async (placeId, values, dateCreated = new Date().toISOString()) => {
+    for (const ratingValue of values) {
+      await db.query(
+        `INSERT INTO consumer_ratings (user_id, business_type_id, place_id, place_name, rating_value, date_created)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        { userId, businessTypeId, placeId, placeName: placeId, ratingValue, dateCreated }
+      );
+    }
+  };
+
+  beforeAll(async () => {
+    let user;
+    ({ headers, user } = await createTestUser());
+    userId = user.id;
+    suffix = Date.now();
+
+    [{ id: sectorId }] = await db.query(
+      'INSERT INTO business_sector (business_sector_name) VALUES ($1) RETURNING id',
+      { name: `Ranking sector ${suffix}` }
+    );
+    [{ id: businessTypeId }] = await db.query(
+      'INSERT INTO business_types (business_type, business_sector_id) VALUES ($1, $2) RETURNING id',
+      { name: `Ranking type ${suffix}`, sectorId }
+    );
+
+    // One perfect rating against twenty averaging 4.8
+    await rate(`lucky-${suffix}`, [5]);
+    await rate(`proven-${suffix}`, [...Array(16).fill(5), ...Array(4).fill(4)]);
+  });
+
+  it('ranks a well-established place above a single perfect rating', async () => {
+    const res = await request().get('/api/v1/ratings/rankings').query({ businessTypeId }).set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.pagination).toMatchObject({ total: 2, page: 1 });
+    expect(res.body.data.map((place) => [place.rank, place.placeId])).toEqual([
+      [1, `proven-${suffix}`],
+      [2, `lucky-${suffix}`],
+    ]);
+
+    const [proven, lucky] = res.body.data;
+    expect(proven).toMatchObject({ businessTypeId, sectorId, ratingCount: 20, averageRating: 4.8, typeRank: 1 });
+    expect(lucky).toMatchObject({ ratingCount: 1, averageRating: 5, typeRank: 2 });
+    // Bayesian average with ten ratings' worth of the type prior
+    expect(proven.score).toBeCloseTo((96 + 10 * proven.priorMean) / 30, 2);
+    expect(lucky.score).toBeCloseTo((5 + 10 * lucky.priorMean) / 11, 2);
+  });
+
+  it('filters rankings by sector and minimum rating count', async () => {
+    const res = await request()
+      .get('/api/v1/ratings/rankings')
+      .query({ sectorId, minRatings: 2 })
+      .set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.map((place) => place.placeId)).toEqual([`proven-${suffix}`]);
+  });
+
+  it('scores a single place and discounts old ratings with a half-life', async () => {
+    const placeId = `fading-${suffix}`;
+    await rate(placeId, [1, 1, 1], '2020-01-01T00:00:00Z');
+    await rate(placeId, [5]);
+
+    const plain = await request().get(`/api/v1/ratings/by-place/${placeId}/score`).set(headers);
+    const decayed = await request()
+      .get(`/api/v1/ratings/by-place/${placeId}/score`)
+      .query({ halfLifeDays: 30 })
+      .set(headers);
+
+    expect(plain.status).toBe(200);
+    expect(plain.body.score).toMatchObject({ placeId, halfLifeDays: 0, priorWeight: 10 });
+    expect(plain.body.score.scores).toHaveLength(1);
+    expect(plain.body.score.scores[0]).toMatchObject({ businessTypeId, ratingCount: 4, averageRating: 2 });
+    expect(decayed.body.score.scores[0].score).toBeGreaterThan(plain.body.score.scores[0].score);
+  });
+
+  it('returns no scores for a place without typed ratings', async () => {
+    const res = await request().get(`/api/v1/ratings/by-place/unrated-${suffix}/score`).set(headers);
+
+    expect(res.status).toBe(200);
+    expect(res.body.score.scores).toEqual([]);
+  });
+});
@@ -0,0 +1,475 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+const moderator = authAs('seed-moderator');
+const support = authAs('seed-support');
+
+describe('rating routes', () => {
+  let businessTypeId;
+  let placeId;
+
+  beforeAll(async () => {
+    // Use a business type that has survey questions attached
+    [{ business_type_id: businessTypeId }] = await db.query(
+      'SELECT business_type_id FROM survey_questions WHERE business_type_id IS NOT NULL ORDER BY id LIMIT 1'
+    );
+    placeId = `rating-test-place-${Date.now()}`;
+  });
+
+  /**
+   * Create a rating through the API as the given user
+   * @param {Object} headers - Authorization header
+   * @param {number} [ratingValue] - Rating value
+   * @param {string} [place] - Place ID (defaults to the suite's place)
+   * @returns {Promise<Object>} Created rating
+   */
+  const createRating = async (headers, ratingValue = 4, place = placeId) => {
+    const res = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ businessTypeId, placeId: place, placeName: 'Test Place', placeAddress: '2 Test Rd', ratingValue });
+
+    expect(res.status).toBe(201);
+    return res.body.rating;
+  };
+
+  describe('ratings', () => {
+    it('creates a rating, awards points and lists it for the place', async () => {
+      const { headers } = await createTestUser();
+
+      const rating = await createRating(headers, 5);
+
+      const points = await db.query(
+        'SELECT reason, points FROM consumer_glad_points WHERE consumer_rating_id = $1 ORDER BY reason',
+        { id: rating.id }
+      );
+      expect(points).toEqual([{ reason: 'first_place_rating', points: 5 }, { reason: 'rating', points: 10 }]);
+
+      const res = await request().get(`/api/v1/ratings/by-place/${placeId}/ratings`).set(headers);
+      expect(res.status).toBe(200);
+      expect(res.body.data.map((row) => row.id)).toContain(rating.id);
+    });
+
+    it('lets the owner update and delete their rating', async () => {
+      const { headers } = await createTestUser();
+      const rating = await createRating(headers);
+
+      const updated = await request().put(`/api/v1/ratings/${rating.id}`).set(headers).send({ ratingValue: 2 });
+      expect(updated.status).toBe(200);
+      expect(updated.body.rating.rating_value).toBe(2);
+
+      await request().delete(`/api/v1/ratings/${rating.id}`).set(headers).expect(200);
+    });
+
+    it('forbids other users from changing a rating', async () => {
+      const owner = await createTestUser();
+      const other = await createTestUser();
+      const rating = await createRating(owner.headers);
+
+      await request().put(`/api/v1/ratings/${rating.id}`).set(other.headers).send({ ratingValue: 1 }).expect(403);
+      await request().delete(`/api/v1/ratings/${rating.id}`).set(other.headers).expect(403);
+    });
+
+    it('lets admins update any rating', async () => {
+      const owner = await createTestUser();
+      const rating = await createRating(owner.headers);
+
+      const res = await request().put(`/api/v1/ratings/${rating.id}`).set(admin).send({ ratingValue: 3 });
+
+      expect(res.status).toBe(200);
+    });
+
+    it('returns 404 for a missing rating', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request().put('/api/v1/ratings/999999').set(headers).send({ ratingValue: 3 });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('lets support list every rating but not regular users', async () => {
+      const { headers } = await createTestUser();
+
+      await request().get('/api/v1/ratings/all').set(support).expect(200);
+      await request().get('/api/v1/ratings/all').set(headers).expect(403);
+    });
+  });
+
+  describe('place summaries', () => {
+    let summaryPlace;
+    let headers;
+
+    beforeEach(async () => {
+      summaryPlace = `summary-place-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      ({ headers } = await createTestUser());
+    });
+
+    // One rating per user, so none trips the repeat-rating rule
+    const rateAsNewUser = async (ratingValue) => {
+      const { headers: raterHeaders } = await createTestUser();
+      return createRating(raterHeaders, ratingValue, summaryPlace);
+    };
+
+    const getSummary = async () => {
+      const res = await request().get(`/api/v1/ratings/by-place/${summaryPlace}`).set(headers);
+      expect(res.status).toBe(200);
+      return res.body.ratings;
+    };
+
+    it('reports an empty summary for a place nobody rated', async () => {
+      expect(await getSummary()).toEqual({
+        placeId: summaryPlace,
+        averageRating: 0,
+        totalRatings: 0,
+        ratingCounts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+        lastRatedAt: null,
+      });
+    });
+
+    it('aggregates in SQL and keeps the summary current on create, update and delete', async () => {
+      const first = await createRating(headers, 5, summaryPlace);
+      await rateAsNewUser(2);
+      await rateAsNewUser(5);
+
+      expect(await getSummary()).toMatchObject({
+        averageRating: 4,
+        totalRatings: 3,
+        ratingCounts: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 2 },
+        lastRatedAt: expect.any(String),
+      });
+
+      await request().put(`/api/v1/ratings/${first.id}`).set(headers).send({ ratingValue: 3 }).expect(200);
+      expect(await getSummary()).toMatchObject({ totalRatings: 3, ratingCounts: { 2: 1, 3: 1, 5: 1 } });
+
+      await request().delete(`/api/v1/ratings/${first.id}`).set(headers).expect(200);
+      const summary = await getSummary();
+      expect(summary).toMatchObject({ averageRating: 3.5, totalRatings: 2 });
+      expect(summary).not.toHaveProperty('ratings');
+
+      const [row] = await db.query('SELECT * FROM place_rating_summaries WHERE place_id = $1', { summaryPlace });
+      expect(row).toMatchObject({ rating_count: 2, rating_sum: 7, count_2: 1, count_5: 1 });
+    });
+
+    it('drops the summary row once the last rating is deleted', async () => {
+      const only = await createRating(headers, 4, summaryPlace);
+
+      await request().delete(`/api/v1/ratings/${only.id}`).set(headers).expect(200);
+
+      const rows = await db.query('SELECT * FROM place_rating_summaries WHERE place_id = $1', { summaryPlace });
+      expect(rows).toHaveLength(0);
+      expect((await getSummary()).totalRatings).toBe(0);
+    });
+
+    it('falls back to aggregating ratings when a place has no summary row', async () => {
+      await rateAsNewUser(1);
+      await rateAsNewUser(4);
+      await db.query('DELETE FROM place_rating_summaries WHERE place_id = $1', { summaryPlace });
+
+      expect(await getSummary()).toMatchObject({ averageRating: 2.5, totalRatings: 2, ratingCounts: { 1: 1, 4: 1 } });
+    });
+
+    it('pages through the individual ratings, newest first', async () => {
+      const created = [];
+      for (const value of [1, 2, 3]) {
+        created.push(await rateAsNewUser(value));
+      }
+
+      const page = await request()
+        .get(`/api/v1/ratings/by-place/${summaryPlace}/ratings?page=1&limit=2`)
+        .set(headers);
+
+      expect(page.status).toBe(200);
+      expect(page.body.data.map((row) => row.id)).toEqual([created[2].id, created[1].id]);
+      expect(page.body.pagination).toMatchObject({ total: 3, page: 1, limit: 2, totalPages: 2, hasNextPage: true });
+    });
+  });
+
+  describe('trends', () => {
+    let trendPlace;
+    let headers;
+
+    /**
+     * Rate the trend place and backdate the rating
+     * @param {number} ratingValue - Rating value
+     * @param {string} dateCreated - ISO timestamp
+     * @param {string} [subcategory] - Rating subcategory
+     */
+    const rateOn = async (ratingValue, dateCreated, subcategory) => {
+      const rating = await createRating((await createTestUser()).headers, ratingValue, trendPlace);
+      await db.query(
+        'UPDATE consumer_ratings SET date_created = $1, subcategory = $2 WHERE id = $3',
+        { dateCreated, subcategory: subcategory || null, id: rating.id }
+      );
+    };
+
+    beforeAll(async () => {
+      trendPlace = `trend-place-${Date.now()}`;
+      ({ headers } = await createTestUser());
+
+      await rateOn(5, '2026-01-15T12:00:00Z');
+      await rateOn(3, '2026-02-10T12:00:00Z');
+      await rateOn(4, '2026-02-20T12:00:00Z', 'brunch');
+      await rateOn(2, '2026-03-05T12:00:00Z', 'brunch');
+    });
+
+    it('buckets ratings by month with rolling averages and deltas', async () => {
+      const res = await request()
+        .get(`/api/v1/ratings/by-place/${trendPlace}/trends?interval=month&from=2026-02-01&to=2026-03-31&window=2`)
+        .set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.trends).toMatchObject({ placeId: trendPlace, interval: 'month', window: 2 });
+      expect(res.body.trends.buckets).toEqual([
+        {
+          periodStart: '2026-02-01',
+          ratingCount: 2,
+          averageRating: 3.5,
+          rollingAverage: 4,
+          countDelta: 1,
+          averageDelta: -1.5,
+        },
+        {
+          periodStart: '2026-03-01',
+          ratingCount: 1,
+          averageRating: 2,
+          rollingAverage: 3,
+          countDelta: -1,
+          averageDelta: -1.5,
+        },
+      ]);
+      expect(res.body.trends.comparison).toEqual({
+        current: { firstPeriodStart: '2026-02-01', lastPeriodStart: '2026-03-01', ratingCount: 3, averageRating: 3 },
+        previous: { firstPeriodStart: '2025-12-01', lastPeriodStart: '2026-01-01', ratingCount: 1, averageRating: 5 },
+        countDelta: 2,
+        averageDelta: -2,
+      });
+    });
+
+    it('fills empty days and filters by subcategory and business type', async () => {
+      const res = await request()
+        .get(`/api/v1/ratings/by-place/${trendPlace}/trends`)
+        .query({ from: '2026-02-19', to: '2026-02-21', subcategory: 'brunch', businessTypeId })
+        .set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.trends.buckets.map((bucket) => [bucket.periodStart, bucket.ratingCount, bucket.averageRating]))
+        .toEqual([['2026-02-19', 0, null], ['2026-02-20', 1, 4], ['2026-02-21', 0, null]]);
+
+      const otherType = await request()
+        .get(`/api/v1/ratings/by-place/${trendPlace}/trends`)
+        .query({ interval: 'month', from: '2026-01-01', to: '2026-03-31', businessTypeId: businessTypeId + 1000 })
+        .set(headers);
+
+      expect(otherType.body.trends.comparison.current.ratingCount).toBe(0);
+    });
+
+    it('rejects unknown intervals and inverted or oversized ranges', async () => {
+      const base = `/api/v1/ratings/by-place/${trendPlace}/trends`;
+
+      const interval = await request().get(`${base}?interval=year`).set(headers);
+      expect(interval.status).toBe(400);
+      expect(interval.body.error.code).toBe('VALIDATION_FAILED');
+
+      const inverted = await request().get(`${base}?from=2026-03-01&to=2026-02-01`).set(headers);
+      expect(inverted.status).toBe(400);
+      expect(inverted.body.error.code).toBe('INVALID_DATE_RANGE');
+
+      const oversized = await request().get(`${base}?from=2020-01-01&to=2026-01-01`).set(headers);
+      expect(oversized.status).toBe(400);
+      expect(oversized.body.error.code).toBe('DATE_RANGE_TOO_LARGE');
+    });
+  });
+
+  describe('reviews', () => {
+    it('creates, updates, lists and deletes a review on the owner\'s rating', async () => {
+      const { headers } = await createTestUser();
+      const rating = await createRating(headers);
+
+      const created = await request()
+        .post('/api/v1/ratings/reviews')
+        .set(headers)
+        .send({ consumerRatingId: rating.id, review: 'Great coffee', placeId });
+      expect(created.status).toBe(201);
+
+      const reviewId = created.body.review.id;
+
+      const updated = await request()
+        .put(`/api/v1/ratings/reviews/${reviewId}`)
+        .set(headers)
+        .send({ review: 'Great coffee, slow service', isPrivate: false });
+      expect(updated.status).toBe(200);
+
+      const listed = await request().get(`/api/v1/ratings/reviews/by-place/${placeId}`).set(headers);
+      expect(listed.status).toBe(200);
+
+      await request().delete(`/api/v1/ratings/reviews/${reviewId}`).set(headers).expect(200);
+    });
+
+    it('forbids reviewing somebody else\'s rating', async () => {
+      const owner = await createTestUser();
+      const other = await createTestUser();
+      const rating = await createRating(owner.headers);
+
+      const res = await request()
+        .post('/api/v1/ratings/reviews')
+        .set(other.headers)
+        .send({ consumerRatingId: rating.id, review: 'Not mine', placeId });
+
+      expect(res.status).toBe(403);
+    });
+
+    it('lets moderators list and moderate reviews', async () => {
+      const { headers } = await createTestUser();
+      const rating = await createRating(headers);
+      const created = await request()
+        .post('/api/v1/ratings/reviews')
+        .set(headers)
+        .send({ consumerRatingId: rating.id, review: 'Questionable', placeId });
+
+      await request().get('/api/v1/ratings/reviews/all').set(moderator).expect(200);
+
+      const res = await request()
+        .put(`/api/v1/ratings/reviews/${created.body.review.id}/moderate`)
+        .set(moderator)
+        .send({ isActive: false, moderationNotes: 'Off topic' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.review.is_active).toBe(false);
+    });
+
+    it('forbids support from moderating reviews', async () => {
+      const [review] = await db.query('SELECT id FROM consumer_reviews ORDER BY id LIMIT 1');
+
+      const res = await request()
+        .put(`/api/v1/ratings/reviews/${review.id}/moderate`)
+        .set(support)
+        .send({ isActive: false });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('edit history', () => {
+    it('records rating changes for the owner and moderators, who may restore them', async () => {
+      const owner = await createTestUser();
+      const other = await createTestUser();
+      const rating = await createRating(owner.headers, 4);
+
+      await request().put(`/api/v1/ratings/${rating.id}`).set(owner.headers).send({ ratingValue: 2 }).expect(200);
+      await request().put(`/api/v1/ratings/${rating.id}`).set(owner.headers).send({ ratingValue: 2 }).expect(200);
+      await request().put(`/api/v1/ratings/${rating.id}`).set(owner.headers).send({ ratingValue: 5 }).expect(200);
+
+      const history = await request().get(`/api/v1/ratings/${rating.id}/history`).set(owner.headers);
+      expect(history.status).toBe(200);
+      expect(history.body.revisions.map((revision) => [revision.old_rating_value, revision.new_rating_value]))
+        .toEqual([[2, 5], [4, 2]]);
+      expect(history.body.revisions[0]).toMatchObject({ changed_by: owner.user.id, restored_revision_id: null });
+
+      await request().get(`/api/v1/ratings/${rating.id}/history`).set(other.headers).expect(403);
+      await request().get(`/api/v1/ratings/${rating.id}/history`).set(moderator).expect(200);
+
+      const firstEdit = history.body.revisions[1].id;
+      const restorePath = `/api/v1/ratings/${rating.id}/history/${firstEdit}/restore`;
+
+      const denied = await request().post(restorePath).set(owner.headers);
+      expect(denied.status).toBe(403);
+      expect(denied.body.error.code).toBe('MISSING_PERMISSION');
+
+      const restored = await request().post(restorePath).set(moderator);
+      expect(restored.status).toBe(200);
+      expect(restored.body.rating.rating_value).toBe(4);
+
+      const after = await request().get(`/api/v1/ratings/${rating.id}/history`).set(owner.headers);
+      expect(after.body.revisions).toHaveLength(3);
+      expect(after.body.revisions[0]).toMatchObject({
+        old_rating_value: 5,
+        new_rating_value: 4,
+        restored_revision_id: firstEdit,
+      });
+
+      await request().delete(`/api/v1/ratings/${rating.id}`).set(owner.headers).expect(200);
+    });
+
+    it('only restores revisions of the rating named in the path', async () => {
+      const { headers } = await createTestUser();
+      const edited = await createRating(headers, 3);
+      const untouched = await createRating(headers, 3, `${placeId}-other`);
+      await request().put(`/api/v1/ratings/${edited.id}`).set(headers).send({ ratingValue: 1 }).expect(200);
+
+      const [revision] = (await request().get(`/api/v1/ratings/${edited.id}/history`).set(headers)).body.revisions;
+      const res = await request()
+        .post(`/api/v1/ratings/${untouched.id}/history/${revision.id}/restore`)
+        .set(moderator);
+
+      expect(res.status).toBe(404);
+      expect(res.body.error.code).toBe('REVISION_NOT_FOUND');
+    });
+
+    it('records review text changes and restores them without touching visibility', async () => {
+      const { headers, user } = await createTestUser();
+      const rating = await createRating(headers);
+      const created = await request()
+        .post('/api/v1/ratings/reviews')
+        .set(headers)
+        .send({ consumerRatingId: rating.id, review: 'First draft', placeId });
+      const reviewId = created.body.review.id;
+
+      await request()
+        .put(`/api/v1/ratings/reviews/${reviewId}`)
+        .set(headers)
+        .send({ review: 'Second draft' })
+        .expect(200);
+      await request()
+        .put(`/api/v1/ratings/reviews/${reviewId}`)
+        .set(headers)
+        .send({ review: 'Second draft', isPrivate: true })
+        .expect(200);
+
+      const history = await request().get(`/api/v1/ratings/reviews/${reviewId}/history`).set(headers);
+      expect(history.status).toBe(200);
+      expect(history.body.revisions).toHaveLength(1);
+      expect(history.body.revisions[0]).toMatchObject({
+        old_review: 'First draft',
+        new_review: 'Second draft',
+        changed_by: user.id,
+      });
+
+      const restored = await request()
+        .post(`/api/v1/ratings/reviews/${reviewId}/history/${history.body.revisions[0].id}/restore`)
+        .set(moderator);
+      expect(restored.status).toBe(200);
+      expect(restored.body.review).toMatchObject({ review: 'First draft', is_private: true });
+
+      await request().delete(`/api/v1/ratings/reviews/${reviewId}`).set(headers).expect(200);
+    });
+  });
+
+  describe('surveys', () => {
+    it('lists questions for a business type and accepts answers for the owner\'s rating', async () => {
+      const { headers } = await createTestUser();
+      const rating = await createRating(headers);
+
+      const questions = await request().get(`/api/v1/ratings/survey-questions/by-type/${businessTypeId}`).set(headers);
+      expect(questions.status).toBe(200);
+      expect(questions.body.questions.length).toBeGreaterThan(0);
+
+      const [question] = questions.body.questions;
+      const [option] = await db.query(
+        'SELECT id, answer_option FROM survey_questions_answer_options WHERE survey_question_id = $1 ORDER BY id LIMIT 1',
+        { questionId: question.id }
+      );
+
+      const res = await request()
+        .post('/api/v1/ratings/survey-answers')
+        .set(headers)
+        .send({
+          consumerRatingId: rating.id,
+          answers: [{ surveyQuestionId: question.id, surveyQuestionsAnswerId: option.id, answer: option.answer_option }],
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.answers).toHaveLength(1);
+    });
+  });
+});
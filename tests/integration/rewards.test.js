@@ -0,0 +1,239 @@
+const db = require('../../src/config/db');
+const pointsService = require('../../src/services/pointsService');
+const { business } = require('../../src/utils/metrics');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+
+describe('rewards', () => {
+  let owner;
+  let businessId;
+
+  beforeAll(async () => {
+    owner = await createTestUser({ role: 'Client' });
+
+    const res = await request()
+      .post('/api/v1/business/businesses')
+      .set(owner.headers)
+      .send({ businessName: 'Reward Cafe' });
+    businessId = res.body.business.id;
+  });
+
+  /**
+   * Create a reward as an admin
+   * @param {Object} [fields] - Body fields over the defaults
+   * @returns {Promise<Object>} Created reward
+   */
+  const createReward = async (fields = {}) => {
+    const res = await request()
+      .post('/api/v1/rewards')
+      .set(admin)
+      .send({ businessId, name: 'Free coffee', pointsCost: 30, stock: 5, ...fields });
+
+    expect(res.status).toBe(201);
+    return res.body.reward;
+  };
+
+  /**
+   * Test user with a Glad points balance
+   * @param {number} points - Points to credit
+   * @returns {Promise<Object>} `{ user, headers }`
+   */
+  const userWithPoints = async (points) => {
+    const { user, headers } = await createTestUser();
+
+    await db.query(
+      `INSERT INTO consumer_glad_points (user_id, points, reason, entry_key)
+       VALUES ($1, $2, 'rating', $3)`,
+      { userId: user.id, points, entryKey: `test-credit:${user.id}` }
+    );
+
+    return { user, headers };
+  };
+
+  it('lets admins manage the catalog and users browse what can be redeemed', async () => {
+    const { headers } = await createTestUser();
+
+    await request()
+      .post('/api/v1/rewards')
+      .set(headers)
+      .send({ businessId, name: 'Nope', pointsCost: 1 })
+      .expect(403);
+
+    const available = await createReward({ name: 'Muffin' });
+    const soldOut = await createReward({ name: 'Sold out', stock: 0 });
+    const expired = await createReward({ name: 'Expired', validUntil: '2020-01-01T00:00:00Z' });
+    const inactive = await createReward({ name: 'Inactive', isActive: false });
+
+    const catalog = await request().get(`/api/v1/rewards?businessId=${businessId}&limit=100`).set(headers);
+    expect(catalog.status).toBe(200);
+    const listed = catalog.body.data.map((reward) => reward.id);
+    expect(listed).toContain(available.id);
+    [soldOut, expired, inactive].forEach((reward) => expect(listed).not.toContain(reward.id));
+
+    const all = await request().get(`/api/v1/rewards/all?businessId=${businessId}&limit=100`).set(admin);
+    expect(all.body.data.map((reward) => reward.id)).toEqual(expect.arrayContaining([available.id, inactive.id]));
+
+    const updated = await request()
+      .put(`/api/v1/rewards/${inactive.id}`)
+      .set(admin)
+      .send({ businessId, name: 'Active now', pointsCost: 40, stock: null });
+    expect(updated.status).toBe(200);
+    expect(updated.body.reward).toMatchObject({ name: 'Active now', points_cost: 40, stock: null, is_active: true });
+
+    await request().delete(`/api/v1/rewards/${soldOut.id}`).set(admin).expect(200);
+    await request().get(`/api/v1/rewards/${soldOut.id}`).set(headers).expect(404);
+  });
+
+  it('debits points, takes stock and issues a code when a reward is redeemed', async () => {
+    const reward = await createReward({ stock: 2 });
+    const { headers } = await userWithPoints(100);
+
+    const res = await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers);
+
+    expect(res.status).toBe(201);
+    expect(res.body.redemption).toMatchObject({
+      reward_id: reward.id,
+      points: 30,
+      status: 'valid',
+      code: expect.stringMatching(/^GG-[A-Z2-9]{8}$/),
+    });
+
+    const points = await request().get('/api/v1/users/points').set(headers);
+    expect(points.body.points).toMatchObject({ totalPoints: 100, redeemedPoints: 30, availablePoints: 70 });
+    expect(points.body.points.pointsHistory[0]).toMatchObject({ reason: 'redemption', points: -30 });
+
+    const after = await request().get(`/api/v1/rewards/${reward.id}`).set(headers);
+    expect(after.body.reward.stock).toBe(1);
+
+    const mine = await request().get('/api/v1/rewards/redemptions').set(headers);
+    expect(mine.body.data.map((redemption) => redemption.code)).toEqual([res.body.redemption.code]);
+
+    const inUse = await request().delete(`/api/v1/rewards/${reward.id}`).set(admin);
+    expect(inUse.status).toBe(409);
+  });
+
+  it('counts redeemed points once, after a redemption that was retried commits', async () => {
+    const reward = await createReward({ stock: 1 });
+    const { headers } = await userWithPoints(100);
+    const redeemedTotal = async () => (await business.gladPointsRedeemed.get()).values
+      .reduce((sum, { value }) => sum + value, 0);
+    const before = await redeemedTotal();
+
+    // The first attempt debits the points, then hits a serialization failure and is retried
+    const debit = pointsService.debitPoints;
+    const spy = jest.spyOn(pointsService, 'debitPoints').mockImplementationOnce(async (...args) => {
+      await debit(...args);
+      throw Object.assign(new Error('could not serialize access'), { code: '40001' });
+    });
+
+    try {
+      await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers).expect(201);
+    } finally {
+      spy.mockRestore();
+    }
+
+    expect(await redeemedTotal()).toBe(before + 30);
+    const points = await request().get('/api/v1/users/points').set(headers);
+    expect(points.body.points).toMatchObject({ redeemedPoints: 30, availablePoints: 70 });
+  });
+
+  it('refuses redemptions the user cannot afford or the reward cannot cover', async () => {
+    const reward = await createReward({ stock: 1 });
+    const poor = await userWithPoints(10);
+
+    const broke = await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(poor.headers);
+    expect(broke.status).toBe(409);
+    expect(broke.body.error.code).toBe('INSUFFICIENT_POINTS');
+
+    const untouched = await request().get(`/api/v1/rewards/${reward.id}`).set(poor.headers);
+    expect(untouched.body.reward.stock).toBe(1);
+
+    // Two users race for the last unit
+    const first = await userWithPoints(50);
+    const second = await userWithPoints(50);
+    const results = await Promise.all([
+      request().post(`/api/v1/rewards/${reward.id}/redeem`).set(first.headers),
+      request().post(`/api/v1/rewards/${reward.id}/redeem`).set(second.headers),
+    ]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 409]);
+    expect(results.find((res) => res.status === 409).body.error.code).toBe('REWARD_OUT_OF_STOCK');
+
+    const expired = await createReward({ validUntil: '2020-01-01T00:00:00Z' });
+    const stale = await request().post(`/api/v1/rewards/${expired.id}/redeem`).set(first.headers);
+    expect(stale.status).toBe(409);
+    expect(stale.body.error.code).toBe('REWARD_UNAVAILABLE');
+
+    await request().post('/api/v1/rewards/999999/redeem').set(first.headers).expect(404);
+  });
+
+  it('does not pay again for deleting a rating whose points were spent and rating the place again', async () => {
+    const reward = await createReward({ pointsCost: 15 });
+    const { headers } = await createTestUser();
+    const placeId = `loop-${Date.now()}`;
+
+    const first = await request().post('/api/v1/ratings').set(headers).send({ placeId, ratingValue: 5 }).expect(201);
+    await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers).expect(201);
+    await request().delete(`/api/v1/ratings/${first.body.rating.id}`).set(headers).expect(200);
+
+    // The whole award is taken back, leaving a debt for what was spent
+    const afterDelete = await request().get('/api/v1/users/points').set(headers);
+    expect(afterDelete.body.points.availablePoints).toBe(-15);
+
+    const again = await request().post('/api/v1/ratings').set(headers).send({ placeId, ratingValue: 5 });
+    expect(again.status).toBe(202);
+    expect(again.body.rating.quarantine_reasons).toEqual(['duplicate_place_rating']);
+
+    const afterRerate = await request().get('/api/v1/users/points').set(headers);
+    expect(afterRerate.body.points.availablePoints).toBe(-15);
+
+    const redeemAgain = await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers);
+    expect(redeemAgain.status).toBe(409);
+    expect(redeemAgain.body.error.code).toBe('INSUFFICIENT_POINTS');
+  });
+
+  it('lets the sponsoring business check and use a code once', async () => {
+    const reward = await createReward();
+    const { headers } = await userWithPoints(30);
+    const { body } = await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers).expect(201);
+    const { code } = body.redemption;
+    const path = `/api/v1/business/businesses/${businessId}/redemptions`;
+
+    const stranger = await createTestUser({ role: 'Client' });
+    await request().get(`${path}/${code}`).set(stranger.headers).expect(403);
+
+    const checked = await request().get(`${path}/${code.toLowerCase()}`).set(owner.headers);
+    expect(checked.status).toBe(200);
+    expect(checked.body.redemption).toMatchObject({ code, status: 'valid', reward_name: 'Free coffee' });
+
+    const used = await request().put(`${path}/${code}/use`).set(owner.headers);
+    expect(used.status).toBe(200);
+    expect(used.body.redemption).toMatchObject({ status: 'used', used_by: owner.user.id });
+
+    const again = await request().put(`${path}/${code}/use`).set(owner.headers);
+    expect(again.status).toBe(409);
+    expect(again.body.error.code).toBe('REDEMPTION_ALREADY_USED');
+
+    const missing = await request().get(`${path}/GG-NOTACODE`).set(owner.headers);
+    expect(missing.status).toBe(404);
+    expect(missing.body.error.code).toBe('REDEMPTION_NOT_FOUND');
+  });
+
+  it('refuses codes past the reward\'s validity', async () => {
+    const reward = await createReward({ validUntil: new Date(Date.now() + 60 * 60 * 1000).toISOString() });
+    const { headers } = await userWithPoints(30);
+    const { body } = await request().post(`/api/v1/rewards/${reward.id}/redeem`).set(headers).expect(201);
+
+    await db.query(
+      'UPDATE reward_redemptions SET expires_at = NOW() - INTERVAL \'1 minute\' WHERE id = $1',
+      { id: body.redemption.id }
+    );
+
+    const res = await request()
+      .put(`/api/v1/business/businesses/${businessId}/redemptions/${body.redemption.code}/use`)
+      .set(owner.headers);
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('REDEMPTION_EXPIRED');
+  });
+});
@@ -0,0 +1,29 @@
+const db = require('../../src/config/db');
+const { bindParams } = require('../../src/utils/sqlUtils');
+
+describe('bindParams', () => {
+  it('binds named and positional placeholders in order of first appearance', () => {
+    expect(bindParams('SELECT * FROM t WHERE a = $name AND b = $2 AND c = $name', { name: 'x', other: 7 }))
+      .toEqual({ text: 'SELECT * FROM t WHERE a = $1 AND b = $2 AND c = $1', values: ['x', 7] });
+  });
+
+  it('leaves placeholders inside string literals alone', () => {
+    expect(bindParams('SELECT \'it\'\'s $1\', $id', { id: 3 }))
+      .toEqual({ text: 'SELECT \'it\'\'s $1\', $1', values: [3] });
+  });
+
+  it('treats a backslash-escaped quote as part of an E\'...\' string', async () => {
+    const sql = 'SELECT E\'it\\\'s $name and $1\' AS said, $id::int AS id';
+
+    expect(bindParams(sql, { id: 3 })).toEqual({
+      text: 'SELECT E\'it\\\'s $name and $1\' AS said, $1::int AS id',
+      values: [3],
+    });
+    expect(await db.query(sql, { id: 3 })).toEqual([{ said: 'it\'s $name and $1', id: 3 }]);
+  });
+
+  it('keeps backslashes literal in ordinary strings and after names ending in e', () => {
+    expect(bindParams('SELECT \'a\\\', $id', { id: 1 }).text).toBe('SELECT \'a\\\', $1');
+    expect(bindParams('SELECT type\'a\\\', $id', { id: 1 }).text).toBe('SELECT type\'a\\\', $1');
+  });
+});
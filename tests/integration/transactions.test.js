@@ -0,0 +1,79 @@
+const db = require('../../src/config/db');
+const { wrapError } = require('../../src/utils/errorUtils');
+
+/**
+ * Error shaped like the ones pg raises
+ * @param {string} code - SQLSTATE
+ * @returns {Error} Error
+ */
+const pgError = (code) => Object.assign(new Error(`pg error ${code}`), { code });
+
+describe('db.transaction', () => {
+  it('retries serialization failures up to maxRetries times', async () => {
+    let attempts = 0;
+
+    await expect(db.transaction(async () => {
+      attempts += 1;
+      throw pgError('40001');
+    }, { maxRetries: 1 })).rejects.toMatchObject({ code: '40001' });
+
+    expect(attempts).toBe(2);
+  });
+
+  it('retries deadlocks a service wrapped in an AppError', async () => {
+    let attempts = 0;
+
+    const result = await db.transaction(async () => {
+      attempts += 1;
+      if (attempts === 1) {
+        throw wrapError(pgError('40P01'), 'Error reversing points');
+      }
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(attempts).toBe(2);
+  });
+
+  it('does not retry other failures', async () => {
+    let attempts = 0;
+
+    await expect(db.transaction(async () => {
+      attempts += 1;
+      throw pgError('23505');
+    })).rejects.toMatchObject({ code: '23505' });
+
+    expect(attempts).toBe(1);
+  });
+
+  it('runs afterCommit callbacks only once the transaction commits', async () => {
+    const committed = [];
+
+    await db.transaction(async () => {
+      db.afterCommit(() => committed.push('outer'));
+
+      await db.transaction(async () => {
+        db.afterCommit(() => committed.push('rolled back'));
+        throw new Error('undo the savepoint');
+      }).catch(() => {});
+
+      expect(committed).toEqual([]);
+    });
+
+    await expect(db.transaction(async () => {
+      db.afterCommit(() => committed.push('failed'));
+      throw new Error('undo the transaction');
+    })).rejects.toThrow('undo the transaction');
+
+    let attempts = 0;
+    await db.transaction(async () => {
+      attempts += 1;
+      db.afterCommit(() => committed.push(`attempt ${attempts}`));
+      if (attempts === 1) {
+        throw pgError('40P01');
+      }
+    });
+
+    expect(committed).toEqual(['outer', 'attempt 2']);
+  });
+});
@@ -0,0 +1,150 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+
+const admin = authAs('seed-admin');
+const support = authAs('seed-support');
+
+describe('user routes', () => {
+  describe('own profile', () => {
+    it('returns the current user', async () => {
+      const { user, headers } = await createTestUser();
+
+      const res = await request().get('/api/v1/users/profile').set(headers);
+
+      expect(res.status).toBe(200);
+      expect(res.body.user.id).toBe(user.id);
+    });
+
+    it('updates the current user', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request()
+        .put('/api/v1/users/profile')
+        .set(headers)
+        .send({ firstName: 'Renamed', displayName: 'Renamed User' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ first_name: 'Renamed', display_name: 'Renamed User' });
+    });
+
+    it('marks the account deleted and blocks further requests', async () => {
+      const { headers } = await createTestUser();
+
+      await request().delete('/api/v1/users/profile').set(headers).expect(200);
+      const res = await request().get('/api/v1/users/profile').set(headers);
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('own data', () => {
+    it('lists the ratings, reviews and points of a seeded user', async () => {
+      const headers = authAs('seed-user-001');
+
+      const ratings = await request().get('/api/v1/users/ratings').set(headers);
+      const reviews = await request().get('/api/v1/users/reviews').set(headers);
+      const points = await request().get('/api/v1/users/points').set(headers);
+
+      expect(ratings.status).toBe(200);
+      expect(Array.isArray(ratings.body.ratings)).toBe(true);
+      expect(reviews.status).toBe(200);
+      expect(points.status).toBe(200);
+    });
+  });
+
+  describe('business type preferences', () => {
+    it('adds, reorders and removes a preference', async () => {
+      const { headers } = await createTestUser();
+      const [businessType] = await db.query('SELECT id FROM business_types ORDER BY id LIMIT 1');
+
+      const created = await request()
+        .post('/api/v1/users/business-types')
+        .set(headers)
+        .send({ businessTypeId: businessType.id, sortNumber: 1 });
+      expect(created.status).toBe(201);
+
+      const listed = await request().get('/api/v1/users/business-types').set(headers);
+      expect(listed.body.businessTypes).toHaveLength(1);
+
+      const preferenceId = listed.body.businessTypes[0].id;
+
+      await request()
+        .put(`/api/v1/users/business-types/${preferenceId}`)
+        .set(headers)
+        .send({ sortNumber: 2 })
+        .expect(200);
+
+      await request().delete(`/api/v1/users/business-types/${preferenceId}`).set(headers).expect(200);
+
+      const after = await request().get('/api/v1/users/business-types').set(headers);
+      expect(after.body.businessTypes).toHaveLength(0);
+    });
+  });
+
+  describe('administration', () => {
+    it('lets support list and view users', async () => {
+      const { user } = await createTestUser();
+
+      const list = await request().get('/api/v1/users').set(support);
+      const single = await request().get(`/api/v1/users/${user.id}`).set(support);
+
+      expect(list.status).toBe(200);
+      expect(single.status).toBe(200);
+      expect(single.body.user.id).toBe(user.id);
+    });
+
+    it('forbids regular users from listing users', async () => {
+      const { headers } = await createTestUser();
+
+      const res = await request().get('/api/v1/users').set(headers);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('lets admins update and deactivate a user', async () => {
+      const { user, headers } = await createTestUser();
+
+      const res = await request()
+        .put(`/api/v1/users/${user.id}`)
+        .set(admin)
+        .send({ lastName: 'Changed', isActive: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toMatchObject({ last_name: 'Changed', is_active: false });
+
+      await request().get('/api/v1/users/profile').set(headers).expect(403);
+    });
+
+    it('lets admins change a user\'s role, which applies to the next request', async () => {
+      const { user, headers } = await createTestUser();
+      const [moderator] = await db.query('SELECT id FROM roles WHERE role = $1', { role: 'Moderator' });
+
+      await request().get('/api/v1/ratings/reviews/all').set(headers).expect(403);
+
+      await request()
+        .put(`/api/v1/users/${user.id}/role`)
+        .set(admin)
+        .send({ roleId: moderator.id })
+        .expect(200);
+
+      const res = await request().get('/api/v1/ratings/reviews/all').set(headers);
+      expect(res.status).toBe(200);
+    });
+
+    it('forbids support from deleting users', async () => {
+      const { user } = await createTestUser();
+
+      const res = await request().delete(`/api/v1/users/${user.id}`).set(support);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('lets admins delete a user', async () => {
+      const { user } = await createTestUser();
+
+      const res = await request().delete(`/api/v1/users/${user.id}`).set(admin);
+
+      expect(res.status).toBe(200);
+    });
+  });
+});
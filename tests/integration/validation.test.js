@@ -0,0 +1,108 @@
+const db = require('../../src/config/db');
+const { request, authAs, createTestUser } = require('../support/testApp');
+const { listApiRoutes } = require('../../src/utils/openApi');
+const { sections } = require('../../src/schemas');
+
+const admin = authAs('seed-admin');
+
+describe('request validation', () => {
+  let headers;
+
+  beforeAll(async () => {
+    ({ headers } = await createTestUser());
+  });
+
+  it('validates every router endpoint against its documented schema', () => {
+    const unvalidated = listApiRoutes()
+      .filter((route) => route.mountPath !== '/')
+      .filter((route) => route.validated !== sections[route.mountPath].operations[route.handler.name])
+      .map((route) => `${route.method.toUpperCase()} ${route.path}`);
+
+    expect(unvalidated).toEqual([]);
+  });
+
+  it('lists every field problem in one 400 response', async () => {
+    const res = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ ratingValue: 9, businessTypeId: 'abc', colour: 'blue' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ message: 'Request validation failed', status: 400 });
+    expect(res.body.error.details).toEqual(expect.arrayContaining([
+      { location: 'body', field: 'placeId', message: 'is required' },
+      { location: 'body', field: 'colour', message: 'is not allowed' },
+      expect.objectContaining({ location: 'body', field: 'ratingValue' }),
+      expect.objectContaining({ location: 'body', field: 'businessTypeId' }),
+    ]));
+  });
+
+  it('reports nested fields with their path', async () => {
+    const res = await request()
+      .post('/api/v1/ratings/survey-answers')
+      .set(headers)
+      .send({ consumerRatingId: 1, answers: [{ answer: 'Yes' }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([
+      { location: 'body', field: 'answers[0].surveyQuestionId', message: 'is required' },
+    ]);
+  });
+
+  it('rejects non-numeric ids in the path', async () => {
+    const res = await request().get('/api/v1/education/areas/abc').set(headers);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([expect.objectContaining({ location: 'params', field: 'id' })]);
+  });
+
+  it('rejects unknown query parameters', async () => {
+    const res = await request().get('/api/v1/education/areas?sort=name').set(headers);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([{ location: 'query', field: 'sort', message: 'is not allowed' }]);
+  });
+
+  it('coerces and defaults pagination parameters', async () => {
+    const [{ place_id: placeId }] = await db.query('SELECT place_id FROM consumer_reviews LIMIT 1');
+
+    const paged = await request().get(`/api/v1/ratings/reviews/by-place/${placeId}?page=1&limit=2`).set(headers);
+    expect(paged.status).toBe(200);
+    expect(paged.body.pagination).toMatchObject({ page: 1, limit: 2 });
+
+    const defaulted = await request().get(`/api/v1/ratings/reviews/by-place/${placeId}`).set(headers);
+    expect(defaulted.body.pagination).toMatchObject({ page: 1, limit: 10 });
+
+    await request().get(`/api/v1/ratings/reviews/by-place/${placeId}?limit=1000`).set(headers).expect(400);
+  });
+
+  it('coerces numeric strings in JSON bodies', async () => {
+    const res = await request()
+      .post('/api/v1/ratings')
+      .set(headers)
+      .send({ placeId: 'validation-place', ratingValue: '4' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.rating.rating_value).toBe(4);
+  });
+
+  it('requires the uploaded file on multipart routes', async () => {
+    const [{ id: imageTypeId }] = await db.query('SELECT id FROM image_types ORDER BY id LIMIT 1');
+
+    const res = await request()
+      .post('/api/v1/media/upload')
+      .set(headers)
+      .field('imageTypeId', String(imageTypeId));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details).toEqual([{ location: 'body', field: 'image', message: 'is required' }]);
+  });
+
+  it('checks permissions before validating', async () => {
+    await request().post('/api/v1/admin/faqs').set(headers).send({}).expect(403);
+
+    const res = await request().post('/api/v1/admin/faqs').set(admin).send({});
+    expect(res.status).toBe(400);
+    expect(res.body.error.details.map((detail) => detail.field)).toEqual(['faq', 'faqAnswer', 'environmentTypeId']);
+  });
+});
@@ -0,0 +1,49 @@
+const { Client } = require('pg');
+const { loadConfig } = require('../../src/config');
+
+/**
+ * Run `fn` with a client connected to the server's maintenance database,
+ * used to create and drop the disposable test database
+ * @param {Function} fn - Callback receiving the connected client
+ * @returns {Promise<*>} Callback result
+ */
+const withMaintenanceClient = async (fn) => {
+  const { pool } = loadConfig().db;
+  const client = new Client({ ...pool, database: process.env.TEST_DB_MAINTENANCE_NAME || 'postgres' });
+
+  await client.connect();
+  try {
+    return await fn(client);
+  } finally {
+    await client.end();
+  }
+};
+
+/**
+ * Name for a fresh test database, derived from the configured one
+ * @returns {string} Database name
+ */
+const disposableDatabaseName = () => {
+  const base = loadConfig().db.database.replace(/[^a-z0-9_]/gi, '_');
+  return `${base}_${process.pid}_${Date.now().toString(36)}`.toLowerCase();
+};
+
+/**
+ * Create an empty database
+ * @param {string} name - Database name
+ * @returns {Promise<void>}
+ */
+const createDatabase = (name) => withMaintenanceClient((client) => client.query(`CREATE DATABASE "${name}"`));
+
+/**
+ * Drop a database, disconnecting anything still attached to it
+ * @param {string} name - Database name
+ * @returns {Promise<void>}
+ */
+const dropDatabase = (name) => withMaintenanceClient((client) => client.query(`DROP DATABASE IF EXISTS "${name}" WITH (FORCE)`));
+
+module.exports = {
+  disposableDatabaseName,
+  createDatabase,
+  dropDatabase
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getConfig } = require('../../src/config');
+
+// Test tokens are HS256 JWTs signed with this key instead of Google's
+const SIGNING_KEY = 'gladgrade-test-signing-key';
+const TOKEN_TTL_SECONDS = 60 * 60;
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const sign = (content) => crypto.createHmac('sha256', SIGNING_KEY).update(content).digest('base64url');
+
+/**
+ * Create an error shaped like the ones firebase-admin throws
+ * @param {string} code - Firebase error code
+ * @param {string} message - Error message
+ * @returns {Error} Error with a `code`
+ */
+const firebaseError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Issue a signed ID token the stub will accept
+ * @param {string} uid - Firebase UID
+ * @param {Object} [options] - Token options
+ * @param {string} [options.email] - Email claim
+ * @param {string} [options.provider] - Sign-in provider, e.g. 'password' or 'anonymous'
+ * @param {number} [options.expiresIn] - Lifetime in seconds (negative for an expired token)
+ * @param {Object} [options.claims] - Extra claims
+ * @returns {string} ID token
+ */
+const issueToken = (uid, {
+  email = `${uid}@example.com`,
+  provider = 'password',
+  expiresIn = TOKEN_TTL_SECONDS,
+  claims = {},
+} = {}) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({
+    iss: `https://securetoken.google.com/${getConfig().firebase.projectId}`,
+    aud: getConfig().firebase.projectId,
+    sub: uid,
+    iat: now,
+    exp: now + expiresIn,
+    email: provider === 'anonymous' ? undefined : email,
+    firebase: { sign_in_provider: provider },
+    ...claims,
+  });
+
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+/**
+ * Verify a token issued by `issueToken`, mirroring `auth().verifyIdToken`
+ * @param {string} token - ID token
+ * @returns {Promise<Object>} Decoded token with `uid`
+ */
+const verifyIdToken = async (token) => {
+  const [header, payload, signature] = String(token).split('.');
+
+  if (!header || !payload || !signature || sign(`${header}.${payload}`) !== signature) {
+    throw firebaseError('auth/argument-error', 'Decoding Firebase ID token failed');
+  }
+
+  const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+
+  if (decoded.exp <= Math.floor(Date.now() / 1000)) {
+    throw firebaseError('auth/id-token-expired', 'Firebase ID token has expired');
+  }
+
+  if (decoded.aud !== getConfig().firebase.projectId) {
+    throw firebaseError('auth/argument-error', 'Firebase ID token has incorrect "aud" claim');
+  }
+
+  return { ...decoded, uid: decoded.sub };
+};
+
+// Accounts created through auth().createUser, keyed by email
+const accounts = new Map();
+
+/**
+ * Create an account, mirroring `auth().createUser`
+ * @param {Object} properties - Account properties
+ * @returns {Promise<Object>} User record
+ */
+const createUser = async (properties) => {
+  if (properties.email && accounts.has(properties.email)) {
+    throw firebaseError('auth/email-already-exists', 'The email address is already in use by another account.');
+  }
+
+  const record = { uid: `test-${crypto.randomUUID()}`, ...properties };
+  accounts.set(properties.email, record);
+
+  return record;
+};
+
+const auth = () => ({ verifyIdToken, createUser });
+
+// Initialized default app, as after `initializeApp`
+const apps = [{ name: '[DEFAULT]', options: { projectId: getConfig().firebase.projectId } }];
+
+module.exports = {
+  apps,
+  auth,
+  issueToken
+};
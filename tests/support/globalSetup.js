@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const { disposableDatabaseName, createDatabase } = require('./database');
+
+/**
+ * Create a throwaway database, migrate it and load seed data.
+ * The database name is handed to the test files through DB_NAME.
+ */
+module.exports = async () => {
+  process.env.NODE_ENV = 'test';
+
+  const name = disposableDatabaseName();
+  await createDatabase(name);
+  process.env.DB_NAME = name;
+
+  // Required only now so the pool picks up the disposable database
+  const db = require('../../src/config/db');
+  const { getConfig } = require('../../src/config');
+  const migrationService = require('../../src/services/migrationService');
+  const seedService = require('../../src/services/seedService');
+
+  try {
+    await migrationService.migrateUp();
+    await seedService.seedReferenceData();
+    await seedService.seedSyntheticData({ users: 12, places: 6, days: 60 });
+  } finally {
+    await db.pool.end();
+  }
+
+  fs.mkdirSync(path.resolve(__dirname, '../..', getConfig().upload.dir), { recursive: true });
+};
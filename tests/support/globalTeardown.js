@@ -0,0 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('../../src/config');
+const { dropDatabase } = require('./database');
+
+/**
+ * Drop the database created by globalSetup (kept when KEEP_TEST_DB is set)
+ * and remove files uploaded during the run
+ */
+module.exports = async () => {
+  fs.rmSync(path.resolve(__dirname, '../..', loadConfig().upload.dir), { recursive: true, force: true });
+
+  if (process.env.KEEP_TEST_DB) {
+    console.log(`\nKept test database ${process.env.DB_NAME}`);
+    return;
+  }
+
+  await dropDatabase(process.env.DB_NAME);
+};
@@ -0,0 +1,14 @@
+// Runs inside every test file, before its tests
+
+jest.mock('../../src/config/firebase', () => require('./firebaseStub'));
+
+// Logging is silenced by src/config/env/test.json; TEST_VERBOSE shows every entry
+if (process.env.TEST_VERBOSE && !process.env.LOG_LEVEL) {
+  process.env.LOG_LEVEL = 'debug';
+}
+
+afterAll(async () => {
+  // Achievement evaluations run after the response; let them finish first
+  await require('../../src/services/achievementService').whenIdle();
+  await require('../../src/config/db').pool.end();
+});
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const supertest = require('supertest');
+const { createApp } = require('../../src/app');
+const db = require('../../src/config/db');
+const userService = require('../../src/services/userService');
+const { issueToken } = require('./firebaseStub');
+
+const app = createApp();
+
+/**
+ * supertest client bound to a fresh app instance
+ * @returns {Object} supertest agent
+ */
+const request = () => supertest(app);
+
+/**
+ * Authorization header for a Firebase UID
+ * @param {string} uid - Firebase UID
+ * @param {Object} [options] - Token options passed to issueToken
+ * @returns {Object} Header object for `.set()`
+ */
+const authAs = (uid, options) => ({ Authorization: `Bearer ${issueToken(uid, options)}` });
+
+/**
+ * Insert a user with the given primary role and return a token for it
+ * @param {Object} [options] - User options
+ * @param {string} [options.role] - Primary role name
+ * @param {Object} [options.columns] - Extra users columns, e.g. { is_active: false }
+ * @returns {Promise<Object>} `{ user, uid, headers }`
+ */
+const createTestUser = async ({ role = 'User', columns = {} } = {}) => {
+  const uid = `test-${role.toLowerCase().replace(/\s+/g, '-')}-${crypto.randomBytes(6).toString('hex')}`;
+  const roleId = await userService.getRoleIdByName(role);
+
+  const row = {
+    firebase_uid: uid,
+    email: `${uid}@example.com`,
+    first_name: 'Test',
+    last_name: role,
+    display_name: `Test ${role}`,
+    primary_role_id: roleId,
+    is_active: true,
+    is_guest: false,
+    ...columns,
+  };
+  const names = Object.keys(row);
+
+  const result = await db.query(
+    `INSERT INTO users (${names.join(', ')})
+     VALUES (${names.map((name) => `$${name}`).join(', ')})
+     RETURNING *`,
+    row
+  );
+
+  return { user: result[0], uid, headers: authAs(uid) };
+};
+
+module.exports = {
+  app,
+  request,
+  authAs,
+  createTestUser
+};